@@ -0,0 +1,226 @@
+/**
+ * LumaBoard Service Worker
+ * Keeps the app shell, config files and referenced media available when the kiosk
+ * starts without network. The shell and precached media are served from the cache first
+ * and refreshed in the background, so the next load picks up new deployments. Config
+ * files go to the network first and only fall back to the cache when it fails. Every
+ * other request (widget data, the CORS proxy, alert feeds, hot reload polls) is left
+ * alone, so those always see the server's current answer.
+ *
+ * Messages (replies are posted on the MessageChannel port sent with the message):
+ *   { type: 'PRECACHE', urls, configUrls } - cache media referenced by the config and the config files
+ *   { type: 'GET_STATUS' }      - report cache contents
+ *   { type: 'CLEAR_CACHE' }     - drop every LumaBoard cache
+ */
+
+// v2 dropped the data and proxy responses v1 cached alongside the shell
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `lumaboard-shell-${CACHE_VERSION}`;
+const MEDIA_CACHE = `lumaboard-media-${CACHE_VERSION}`;
+const CONFIG_CACHE = `lumaboard-config-${CACHE_VERSION}`;
+const CACHES = [SHELL_CACHE, MEDIA_CACHE, CONFIG_CACHE];
+
+// Same-origin requests for these destinations are shell assets (built scripts, styles, icons, fonts)
+const SHELL_DESTINATIONS = ['script', 'style', 'image', 'font', 'manifest'];
+
+// Cross-origin requests are only cached for these destinations; API data is left to the data service
+const MEDIA_DESTINATIONS = ['image', 'font', 'style'];
+
+const state = {
+  lastUpdated: null,
+  failed: [],
+  // fetch handlers must decide synchronously, so the cached URL lists are kept in memory
+  shellUrls: new Set(),
+  configUrls: new Set()
+};
+
+// A restarted worker picks its URL lists back up from the caches
+const restored = Promise.all([
+  cachedUrls(SHELL_CACHE).then(urls => urls.forEach(url => state.shellUrls.add(url))),
+  cachedUrls(CONFIG_CACHE).then(urls => urls.forEach(url => state.configUrls.add(url)))
+]);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('lumaboard-') && !CACHES.includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  // Range requests (video streaming) cannot be answered from a full cached response
+  if (request.method !== 'GET' || request.headers.has('range')) return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (state.configUrls.has(url.href)) {
+    event.respondWith(networkFirst(event, CONFIG_CACHE));
+  } else if (request.mode === 'navigate' ||
+      (sameOrigin && (SHELL_DESTINATIONS.includes(request.destination) || state.shellUrls.has(url.href)))) {
+    event.respondWith(cacheFirst(event, SHELL_CACHE));
+  } else if (!sameOrigin && MEDIA_DESTINATIONS.includes(request.destination)) {
+    event.respondWith(cacheFirst(event, MEDIA_CACHE));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  const { type, urls, configUrls } = event.data || {};
+  const reply = (message) => {
+    if (event.ports[0]) event.ports[0].postMessage(message);
+  };
+
+  if (type === 'PRECACHE') {
+    event.waitUntil(precacheUrls(urls || [], configUrls || []).then(getStatus).then(reply));
+  } else if (type === 'GET_STATUS') {
+    event.waitUntil(getStatus().then(reply));
+  } else if (type === 'CLEAR_CACHE') {
+    event.waitUntil(clearCaches().then(getStatus).then(reply));
+  }
+});
+
+/**
+ * Cache index.html along with the scripts, styles and icons it references.
+ * Built asset names are content hashed, so they are read from the page instead of listed here.
+ */
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch('./', { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch app shell (${response.status})`);
+  }
+
+  const html = await response.clone().text();
+  await cache.put('./', response);
+  state.shellUrls.add(new URL('./', self.location.href).href);
+
+  const assets = Array.from(html.matchAll(/(?:src|href)="([^"]+)"/g), match => new URL(match[1], self.location.href))
+    .filter(url => url.origin === self.location.origin)
+    .map(url => url.href);
+  assets.forEach(asset => state.shellUrls.add(asset));
+
+  await Promise.all(assets.map(asset => fetchAndCache(cache, new Request(asset, { cache: 'no-cache' })).catch(error => {
+    console.warn(`LumaBoard SW: Failed to precache ${asset}`, error);
+  })));
+  state.lastUpdated = Date.now();
+}
+
+/**
+ * Cache URLs the page asks for, refreshing already cached ones in the background
+ * @param {string[]} urls - Media and other files, absolute or page-relative
+ * @param {string[]} configUrls - Config files, always fetched fresh
+ */
+async function precacheUrls(urls, configUrls) {
+  const shell = await caches.open(SHELL_CACHE);
+  const media = await caches.open(MEDIA_CACHE);
+  const config = await caches.open(CONFIG_CACHE);
+  await restored;
+  state.failed = [];
+
+  // Optional config sources (the bundled fallbacks) may not exist, so misses are not failures
+  await Promise.all(configUrls.map(async (href) => {
+    const url = new URL(href, self.location.href);
+    state.configUrls.add(url.href);
+    await fetchAndCache(config, new Request(url.href, { cache: 'no-cache' })).catch(() => {});
+  }));
+
+  await Promise.all(urls.map(async (href) => {
+    const url = new URL(href, self.location.href);
+    const sameOrigin = url.origin === self.location.origin;
+    const cache = sameOrigin ? shell : media;
+    // Opaque responses are fine for media shown in <img> and CSS
+    const request = new Request(url.href, sameOrigin ? {} : { mode: 'no-cors' });
+    if (sameOrigin) state.shellUrls.add(url.href);
+
+    try {
+      if (await cache.match(request)) {
+        fetchAndCache(cache, request).catch(() => {});
+        return;
+      }
+      await fetchAndCache(cache, request);
+    } catch (error) {
+      state.failed.push(url.href);
+    }
+  }));
+}
+
+/**
+ * Serve from cache and refresh in the background, or go to the network on a miss
+ */
+async function cacheFirst(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const navigate = request.mode === 'navigate';
+
+  // Navigations with query parameters (device ids, debug flags) share the cached shell
+  const cached = await cache.match(request, { ignoreSearch: navigate }) ||
+    (navigate ? await cache.match('./') : undefined);
+  const update = fetchAndCache(cache, request);
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+/**
+ * Go to the network and keep the answer, falling back to the cached copy when offline
+ */
+async function networkFirst(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+
+  try {
+    return await fetchAndCache(cache, request);
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function fetchAndCache(cache, request) {
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    state.lastUpdated = Date.now();
+  }
+  return response;
+}
+
+async function cachedUrls(cacheName) {
+  if (!(await caches.has(cacheName))) return [];
+  return (await (await caches.open(cacheName)).keys()).map(request => request.url);
+}
+
+async function getStatus() {
+  const count = async (name) => (await caches.has(name)) ? (await (await caches.open(name)).keys()).length : 0;
+
+  return {
+    version: CACHE_VERSION,
+    shellEntries: await count(SHELL_CACHE),
+    mediaEntries: await count(MEDIA_CACHE),
+    configEntries: await count(CONFIG_CACHE),
+    lastUpdated: state.lastUpdated,
+    failed: state.failed
+  };
+}
+
+async function clearCaches() {
+  const keys = await caches.keys();
+  await Promise.all(keys.filter(key => key.startsWith('lumaboard-')).map(key => caches.delete(key)));
+  state.lastUpdated = null;
+  state.failed = [];
+  state.shellUrls.clear();
+  state.configUrls.clear();
+}
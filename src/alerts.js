@@ -0,0 +1,428 @@
+/**
+ * LumaBoard Emergency Alerts
+ * Collects urgent messages (fire drills, building closures) from three sources and reports
+ * which are active right now, most severe first:
+ *
+ *   "alerts": {
+ *     "items": [{ "id": "drill", "headline": "Fire drill", "severity": "warning", "start": "2025-03-10T14:00", "duration": 900 }],
+ *     "url": "https://signage.example.com/alerts.json", "interval": 30,
+ *     "channel": "luma-alerts"
+ *   }
+ *
+ * - "items" in the config, shown between their start and expiry
+ * - a polled URL returning the current alerts as JSON (an alert, a list, { alerts: [...] } or
+ *   CAP GeoJSON features) or a CAP 1.2 XML document; alerts missing from a later poll end
+ * - BroadcastChannel messages on "channel" from any page on the same origin, carrying the
+ *   same JSON shapes; they stay until they expire or a message cancels them
+ *
+ * Alert shape: { id, headline, message, instruction, severity ('info', 'warning' or 'critical'),
+ *   display ('fullscreen' or 'banner'), start, expires, countdown (ms timestamps or null),
+ *   duration (seconds, when the expiry counts from arrival), source }
+ * CAP names (identifier, event, description, onset, effective, Extreme/Severe/Moderate/Minor)
+ * are accepted too, and an alert with "cancel": true or CAP msgType "Cancel" ends the alerts
+ * it names by id or references.
+ */
+
+import timeService, { now, toRealDelay, CLOCK_CHANGE_EVENT } from './time.js';
+
+const SEVERITY_RANK = { critical: 2, warning: 1, info: 0 };
+
+// CAP severities mapped to the overlay's three levels
+const CAP_SEVERITY = { extreme: 'critical', severe: 'critical', moderate: 'warning', minor: 'info', unknown: 'info' };
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const time = timeService.parse(value, null).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function normalizeSeverity(value) {
+  const severity = text(value).toLowerCase();
+  if (severity in SEVERITY_RANK) return severity;
+  return CAP_SEVERITY[severity] || 'info';
+}
+
+/**
+ * Get the ids a CAP "references" value points at ("sender,identifier,sent" triples)
+ */
+function parseReferences(value) {
+  if (Array.isArray(value)) return value.map(String);
+
+  return text(value).split(/\s+/).filter(Boolean).map(reference => reference.split(',')[1] || reference);
+}
+
+/**
+ * Normalize an alert from config, JSON or CAP fields
+ * @param {Object} raw - Alert fields
+ * @param {string} source - Where the alert came from: 'config', 'url' or 'channel'
+ * @param {number} received - When it arrived, for alerts that expire after a "duration" in seconds
+ * @returns {Object|null} Alert, or null when it has neither a headline nor anything to cancel
+ */
+export function normalizeAlert(raw, source = 'config', received = now()) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const fields = raw.properties && typeof raw.properties === 'object' ? raw.properties : raw;
+  const cancel = fields.cancel === true || /^cancel$/i.test(text(fields.msgType || fields.messageType));
+  const headline = text(fields.headline || fields.title || fields.event);
+  const id = String(fields.id || fields.identifier || headline);
+  if (!headline && !cancel) return null;
+
+  const severity = normalizeSeverity(fields.severity);
+  const start = parseTime(fields.start || fields.onset || fields.effective);
+  const fixedExpiry = parseTime(fields.expires);
+  const duration = fixedExpiry === null && Number(fields.duration) > 0 ? Number(fields.duration) : null;
+  const expires = fixedExpiry ?? (duration ? Math.max(start || 0, received) + duration * 1000 : null);
+
+  return {
+    id,
+    headline,
+    message: text(fields.message || fields.description),
+    instruction: text(fields.instruction),
+    severity,
+    display: ['fullscreen', 'banner'].includes(fields.display) ? fields.display : (severity === 'critical' ? 'fullscreen' : 'banner'),
+    start,
+    expires,
+    duration,
+    // true counts down to the expiry; a date-time counts down to that moment
+    countdown: fields.countdown === true ? expires : parseTime(fields.countdown === false ? null : fields.countdown),
+    cancel,
+    references: cancel ? [id, ...parseReferences(fields.references)] : [],
+    source
+  };
+}
+
+/**
+ * Read a CAP 1.2 XML document into alert fields, one per <info> block
+ */
+function parseCAP(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('Alert feed is neither valid XML nor JSON');
+  }
+
+  const child = (parent, name) => Array.from(parent?.children || []).find(element => element.localName === name)?.textContent?.trim() || '';
+  const root = doc.documentElement;
+  const infos = Array.from(root.children).filter(element => element.localName === 'info');
+
+  return (infos.length > 0 ? infos : [null]).map((info, index) => ({
+    identifier: infos.length > 1 ? `${child(root, 'identifier')}#${index}` : child(root, 'identifier'),
+    msgType: child(root, 'msgType'),
+    references: child(root, 'references'),
+    event: child(info, 'event'),
+    headline: child(info, 'headline'),
+    description: child(info, 'description'),
+    instruction: child(info, 'instruction'),
+    severity: child(info, 'severity'),
+    onset: child(info, 'onset') || child(info, 'effective'),
+    expires: child(info, 'expires')
+  }));
+}
+
+/**
+ * Parse alerts from a URL response or channel message
+ * @param {string|Object|Array} data - JSON text, CAP XML text, or already-parsed JSON
+ * @param {string} source - 'url' or 'channel'
+ * @returns {Array<Object>} Normalized alerts
+ */
+export function parseAlerts(data, source = 'url') {
+  let value = data;
+  if (typeof data === 'string') {
+    const trimmed = data.trim();
+    value = trimmed.startsWith('<') ? parseCAP(trimmed) : JSON.parse(trimmed || '[]');
+  }
+
+  const list = Array.isArray(value) ? value
+    : Array.isArray(value?.alerts) ? value.alerts
+      : Array.isArray(value?.features) ? value.features
+        : [value];
+  const received = now();
+  return list.map(raw => normalizeAlert(raw, source, received)).filter(Boolean);
+}
+
+class AlertService {
+  constructor(options = {}) {
+    this.options = {
+      items: [],
+      url: null,
+      interval: 30, // seconds between URL polls
+      channel: 'luma-alerts', // BroadcastChannel name, or false for none
+      ...options
+    };
+
+    this.alerts = new Map(); // id -> alert, from every source
+    this.onChange = null;
+    this.active = false;
+    this.pollTimer = null;
+    this.pollGeneration = 0; // bumped by stop(), so a fetch still in flight from before is dropped
+    this.expiryTimer = null;
+    this.channel = null;
+    this.lastReported = '';
+    this.status = { lastChecked: null, lastError: null };
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleClockChange = this.handleClockChange.bind(this);
+  }
+
+  /**
+   * Update options from the board config "alerts" section
+   * @param {Object} options - { items, url, interval, channel }
+   */
+  configure(options = {}) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) this.options[key] = value;
+    });
+  }
+
+  /**
+   * Load config alerts, open the channel and start polling
+   * @param {Function} onChange - Called with the active alerts whenever they change
+   */
+  start(onChange) {
+    this.stop();
+    this.onChange = onChange;
+    this.active = true;
+    this.lastReported = '';
+
+    this.replaceSource('config', (this.options.items || []).map(item => normalizeAlert(item, 'config')).filter(Boolean));
+    if (!this.options.url) {
+      this.replaceSource('url', []);
+    }
+
+    // Starts and expiries are board times; a moved or faster clock needs the timer planned again
+    if (typeof document !== 'undefined') {
+      document.addEventListener(CLOCK_CHANGE_EVENT, this.handleClockChange);
+    }
+
+    if (this.options.channel && typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.options.channel);
+      this.channel.addEventListener('message', this.handleMessage);
+    }
+
+    if (this.options.url) {
+      console.log(`Alerts: Watching ${this.options.url} every ${this.options.interval}s`);
+      this.poll();
+    }
+
+    this.update();
+  }
+
+  /**
+   * Stop polling and listening; alerts already received are kept until start() runs again
+   */
+  stop() {
+    this.active = false;
+    this.pollGeneration++;
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.expiryTimer);
+    this.pollTimer = null;
+    this.expiryTimer = null;
+
+    if (typeof document !== 'undefined') {
+      document.removeEventListener(CLOCK_CHANGE_EVENT, this.handleClockChange);
+    }
+
+    if (this.channel) {
+      this.channel.removeEventListener('message', this.handleMessage);
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  async poll() {
+    const generation = this.pollGeneration;
+    await this.check();
+    if (generation === this.pollGeneration && this.active && this.options.url) {
+      this.pollTimer = setTimeout(() => this.poll(), this.options.interval * 1000);
+    }
+  }
+
+  /**
+   * Fetch the alert URL once; a failed fetch keeps the alerts from the last good one
+   * @returns {Promise<boolean>} True if the URL was read
+   */
+  async check() {
+    const url = this.options.url;
+    if (!url) return false;
+
+    const generation = this.pollGeneration;
+    this.status.lastChecked = Date.now();
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const text = await response.text();
+      // Stopped or restarted (maybe on another URL) while this fetch was out
+      if (generation !== this.pollGeneration) return false;
+
+      const alerts = parseAlerts(text, 'url');
+      this.status.lastError = null;
+      this.replaceSource('url', alerts.filter(alert => !alert.cancel));
+      this.applyCancellations(alerts);
+      this.update();
+      return true;
+    } catch (error) {
+      if (generation !== this.pollGeneration) return false;
+      this.status.lastError = error.message;
+      console.warn(`Alerts: Could not load ${url}, keeping the current alerts`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Take alerts and cancellations posted on the BroadcastChannel
+   */
+  handleMessage(event) {
+    try {
+      this.receive(event.data, 'channel');
+    } catch (error) {
+      console.warn('Alerts: Ignoring unreadable channel message', error);
+    }
+  }
+
+  /**
+   * Add alerts (or cancellations) as if they arrived on the channel, e.g. from the console
+   * @param {string|Object|Array} data - Alert, list or { alerts }, as JSON text or objects
+   * @param {string} source - Label for the alerts
+   */
+  receive(data, source = 'manual') {
+    const alerts = parseAlerts(data, source);
+    alerts.filter(alert => !alert.cancel).forEach(alert => this.alerts.set(alert.id, this.keepReceived(alert)));
+    this.applyCancellations(alerts);
+    this.update();
+  }
+
+  /**
+   * End an alert early
+   * @param {string} id - Alert id
+   */
+  cancel(id) {
+    if (this.alerts.delete(String(id))) {
+      this.update();
+    }
+  }
+
+  /**
+   * Swap in the current alerts from one source, keeping when duration-based ones first arrived
+   */
+  replaceSource(source, alerts) {
+    const ids = new Set(alerts.map(alert => alert.id));
+    this.alerts.forEach((alert, id) => {
+      if (alert.source === source && !ids.has(id)) this.alerts.delete(id);
+    });
+    alerts.forEach(alert => this.alerts.set(alert.id, this.keepReceived(alert)));
+  }
+
+  /**
+   * A re-sent alert keeps the expiry it was first given, so "duration" counts from first sight
+   */
+  keepReceived(alert) {
+    const previous = this.alerts.get(alert.id);
+    if (!previous || !alert.duration || previous.duration !== alert.duration || previous.start !== alert.start) {
+      return alert;
+    }
+
+    const countdown = alert.countdown === alert.expires ? previous.expires : alert.countdown;
+    return { ...alert, expires: previous.expires, countdown };
+  }
+
+  applyCancellations(alerts) {
+    alerts.filter(alert => alert.cancel).forEach(alert => {
+      alert.references.forEach(id => this.alerts.delete(id));
+    });
+  }
+
+  /**
+   * Get the alerts showing at a moment, most severe first, then newest
+   * @param {number} time - Timestamp (board time)
+   * @returns {Array<Object>}
+   */
+  getActive(time = now()) {
+    return [...this.alerts.values()]
+      .filter(alert => (alert.start === null || alert.start <= time) && (alert.expires === null || alert.expires > time))
+      .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || (b.start || 0) - (a.start || 0));
+  }
+
+  /**
+   * Report the active alerts if they changed, drop expired ones and wait for the next change
+   */
+  update() {
+    const time = now();
+    this.alerts.forEach((alert, id) => {
+      if (alert.expires !== null && alert.expires <= time) this.alerts.delete(id);
+    });
+
+    const active = this.getActive(time);
+    const key = JSON.stringify(active);
+    if (key !== this.lastReported) {
+      this.lastReported = key;
+      this.onChange?.(active);
+    }
+
+    clearTimeout(this.expiryTimer);
+    this.expiryTimer = null;
+    const next = [...this.alerts.values()]
+      .flatMap(alert => [alert.start, alert.expires])
+      .filter(moment => moment !== null && moment > time)
+      .sort((a, b) => a - b)[0];
+    if (this.active && next !== undefined) {
+      // Timers cap at about 24.8 days; longer waits just check again sooner
+      this.expiryTimer = setTimeout(() => this.update(), Math.min(Math.max(toRealDelay(next - time), 0), 2 ** 31 - 1));
+    }
+  }
+
+  handleClockChange() {
+    if (this.active) this.update();
+  }
+
+  /**
+   * Get the alert status for the DebugOverlay
+   * @returns {Object} { active, total, url, channel, lastChecked, lastError }
+   */
+  getStatus() {
+    return {
+      active: this.getActive().length,
+      total: this.alerts.size,
+      url: this.options.url,
+      channel: this.channel ? this.options.channel : null,
+      ...this.status
+    };
+  }
+
+  /**
+   * Stop the service and forget every alert
+   */
+  destroy() {
+    this.stop();
+    this.alerts.clear();
+    this.onChange = null;
+    this.lastReported = '';
+  }
+}
+
+// Create default instance
+const alertService = new AlertService();
+
+/**
+ * Show an alert on this board straight away
+ * @param {Object} alert - Alert fields, e.g. { headline, severity, duration }
+ */
+export const raiseAlert = (alert) => alertService.receive(alert);
+
+/**
+ * End an alert early
+ * @param {string} id - Alert id
+ */
+export const cancelAlert = (id) => alertService.cancel(id);
+
+// Export class for advanced usage
+export { AlertService, alertService };
+
+// Export default instance
+export default alertService;
@@ -0,0 +1,368 @@
+/**
+ * Admin Lock for LumaBoard
+ * Asks for the password from the "admin" config section before the config manager, debug overlay
+ * or theme manager opens, and closes them again when the admin session expires
+ */
+import { PasswordProtection } from '../password.js';
+import { escapeHTML } from '../sanitize.js';
+
+export class AdminLock {
+  constructor() {
+    this.password = null;
+    this.protection = null;
+    this.prompt = null;
+    this.closePrompt = null;
+    this.pending = null;
+    this.sessionTimer = null;
+    this.lockCallbacks = new Set();
+  }
+
+  /**
+   * Apply the "admin" config section; without a password hash the admin panels stay open to anyone
+   * @param {Object} adminConfig - { password: { hash, salt }, sessionTimeout, maxAttempts, lockoutDuration } (times in seconds)
+   */
+  configure(adminConfig = {}) {
+    const { password, sessionTimeout = 900, maxAttempts = 5, lockoutDuration = 300 } = adminConfig;
+    const passwordChanged = password?.hash !== this.password?.hash || password?.salt !== this.password?.salt;
+
+    // A new password ends the old session; otherwise a session from before a reload carries on
+    this.teardown({ endSession: passwordChanged });
+    this.password = password?.hash && password?.salt ? { hash: password.hash, salt: password.salt } : null;
+
+    if (!this.password) {
+      console.log('AdminLock: No admin password configured, admin panels are unlocked');
+      return;
+    }
+
+    this.protection = new PasswordProtection({
+      sessionTimeout: sessionTimeout * 1000,
+      maxAttempts,
+      lockoutDuration: lockoutDuration * 1000
+    });
+    this.protection.setupActivityMonitoring();
+    this.watchSession();
+
+    console.log('AdminLock: Admin panels require the admin password');
+  }
+
+  /**
+   * Whether an admin password is configured
+   * @returns {boolean}
+   */
+  isProtected() {
+    return Boolean(this.password);
+  }
+
+  /**
+   * Whether the admin panels may open right now
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return !this.isProtected() || this.protection.isAuthenticated();
+  }
+
+  /**
+   * Resolve once the admin panels may open, prompting for the password if needed
+   * @param {string} label - Name of the panel being opened, shown on the prompt
+   * @returns {Promise<boolean>} false when the prompt was cancelled
+   */
+  async unlock(label = 'Admin') {
+    if (this.isUnlocked()) {
+      this.protection?.extendSession();
+      return true;
+    }
+
+    // Every panel asking at once shares one prompt
+    if (!this.pending) {
+      this.pending = this.showPrompt(label).finally(() => {
+        this.pending = null;
+      });
+    }
+
+    return this.pending;
+  }
+
+  /**
+   * Check a password against the configured hash and start a session when it matches
+   * @param {string} password - Password as typed
+   * @returns {Promise<{unlocked: boolean, message: string}>}
+   */
+  async verify(password) {
+    if (!this.isProtected()) return { unlocked: true, message: '' };
+
+    try {
+      if (await this.protection.authenticate(password, this.password.hash, this.password.salt)) {
+        this.watchSession();
+        console.log('AdminLock: Unlocked');
+        return { unlocked: true, message: '' };
+      }
+    } catch (error) {
+      return { unlocked: false, message: error.message };
+    }
+
+    const status = this.protection.getStatus();
+    if (status.isLocked) {
+      return { unlocked: false, message: this.getLockoutMessage() };
+    }
+
+    const left = status.maxAttempts - status.attempts;
+    return { unlocked: false, message: `Wrong password, ${left} attempt${left === 1 ? '' : 's'} left` };
+  }
+
+  getLockoutMessage() {
+    const seconds = Math.ceil(this.protection.getRemainingLockoutTime() / 1000);
+    return `Too many attempts. Try again in ${seconds} seconds.`;
+  }
+
+  /**
+   * End the admin session and close every admin panel
+   */
+  lock() {
+    if (!this.isProtected()) return;
+
+    this.protection.logout();
+    this.stopSessionWatch();
+    this.notifyLocked();
+    console.log('AdminLock: Locked');
+  }
+
+  /**
+   * Register a callback run when the session ends, so a panel can close itself
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  onLock(callback) {
+    this.lockCallbacks.add(callback);
+    return () => this.lockCallbacks.delete(callback);
+  }
+
+  notifyLocked() {
+    this.lockCallbacks.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        console.error('AdminLock: Lock callback failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Close the admin panels when the session runs out; activity keeps pushing the expiry back
+   */
+  watchSession() {
+    this.stopSessionWatch();
+    if (!this.protection?.isAuthenticated()) return;
+
+    const remaining = Math.max(0, this.protection.sessionExpiry - Date.now());
+    this.sessionTimer = setTimeout(() => {
+      this.sessionTimer = null;
+      if (this.protection?.isAuthenticated()) {
+        this.watchSession();
+      } else {
+        console.log('AdminLock: Session expired');
+        this.notifyLocked();
+      }
+    }, remaining);
+  }
+
+  stopSessionWatch() {
+    if (this.sessionTimer) {
+      clearTimeout(this.sessionTimer);
+      this.sessionTimer = null;
+    }
+  }
+
+  /**
+   * Show the lock screen
+   * @param {string} label - Name of the panel being opened
+   * @returns {Promise<boolean>} true once the right password was entered
+   */
+  showPrompt(label) {
+    return new Promise(resolve => {
+      this.setupStyles();
+
+      const element = document.createElement('div');
+      element.className = 'admin-lock-overlay';
+      element.innerHTML = `
+        <form class="admin-lock-panel" role="dialog" aria-modal="true" aria-labelledby="admin-lock-title">
+          <h2 id="admin-lock-title">🔒 ${escapeHTML(label)}</h2>
+          <p>Enter the admin password to continue.</p>
+          <input type="password" class="admin-lock-input" autocomplete="current-password" aria-label="Admin password">
+          <div class="admin-lock-message" role="alert"></div>
+          <div class="admin-lock-buttons">
+            <button type="button" class="admin-lock-cancel">Cancel</button>
+            <button type="submit" class="admin-lock-submit">Unlock</button>
+          </div>
+        </form>
+      `;
+
+      const input = element.querySelector('.admin-lock-input');
+      const message = element.querySelector('.admin-lock-message');
+      const submit = element.querySelector('.admin-lock-submit');
+
+      const close = (unlocked) => {
+        element.remove();
+        this.prompt = null;
+        this.closePrompt = null;
+        resolve(unlocked);
+      };
+
+      // Keys typed here must not reach the board's shortcuts (N, P, R, Space, Esc, Ctrl+Shift+...)
+      element.addEventListener('keydown', (event) => {
+        event.stopPropagation();
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          close(false);
+        }
+      });
+
+      element.querySelector('.admin-lock-cancel').addEventListener('click', () => close(false));
+
+      element.querySelector('form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        if (!input.value) return;
+
+        submit.disabled = true;
+        const result = await this.verify(input.value);
+        if (result.unlocked) {
+          close(true);
+          return;
+        }
+
+        input.value = '';
+        message.textContent = result.message;
+        submit.disabled = false;
+        input.focus();
+      });
+
+      if (this.protection.checkLockoutStatus()) {
+        message.textContent = this.getLockoutMessage();
+      }
+
+      this.prompt = element;
+      this.closePrompt = close;
+      document.body.appendChild(element);
+      input.focus();
+    });
+  }
+
+  /**
+   * Setup CSS styles
+   */
+  setupStyles() {
+    if (document.querySelector('#admin-lock-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'admin-lock-styles';
+    style.textContent = `
+      /* Above the admin overlays it guards and any alert showing */
+      .admin-lock-overlay {
+        position: fixed;
+        inset: 0;
+        z-index: 10002;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.85);
+        backdrop-filter: blur(6px);
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      }
+
+      .admin-lock-panel {
+        width: min(360px, 90vw);
+        padding: 2rem;
+        border-radius: 12px;
+        background: #1e2a38;
+        border: 1px solid rgba(52, 152, 219, 0.4);
+        box-shadow: 0 20px 40px rgba(0, 0, 0, 0.5);
+        color: white;
+      }
+
+      .admin-lock-panel h2 {
+        margin: 0 0 0.5rem;
+        font-size: 1.3rem;
+      }
+
+      .admin-lock-panel p {
+        margin: 0 0 1rem;
+        opacity: 0.8;
+        font-size: 0.9rem;
+      }
+
+      .admin-lock-input {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 0.6rem;
+        border-radius: 6px;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        background: rgba(0, 0, 0, 0.3);
+        color: white;
+        font-size: 1rem;
+      }
+
+      .admin-lock-message {
+        min-height: 1.2rem;
+        margin: 0.5rem 0;
+        color: #e74c3c;
+        font-size: 0.85rem;
+      }
+
+      .admin-lock-buttons {
+        display: flex;
+        justify-content: flex-end;
+        gap: 0.5rem;
+      }
+
+      .admin-lock-buttons button {
+        padding: 0.5rem 1rem;
+        border-radius: 6px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        background: rgba(255, 255, 255, 0.1);
+        color: white;
+        cursor: pointer;
+      }
+
+      .admin-lock-buttons .admin-lock-submit {
+        background: #3498db;
+        border-color: #3498db;
+      }
+
+      .admin-lock-buttons button:disabled {
+        opacity: 0.5;
+        cursor: wait;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Drop the current password protection
+   * @param {Object} options - { endSession } also ends a running session and closes the panels
+   */
+  teardown({ endSession = false } = {}) {
+    this.closePrompt?.(false);
+    this.stopSessionWatch();
+
+    if (this.protection) {
+      this.protection.stopActivityMonitoring();
+      if (endSession && this.protection.isAuthenticated()) {
+        this.protection.clearSession();
+        this.notifyLocked();
+      }
+    }
+
+    this.protection = null;
+    this.password = null;
+  }
+
+  /**
+   * Destroy the admin lock
+   */
+  destroy() {
+    this.teardown();
+    this.lockCallbacks.clear();
+  }
+}
+
+export const adminLock = new AdminLock();
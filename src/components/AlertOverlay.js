@@ -0,0 +1,258 @@
+/**
+ * Alert Overlay Component for LumaBoard
+ * Shows emergency alerts above whatever scene is playing: "fullscreen" alerts cover the board,
+ * "banner" alerts run along the top, both styled by severity with an optional live countdown
+ */
+import { escapeHTML } from '../sanitize.js';
+import { now } from '../time.js';
+import { layoutEngine } from './LayoutEngine.js';
+
+export class AlertOverlay {
+  constructor(options = {}) {
+    this.options = {
+      container: document.body,
+      ...options
+    };
+
+    this.element = null;
+    this.alerts = [];
+    this.countdownTimer = null;
+    this.stopRotating = null;
+
+    this.setupStyles();
+  }
+
+  /**
+   * Show the active alerts, most severe first; an empty list hides the overlay
+   * @param {Array<Object>} alerts - Active alerts from the alert service
+   */
+  show(alerts = []) {
+    this.alerts = alerts;
+
+    if (alerts.length === 0) {
+      this.hide();
+      return;
+    }
+
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.className = 'luma-alerts';
+      this.element.setAttribute('role', 'alert');
+      this.element.setAttribute('aria-live', 'assertive');
+      this.options.container.appendChild(this.element);
+      // Drawn outside #app, so it has to turn with a rotated display itself
+      this.stopRotating = layoutEngine.rotateWith(this.element);
+    }
+
+    this.render();
+    document.body.classList.add('luma-alert-active');
+
+    if (!this.countdownTimer && alerts.some(alert => alert.countdown !== null)) {
+      this.countdownTimer = setInterval(() => this.updateCountdowns(), 1000);
+    }
+  }
+
+  /**
+   * Render a full-screen alert when there is one, otherwise a banner per alert
+   */
+  render() {
+    const fullscreen = this.alerts.find(alert => alert.display === 'fullscreen');
+
+    if (fullscreen) {
+      const others = this.alerts.length - 1;
+      this.element.innerHTML = `
+        <div class="luma-alert-fullscreen luma-alert-${fullscreen.severity}" data-alert-id="${this.escapeAttribute(fullscreen.id)}">
+          <div class="luma-alert-headline">${escapeHTML(fullscreen.headline)}</div>
+          ${fullscreen.message ? `<div class="luma-alert-message">${escapeHTML(fullscreen.message)}</div>` : ''}
+          ${fullscreen.instruction ? `<div class="luma-alert-instruction">${escapeHTML(fullscreen.instruction)}</div>` : ''}
+          ${this.renderCountdown(fullscreen)}
+          ${others > 0 ? `<div class="luma-alert-more">+${others} more alert${others === 1 ? '' : 's'}</div>` : ''}
+        </div>
+      `;
+    } else {
+      this.element.innerHTML = this.alerts.map(alert => `
+        <div class="luma-alert-banner luma-alert-${alert.severity}" data-alert-id="${this.escapeAttribute(alert.id)}">
+          <span class="luma-alert-headline">${escapeHTML(alert.headline)}</span>
+          ${alert.message ? `<span class="luma-alert-message">${escapeHTML(alert.message)}</span>` : ''}
+          ${this.renderCountdown(alert)}
+        </div>
+      `).join('');
+    }
+
+    this.updateCountdowns();
+  }
+
+  // Alert ids come from remote feeds and other pages, so quotes must not end the attribute
+  escapeAttribute(value) {
+    return escapeHTML(String(value)).replace(/"/g, '&quot;');
+  }
+
+  renderCountdown(alert) {
+    if (alert.countdown === null) return '';
+    return `<span class="luma-alert-countdown" data-countdown="${alert.countdown}"></span>`;
+  }
+
+  /**
+   * Refresh every countdown from the board clock
+   */
+  updateCountdowns() {
+    if (!this.element) return;
+
+    const time = now();
+    this.element.querySelectorAll('[data-countdown]').forEach(element => {
+      element.textContent = this.formatCountdown(Number(element.dataset.countdown) - time);
+    });
+  }
+
+  /**
+   * Format the time left as H:MM:SS, or M:SS under an hour
+   * @param {number} ms - Milliseconds remaining
+   * @returns {string}
+   */
+  formatCountdown(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Remove the overlay
+   */
+  hide() {
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
+
+    if (this.element) {
+      this.stopRotating?.();
+      this.stopRotating = null;
+      this.element.remove();
+      this.element = null;
+    }
+
+    document.body.classList.remove('luma-alert-active');
+  }
+
+  /**
+   * Setup CSS styles
+   */
+  setupStyles() {
+    if (document.querySelector('#luma-alert-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'luma-alert-styles';
+    style.textContent = `
+      /* Above the scenes, the screensaver and the admin overlays: an alert must always be seen.
+         Covers the whole screen so display rotation turns it like #app; banners flow along its top */
+      .luma-alerts {
+        position: fixed;
+        inset: 0;
+        pointer-events: none;
+        z-index: 10001;
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      }
+
+      .luma-alert-fullscreen {
+        position: absolute;
+        inset: 0;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        gap: 2vh;
+        padding: 5vw;
+        text-align: center;
+        animation: lumaAlertPulse 2s ease-in-out infinite;
+      }
+
+      .luma-alert-fullscreen .luma-alert-headline {
+        font-size: clamp(2.5rem, 7vw, 7rem);
+        font-weight: 700;
+        line-height: 1.1;
+      }
+
+      .luma-alert-fullscreen .luma-alert-message {
+        font-size: clamp(1.25rem, 3vw, 3rem);
+        max-width: 60ch;
+      }
+
+      .luma-alert-fullscreen .luma-alert-instruction {
+        font-size: clamp(1rem, 2.5vw, 2.5rem);
+        font-weight: 600;
+      }
+
+      .luma-alert-fullscreen .luma-alert-countdown {
+        font-size: clamp(2rem, 6vw, 6rem);
+        font-family: 'Consolas', monospace;
+      }
+
+      .luma-alert-more {
+        font-size: 1.25rem;
+        opacity: 0.8;
+      }
+
+      .luma-alert-banner {
+        display: flex;
+        align-items: center;
+        gap: 1.5rem;
+        padding: 1rem 2rem;
+        font-size: clamp(1rem, 2vw, 2rem);
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      }
+
+      .luma-alert-banner .luma-alert-headline {
+        font-weight: 700;
+      }
+
+      .luma-alert-banner .luma-alert-message {
+        flex: 1;
+        opacity: 0.9;
+      }
+
+      .luma-alert-banner .luma-alert-countdown {
+        font-family: 'Consolas', monospace;
+        font-weight: 600;
+      }
+
+      .luma-alert-critical {
+        background: #c0392b;
+        color: #fff;
+      }
+
+      .luma-alert-warning {
+        background: #f39c12;
+        color: #1a1a1a;
+      }
+
+      .luma-alert-info {
+        background: #2471a3;
+        color: #fff;
+      }
+
+      @keyframes lumaAlertPulse {
+        0%, 100% { filter: brightness(1); }
+        50% { filter: brightness(1.15); }
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        .luma-alert-fullscreen { animation: none; }
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Destroy the overlay
+   */
+  destroy() {
+    this.hide();
+    this.alerts = [];
+  }
+}
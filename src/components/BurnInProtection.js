@@ -2,6 +2,8 @@
  * Anti-burn-in Protection System for LumaBoard
  * Protects OLED and plasma displays from burn-in through various techniques
  */
+import timeService, { now, getZonedParts, toRealDelay, CLOCK_CHANGE_EVENT } from '../time.js';
+
 export class BurnInProtection {
   constructor(lumaBoard) {
     this.lumaBoard = lumaBoard;
@@ -31,7 +33,8 @@ export class BurnInProtection {
         nightMode: {
           startTime: '22:00',
           endTime: '06:00',
-          dimLevel: 0.3
+          dimLevel: 0.3,
+          timezone: 'local' // IANA zone the start and end times are in
         },
         idleDimming: {
           enabled: true,
@@ -51,6 +54,7 @@ export class BurnInProtection {
       logoShift: null,
       screenSaver: null,
       idleDimming: null,
+      nightMode: null,
       contentRotation: null
     };
     
@@ -367,7 +371,7 @@ export class BurnInProtection {
     const updateTime = () => {
       if (!this.state.screenSaverActive) return;
       
-      timeElement.textContent = new Date().toLocaleTimeString();
+      timeElement.textContent = new Date(now()).toLocaleTimeString();
       setTimeout(updateTime, 1000);
     };
     
@@ -403,15 +407,26 @@ export class BurnInProtection {
     if (this.config.dimming.idleDimming.enabled) {
       this.resetIdleDimmingTimer();
     }
+    
+    // Re-plan dimming when the board clock is set or sped up
+    this.clockChangeHandler = () => {
+      this.setupNightMode();
+      if (this.config.dimming.idleDimming.enabled && !this.state.isDimmed) {
+        this.resetIdleDimmingTimer();
+      }
+    };
+    document.addEventListener(CLOCK_CHANGE_EVENT, this.clockChangeHandler);
   }
 
   /**
    * Setup night mode dimming
    */
   setupNightMode() {
+    const timeZone = timeService.resolveTimeZone(this.config.dimming.nightMode.timezone, 'BurnInProtection');
+    
     const checkNightMode = () => {
-      const now = new Date();
-      const currentTime = now.getHours() * 60 + now.getMinutes();
+      const parts = getZonedParts(now(), timeZone);
+      const currentTime = parts.hour * 60 + parts.minute;
       
       const { startTime, endTime } = this.config.dimming.nightMode;
       const startMinutes = this.parseTime(startTime);
@@ -433,9 +448,12 @@ export class BurnInProtection {
       }
     };
     
-    // Check immediately and then every minute
+    // Check immediately and then every minute of board time
+    if (this.timers.nightMode) {
+      clearInterval(this.timers.nightMode);
+    }
     checkNightMode();
-    setInterval(checkNightMode, 60000);
+    this.timers.nightMode = setInterval(checkNightMode, Math.max(toRealDelay(60000), 1000));
   }
 
   /**
@@ -456,7 +474,7 @@ export class BurnInProtection {
     
     this.timers.idleDimming = setTimeout(() => {
       this.applyDimming(this.config.dimming.idleDimming.dimLevel, 'idle');
-    }, this.config.dimming.idleDimming.activateAfter);
+    }, toRealDelay(this.config.dimming.idleDimming.activateAfter));
   }
 
   /**
@@ -675,6 +693,10 @@ export class BurnInProtection {
     });
     
     // Remove event listeners
+    if (this.clockChangeHandler) {
+      document.removeEventListener(CLOCK_CHANGE_EVENT, this.clockChangeHandler);
+    }
+    
     if (this.activityHandler) {
       const events = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
       events.forEach(event => {
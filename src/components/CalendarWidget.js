@@ -1,3 +1,8 @@
+import { parseICS, expandEvents } from '../ical.js';
+import { escapeHTML } from '../sanitize.js';
+import { dataService } from '../dataService.js';
+import dataProvenance, { reportDataState } from '../dataProvenance.js';
+
 export class CalendarWidget extends HTMLElement {
   constructor() {
     super();
@@ -8,6 +13,11 @@ export class CalendarWidget extends HTMLElement {
       highlightToday: true,
       showEvents: true,
       events: [], // Array of event objects {date, title, color}
+      icsUrls: [], // ICS feed URLs, or objects {url, name, color}
+      refreshInterval: 30, // minutes
+      showAgenda: true,
+      agendaDays: 14,
+      maxAgendaItems: 6,
       monthNames: ['January', 'February', 'March', 'April', 'May', 'June',
                    'July', 'August', 'September', 'October', 'November', 'December'],
       dayNames: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
@@ -15,6 +25,9 @@ export class CalendarWidget extends HTMLElement {
     };
     this.currentDate = new Date();
     this.today = new Date();
+    this.feedEvents = new Map(); // feed URL -> { feed, events }
+    this.refreshTimer = null;
+    this.lastUpdate = null;
   }
 
   connectedCallback() {
@@ -29,6 +42,122 @@ export class CalendarWidget extends HTMLElement {
     }
 
     this.render();
+
+    if (this.getFeeds().length > 0) {
+      this.loadFeeds();
+      this.startRefreshTimer();
+    }
+  }
+
+  disconnectedCallback() {
+    this.stopRefreshTimer();
+  }
+
+  /**
+   * Normalize the configured ICS feeds
+   * @returns {Array<Object>} Feeds as {url, name, color}
+   */
+  getFeeds() {
+    const feeds = [...(this.config.icsUrls || [])];
+    if (this.config.icsUrl) {
+      feeds.unshift(this.config.icsUrl);
+    }
+    return feeds
+      .map(feed => (typeof feed === 'string' ? { url: feed } : feed))
+      .filter(feed => feed && feed.url);
+  }
+
+  async loadFeeds() {
+    const feeds = this.getFeeds();
+
+    await Promise.all(feeds.map(async (feed) => {
+      try {
+        const result = await dataService.request(`calendar:${feed.url}`, () => this.fetchFeed(feed.url), {
+          source: 'calendar',
+          // Half the refresh interval so scheduled refreshes always revalidate
+          ttl: this.config.refreshInterval * 60 / 2,
+          maxAge: 24 * 60 * 60,
+          onUpdate: (update) => {
+            this.applyFeedResult(feed, update);
+            this.reportState();
+            this.render();
+          }
+        });
+        this.applyFeedResult(feed, result);
+      } catch (error) {
+        console.warn(`CalendarWidget: Failed to load feed ${feed.url}`, error);
+      }
+    }));
+
+    this.reportState();
+    this.render();
+  }
+
+  applyFeedResult(feed, result) {
+    this.feedEvents.set(feed.url, {
+      feed,
+      events: result.data,
+      fetchedAt: result.fetchedAt,
+      state: dataProvenance.getStateForResult(result, this.config)
+    });
+
+    // Freshness follows the oldest feed on display
+    const fetchTimes = Array.from(this.feedEvents.values()).map(entry => entry.fetchedAt);
+    this.lastUpdate = new Date(Math.min(...fetchTimes));
+  }
+
+  reportState() {
+    const entries = Array.from(this.feedEvents.values());
+    const states = entries.map(entry => entry.state);
+    const missing = this.getFeeds().length - entries.length;
+    if (missing > 0) {
+      states.push('error');
+    }
+
+    reportDataState(this, dataProvenance.combineStates(states), {
+      source: 'calendar',
+      fetchedAt: this.lastUpdate,
+      message: missing > 0 ? `${missing} feed${missing === 1 ? '' : 's'} unavailable` : null
+    });
+  }
+
+  async fetchFeed(url) {
+    const response = await dataService.fetch(url);
+    const text = await response.text();
+    return parseICS(text);
+  }
+
+  /**
+   * Get config and feed events overlapping a range, sorted by start
+   * @param {Date} rangeStart - Range start
+   * @param {Date} rangeEnd - Range end
+   * @returns {Array<Object>} Occurrences {title, start, end, allDay, color, location}
+   */
+  getOccurrences(rangeStart, rangeEnd) {
+    const occurrences = (this.config.events || [])
+      .map(event => this.normalizeConfigEvent(event))
+      .filter(event => event && event.end > rangeStart && event.start < rangeEnd);
+
+    for (const { feed, events } of this.feedEvents.values()) {
+      expandEvents(events, rangeStart, rangeEnd).forEach(occurrence => {
+        occurrences.push({ ...occurrence, color: feed.color, source: feed.name });
+      });
+    }
+
+    return occurrences.sort((a, b) => a.start - b.start);
+  }
+
+  normalizeConfigEvent(event) {
+    if (!event.date) return null;
+
+    // Plain dates are all-day events in local time
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(event.date);
+    const [year, month, day] = event.date.split('-').map(part => parseInt(part, 10));
+    const start = dateOnly ? new Date(year, month - 1, day) : new Date(event.date);
+    if (isNaN(start.getTime())) return null;
+
+    const end = event.end ? new Date(event.end) : new Date(start.getTime() + (dateOnly ? 24 * 60 * 60 * 1000 : 0));
+    return { ...event, start, end, allDay: dateOnly };
   }
 
   previousMonth() {
@@ -54,14 +183,46 @@ export class CalendarWidget extends HTMLElement {
     return new Date(date.getFullYear(), date.getMonth(), 1).getDay();
   }
 
-  getEventsForDate(date) {
-    const dateStr = date.toISOString().split('T')[0];
-    return this.config.events.filter(event => 
-      event.date === dateStr || 
-      (event.date && event.date.startsWith(dateStr))
+  getEventsForDate(date, occurrences = null) {
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    const candidates = occurrences || this.getOccurrences(dayStart, dayEnd);
+
+    return candidates.filter(event =>
+      event.start < dayEnd && (event.end > dayStart || (event.start >= dayStart && event.end <= event.start))
     );
   }
 
+  /**
+   * Get upcoming occurrences for the agenda view
+   * @returns {Array<Object>} Occurrences within agendaDays from now
+   */
+  getUpcomingEvents() {
+    const now = new Date();
+    const end = new Date(now.getFullYear(), now.getMonth(), now.getDate() + this.config.agendaDays);
+    return this.getOccurrences(now, end).slice(0, this.config.maxAgendaItems);
+  }
+
+  formatAgendaDate(date) {
+    const today = new Date();
+    const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    if (date.toDateString() === today.toDateString()) return 'Today';
+    if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow';
+    return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+
+  formatAgendaTime(event) {
+    if (event.allDay) return 'All day';
+    return event.start.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  }
+
+  getEventColorAttributes(event) {
+    const namedColors = ['red', 'blue', 'green', 'yellow', 'purple'];
+    if (!event.color) return { className: '', style: '' };
+    if (namedColors.includes(event.color)) return { className: `color-${event.color}`, style: '' };
+    return { className: '', style: `background: ${escapeHTML(event.color)}; color: white;` };
+  }
+
   isToday(date) {
     return date.toDateString() === this.today.toDateString();
   }
@@ -77,6 +238,9 @@ export class CalendarWidget extends HTMLElement {
     const daysInMonth = this.getDaysInMonth(this.currentDate);
     const firstDay = this.getFirstDayOfMonth(this.currentDate);
     
+    // Expand events once for the whole visible grid (at most 6 weeks around the month)
+    const occurrences = this.getOccurrences(new Date(year, month - 1, 20), new Date(year, month + 1, 15));
+    
     const days = [];
     
     // Add days from previous month
@@ -90,7 +254,7 @@ export class CalendarWidget extends HTMLElement {
         date,
         day: date.getDate(),
         isCurrentMonth: false,
-        events: this.getEventsForDate(date)
+        events: this.getEventsForDate(date, occurrences)
       });
     }
     
@@ -101,7 +265,7 @@ export class CalendarWidget extends HTMLElement {
         date,
         day,
         isCurrentMonth: true,
-        events: this.getEventsForDate(date)
+        events: this.getEventsForDate(date, occurrences)
       });
     }
     
@@ -114,7 +278,7 @@ export class CalendarWidget extends HTMLElement {
         date,
         day: nextMonthDay,
         isCurrentMonth: false,
-        events: this.getEventsForDate(date)
+        events: this.getEventsForDate(date, occurrences)
       });
       nextMonthDay++;
     }
@@ -124,6 +288,7 @@ export class CalendarWidget extends HTMLElement {
 
   render() {
     const calendarDays = this.generateCalendarDays();
+    const upcomingEvents = this.config.showAgenda ? this.getUpcomingEvents() : [];
     const monthYear = `${this.config.monthNames[this.currentDate.getMonth()]} ${this.currentDate.getFullYear()}`;
     
     // Adjust day names based on start of week
@@ -320,6 +485,62 @@ export class CalendarWidget extends HTMLElement {
         .today-btn:hover {
           background: rgba(255, 255, 255, 0.3);
         }
+        
+        .body {
+          flex: 1;
+          display: flex;
+          gap: 1rem;
+          min-height: 0;
+        }
+        
+        .body .calendar-grid {
+          flex: 2;
+        }
+        
+        .agenda {
+          flex: 1;
+          min-width: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 0.4rem;
+          overflow: hidden;
+        }
+        
+        .agenda-title {
+          font-size: 0.8rem;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          opacity: 0.8;
+        }
+        
+        .agenda-item {
+          background: rgba(255, 255, 255, 0.15);
+          border-left: 3px solid rgba(255, 255, 255, 0.8);
+          border-radius: 6px;
+          padding: 0.3rem 0.5rem;
+          font-size: 0.75rem;
+        }
+        
+        .agenda-when {
+          opacity: 0.8;
+          font-size: 0.7rem;
+        }
+        
+        .agenda-summary {
+          font-weight: 600;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        
+        .agenda-location {
+          opacity: 0.7;
+          font-size: 0.7rem;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
       </style>
       <div class="calendar-widget">
         <div class="content">
@@ -334,27 +555,44 @@ export class CalendarWidget extends HTMLElement {
               <button class="today-btn" onclick="this.getRootNode().host.goToToday()">Today</button>
             </div>
           </div>
-          <div class="calendar-grid">
-            ${dayNames.map(day => `
-              <div class="day-header">${day}</div>
-            `).join('')}
-            ${calendarDays.map(dayData => `
-              <div class="calendar-day ${!dayData.isCurrentMonth ? 'other-month' : ''} ${this.isToday(dayData.date) ? 'today' : ''}">
-                <div class="day-number">${dayData.day}</div>
-                ${this.config.showEvents && dayData.events.length > 0 ? `
-                  <div class="events">
-                    ${dayData.events.slice(0, 3).map(event => `
-                      <div class="event ${event.color ? `color-${event.color}` : ''}" title="${event.title}">
-                        ${event.title}
-                      </div>
-                    `).join('')}
-                    ${dayData.events.length > 3 ? `
-                      <div class="event">+${dayData.events.length - 3} more</div>
-                    ` : ''}
+          <div class="body">
+            <div class="calendar-grid">
+              ${dayNames.map(day => `
+                <div class="day-header">${day}</div>
+              `).join('')}
+              ${calendarDays.map(dayData => `
+                <div class="calendar-day ${!dayData.isCurrentMonth ? 'other-month' : ''} ${this.isToday(dayData.date) ? 'today' : ''}">
+                  <div class="day-number">${dayData.day}</div>
+                  ${this.config.showEvents && dayData.events.length > 0 ? `
+                    <div class="events">
+                      ${dayData.events.slice(0, 3).map(event => {
+                        const color = this.getEventColorAttributes(event);
+                        return `
+                          <div class="event ${color.className}" style="${color.style}" title="${escapeHTML(event.title).replace(/"/g, '&quot;')}">
+                            ${escapeHTML(event.title)}
+                          </div>
+                        `;
+                      }).join('')}
+                      ${dayData.events.length > 3 ? `
+                        <div class="event">+${dayData.events.length - 3} more</div>
+                      ` : ''}
+                    </div>
+                  ` : ''}
+                </div>
+              `).join('')}
+            </div>
+            ${upcomingEvents.length > 0 ? `
+              <div class="agenda">
+                <div class="agenda-title">Upcoming</div>
+                ${upcomingEvents.map(event => `
+                  <div class="agenda-item" style="${event.color ? `border-left-color: ${escapeHTML(event.color)};` : ''}">
+                    <div class="agenda-when">${this.formatAgendaDate(event.start)} · ${this.formatAgendaTime(event)}</div>
+                    <div class="agenda-summary">${escapeHTML(event.title)}</div>
+                    ${event.location ? `<div class="agenda-location">${escapeHTML(event.location)}</div>` : ''}
                   </div>
-                ` : ''}
+                `).join('')}
               </div>
-            `).join('')}
+            ` : ''}
           </div>
         </div>
       </div>
@@ -367,12 +605,31 @@ export class CalendarWidget extends HTMLElement {
     this.render();
   }
 
-  refresh() {
-    this.render();
+  async refresh() {
+    this.today = new Date();
+    if (this.getFeeds().length > 0) {
+      await this.loadFeeds();
+    } else {
+      this.render();
+    }
+  }
+
+  startRefreshTimer() {
+    this.stopRefreshTimer();
+    this.refreshTimer = setInterval(() => {
+      this.loadFeeds();
+    }, this.config.refreshInterval * 60 * 1000);
+  }
+
+  stopRefreshTimer() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
   }
 
   destroy() {
-    // No cleanup needed for calendar
+    this.stopRefreshTimer();
   }
 }
 
@@ -1,3 +1,5 @@
+import timeService, { now, CLOCK_CHANGE_EVENT } from '../time.js';
+
 export class ClockWidget extends HTMLElement {
   constructor() {
     super();
@@ -18,6 +20,7 @@ export class ClockWidget extends HTMLElement {
     this.updateTimer = null;
     this.elements = {};
     this.isDestroyed = false;
+    this.update = this.update.bind(this);
   }
 
   connectedCallback() {
@@ -40,10 +43,14 @@ export class ClockWidget extends HTMLElement {
   }
 
   init() {
+    this.timeZone = timeService.resolveTimeZone(this.config.timezone, 'ClockWidget');
     this.createStyles();
     this.createStructure();
     this.startUpdateTimer();
     this.update();
+    
+    // Show a newly set board time straight away
+    document.addEventListener(CLOCK_CHANGE_EVENT, this.update);
   }
 
   createStyles() {
@@ -64,6 +71,7 @@ export class ClockWidget extends HTMLElement {
 
   destroy() {
     this.isDestroyed = true;
+    document.removeEventListener(CLOCK_CHANGE_EVENT, this.update);
     if (this.updateTimer) {
       clearInterval(this.updateTimer);
       this.updateTimer = null;
@@ -192,10 +200,10 @@ export class ClockWidget extends HTMLElement {
   update() {
     if (this.isDestroyed) return;
     
-    const now = new Date();
-    const timeString = this.formatTime(now);
-    const dateString = this.formatDate(now);
-    const dayString = now.toLocaleDateString('en-US', { weekday: 'long' });
+    const current = new Date(now());
+    const timeString = this.formatTime(current);
+    const dateString = this.formatDate(current);
+    const dayString = timeService.format(current, { weekday: 'long' }, this.timeZone);
     
     if (this.elements.time) {
       this.elements.time.textContent = timeString;
@@ -221,11 +229,7 @@ export class ClockWidget extends HTMLElement {
       options.second = '2-digit';
     }
     
-    if (this.config.timezone !== 'local') {
-      options.timeZone = this.config.timezone;
-    }
-    
-    return date.toLocaleTimeString('en-US', options);
+    return timeService.format(date, options, this.timeZone);
   }
 
   formatDate(date) {
@@ -249,17 +253,14 @@ export class ClockWidget extends HTMLElement {
         options.day = 'numeric';
     }
     
-    if (this.config.timezone !== 'local') {
-      options.timeZone = this.config.timezone;
-    }
-    
-    return date.toLocaleDateString('en-US', options);
+    return timeService.format(date, options, this.timeZone);
   }
 
   // Legacy methods for compatibility
   updateConfig(config) {
     if (config) {
       this.config = { ...this.config, ...config };
+      this.timeZone = timeService.resolveTimeZone(this.config.timezone, 'ClockWidget');
       if (this.updateTimer) {
         this.startUpdateTimer();
       }
@@ -2,6 +2,12 @@
  * Configuration Manager for LumaBoard
  * Provides UI for importing, exporting, and editing configurations
  */
+import { validateConfigSchema } from '../configSchema.js';
+import { diffConfigs } from '../configReloader.js';
+import { escapeHTML } from '../sanitize.js';
+import { createPasswordHash, getPasswordProtection } from '../password.js';
+import { adminLock } from './AdminLock.js';
+
 export class ConfigManager {
   constructor(lumaBoard) {
     this.lumaBoard = lumaBoard;
@@ -20,6 +26,7 @@ export class ConfigManager {
   init() {
     this.setupKeyboardListeners();
     this.loadConfigHistory();
+    this.unsubscribeLock = adminLock.onLock(() => this.hide());
     console.log('ConfigManager: Initialized');
   }
 
@@ -54,10 +61,12 @@ export class ConfigManager {
   }
 
   /**
-   * Show config manager
+   * Show config manager once the admin password has been entered
    */
-  show() {
+  async show() {
     if (this.isVisible) return;
+    if (!(await adminLock.unlock('Configuration Manager'))) return;
+    if (this.isVisible || !this.lumaBoard) return;
     
     this.isVisible = true;
     this.currentConfig = this.lumaBoard.config;
@@ -107,6 +116,7 @@ export class ConfigManager {
           <h2>⚙️ Configuration Manager</h2>
           <div class="config-controls">
             <button class="config-btn config-validate" title="Validate Config">✓</button>
+            ${adminLock.isProtected() ? '<button class="config-btn config-lock" title="Lock Admin Panels">🔒</button>' : ''}
             <button class="config-btn config-close" title="Close (Esc)">✕</button>
           </div>
         </div>
@@ -144,6 +154,13 @@ export class ConfigManager {
                 <div class="validation-pending">Click validate to check config</div>
               </div>
             </div>
+            
+            <div class="config-section">
+              <h3>🔒 Admin Password</h3>
+              <input type="password" class="config-password-input" id="admin-password-input" placeholder="New admin password" autocomplete="new-password">
+              <button class="config-action-btn" data-action="password-hash">🔑 Generate Hash</button>
+              <div class="password-hash-status" id="password-hash-status"></div>
+            </div>
           </div>
           
           <div class="config-main">
@@ -299,6 +316,24 @@ export class ConfigManager {
           transform: translateX(2px);
         }
         
+        .config-password-input {
+          width: 100%;
+          box-sizing: border-box;
+          background: rgba(0, 0, 0, 0.3);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          border-radius: 4px;
+          color: white;
+          padding: 0.5rem;
+          margin-bottom: 0.5rem;
+          font-size: 0.8rem;
+        }
+        
+        .password-hash-status {
+          font-size: 0.7rem;
+          opacity: 0.8;
+          word-break: break-all;
+        }
+        
         .config-presets {
           display: grid;
           grid-template-columns: 1fr 1fr;
@@ -353,6 +388,31 @@ export class ConfigManager {
           border-color: #e74c3c;
         }
         
+        .validation-warning {
+          background: rgba(241, 196, 15, 0.15);
+          color: #f1c40f;
+          border-color: #f1c40f;
+        }
+        
+        .validation-list {
+          margin: 0.4rem 0 0;
+          padding-left: 1.2rem;
+          max-height: 8rem;
+          overflow-y: auto;
+        }
+        
+        .validation-list li {
+          margin-bottom: 0.2rem;
+        }
+        
+        .validation-list .problem-path {
+          font-family: monospace;
+        }
+        
+        .validation-list .problem-warning {
+          color: #f1c40f;
+        }
+        
         .config-editor-header {
           display: flex;
           justify-content: space-between;
@@ -480,6 +540,18 @@ export class ConfigManager {
       closeBtn.addEventListener('click', this.hide.bind(this));
     }
     
+    // Lock button
+    const lockBtn = this.overlay.querySelector('.config-lock');
+    if (lockBtn) {
+      lockBtn.addEventListener('click', () => adminLock.lock());
+    }
+    
+    // Keep typing in the password field away from the board's keyboard shortcuts
+    const passwordInput = this.overlay.querySelector('#admin-password-input');
+    if (passwordInput) {
+      passwordInput.addEventListener('keydown', (e) => e.stopPropagation());
+    }
+    
     // Action buttons
     const actionBtns = this.overlay.querySelectorAll('.config-action-btn');
     actionBtns.forEach(btn => {
@@ -591,6 +663,42 @@ export class ConfigManager {
       case 'save':
         this.saveConfiguration();
         break;
+      case 'password-hash':
+        await this.generatePasswordHash();
+        break;
+    }
+  }
+
+  /**
+   * Hash the password typed in the sidebar and write it to "admin.password" in the editor
+   */
+  async generatePasswordHash() {
+    const input = this.overlay?.querySelector('#admin-password-input');
+    const status = this.overlay?.querySelector('#password-hash-status');
+    if (!input || !status) return;
+    
+    const strength = getPasswordProtection().validatePasswordStrength(input.value);
+    if (!strength.isValid) {
+      status.textContent = 'Use at least 8 characters mixing upper and lower case letters, numbers and symbols';
+      return;
+    }
+    
+    status.textContent = 'Hashing...';
+    const { hash, salt } = await createPasswordHash(input.value);
+    input.value = '';
+    
+    const editor = this.overlay?.querySelector('#config-editor');
+    if (!editor) return;
+    
+    try {
+      const config = JSON.parse(editor.value);
+      config.admin = { ...config.admin, password: { hash, salt } };
+      editor.value = JSON.stringify(config, null, 2);
+      this.updateEditorInfo();
+      status.textContent = `Added a ${strength.strength} password to "admin.password". Apply or export to use it.`;
+    } catch (error) {
+      // Leave a broken editor alone; the hash can still be copied from here
+      status.textContent = JSON.stringify({ password: { hash, salt } });
     }
   }
 
@@ -782,43 +890,63 @@ export class ConfigManager {
   }
 
   /**
-   * Validate configuration
+   * Validate configuration against the config schema and list problems inline
+   * @returns {Object|null} Validation result { valid, errors, warnings }
    */
   validateConfiguration() {
     const editor = this.overlay.querySelector('#config-editor');
     const statusElement = this.overlay.querySelector('#validation-status');
     
-    if (!editor || !statusElement) return;
+    if (!editor || !statusElement) return null;
     
+    let result;
     try {
       const config = JSON.parse(editor.value);
-      
-      // Basic validation
-      if (!config.scenes || !Array.isArray(config.scenes)) {
-        throw new Error('Configuration must have a scenes array');
-      }
-      
-      if (config.scenes.length === 0) {
-        throw new Error('At least one scene is required');
+      result = validateConfigSchema(config);
+
+      // The loader accepts an empty board, but applying one from the editor is always a mistake
+      if (Array.isArray(config.scenes) && config.scenes.length === 0) {
+        result.errors.push({ path: 'scenes', message: 'At least one scene is required' });
+        result.valid = false;
       }
-      
-      // Validate each scene
-      config.scenes.forEach((scene, index) => {
-        if (!scene.name) {
-          throw new Error(`Scene ${index + 1} must have a name`);
-        }
-        if (!scene.widgets || !Array.isArray(scene.widgets)) {
-          throw new Error(`Scene "${scene.name}" must have a widgets array`);
-        }
-      });
-      
-      statusElement.className = 'validation-status validation-success';
-      statusElement.innerHTML = '✓ Configuration is valid';
-      
     } catch (error) {
+      result = { valid: false, errors: [{ path: '', message: `Invalid JSON: ${error.message}` }], warnings: [] };
+    }
+    
+    if (!result.valid) {
       statusElement.className = 'validation-status validation-error';
-      statusElement.innerHTML = `✗ Error: ${error.message}`;
+      statusElement.innerHTML = `✗ ${result.errors.length} error${result.errors.length === 1 ? '' : 's'}` +
+        this.renderProblemList(result.errors, result.warnings);
+    } else if (result.warnings.length > 0) {
+      statusElement.className = 'validation-status validation-warning';
+      statusElement.innerHTML = `✓ Configuration is valid with ${result.warnings.length} warning${result.warnings.length === 1 ? '' : 's'}` +
+        this.renderProblemList([], result.warnings);
+    } else {
+      statusElement.className = 'validation-status validation-success';
+      statusElement.innerHTML = '✓ Configuration is valid';
     }
+    
+    return result;
+  }
+
+  /**
+   * Render validation errors and warnings as a list of JSON paths and messages
+   */
+  renderProblemList(errors, warnings) {
+    const items = [
+      ...errors.map(problem => ({ ...problem, level: 'error' })),
+      ...warnings.map(problem => ({ ...problem, level: 'warning' }))
+    ];
+    
+    return `
+      <ul class="validation-list">
+        ${items.map(problem => `
+          <li class="problem-${problem.level}">
+            ${problem.path ? `<span class="problem-path">${escapeHTML(problem.path)}</span>: ` : ''}${escapeHTML(problem.message)}
+          </li>
+        `).join('')}
+      </ul>
+    `;
   }
 
   /**
@@ -832,9 +960,8 @@ export class ConfigManager {
       const config = JSON.parse(editor.value);
       
       // Validate first
-      this.validateConfiguration();
-      const statusElement = this.overlay.querySelector('#validation-status');
-      if (statusElement && statusElement.classList.contains('validation-error')) {
+      const validation = this.validateConfiguration();
+      if (validation && !validation.valid) {
         this.showNotification('Please fix validation errors before applying', 'error');
         return;
       }
@@ -842,14 +969,8 @@ export class ConfigManager {
       // Add to history
       this.addToHistory(config);
       
-      // Apply to LumaBoard
-      this.lumaBoard.config = config;
-      
-      // Reload scenes
-      if (this.lumaBoard.sceneEngine) {
-        this.lumaBoard.sceneEngine.loadScenes(config.scenes || []);
-        this.lumaBoard.sceneEngine.renderCurrentScene();
-      }
+      // Apply to LumaBoard, re-rendering only what changed
+      this.lumaBoard.applyConfigUpdate(config, diffConfigs(this.lumaBoard.config, config));
       
       this.showNotification('Configuration applied successfully!', 'success');
       this.hide();
@@ -1005,6 +1126,7 @@ export class ConfigManager {
    */
   destroy() {
     this.hide();
+    this.unsubscribeLock?.();
     this.lumaBoard = null;
     this.configHistory = [];
   }
@@ -1,3 +1,5 @@
+import timeService, { now, CLOCK_CHANGE_EVENT } from '../time.js';
+
 export class CountdownWidget extends HTMLElement {
   constructor() {
     super();
@@ -12,11 +14,12 @@ export class CountdownWidget extends HTMLElement {
       format: 'digital', // 'digital', 'analog', 'text'
       completedMessage: 'Time\'s up!',
       autoRefresh: true,
-      timezone: 'local',
+      timezone: 'local', // zone for target dates written without an offset
       ...this.config
     };
     this.updateInterval = null;
     this.isCompleted = false;
+    this.handleClockChange = this.handleClockChange.bind(this);
   }
 
   connectedCallback() {
@@ -32,32 +35,46 @@ export class CountdownWidget extends HTMLElement {
 
     // Set default target date if none provided (1 hour from now)
     if (!this.config.targetDate) {
-      const defaultTarget = new Date();
-      defaultTarget.setHours(defaultTarget.getHours() + 1);
-      this.config.targetDate = defaultTarget.toISOString();
+      this.config.targetDate = new Date(now() + 60 * 60 * 1000).toISOString();
     }
 
+    this.timeZone = timeService.resolveTimeZone(this.config.timezone, 'CountdownWidget');
+
     this.render();
     if (this.config.autoRefresh) {
       this.startCountdown();
     }
+    document.addEventListener(CLOCK_CHANGE_EVENT, this.handleClockChange);
   }
 
   disconnectedCallback() {
     this.stopCountdown();
+    document.removeEventListener(CLOCK_CHANGE_EVENT, this.handleClockChange);
   }
 
-  getTargetDate() {
-    if (typeof this.config.targetDate === 'string') {
-      return new Date(this.config.targetDate);
+  /**
+   * Recalculate when the board clock is set; a countdown can become pending again after
+   * travelling back in time
+   */
+  handleClockChange() {
+    this.stopCountdown();
+    this.render();
+    if (this.config.autoRefresh && !this.isCompleted) {
+      this.startCountdown();
     }
-    return new Date(this.config.targetDate);
+  }
+
+  /**
+   * Get the target instant; "2025-12-31T23:59" or "2025-12-31" is wall-clock time in the
+   * configured timezone, while values with "Z" or an offset are absolute
+   */
+  getTargetDate() {
+    return timeService.parse(this.config.targetDate, this.timeZone);
   }
 
   calculateTimeRemaining() {
-    const now = new Date();
     const target = this.getTargetDate();
-    const diff = target.getTime() - now.getTime();
+    const diff = target.getTime() - now();
 
     if (diff <= 0) {
       this.isCompleted = true;
@@ -366,7 +383,7 @@ export class CountdownWidget extends HTMLElement {
               ⏰ ${this.config.title}
             </div>
             <div class="target-date">
-              Until ${targetDate.toLocaleDateString()} ${targetDate.toLocaleTimeString()}
+              Until ${timeService.format(targetDate, { year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' }, this.timeZone)}
             </div>
           </div>
           <div class="countdown-display">
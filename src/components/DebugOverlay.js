@@ -2,6 +2,17 @@
  * Debug Overlay Component for LumaBoard
  * Provides system diagnostics, widget status, and developer tools
  */
+import { serviceWorkerManager } from '../serviceWorker.js';
+import { escapeHTML } from '../sanitize.js';
+import { DATA_STATE_EVENT } from '../dataProvenance.js';
+import timeService from '../time.js';
+import configReloader from '../configReloader.js';
+import { getOverrideLayers } from '../device.js';
+import { adminLock } from './AdminLock.js';
+
+// Virtual clock speeds offered in the clock section (board seconds per real second)
+const CLOCK_SPEEDS = [1, 10, 60, 600, 3600];
+
 export class DebugOverlay {
   constructor(lumaBoard) {
     this.lumaBoard = lumaBoard;
@@ -15,9 +26,21 @@ export class DebugOverlay {
     this.hide = this.hide.bind(this);
     this.handleKeydown = this.handleKeydown.bind(this);
     this.refreshData = this.refreshData.bind(this);
+    this.handleDataState = this.handleDataState.bind(this);
     
     // Set up keyboard listeners
     this.setupKeyboardListeners();
+    document.addEventListener(DATA_STATE_EVENT, this.handleDataState);
+    this.unsubscribeLock = adminLock.onLock(this.hide);
+  }
+
+  /**
+   * Keep the widget list current as widgets report where their data came from
+   */
+  handleDataState() {
+    if (this.isVisible) {
+      this.updateWidgetStatus();
+    }
   }
 
   /**
@@ -56,15 +79,22 @@ export class DebugOverlay {
   }
 
   /**
-   * Show debug overlay
+   * Show debug overlay once the admin password has been entered
    */
-  show() {
+  async show() {
+    if (this.isVisible) return;
+    if (!(await adminLock.unlock('Debug Overlay'))) return;
     if (this.isVisible) return;
     
     this.isVisible = true;
     this.createOverlay();
     this.startRefreshTimer();
     
+    // Pull fresh cache counts from the service worker; the 2s refresh picks them up
+    serviceWorkerManager.refreshStatus().catch(error => {
+      console.warn('DebugOverlay: Failed to read cache status', error);
+    });
+    
     console.log('DebugOverlay: Opened');
   }
 
@@ -142,6 +172,21 @@ export class DebugOverlay {
       });
     }
     
+    // Virtual clock controls
+    const setClockBtn = this.overlay.querySelector('.debug-clock-set');
+    const realClockBtn = this.overlay.querySelector('.debug-clock-real');
+    
+    if (setClockBtn) {
+      setClockBtn.addEventListener('click', () => this.applyClockControls());
+    }
+    
+    if (realClockBtn) {
+      realClockBtn.addEventListener('click', () => {
+        timeService.setClock(null);
+        this.refreshData();
+      });
+    }
+    
     // Click outside to close
     this.overlay.addEventListener('click', (e) => {
       if (e.target === this.overlay) {
@@ -184,6 +229,10 @@ export class DebugOverlay {
                 <span class="debug-label">Network:</span>
                 <span class="debug-value" id="system-network">--</span>
               </div>
+              <div class="debug-item">
+                <span class="debug-label">Offline Cache:</span>
+                <span class="debug-value" id="system-cache">--</span>
+              </div>
             </div>
           </div>
           
@@ -213,6 +262,32 @@ export class DebugOverlay {
             </div>
           </div>
           
+          <div class="debug-section">
+            <h3>🕐 Clock</h3>
+            <div class="debug-grid" id="clock-info">
+              <div class="debug-item">
+                <span class="debug-label">Board Time:</span>
+                <span class="debug-value" id="clock-time">--</span>
+              </div>
+              <div class="debug-item">
+                <span class="debug-label">Mode:</span>
+                <span class="debug-value" id="clock-mode">--</span>
+              </div>
+              <div class="debug-item">
+                <span class="debug-label">Schedule:</span>
+                <span class="debug-value" id="clock-schedule">--</span>
+              </div>
+            </div>
+            <div class="debug-scene-controls debug-clock-controls">
+              <input type="datetime-local" class="debug-clock-input" aria-label="Board time">
+              <select class="debug-clock-speed" aria-label="Clock speed">
+                ${CLOCK_SPEEDS.map(speed => `<option value="${speed}">${speed}×</option>`).join('')}
+              </select>
+              <button class="debug-clock-set">Set Time</button>
+              <button class="debug-clock-real">Real Time</button>
+            </div>
+          </div>
+          
           <div class="debug-section">
             <h3>🧩 Widget Status</h3>
             <div id="widget-status">
@@ -223,6 +298,10 @@ export class DebugOverlay {
           <div class="debug-section">
             <h3>⚙️ Configuration</h3>
             <div class="debug-config" id="config-info">
+              <div class="debug-item">
+                <span class="debug-label">Device:</span>
+                <span class="debug-value" id="config-device">--</span>
+              </div>
               <div class="debug-item">
                 <span class="debug-label">Config Source:</span>
                 <span class="debug-value" id="config-source">--</span>
@@ -235,6 +314,10 @@ export class DebugOverlay {
                 <span class="debug-label">Refresh Interval:</span>
                 <span class="debug-value" id="config-refresh">--</span>
               </div>
+              <div class="debug-item">
+                <span class="debug-label">Hot Reload:</span>
+                <span class="debug-value" id="config-reload">--</span>
+              </div>
             </div>
           </div>
         </div>
@@ -376,6 +459,16 @@ export class DebugOverlay {
           transition: all 0.2s ease;
         }
         
+        .debug-clock-controls input,
+        .debug-clock-controls select {
+          background: rgba(255, 255, 255, 0.1);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          border-radius: 6px;
+          color: white;
+          padding: 0.4rem 0.5rem;
+          font-size: 0.9rem;
+        }
+        
         .debug-scene-controls button:hover {
           transform: translateY(-1px);
           box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
@@ -480,6 +573,7 @@ export class DebugOverlay {
     
     this.updateSystemStatus();
     this.updateSceneInfo();
+    this.updateClockInfo();
     this.updateWidgetStatus();
     this.updateConfigInfo();
   }
@@ -497,6 +591,25 @@ export class DebugOverlay {
     this.updateElement('system-memory', memory);
     this.updateElement('system-performance', performance);
     this.updateElement('system-network', `<span class="status-indicator status-${navigator.onLine ? 'online' : 'offline'}"></span>${network}`);
+    this.updateElement('system-cache', this.getCacheInfo());
+  }
+
+  /**
+   * Describe the service worker cache
+   */
+  getCacheInfo() {
+    const cache = serviceWorkerManager.getStatus();
+    
+    if (!cache.supported) return 'Not supported';
+    if (cache.error) return `<span class="status-indicator status-offline"></span>Error: ${escapeHTML(cache.error)}`;
+    if (!cache.registered) return '<span class="status-indicator status-warning"></span>Not registered';
+    
+    const files = cache.shellEntries + cache.mediaEntries + cache.configEntries;
+    const updated = cache.lastUpdated ? new Date(cache.lastUpdated).toLocaleTimeString() : 'Never';
+    const failed = cache.failed.length > 0 ? ` | ${cache.failed.length} failed` : '';
+    const indicator = cache.controlled ? 'online' : 'warning';
+    
+    return `<span class="status-indicator status-${indicator}"></span>${files} files (${cache.mediaEntries} media) | Updated ${updated}${failed}`;
   }
 
   /**
@@ -508,15 +621,48 @@ export class DebugOverlay {
     const sceneInfo = this.lumaBoard.sceneEngine.getCurrentSceneInfo();
     const currentScene = `${sceneInfo.index + 1}/${sceneInfo.total}`;
     const sceneName = sceneInfo.scene?.name || 'Unknown';
-    const rotation = sceneInfo.isRotating ? 'Active' : 'Paused';
+    const rotation = !sceneInfo.isRotating ? 'Paused' : (sceneInfo.rotationPaused ? 'Held for alert' : 'Active');
     const layout = sceneInfo.scene?.layout || 'Default';
     
     this.updateElement('current-scene', `${currentScene} (${sceneName})`);
     this.updateElement('total-scenes', sceneInfo.total.toString());
-    this.updateElement('scene-rotation', `<span class="status-indicator status-${sceneInfo.isRotating ? 'online' : 'warning'}"></span>${rotation}`);
+    this.updateElement('scene-rotation', `<span class="status-indicator status-${sceneInfo.isRotating && !sceneInfo.rotationPaused ? 'online' : 'warning'}"></span>${rotation}`);
     this.updateElement('scene-layout', layout);
   }
 
+  /**
+   * Update the board clock and active schedule
+   */
+  updateClockInfo() {
+    const clock = timeService.getClockInfo();
+    const schedule = this.lumaBoard.sceneScheduler?.currentSchedule;
+    let mode = 'Real time';
+    if (clock.virtual) {
+      const direction = clock.offset < 0 ? 'behind' : 'ahead';
+      mode = `Virtual · ${clock.speed}× · ${this.formatUptime(Math.abs(clock.offset))} ${direction}`;
+    }
+    
+    this.updateElement('clock-time', new Date(clock.time).toLocaleString());
+    this.updateElement('clock-mode', `<span class="status-indicator status-${clock.virtual ? 'warning' : 'online'}"></span>${mode}`);
+    this.updateElement('clock-schedule', schedule ? escapeHTML(schedule.name || 'Unnamed') : 'Default');
+  }
+
+  /**
+   * Start the virtual clock from the time and speed chosen in the clock section
+   */
+  applyClockControls() {
+    const input = this.overlay?.querySelector('.debug-clock-input');
+    const speed = Number(this.overlay?.querySelector('.debug-clock-speed')?.value || 1);
+    
+    try {
+      // An empty time keeps the current board time and only changes the speed
+      timeService.setVirtualTime(input?.value || timeService.now(), { speed });
+      this.refreshData();
+    } catch (error) {
+      console.warn(`DebugOverlay: ${error.message}`);
+    }
+  }
+
   /**
    * Update widget status information
    */
@@ -536,12 +682,14 @@ export class DebugOverlay {
     const widgetHTML = Array.from(widgets.entries()).map(([id, widget]) => {
       const lastRefresh = widget.element?.lastUpdate ? 
         new Date(widget.element.lastUpdate).toLocaleTimeString() : 'Never';
+      const dataState = this.getDataStateInfo(widget.element?.dataState);
       
       return `
         <div class="widget-item">
           <div class="widget-info">
             <div class="widget-name">${widget.type} (${id.split('-')[0]})</div>
             <div class="widget-details">
+              Data: ${dataState} | 
               Last Update: ${lastRefresh} | 
               Config: ${Object.keys(widget.config || {}).length} properties
             </div>
@@ -566,6 +714,34 @@ export class DebugOverlay {
     });
   }
 
+  /**
+   * Describe a widget's reported data state
+   * @param {Object} dataState - Detail of the widget's last 'widgetdatastate' event
+   */
+  getDataStateInfo(dataState) {
+    if (!dataState) return 'Static';
+    
+    const labels = {
+      live: 'Live',
+      cached: 'Cached',
+      fallback: 'Fallback',
+      mock: 'Mock',
+      error: 'Error'
+    };
+    const indicators = {
+      live: 'online',
+      cached: 'online',
+      fallback: 'warning',
+      mock: 'warning',
+      error: 'offline'
+    };
+    
+    const age = dataState.fetchedAt != null ? ` (${this.formatUptime(Date.now() - dataState.fetchedAt)} old)` : '';
+    const message = dataState.message ? ` - ${escapeHTML(dataState.message)}` : '';
+    
+    return `<span class="status-indicator status-${indicators[dataState.state]}"></span>${labels[dataState.state]}${age}${message}`;
+  }
+
   /**
    * Update configuration information
    */
@@ -577,9 +753,39 @@ export class DebugOverlay {
     const theme = config.theme?.primaryColor || 'Default';
     const refreshInterval = `${config.refreshInterval || 300}s`;
     
+    this.updateElement('config-device', this.getDeviceInfo());
     this.updateElement('config-source', source);
     this.updateElement('config-theme', theme);
     this.updateElement('config-refresh', refreshInterval);
+    this.updateElement('config-reload', this.getReloadInfo());
+  }
+
+  /**
+   * Describe this screen's identity and the fleet overrides applied to it
+   */
+  getDeviceInfo() {
+    const device = this.lumaBoard.device;
+    if (!device) return 'Unknown';
+    
+    const layers = getOverrideLayers(this.lumaBoard.config.fleet, device).map(layer => layer.name);
+    const groups = device.groups.length ? ` | Groups: ${device.groups.join(', ')}` : '';
+    const overrides = layers.length ? ` | Overrides: ${layers.join(', ')}` : '';
+    return escapeHTML(`${device.id} (${device.source})${groups}${overrides}`);
+  }
+
+  /**
+   * Describe the remote config polling status
+   */
+  getReloadInfo() {
+    const reload = configReloader.getStatus();
+    if (!reload.url) return 'Off';
+    
+    const checked = reload.lastChecked ? new Date(reload.lastChecked).toLocaleTimeString() : 'Never';
+    const applied = reload.lastApplied ? ` | Applied ${new Date(reload.lastApplied).toLocaleTimeString()}` : '';
+    if (reload.lastError) {
+      return `<span class="status-indicator status-offline"></span>${escapeHTML(reload.lastError)} | Checked ${checked}`;
+    }
+    return `<span class="status-indicator status-online"></span>Checked ${checked}${applied}`;
   }
 
   /**
@@ -637,5 +843,7 @@ export class DebugOverlay {
   destroy() {
     this.hide();
     document.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener(DATA_STATE_EVENT, this.handleDataState);
+    this.unsubscribeLock();
   }
 } 
\ No newline at end of file
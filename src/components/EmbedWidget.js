@@ -0,0 +1,432 @@
+import { sanitizeURL, escapeHTML } from '../sanitize.js';
+
+// Sandbox tokens accepted by the iframe sandbox attribute
+const SANDBOX_TOKENS = [
+  'allow-downloads',
+  'allow-forms',
+  'allow-modals',
+  'allow-orientation-lock',
+  'allow-pointer-lock',
+  'allow-popups',
+  'allow-popups-to-escape-sandbox',
+  'allow-presentation',
+  'allow-same-origin',
+  'allow-scripts',
+  'allow-top-navigation',
+  'allow-top-navigation-by-user-activation'
+];
+
+export class EmbedWidget extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.config = {
+      url: '',
+      title: '',
+      showHeader: true,
+      sandbox: ['allow-scripts'], // Array or space separated string; 'allow-same-origin' is opt-in
+      allow: '', // Permissions policy for the frame
+      reloadInterval: 0, // minutes, 0 disables periodic reload
+      loadTimeout: 20, // seconds before the page is considered failed
+      zoom: 1,
+      scaleToFit: false,
+      contentWidth: 1920, // px, page size used when scaleToFit is enabled
+      contentHeight: 1080,
+      scrollX: 0, // px offset into the page
+      scrollY: 0,
+      fallbackMessage: 'This page is currently unavailable',
+      ...this.config
+    };
+    this.status = 'loading'; // 'loading', 'loaded', 'error', 'offline'
+    this.reloadTimer = null;
+    this.loadTimer = null;
+    this.lastLoad = null;
+    this.resizeObserver = null;
+
+    this.handleFrameLoad = this.handleFrameLoad.bind(this);
+    this.handleFrameError = this.handleFrameError.bind(this);
+    this.handleConnectivityChange = this.handleConnectivityChange.bind(this);
+  }
+
+  connectedCallback() {
+    // Override config with any passed configuration
+    if (this.hasAttribute('config')) {
+      try {
+        const configAttr = JSON.parse(this.getAttribute('config'));
+        this.config = { ...this.config, ...configAttr };
+      } catch (e) {
+        console.warn('EmbedWidget: Invalid config attribute');
+      }
+    }
+
+    document.addEventListener('connectivitychange', this.handleConnectivityChange);
+    window.addEventListener('online', this.handleConnectivityChange);
+    window.addEventListener('offline', this.handleConnectivityChange);
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.updateFrameLayout());
+      this.resizeObserver.observe(this);
+    }
+
+    this.render();
+    this.loadPage();
+    this.startReloadTimer();
+  }
+
+  disconnectedCallback() {
+    this.stopReloadTimer();
+    this.clearLoadTimer();
+    document.removeEventListener('connectivitychange', this.handleConnectivityChange);
+    window.removeEventListener('online', this.handleConnectivityChange);
+    window.removeEventListener('offline', this.handleConnectivityChange);
+
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+  }
+
+  getEmbedUrl() {
+    return sanitizeURL(this.config.url, { allowedProtocols: ['https', 'http'] });
+  }
+
+  getSandbox() {
+    const tokens = Array.isArray(this.config.sandbox)
+      ? this.config.sandbox
+      : String(this.config.sandbox || '').split(/\s+/);
+
+    const allowed = tokens
+      .map(token => String(token).trim().toLowerCase())
+      .filter(token => {
+        if (!token) return false;
+        if (!SANDBOX_TOKENS.includes(token)) {
+          console.warn(`EmbedWidget: Ignoring unknown sandbox flag '${token}'`);
+          return false;
+        }
+        return true;
+      });
+
+    // A same-origin page allowed to run scripts can reach into the frame and drop its own sandbox
+    if (allowed.includes('allow-scripts') && allowed.includes('allow-same-origin') && this.isSameOrigin()) {
+      console.warn('EmbedWidget: allow-scripts with allow-same-origin on a same-origin page leaves the frame unsandboxed');
+    }
+
+    return allowed.join(' ');
+  }
+
+  isSameOrigin() {
+    const url = this.getEmbedUrl();
+    if (!url) return false;
+
+    try {
+      return new URL(url, window.location.href).origin === window.location.origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Prefer the board's OfflineFallback status so simulated outages apply too
+  isOnline() {
+    const offlineFallback = window.lumaBoard?.offlineFallback;
+    if (offlineFallback) {
+      return offlineFallback.getStatus().isOnline;
+    }
+    return navigator.onLine;
+  }
+
+  async loadPage() {
+    const url = this.getEmbedUrl();
+
+    if (!url) {
+      this.showFallback('error');
+      return;
+    }
+
+    if (!this.isOnline()) {
+      this.showFallback('offline');
+      return;
+    }
+
+    // Frames report error pages as successful loads, so probe reachability first
+    if (!(await this.isReachable(url))) {
+      console.warn(`EmbedWidget: Failed to reach ${url}`);
+      this.showFallback(this.isOnline() ? 'error' : 'offline');
+      return;
+    }
+
+    let frame = this.shadowRoot.querySelector('.embed-frame');
+    if (!frame) {
+      // Coming back from the fallback card, rebuild the frame
+      this.status = 'loading';
+      this.render();
+      frame = this.shadowRoot.querySelector('.embed-frame');
+    }
+
+    this.status = 'loading';
+    this.clearLoadTimer();
+    this.loadTimer = setTimeout(() => {
+      console.warn(`EmbedWidget: Timed out loading ${url}`);
+      this.showFallback('error');
+    }, this.config.loadTimeout * 1000);
+
+    // Assigning src always navigates, which also reloads the current page
+    frame.src = url;
+  }
+
+  async isReachable(url) {
+    try {
+      // Opaque responses are fine, only network failures reject
+      await fetch(url, { method: 'HEAD', mode: 'no-cors', cache: 'no-store' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  handleFrameLoad() {
+    // about:blank fires a load event before the real page is requested
+    if (this.status !== 'loading') return;
+
+    this.clearLoadTimer();
+    this.status = 'loaded';
+    this.lastLoad = new Date();
+  }
+
+  handleFrameError() {
+    this.clearLoadTimer();
+    this.showFallback('error');
+  }
+
+  handleConnectivityChange() {
+    const online = this.isOnline();
+
+    if (!online && this.status !== 'offline') {
+      this.showFallback('offline');
+    } else if (online && this.status === 'offline') {
+      this.loadPage();
+    }
+  }
+
+  showFallback(status) {
+    this.clearLoadTimer();
+    this.status = status;
+    this.render();
+  }
+
+  reload() {
+    return this.loadPage();
+  }
+
+  clearLoadTimer() {
+    if (this.loadTimer) {
+      clearTimeout(this.loadTimer);
+      this.loadTimer = null;
+    }
+  }
+
+  startReloadTimer() {
+    this.stopReloadTimer();
+    if (!this.config.reloadInterval || this.config.reloadInterval <= 0) return;
+
+    this.reloadTimer = setInterval(() => {
+      this.reload();
+    }, this.config.reloadInterval * 60 * 1000);
+  }
+
+  stopReloadTimer() {
+    if (this.reloadTimer) {
+      clearInterval(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+  }
+
+  /**
+   * Size and transform the frame so the configured zoom and scroll offset
+   * apply to cross-origin pages, which cannot be scrolled from script.
+   */
+  updateFrameLayout() {
+    const viewport = this.shadowRoot.querySelector('.embed-viewport');
+    const frame = this.shadowRoot.querySelector('.embed-frame');
+    if (!viewport || !frame) return;
+
+    const scrollX = Math.max(0, Number(this.config.scrollX) || 0);
+    const scrollY = Math.max(0, Number(this.config.scrollY) || 0);
+    const viewportWidth = viewport.clientWidth;
+    const viewportHeight = viewport.clientHeight;
+
+    let scale = Number(this.config.zoom) > 0 ? Number(this.config.zoom) : 1;
+    let pageWidth = viewportWidth / scale;
+    let pageHeight = viewportHeight / scale;
+
+    if (this.config.scaleToFit && viewportWidth > 0 && viewportHeight > 0) {
+      pageWidth = this.config.contentWidth;
+      pageHeight = this.config.contentHeight;
+      scale = Math.min(viewportWidth / pageWidth, viewportHeight / pageHeight);
+    }
+
+    frame.style.width = `${pageWidth + scrollX}px`;
+    frame.style.height = `${pageHeight + scrollY}px`;
+    frame.style.transform = `scale(${scale}) translate(${-scrollX}px, ${-scrollY}px)`;
+  }
+
+  getFallbackText() {
+    if (this.status === 'offline') {
+      return 'Device is offline. The page will reload when the connection returns.';
+    }
+    if (!this.getEmbedUrl()) {
+      return 'No valid URL configured';
+    }
+    return this.config.fallbackMessage;
+  }
+
+  getHostLabel() {
+    try {
+      return new URL(this.getEmbedUrl()).hostname;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  escapeAttribute(value) {
+    return escapeHTML(String(value)).replace(/"/g, '&quot;');
+  }
+
+  render() {
+    const showFrame = this.status === 'loading' || this.status === 'loaded';
+    const title = this.config.title || this.getHostLabel() || 'Web Page';
+    const allow = this.config.allow ? `allow="${this.escapeAttribute(this.config.allow)}"` : '';
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        .embed-widget {
+          display: flex;
+          flex-direction: column;
+          background: linear-gradient(135deg, #636e72 0%, #2d3436 100%);
+          color: white;
+          border-radius: 12px;
+          padding: 1rem;
+          height: 100%;
+          box-sizing: border-box;
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          position: relative;
+          overflow: hidden;
+        }
+
+        .header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          margin-bottom: 1rem;
+          padding-bottom: 0.5rem;
+          border-bottom: 1px solid rgba(255, 255, 255, 0.3);
+        }
+
+        .title {
+          font-size: 1.2rem;
+          font-weight: 600;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .embed-viewport {
+          flex: 1;
+          position: relative;
+          border-radius: 8px;
+          overflow: hidden;
+          background: white;
+          min-height: 0;
+        }
+
+        .embed-frame {
+          position: absolute;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          border: none;
+          transform-origin: 0 0;
+        }
+
+        .embed-fallback {
+          flex: 1;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          text-align: center;
+          gap: 0.5rem;
+          border-radius: 8px;
+          background: rgba(0, 0, 0, 0.25);
+          padding: 1rem;
+        }
+
+        .fallback-icon {
+          font-size: 2.5rem;
+        }
+
+        .fallback-message {
+          font-size: 1rem;
+          opacity: 0.9;
+        }
+
+        .fallback-url {
+          font-size: 0.8rem;
+          opacity: 0.6;
+          word-break: break-all;
+        }
+      </style>
+      <div class="embed-widget">
+        ${this.config.showHeader ? `
+          <div class="header">
+            <div class="title">🌐 ${escapeHTML(title)}</div>
+          </div>
+        ` : ''}
+        ${showFrame ? `
+          <div class="embed-viewport">
+            <iframe
+              class="embed-frame"
+              title="${this.escapeAttribute(title)}"
+              sandbox="${this.getSandbox()}"
+              ${allow}
+              referrerpolicy="no-referrer"
+              loading="eager">
+            </iframe>
+          </div>
+        ` : `
+          <div class="embed-fallback ${this.status}">
+            <div class="fallback-icon">${this.status === 'offline' ? '📡' : '⚠️'}</div>
+            <div class="fallback-message">${escapeHTML(this.getFallbackText())}</div>
+            ${this.getHostLabel() ? `<div class="fallback-url">${escapeHTML(this.getHostLabel())}</div>` : ''}
+          </div>
+        `}
+      </div>
+    `;
+
+    const frame = this.shadowRoot.querySelector('.embed-frame');
+    if (frame) {
+      frame.addEventListener('load', this.handleFrameLoad);
+      frame.addEventListener('error', this.handleFrameError);
+      this.updateFrameLayout();
+    }
+  }
+
+  // Widget contract methods
+  init(config) {
+    this.config = { ...this.config, ...config };
+    this.render();
+    this.loadPage();
+    this.startReloadTimer();
+  }
+
+  async refresh() {
+    await this.reload();
+  }
+
+  destroy() {
+    this.stopReloadTimer();
+    this.clearLoadTimer();
+  }
+}
+
+customElements.define('embed-widget', EmbedWidget);
@@ -1,7 +1,10 @@
 /**
  * Freshness Indicator Component for LumaBoard
- * Shows data age and freshness status for widgets
+ * Shows data age and freshness status for widgets, plus where the data came from
+ * (live, cached, fallback, demo or missing) as reported through the 'widgetdatastate' event
  */
+import { DATA_STATE_EVENT } from '../dataProvenance.js';
+
 export class FreshnessIndicator {
   constructor(widget, options = {}) {
     this.widget = widget;
@@ -20,6 +23,8 @@ export class FreshnessIndicator {
     this.indicator = null;
     this.updateInterval = null;
     this.lastUpdate = null;
+    this.dataState = widget?.dataState || null;
+    this.handleDataState = this.handleDataState.bind(this);
     
     this.init();
   }
@@ -30,6 +35,7 @@ export class FreshnessIndicator {
   init() {
     this.createIndicator();
     this.attachToWidget();
+    this.widget?.addEventListener(DATA_STATE_EVENT, this.handleDataState);
     this.startUpdateTimer();
     this.updateFreshness();
   }
@@ -123,24 +129,50 @@ export class FreshnessIndicator {
     }
   }
 
+  /**
+   * Track the data state a widget reports
+   */
+  handleDataState(event) {
+    this.dataState = event.detail;
+    this.updateFreshness();
+  }
+
   /**
    * Update the freshness display
    */
   updateFreshness() {
     if (!this.indicator) return;
     
-    const now = Date.now();
+    // Fetch times are real timestamps, so data ages in real time even while the board clock is moved
+    const current = Date.now();
     const lastUpdate = this.getLastUpdate();
+    const state = this.dataState?.state;
+    
+    // Demo and missing data never count as fresh, whatever their timestamps say
+    if (state === 'mock') {
+      this.setStatus('mock', '🧪', 'Demo data');
+      return;
+    }
+    
+    if (state === 'error') {
+      this.setStatus('error', '⚠️', 'No data');
+      return;
+    }
+    
+    if (state === 'fallback') {
+      this.setStatus('fallback', '📴', lastUpdate ? `Offline · ${this.formatAge(current - lastUpdate)}` : 'Offline');
+      return;
+    }
     
     if (!lastUpdate) {
       this.setStatus('unknown', '?', 'No data');
       return;
     }
     
-    const age = now - lastUpdate;
+    const age = current - lastUpdate;
     const { status, icon, text } = this.getFreshnessStatus(age);
     
-    this.setStatus(status, icon, text);
+    this.setStatus(status, icon, state === 'cached' ? `Cached · ${text}` : text);
   }
 
   /**
@@ -148,8 +180,9 @@ export class FreshnessIndicator {
    */
   getLastUpdate() {
     // Try multiple sources for last update time
+    // Widgets set lastUpdate from the data service's real fetch time (Date or ms)
     if (this.widget.lastUpdate) {
-      return this.widget.lastUpdate;
+      return new Date(this.widget.lastUpdate).getTime();
     }
     
     if (this.widget.dataset?.lastUpdate) {
@@ -243,13 +276,17 @@ export class FreshnessIndicator {
       aging: 'rgba(241, 196, 15, 0.8)',
       stale: 'rgba(230, 126, 34, 0.8)',
       expired: 'rgba(231, 76, 60, 0.8)',
+      fallback: 'rgba(127, 140, 141, 0.9)',
+      mock: 'rgba(142, 68, 173, 0.9)',
+      error: 'rgba(192, 57, 43, 0.9)',
       unknown: 'rgba(149, 165, 166, 0.8)'
     };
     
     this.indicator.style.background = colors[status] || colors.unknown;
+    this.indicator.dataset.status = status;
     
-    // Add pulsing animation for expired data
-    if (status === 'expired') {
+    // Add pulsing animation for expired and missing data
+    if (status === 'expired' || status === 'error') {
       this.indicator.style.animation = 'pulse 2s infinite';
       this.addPulseAnimation();
     } else {
@@ -333,6 +370,7 @@ export class FreshnessIndicator {
    */
   destroy() {
     this.stopUpdateTimer();
+    this.widget?.removeEventListener(DATA_STATE_EVENT, this.handleDataState);
     
     if (this.indicator && this.indicator.parentNode) {
       this.indicator.parentNode.removeChild(this.indicator);
@@ -1,7 +1,13 @@
 /**
  * Layout Engine for LumaBoard
- * Handles responsive grid layouts, widget positioning, and layout DSL parsing
+ * Handles responsive grid layouts, widget positioning, and layout DSL parsing.
+ *
+ * Screens mounted sideways can be rotated in CSS (config "display.rotation": 0, 90, 180 or 270);
+ * breakpoints and orientation are then worked out from the rotated viewport, so layouts with
+ * portrait/landscape variants pick the one that matches how the screen is actually mounted.
  */
+const ROTATIONS = [0, 90, 180, 270];
+
 export class LayoutEngine {
   constructor() {
     this.layouts = new Map();
@@ -15,6 +21,10 @@ export class LayoutEngine {
       xxl: 1400
     };
     this.currentBreakpoint = 'xl';
+    this.orientation = 'landscape';
+    this.rotation = 0;
+    this.rotationTarget = null;
+    this.rotatedElements = new Set();
     this.gridContainer = null;
     this.widgets = new Map();
     this.observers = new Set();
@@ -58,7 +68,7 @@ export class LayoutEngine {
   }
 
   updateCurrentBreakpoint() {
-    const width = window.innerWidth;
+    const { width, height } = this.getViewportSize();
     let currentBreakpoint = 'xs';
     
     for (const [name, minWidth] of Object.entries(this.breakpoints)) {
@@ -66,8 +76,12 @@ export class LayoutEngine {
         currentBreakpoint = name;
       }
     }
+    const orientation = height > width ? 'portrait' : 'landscape';
+    
+    const breakpointChanged = this.currentBreakpoint !== currentBreakpoint;
+    const orientationChanged = this.orientation !== orientation;
     
-    if (this.currentBreakpoint !== currentBreakpoint) {
+    if (breakpointChanged) {
       const oldBreakpoint = this.currentBreakpoint;
       this.currentBreakpoint = currentBreakpoint;
       this.emit('breakpoint-changed', { 
@@ -75,6 +89,17 @@ export class LayoutEngine {
         to: currentBreakpoint,
         width 
       });
+    }
+    
+    if (orientationChanged) {
+      const oldOrientation = this.orientation;
+      this.orientation = orientation;
+      this.emit('orientation-changed', { from: oldOrientation, to: orientation, width, height });
+    }
+    
+    if (breakpointChanged || orientationChanged) {
+      // One event for listeners that re-render on either change
+      this.emit('viewport-changed', { breakpoint: currentBreakpoint, orientation, width, height });
       
       if (this.currentLayout) {
         this.applyLayout(this.currentLayout);
@@ -82,6 +107,44 @@ export class LayoutEngine {
     }
   }
 
+  // Viewport as the content sees it: width and height swap when the display is rotated by 90 or 270 degrees
+  getViewportSize() {
+    const sideways = this.rotation === 90 || this.rotation === 270;
+    return {
+      width: sideways ? window.innerHeight : window.innerWidth,
+      height: sideways ? window.innerWidth : window.innerHeight
+    };
+  }
+
+  getOrientation() {
+    return this.orientation;
+  }
+
+  /**
+   * Rotate the board with a CSS transform, for displays that cannot rotate at the OS level
+   * @param {number} rotation - 0, 90, 180 or 270 degrees clockwise
+   * @param {HTMLElement} target - Element to rotate (defaults to #app)
+   * @returns {boolean} False if the rotation is not supported
+   */
+  setRotation(rotation = 0, target = this.rotationTarget || document.getElementById('app')) {
+    const degrees = ((Number(rotation) % 360) + 360) % 360;
+    if (!ROTATIONS.includes(degrees)) {
+      console.warn(`LayoutEngine: Unsupported rotation '${rotation}', use 0, 90, 180 or 270`);
+      return false;
+    }
+
+    this.rotation = degrees;
+    this.rotationTarget = target;
+    if (target) {
+      this.applyRotationClass(target);
+    }
+    this.rotatedElements.forEach(element => this.applyRotationClass(element));
+
+    this.updateCurrentBreakpoint();
+    console.log(`LayoutEngine: Display rotation ${degrees}° (${this.orientation})`);
+    return true;
+  }
+
   loadBuiltinLayouts() {
     // Full Screen Layout
     this.layouts.set('fullscreen', {
@@ -147,7 +210,17 @@ export class LayoutEngine {
           widget bottom-3 at 1,16 span 2,3
           widget bottom-4 at 1,19 span 2,3
         `
-      }
+      },
+      portrait: `
+        grid: 6x14 gap 16px
+        widget header at 1,1 span 6,1
+        widget main-left at 1,2 span 6,4
+        widget main-right at 1,6 span 6,4
+        widget bottom-1 at 1,10 span 3,2
+        widget bottom-2 at 4,10 span 3,2
+        widget bottom-3 at 1,12 span 3,3
+        widget bottom-4 at 4,12 span 3,3
+      `
     });
 
     // Sidebar Layout
@@ -173,7 +246,13 @@ export class LayoutEngine {
           widget main at 1,5 span 1,8
           widget bottom at 1,13 span 1,4
         `
-      }
+      },
+      portrait: `
+        grid: 1x16 gap 16px
+        widget sidebar at 1,1 span 1,4
+        widget main at 1,5 span 1,8
+        widget bottom at 1,13 span 1,4
+      `
     });
 
     // Split Screen Layout
@@ -192,7 +271,12 @@ export class LayoutEngine {
           widget left at 1,1 span 1,1
           widget right at 1,2 span 1,1
         `
-      }
+      },
+      portrait: `
+        grid: 1x2 gap 16px
+        widget left at 1,1 span 1,1
+        widget right at 1,2 span 1,1
+      `
     });
 
     console.log(`LayoutEngine: Loaded ${this.layouts.size} built-in layouts`);
@@ -243,6 +327,102 @@ export class LayoutEngine {
     }
   }
 
+  // Accepts a registered layout name, an inline DSL string, a layout
+  // definition ({ dsl, responsive, portrait }), the JSON grid form ({ rows, columns, widgets })
+  // or orientation variants ({ portrait, landscape }) of any of these
+  resolveLayout(layout) {
+    if (!layout) return null;
+    layout = this.selectOrientationVariant(layout);
+
+    if (typeof layout === 'string') {
+      if (this.layouts.has(layout)) {
+        return this.getLayoutConfig(this.layouts.get(layout));
+      }
+      return this.isLayoutDSL(layout) ? this.parseLayoutDSL(layout) : null;
+    }
+
+    if (typeof layout === 'object') {
+      if (layout.config || layout.dsl) {
+        return this.getLayoutConfig(layout);
+      }
+      if (Array.isArray(layout.widgets)) {
+        return this.parseGridJSON(layout);
+      }
+    }
+
+    return null;
+  }
+
+  getLayoutConfig(layout) {
+    if (layout.config) {
+      return layout.config;
+    }
+
+    // An orientation variant wins over breakpoint variants
+    if (typeof layout[this.orientation] === 'string') {
+      return this.parseLayoutDSL(layout[this.orientation]);
+    }
+
+    const variant = this.selectResponsiveVariant(layout.responsive);
+    return this.parseLayoutDSL(variant || layout.dsl);
+  }
+
+  selectResponsiveVariant(responsive) {
+    if (!responsive) return null;
+    if (responsive[this.currentBreakpoint]) {
+      return responsive[this.currentBreakpoint];
+    }
+
+    // A variant applies from its breakpoint downwards until a smaller variant takes over
+    const currentWidth = this.breakpoints[this.currentBreakpoint];
+    const candidates = Object.keys(responsive)
+      .filter(name => this.breakpoints[name] !== undefined && this.breakpoints[name] >= currentWidth)
+      .sort((a, b) => this.breakpoints[a] - this.breakpoints[b]);
+
+    return candidates.length > 0 ? responsive[candidates[0]] : null;
+  }
+
+  // Pick the variant of { portrait, landscape } layouts for the current orientation;
+  // other layouts are returned as they are
+  selectOrientationVariant(layout) {
+    if (!this.isOrientationLayout(layout)) return layout;
+    return layout[this.orientation] ?? layout.landscape ?? layout.portrait;
+  }
+
+  isOrientationLayout(layout) {
+    return !!(layout && typeof layout === 'object' && !layout.dsl && !layout.config &&
+      !Array.isArray(layout.widgets) && ('portrait' in layout || 'landscape' in layout));
+  }
+
+  // True when the layout can change with the breakpoint or orientation
+  hasResponsiveLayout(layout) {
+    const definition = typeof layout === 'string' ? this.layouts.get(layout) : layout;
+    if (!definition || typeof definition !== 'object') return false;
+    if (this.isOrientationLayout(definition)) return true;
+    return !!(definition.responsive || definition.portrait || definition.landscape);
+  }
+
+  isLayoutDSL(text) {
+    return /^\s*grid:/m.test(text) || /^\s*widget\s+\S+\s+at\s/m.test(text);
+  }
+
+  // JSON grid form uses 0-based row/col with optional rowSpan/colSpan
+  parseGridJSON(layout) {
+    return {
+      type: 'grid',
+      columns: parseInt(layout.columns) || 1,
+      rows: parseInt(layout.rows) || 1,
+      gap: layout.gap || '16px',
+      widgets: layout.widgets.map((widget, index) => ({
+        id: String(widget.id ?? `slot-${index}`),
+        x: parseInt(widget.col) || 0,
+        y: parseInt(widget.row) || 0,
+        width: parseInt(widget.colSpan) || 1,
+        height: parseInt(widget.rowSpan) || 1
+      }))
+    };
+  }
+
   async applyLayout(layoutId, options = {}) {
     try {
       let layout;
@@ -256,14 +436,7 @@ export class LayoutEngine {
         layout = layoutId;
       }
 
-      let config = layout.config;
-      if (!config && layout.dsl) {
-        if (layout.responsive && layout.responsive[this.currentBreakpoint]) {
-          config = this.parseLayoutDSL(layout.responsive[this.currentBreakpoint]);
-        } else {
-          config = this.parseLayoutDSL(layout.dsl);
-        }
-      }
+      const config = this.getLayoutConfig(layout);
 
       await this.applyLayoutConfig(config, options);
       
@@ -398,7 +571,8 @@ export class LayoutEngine {
       key,
       name: layout.name,
       description: layout.description,
-      hasResponsive: !!layout.responsive
+      hasResponsive: !!layout.responsive,
+      hasPortrait: !!layout.portrait
     }));
   }
 
@@ -407,7 +581,8 @@ export class LayoutEngine {
       name,
       description: options.description || 'Custom layout',
       dsl,
-      responsive: options.responsive || null
+      responsive: options.responsive || null,
+      portrait: options.portrait || null
     };
 
     this.layouts.set(`custom-${name.toLowerCase().replace(/\s+/g, '-')}`, layout);
@@ -453,11 +628,34 @@ export class LayoutEngine {
     });
   }
 
+  /**
+   * Turn a full-screen overlay that lives outside #app (alerts, settings) along with the board
+   * @param {HTMLElement} element - Element covering the whole viewport
+   * @returns {Function} Call to stop rotating it
+   */
+  rotateWith(element) {
+    this.rotatedElements.add(element);
+    this.applyRotationClass(element);
+
+    return () => {
+      this.rotatedElements.delete(element);
+      ROTATIONS.forEach(value => element.classList.remove(`luma-rotate-${value}`));
+    };
+  }
+
+  applyRotationClass(element) {
+    ROTATIONS.forEach(value => element.classList.toggle(`luma-rotate-${value}`, value !== 0 && value === this.rotation));
+  }
+
   destroy() {
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
 
+    if (this.rotationTarget) {
+      ROTATIONS.forEach(value => this.rotationTarget.classList.remove(`luma-rotate-${value}`));
+    }
+
     if (this.gridContainer && this.gridContainer.parentNode) {
       this.gridContainer.parentNode.removeChild(this.gridContainer);
     }
@@ -467,6 +665,8 @@ export class LayoutEngine {
     this.observers.clear();
     this.currentLayout = null;
     this.gridContainer = null;
+    this.rotationTarget = null;
+    this.rotatedElements.clear();
 
     console.log('LayoutEngine: Destroyed');
   }
@@ -1,17 +1,30 @@
+import { dataService } from '../dataService.js';
+import { parseFeed, mergeFeedItems } from '../newsFeeds.js';
+import { escapeHTML } from '../sanitize.js';
+import dataProvenance, { reportDataState, isMockDataAllowed } from '../dataProvenance.js';
+
 export class NewsTickerWidget extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
     this.config = {
-      feedUrl: 'https://feeds.npr.org/1001/rss.xml',
+      feedUrl: 'https://feeds.npr.org/1001/rss.xml', // Used when sources is empty
+      sources: [], // RSS, Atom or JSON Feed URLs, or objects {url, name}
       refreshInterval: 15, // minutes
       maxItems: 10,
       scrollSpeed: 50, // pixels per second
       pauseOnHover: true,
       showSource: true,
+      includeKeywords: [], // Only show items mentioning one of these
+      excludeKeywords: [], // Hide items mentioning any of these
       ...this.config
     };
     this.newsItems = [];
+    this.feedItems = new Map();
+    this.feedTimestamps = new Map();
+    this.feedStates = new Map();
+    this.usingMockData = false;
+    this.loadError = null;
     this.refreshTimer = null;
     this.scrollAnimation = null;
     this.lastUpdate = null;
@@ -38,93 +51,109 @@ export class NewsTickerWidget extends HTMLElement {
     this.stopScrolling();
   }
 
+  /**
+   * Normalize the configured feeds to {url, name} objects
+   * @returns {Array<{url: string, name: string}>}
+   */
+  getFeeds() {
+    const sources = Array.isArray(this.config.sources) && this.config.sources.length > 0
+      ? this.config.sources
+      : [this.config.feedUrl];
+
+    return sources
+      .map(source => typeof source === 'string' ? { url: source, name: '' } : { name: '', ...source })
+      .filter(feed => feed.url);
+  }
+
   async loadNewsData() {
-    try {
-      // Try to fetch fresh data
-      const freshData = await this.fetchNewsData();
-      if (freshData && freshData.length > 0) {
-        this.newsItems = freshData;
-        this.lastUpdate = new Date();
-        this.cacheNewsData(freshData);
-      } else {
-        // Fall back to cached data
-        this.newsItems = this.getCachedNewsData() || [];
+    const feeds = this.getFeeds();
+    const results = await Promise.allSettled(feeds.map(feed => this.loadFeed(feed)));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.warn(`NewsTickerWidget: Failed to load feed ${feeds[index].url}`, result.reason);
       }
-    } catch (error) {
-      console.warn('NewsTickerWidget: Failed to load news data', error);
-      // Try cached data as fallback
-      this.newsItems = this.getCachedNewsData() || [];
-    }
+    });
 
-    this.render();
-    this.startScrolling();
+    if (results.some(result => result.status === 'fulfilled')) {
+      this.updateNewsItems();
+    } else if (isMockDataAllowed()) {
+      console.warn('NewsTickerWidget: No feeds could be loaded, using mock data');
+      this.newsItems = this.getMockNewsData();
+      this.usingMockData = true;
+      this.loadError = null;
+      reportDataState(this, 'mock', { source: 'news', message: 'No feeds could be loaded' });
+      this.render();
+      this.startScrolling();
+    } else {
+      console.warn('NewsTickerWidget: No feeds could be loaded and mock data is disabled');
+      this.newsItems = [];
+      this.usingMockData = false;
+      this.loadError = 'News unavailable';
+      reportDataState(this, 'error', { source: 'news', message: 'No feeds could be loaded' });
+      this.render();
+    }
   }
 
-  async fetchNewsData() {
-    try {
-      // Note: Direct RSS fetching might be blocked by CORS
-      // In a real implementation, you might need a proxy service
-      // For demo purposes, we'll use a CORS proxy or fallback to mock data
-      
-      let response;
-      try {
-        // Try direct fetch first
-        response = await fetch(this.config.feedUrl);
-      } catch (corsError) {
-        // If CORS fails, try with a CORS proxy (for demo)
-        const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(this.config.feedUrl)}`;
-        const proxyResponse = await fetch(proxyUrl);
-        const proxyData = await proxyResponse.json();
-        
-        // Create a mock response with the contents
-        response = {
-          ok: true,
-          text: () => Promise.resolve(proxyData.contents)
-        };
+  async loadFeed(feed) {
+    // Feeds without CORS headers are retried through the data service's configured proxy
+    const result = await dataService.fetchText(feed.url, {
+      key: this.getCacheKey(feed.url),
+      source: 'news',
+      // Half the refresh interval so scheduled refreshes always revalidate
+      ttl: this.config.refreshInterval * 60 / 2,
+      maxAge: 60 * 60,
+      onUpdate: (update) => {
+        this.applyFeedResult(feed, update);
+        this.updateNewsItems();
       }
+    });
+    this.applyFeedResult(feed, result);
+  }
 
-      if (!response.ok) {
-        throw new Error(`RSS fetch error: ${response.status}`);
-      }
+  applyFeedResult(feed, result) {
+    const parsed = parseFeed(result.data, feed.name);
+    const label = parsed.items[0]?.source || this.getHostname(feed.url);
 
-      const xmlText = await response.text();
-      return this.parseRSSFeed(xmlText);
-    } catch (error) {
-      console.warn('NewsTickerWidget: Fetch failed, using mock data', error);
-      // Return mock data for demo purposes
-      return this.getMockNewsData();
-    }
+    this.feedItems.set(feed.url, parsed.items.map(item => ({ ...item, source: item.source || label })));
+    // Freshness reflects when each feed was actually fetched, not when it was rendered
+    this.feedTimestamps.set(feed.url, result.fetchedAt);
+    this.feedStates.set(feed.url, dataProvenance.getStateForResult(result, this.config));
+  }
+
+  updateNewsItems() {
+    const urls = this.getFeeds().map(feed => feed.url).filter(url => this.feedItems.has(url));
+
+    this.newsItems = mergeFeedItems(urls.map(url => this.feedItems.get(url)), {
+      include: this.config.includeKeywords,
+      exclude: this.config.excludeKeywords,
+      maxItems: this.config.maxItems
+    });
+
+    // The ticker is only as fresh as its oldest feed
+    const timestamps = urls.map(url => this.feedTimestamps.get(url));
+    this.lastUpdate = timestamps.length > 0 ? new Date(Math.min(...timestamps)) : null;
+    this.usingMockData = false;
+    this.loadError = null;
+
+    reportDataState(this, dataProvenance.combineStates(urls.map(url => this.feedStates.get(url))), {
+      source: 'news',
+      fetchedAt: this.lastUpdate
+    });
+
+    this.render();
+    this.startScrolling();
+  }
+
+  getCacheKey(url = this.getFeeds()[0]?.url) {
+    return `news:${url}`;
   }
 
-  parseRSSFeed(xmlText) {
+  getHostname(url) {
     try {
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-      
-      const items = xmlDoc.querySelectorAll('item');
-      const newsItems = [];
-      
-      for (let i = 0; i < Math.min(items.length, this.config.maxItems); i++) {
-        const item = items[i];
-        const title = item.querySelector('title')?.textContent?.trim();
-        const link = item.querySelector('link')?.textContent?.trim();
-        const pubDate = item.querySelector('pubDate')?.textContent?.trim();
-        const description = item.querySelector('description')?.textContent?.trim();
-        
-        if (title) {
-          newsItems.push({
-            title,
-            link,
-            pubDate: pubDate ? new Date(pubDate) : new Date(),
-            description: this.stripHtml(description || '').substring(0, 200)
-          });
-        }
-      }
-      
-      return newsItems;
-    } catch (error) {
-      console.warn('NewsTickerWidget: RSS parsing failed', error);
-      return this.getMockNewsData();
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return '';
     }
   }
 
@@ -157,39 +186,8 @@ export class NewsTickerWidget extends HTMLElement {
     ];
   }
 
-  stripHtml(html) {
-    const div = document.createElement('div');
-    div.innerHTML = html;
-    return div.textContent || div.innerText || '';
-  }
-
-  cacheNewsData(data) {
-    try {
-      const cacheKey = `news_${this.config.feedUrl}`;
-      localStorage.setItem(cacheKey, JSON.stringify({
-        data,
-        timestamp: Date.now()
-      }));
-    } catch (error) {
-      console.warn('NewsTickerWidget: Failed to cache data', error);
-    }
-  }
-
-  getCachedNewsData() {
-    try {
-      const cacheKey = `news_${this.config.feedUrl}`;
-      const cached = localStorage.getItem(cacheKey);
-      if (cached) {
-        const { data, timestamp } = JSON.parse(cached);
-        // Use cached data if less than 1 hour old
-        if (Date.now() - timestamp < 60 * 60 * 1000) {
-          return data;
-        }
-      }
-    } catch (error) {
-      console.warn('NewsTickerWidget: Failed to load cached data', error);
-    }
-    return null;
+  escapeAttribute(value) {
+    return escapeHTML(String(value)).replace(/"/g, '&quot;');
   }
 
   render() {
@@ -281,6 +279,31 @@ export class NewsTickerWidget extends HTMLElement {
           font-size: 1rem;
         }
         
+        .news-source {
+          font-size: 0.7rem;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          background: rgba(255, 255, 255, 0.25);
+          border-radius: 4px;
+          padding: 0.1rem 0.4rem;
+          margin-right: 0.5rem;
+        }
+        
+        .badge {
+          font-size: 0.65rem;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          border-radius: 4px;
+          padding: 0.15rem 0.45rem;
+        }
+        
+        .badge.demo {
+          background: #fdcb6e;
+          color: #2d3436;
+        }
+        
         .loading-state {
           display: flex;
           align-items: center;
@@ -330,16 +353,22 @@ export class NewsTickerWidget extends HTMLElement {
             <div class="title">
               📰 News Ticker
             </div>
+            ${this.usingMockData ? '<span class="badge demo" title="No feed could be loaded; these headlines are not real">Demo data</span>' : ''}
           </div>
           <div class="ticker-container">
             ${hasData ? `
               <div class="ticker-content">
                 ${this.newsItems.map(item => `
-                  <div class="news-item" title="${item.description}">
-                    ${item.title}
+                  <div class="news-item" title="${this.escapeAttribute(item.description || '')}">
+                    ${this.config.showSource && item.source ? `<span class="news-source">${escapeHTML(item.source)}</span>` : ''}
+                    ${escapeHTML(item.title)}
                   </div>
                 `).join('')}
               </div>
+            ` : this.loadError ? `
+              <div class="no-data">
+                ${escapeHTML(this.loadError)}
+              </div>
             ` : `
               <div class="loading-state">
                 Loading news...
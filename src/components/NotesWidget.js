@@ -0,0 +1,434 @@
+import { renderMarkdown } from '../markdown.js';
+import { sanitizeHTML, escapeHTML } from '../sanitize.js';
+import { dataService } from '../dataService.js';
+import dataProvenance, { reportDataState } from '../dataProvenance.js';
+
+export class NotesWidget extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.config = {
+      title: 'Notes',
+      notes: '', // Markdown string or array of markdown blocks
+      quotes: [], // Strings or { text, author }
+      quotesUrl: '', // JSON array in the same shape, or plain text with one quote per line
+      quoteInterval: 20, // seconds between quotes
+      quoteRefreshInterval: 60, // minutes between quotesUrl refreshes
+      todos: [], // Strings or { id, text, done }
+      todoTitle: 'To Do',
+      storageKey: '', // localStorage key for todo check state, derived from title when empty
+      ...this.config
+    };
+    this.remoteQuotes = null;
+    this.quoteIndex = 0;
+    this.quoteTimer = null;
+    this.refreshTimer = null;
+    this.lastUpdate = null;
+    this.todoState = {};
+
+    this.handleStorage = this.handleStorage.bind(this);
+  }
+
+  connectedCallback() {
+    // Override config with any passed configuration
+    if (this.hasAttribute('config')) {
+      try {
+        const configAttr = JSON.parse(this.getAttribute('config'));
+        this.config = { ...this.config, ...configAttr };
+      } catch (e) {
+        console.warn('NotesWidget: Invalid config attribute');
+      }
+    }
+
+    this.todoState = this.loadTodoState();
+    window.addEventListener('storage', this.handleStorage);
+    this.render();
+    this.startQuoteRotation();
+
+    if (this.config.quotesUrl) {
+      this.loadQuotes();
+      this.startRefreshTimer();
+    }
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('storage', this.handleStorage);
+    this.stopQuoteRotation();
+    this.stopRefreshTimer();
+  }
+
+  async loadQuotes() {
+    try {
+      const result = await dataService.request(`quotes:${this.config.quotesUrl}`, () => this.fetchQuotes(this.config.quotesUrl), {
+        source: 'quotes',
+        // Half the refresh interval so scheduled refreshes always revalidate
+        ttl: this.config.quoteRefreshInterval * 60 / 2,
+        maxAge: 7 * 24 * 60 * 60,
+        onUpdate: (update) => this.applyQuotesResult(update)
+      });
+      this.applyQuotesResult(result);
+    } catch (error) {
+      console.warn('NotesWidget: Failed to load quotes', error);
+      // Configured quotes still show, but they are a substitute for the remote list
+      reportDataState(this, 'fallback', { source: 'quotes', message: error.message });
+    }
+  }
+
+  applyQuotesResult(result) {
+    this.remoteQuotes = result.data;
+    this.lastUpdate = new Date(result.fetchedAt);
+    reportDataState(this, dataProvenance.getStateForResult(result, this.config), {
+      source: 'quotes',
+      fetchedAt: result.fetchedAt
+    });
+    this.quoteIndex = 0;
+    this.render();
+  }
+
+  async fetchQuotes(url) {
+    const response = await dataService.fetch(url);
+    const text = await response.text();
+    try {
+      const data = JSON.parse(text);
+      return Array.isArray(data) ? data : (data.quotes || []);
+    } catch (e) {
+      // Plain text, one quote per line
+      return text.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+  }
+
+  getQuotes() {
+    const quotes = this.remoteQuotes && this.remoteQuotes.length > 0
+      ? this.remoteQuotes
+      : this.config.quotes;
+
+    return (quotes || [])
+      .map(quote => typeof quote === 'string' ? { text: quote } : quote)
+      .filter(quote => quote && quote.text);
+  }
+
+  getCurrentQuote() {
+    const quotes = this.getQuotes();
+    if (quotes.length === 0) return null;
+    return quotes[this.quoteIndex % quotes.length];
+  }
+
+  nextQuote() {
+    const quotes = this.getQuotes();
+    if (quotes.length <= 1) return;
+
+    this.quoteIndex = (this.quoteIndex + 1) % quotes.length;
+    this.renderQuote();
+  }
+
+  getNotesHTML() {
+    const notes = Array.isArray(this.config.notes)
+      ? this.config.notes.join('\n\n')
+      : this.config.notes;
+
+    return sanitizeHTML(renderMarkdown(notes), { level: 'moderate' });
+  }
+
+  getStorageKey() {
+    return `notes_todos_${this.config.storageKey || this.config.title}`;
+  }
+
+  getTodos() {
+    return (this.config.todos || []).map((todo, index) => {
+      const item = typeof todo === 'string' ? { text: todo } : todo;
+      const id = String(item.id || item.text || index);
+      return {
+        id,
+        text: item.text || '',
+        done: id in this.todoState ? this.todoState[id] : !!item.done
+      };
+    });
+  }
+
+  loadTodoState() {
+    try {
+      const stored = localStorage.getItem(this.getStorageKey());
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.warn('NotesWidget: Failed to load todo state', error);
+      return {};
+    }
+  }
+
+  saveTodoState() {
+    try {
+      localStorage.setItem(this.getStorageKey(), JSON.stringify(this.todoState));
+    } catch (error) {
+      console.warn('NotesWidget: Failed to save todo state', error);
+    }
+  }
+
+  toggleTodo(id) {
+    const todo = this.getTodos().find(item => item.id === id);
+    if (!todo) return;
+
+    this.todoState[id] = !todo.done;
+    this.saveTodoState();
+    this.render();
+  }
+
+  resetTodos() {
+    this.todoState = {};
+    this.getTodos().forEach(todo => {
+      this.todoState[todo.id] = false;
+    });
+    this.saveTodoState();
+    this.render();
+  }
+
+  handleStorage(event) {
+    // Keep other tabs/windows showing the same checklist in sync
+    if (event.key === this.getStorageKey()) {
+      this.todoState = this.loadTodoState();
+      this.render();
+    }
+  }
+
+  startQuoteRotation() {
+    this.stopQuoteRotation();
+    this.quoteTimer = setInterval(() => {
+      this.nextQuote();
+    }, this.config.quoteInterval * 1000);
+  }
+
+  stopQuoteRotation() {
+    if (this.quoteTimer) {
+      clearInterval(this.quoteTimer);
+      this.quoteTimer = null;
+    }
+  }
+
+  startRefreshTimer() {
+    this.stopRefreshTimer();
+    this.refreshTimer = setInterval(() => {
+      this.loadQuotes();
+    }, this.config.quoteRefreshInterval * 60 * 1000);
+  }
+
+  stopRefreshTimer() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  getQuoteMarkup() {
+    const quote = this.getCurrentQuote();
+    if (!quote) return '';
+
+    return `
+      <div class="quote-text">“${escapeHTML(quote.text)}”</div>
+      ${quote.author ? `<div class="quote-author">— ${escapeHTML(quote.author)}</div>` : ''}
+    `;
+  }
+
+  renderQuote() {
+    const quoteElement = this.shadowRoot.querySelector('.quote');
+    if (quoteElement) {
+      quoteElement.innerHTML = this.getQuoteMarkup();
+    }
+  }
+
+  escapeAttribute(value) {
+    return escapeHTML(String(value)).replace(/"/g, '&quot;');
+  }
+
+  render() {
+    const notesHTML = this.getNotesHTML();
+    const hasQuotes = this.getQuotes().length > 0;
+    const todos = this.getTodos();
+    const remaining = todos.filter(todo => !todo.done).length;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        .notes-widget {
+          display: flex;
+          flex-direction: column;
+          gap: 0.8rem;
+          background: linear-gradient(135deg, #fdcb6e 0%, #e17055 100%);
+          color: #2d3436;
+          border-radius: 12px;
+          padding: 1rem;
+          height: 100%;
+          box-sizing: border-box;
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          overflow: hidden;
+        }
+
+        .header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding-bottom: 0.5rem;
+          border-bottom: 1px solid rgba(45, 52, 54, 0.3);
+        }
+
+        .title {
+          font-size: 1.2rem;
+          font-weight: 600;
+        }
+
+        .notes {
+          font-size: 0.95rem;
+          line-height: 1.4;
+          overflow: auto;
+          min-height: 0;
+        }
+
+        .notes h1, .notes h2, .notes h3, .notes h4, .notes h5, .notes h6 {
+          margin: 0.4rem 0;
+        }
+
+        .notes p, .notes ul, .notes ol {
+          margin: 0.3rem 0;
+        }
+
+        .notes a {
+          color: inherit;
+        }
+
+        .notes .blockquote {
+          border-left: 3px solid rgba(45, 52, 54, 0.4);
+          padding-left: 0.6rem;
+          font-style: italic;
+          margin: 0.3rem 0;
+        }
+
+        .notes .code {
+          font-family: monospace;
+          background: rgba(255, 255, 255, 0.4);
+          padding: 0 0.25rem;
+          border-radius: 3px;
+        }
+
+        .notes .strike {
+          text-decoration: line-through;
+        }
+
+        .notes .rule {
+          border-top: 1px solid rgba(45, 52, 54, 0.3);
+          margin: 0.5rem 0;
+        }
+
+        .quote {
+          background: rgba(255, 255, 255, 0.35);
+          border-radius: 8px;
+          padding: 0.6rem 0.8rem;
+        }
+
+        .quote-text {
+          font-size: 1rem;
+          font-style: italic;
+        }
+
+        .quote-author {
+          font-size: 0.8rem;
+          opacity: 0.8;
+          text-align: right;
+          margin-top: 0.3rem;
+        }
+
+        .todos {
+          flex: 1;
+          min-height: 0;
+          overflow: auto;
+        }
+
+        .todo-header {
+          display: flex;
+          justify-content: space-between;
+          font-weight: 600;
+          margin-bottom: 0.4rem;
+        }
+
+        .todo-count {
+          font-size: 0.8rem;
+          font-weight: 400;
+          opacity: 0.8;
+        }
+
+        .todo-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .todo-item {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.3rem 0;
+          cursor: pointer;
+        }
+
+        .todo-item input {
+          width: 1.1rem;
+          height: 1.1rem;
+          cursor: pointer;
+        }
+
+        .todo-item.done .todo-text {
+          text-decoration: line-through;
+          opacity: 0.6;
+        }
+      </style>
+      <div class="notes-widget">
+        <div class="header">
+          <div class="title">📝 ${escapeHTML(this.config.title)}</div>
+        </div>
+        ${notesHTML ? `<div class="notes">${notesHTML}</div>` : ''}
+        ${hasQuotes ? `<div class="quote">${this.getQuoteMarkup()}</div>` : ''}
+        ${todos.length > 0 ? `
+          <div class="todos">
+            <div class="todo-header">
+              <span>${escapeHTML(this.config.todoTitle)}</span>
+              <span class="todo-count">${remaining} of ${todos.length} left</span>
+            </div>
+            <ul class="todo-list">
+              ${todos.map(todo => `
+                <li class="todo-item ${todo.done ? 'done' : ''}" data-id="${this.escapeAttribute(todo.id)}">
+                  <input type="checkbox" ${todo.done ? 'checked' : ''} aria-label="${this.escapeAttribute(todo.text)}">
+                  <span class="todo-text">${escapeHTML(todo.text)}</span>
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        ` : ''}
+      </div>
+    `;
+
+    this.shadowRoot.querySelectorAll('.todo-item').forEach(item => {
+      item.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.toggleTodo(item.dataset.id);
+      });
+    });
+  }
+
+  // Widget contract methods
+  init(config) {
+    this.config = { ...this.config, ...config };
+    this.todoState = this.loadTodoState();
+    this.render();
+  }
+
+  async refresh() {
+    if (this.config.quotesUrl) {
+      await this.loadQuotes();
+    } else {
+      this.render();
+    }
+  }
+
+  destroy() {
+    this.stopQuoteRotation();
+    this.stopRefreshTimer();
+  }
+}
+
+customElements.define('notes-widget', NotesWidget);
@@ -2,6 +2,9 @@
  * Offline Fallback System for LumaBoard
  * Provides alternative content when network is unavailable
  */
+import { serviceWorkerManager } from '../serviceWorker.js';
+import { isMockDataAllowed } from '../dataProvenance.js';
+
 export class OfflineFallback {
   constructor(options = {}) {
     this.options = {
@@ -204,6 +207,12 @@ export class OfflineFallback {
     
     // If no custom fallback scenes, create default ones
     if (!fallbackScenes || fallbackScenes.length === 0) {
+      if (!isMockDataAllowed()) {
+        // Keep the configured scenes; their widgets serve cached data and report it as such
+        console.log('OfflineFallback: No fallback scenes configured and mock data is disabled, keeping current scenes');
+        this.originalScenes = null;
+        return;
+      }
       fallbackScenes = this.createDefaultFallbackScenes();
     }
     
@@ -216,6 +225,7 @@ export class OfflineFallback {
 
   /**
    * Create default fallback scenes
+   * Widgets in these scenes carry "offline: true" and report their data as fallback
    */
   createDefaultFallbackScenes() {
     return [
@@ -513,7 +523,8 @@ export class OfflineFallback {
       retryCount: this.retryCount,
       maxRetries: this.options.retryAttempts,
       cacheStrategy: this.options.cacheStrategy,
-      wasOffline: this.wasOffline
+      wasOffline: this.wasOffline,
+      cache: serviceWorkerManager.getStatus()
     };
   }
 
@@ -1,3 +1,5 @@
+import { encodeQR } from '../qrcode.js';
+
 export class QRCodeWidget extends HTMLElement {
   constructor() {
     super();
@@ -31,10 +33,6 @@ export class QRCodeWidget extends HTMLElement {
   }
 
   generateQRCode() {
-    // Simple QR code generation using a library-free approach
-    // In a real implementation, you'd use a QR code library like qrcode.js
-    // For demo purposes, we'll create a placeholder pattern
-    
     const canvas = this.shadowRoot.querySelector('.qr-canvas');
     if (!canvas) return;
 
@@ -47,24 +45,31 @@ export class QRCodeWidget extends HTMLElement {
     ctx.fillStyle = this.config.backgroundColor;
     ctx.fillRect(0, 0, size, size);
 
-    // Generate a simple pattern (not a real QR code)
-    // In production, use a proper QR code library
-    this.generateQRPattern(ctx, size);
+    try {
+      this.generateQRPattern(ctx, size);
+    } catch (error) {
+      console.error('QRCodeWidget: Failed to encode QR code:', error);
+      this.showEncodeError(canvas, error);
+    }
   }
 
   generateQRPattern(ctx, size) {
-    const moduleSize = Math.floor(size / 25); // 25x25 grid
-    ctx.fillStyle = this.config.foregroundColor;
-
-    // Create a simple pattern that looks like a QR code
     const pattern = this.createQRPattern();
-    
-    for (let row = 0; row < 25; row++) {
-      for (let col = 0; col < 25; col++) {
-        if (pattern[row] && pattern[row][col]) {
+    const count = pattern.length;
+    const quietZone = 4; // Modules of light margin required around the symbol
+    const totalModules = count + quietZone * 2;
+
+    // Use whole-pixel modules when possible so edges stay crisp for scanners
+    const moduleSize = size >= totalModules ? Math.floor(size / totalModules) : size / totalModules;
+    const offset = (size - moduleSize * count) / 2;
+
+    ctx.fillStyle = this.config.foregroundColor;
+    for (let row = 0; row < count; row++) {
+      for (let col = 0; col < count; col++) {
+        if (pattern[row][col]) {
           ctx.fillRect(
-            col * moduleSize,
-            row * moduleSize,
+            offset + col * moduleSize,
+            offset + row * moduleSize,
             moduleSize,
             moduleSize
           );
@@ -74,63 +79,90 @@ export class QRCodeWidget extends HTMLElement {
   }
 
   createQRPattern() {
-    // Create a pattern that resembles a QR code
-    const pattern = Array(25).fill().map(() => Array(25).fill(false));
-    
-    // Add finder patterns (corners)
-    this.addFinderPattern(pattern, 0, 0);
-    this.addFinderPattern(pattern, 0, 18);
-    this.addFinderPattern(pattern, 18, 0);
-    
-    // Add timing patterns
-    for (let i = 8; i < 17; i++) {
-      pattern[6][i] = i % 2 === 0;
-      pattern[i][6] = i % 2 === 0;
-    }
-    
-    // Add some data pattern based on the input
-    const dataHash = this.simpleHash(this.config.data);
-    for (let row = 9; row < 17; row++) {
-      for (let col = 9; col < 17; col++) {
-        pattern[row][col] = ((row + col + dataHash) % 3) === 0;
-      }
-    }
-    
-    return pattern;
+    const qr = encodeQR(this.buildPayload(), {
+      errorCorrectionLevel: this.config.errorCorrectionLevel
+    });
+    this.qrInfo = { version: qr.version, mode: qr.mode, mask: qr.mask };
+    return qr.modules;
   }
 
-  addFinderPattern(pattern, startRow, startCol) {
-    // 7x7 finder pattern
-    for (let row = 0; row < 7; row++) {
-      for (let col = 0; col < 7; col++) {
-        const r = startRow + row;
-        const c = startCol + col;
-        if (r < 25 && c < 25) {
-          // Outer border
-          if (row === 0 || row === 6 || col === 0 || col === 6) {
-            pattern[r][c] = true;
-          }
-          // Inner square
-          else if (row >= 2 && row <= 4 && col >= 2 && col <= 4) {
-            pattern[r][c] = true;
-          }
+  /**
+   * Build the string that is actually encoded, using the standard
+   * URI / WIFI: formats for structured data types
+   * @returns {string} QR payload
+   */
+  buildPayload() {
+    const data = this.config.data;
+    const fields = data && typeof data === 'object' ? data : {};
+    const text = typeof data === 'string' ? data : '';
+
+    switch (this.config.dataType) {
+      case 'wifi': {
+        if (/^WIFI:/i.test(text)) return text;
+        const encryption = fields.encryption || (fields.password ? 'WPA' : 'nopass');
+        let payload = `WIFI:T:${encryption};S:${this.escapeWifiValue(fields.ssid || text)};`;
+        if (encryption !== 'nopass') {
+          payload += `P:${this.escapeWifiValue(fields.password || '')};`;
         }
+        if (fields.hidden) {
+          payload += 'H:true;';
+        }
+        return payload + ';';
+      }
+
+      case 'email': {
+        if (/^mailto:/i.test(text)) return text;
+        const params = [];
+        if (fields.subject) params.push(`subject=${encodeURIComponent(fields.subject)}`);
+        if (fields.body) params.push(`body=${encodeURIComponent(fields.body)}`);
+        const address = fields.to || fields.address || text;
+        return `mailto:${address}${params.length ? '?' + params.join('&') : ''}`;
+      }
+
+      case 'phone': {
+        if (/^tel:/i.test(text)) return text;
+        return `tel:${this.normalizePhoneNumber(fields.number || text)}`;
       }
+
+      case 'sms': {
+        if (/^(SMSTO|sms):/i.test(text)) return text;
+        const number = this.normalizePhoneNumber(fields.number || text);
+        return fields.message ? `SMSTO:${number}:${fields.message}` : `SMSTO:${number}`;
+      }
+
+      default:
+        return text || (data == null ? '' : String(data));
     }
   }
 
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  escapeWifiValue(value) {
+    return String(value).replace(/([\\;,:"])/g, '\\$1');
+  }
+
+  normalizePhoneNumber(number) {
+    return String(number).replace(/[^\d+]/g, '');
+  }
+
+  showEncodeError(canvas, error) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'qr-placeholder';
+    placeholder.innerHTML = `
+      <div>⚠️</div>
+      <div>${/too long/i.test(error.message) ? 'Data too long for a QR code' : 'Unable to generate QR code'}</div>
+    `;
+    canvas.replaceWith(placeholder);
+  }
+
+  getDisplayData() {
+    const data = this.config.data;
+    if (data && typeof data === 'object') {
+      return String(data.to || data.address || data.number || data.ssid || '');
     }
-    return Math.abs(hash);
+    return data == null ? '' : String(data);
   }
 
   formatDataForDisplay() {
-    const data = this.config.data;
+    const data = this.getDisplayData();
     
     switch (this.config.dataType) {
       case 'url':
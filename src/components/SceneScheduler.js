@@ -1,7 +1,31 @@
 /**
  * Scene Scheduler Component for LumaBoard
  * Handles time-based scene switching and advanced scheduling
+ *
+ * A schedule is active when every rule it sets matches:
+ *   dateRange, daysOfWeek, timeRange (may wrap past midnight),
+ *   cron ("min hour day month weekday", active during matching minutes, or for
+ *     cronDuration minutes after each match),
+ *   nthWeekday ({ weekday, n } or a list; n = -1 for the last one in the month, optional month),
+ *   exceptDates (dates the schedule is off),
+ *   onHolidays ('include', 'exclude' or 'only', against the scheduler's holidays list).
+ * Dates are "YYYY-MM-DD", or "MM-DD" to recur every year.
+ * Rules read wall-clock time in the scheduler's timezone (an IANA zone, or 'local'), so
+ * "09:00" stays 09:00 across DST changes; a time skipped by a DST gap fires after the gap.
+ * Overlaps resolve by priority (highest first), then by order in the schedules list.
+ *
+ * A schedule picks what plays from the board's own scenes: "scenes" lists scene names,
+ * "tags" adds every scene carrying one of them, and "playlist" names a playlist or gives one
+ * inline. The config's scenes stay as they are; when no schedule is active the board goes
+ * back to the timeline, scene and rotation it had before the first one took over.
  */
+import { parseCron } from '../cron.js';
+import { ScenePlaylist, parsePlaylist } from '../scenePlaylist.js';
+import timeService, { now, getZonedParts, zonedTimeToTimestamp, toRealDelay, CLOCK_CHANGE_EVENT } from '../time.js';
+
+// How far previews look back for the start of the active schedule
+const PREVIEW_LOOKBACK = 7 * 24 * 60 * 60 * 1000;
+
 export class SceneScheduler {
   constructor(sceneEngine, config = {}) {
     this.sceneEngine = sceneEngine;
@@ -11,14 +35,21 @@ export class SceneScheduler {
       defaultDuration: config.defaultDuration || 30, // seconds
       transitionDuration: config.transitionDuration || 1000, // milliseconds
       schedules: config.schedules || [],
+      holidays: config.holidays || [],
       ...config
     };
     
+    this.cronCache = new Map();
+    
     this.currentSchedule = null;
+    this.baseState = null; // how the board was playing before a schedule took over
+    this.extraScenes = []; // inline scene objects a schedule added to the board's scenes
     this.scheduleTimer = null;
     this.nextScheduleTimer = null;
     this.isActive = false;
     
+    this.handleClockChange = this.handleClockChange.bind(this);
+    
     this.init();
   }
 
@@ -43,6 +74,7 @@ export class SceneScheduler {
     this.isActive = true;
     this.checkCurrentSchedule();
     this.scheduleNextCheck();
+    document.addEventListener(CLOCK_CHANGE_EVENT, this.handleClockChange);
     
     console.log('SceneScheduler: Started');
   }
@@ -56,18 +88,30 @@ export class SceneScheduler {
     this.isActive = false;
     this.clearTimers();
     this.currentSchedule = null;
+    this.applyDefaultBehavior();
+    document.removeEventListener(CLOCK_CHANGE_EVENT, this.handleClockChange);
     
     console.log('SceneScheduler: Stopped');
   }
 
+  /**
+   * Re-plan when the clock is set or its speed changes
+   */
+  handleClockChange() {
+    if (!this.isActive) return;
+    
+    this.clearTimers();
+    this.checkCurrentSchedule();
+    this.scheduleNextCheck();
+  }
+
   /**
    * Check what schedule should be active now
    */
   checkCurrentSchedule() {
     if (!this.isActive) return;
     
-    const now = new Date();
-    const activeSchedule = this.findActiveSchedule(now);
+    const activeSchedule = this.findActiveSchedule(new Date(now()));
     
     if (activeSchedule !== this.currentSchedule) {
       this.switchToSchedule(activeSchedule);
@@ -84,12 +128,7 @@ export class SceneScheduler {
     
     const timeInfo = this.getTimeInfo(time);
     
-    // Sort schedules by priority (higher priority first)
-    const sortedSchedules = [...this.config.schedules].sort((a, b) => 
-      (b.priority || 0) - (a.priority || 0)
-    );
-    
-    for (const schedule of sortedSchedules) {
+    for (const schedule of this.getRankedSchedules()) {
       if (this.isScheduleActive(schedule, timeInfo)) {
         return schedule;
       }
@@ -98,6 +137,17 @@ export class SceneScheduler {
     return null;
   }
 
+  /**
+   * Get schedules in the order they win overlaps: higher priority first,
+   * then earlier in the config so equal priorities always resolve the same way
+   */
+  getRankedSchedules() {
+    return this.config.schedules
+      .map((schedule, index) => ({ schedule, index }))
+      .sort((a, b) => (b.schedule.priority || 0) - (a.schedule.priority || 0) || a.index - b.index)
+      .map(({ schedule }) => schedule);
+  }
+
   /**
    * Check if a schedule is active for the given time
    */
@@ -108,7 +158,16 @@ export class SceneScheduler {
     }
     
     // Check date range
-    if (!this.isInDateRange(schedule, timeInfo.date)) {
+    if (!this.isInDateRange(schedule, timeInfo)) {
+      return false;
+    }
+    
+    // Check exception dates and holidays
+    if (this.matchesDate(schedule.exceptDates, timeInfo.dateKey)) {
+      return false;
+    }
+    
+    if (!this.isValidForHoliday(schedule, timeInfo.dateKey)) {
       return false;
     }
     
@@ -117,24 +176,42 @@ export class SceneScheduler {
       return false;
     }
     
+    // Check nth weekday of the month
+    if (!this.matchesNthWeekday(schedule, timeInfo)) {
+      return false;
+    }
+    
     // Check time range
     if (!this.isInTimeRange(schedule, timeInfo.time)) {
       return false;
     }
     
+    // Check cron expression
+    if (!this.matchesCron(schedule, timeInfo)) {
+      return false;
+    }
+    
     return true;
   }
 
   /**
    * Check if current date is in schedule's date range
+   * "YYYY-MM-DD" bounds are whole days in the scheduler's timezone (both inclusive);
+   * date-times without an offset are wall-clock time there too.
    */
-  isInDateRange(schedule, date) {
+  isInDateRange(schedule, timeInfo) {
     if (!schedule.dateRange) return true;
     
     const { start, end } = schedule.dateRange;
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const timeZone = this.getTimeZone();
     
-    if (start && date < new Date(start)) return false;
-    if (end && date > new Date(end)) return false;
+    if (start) {
+      if (isDate(start) ? timeInfo.dateKey < start : timeInfo.date < timeService.parse(start, timeZone)) return false;
+    }
+    if (end) {
+      if (isDate(end) ? timeInfo.dateKey > end : timeInfo.date > timeService.parse(end, timeZone)) return false;
+    }
     
     return true;
   }
@@ -156,48 +233,150 @@ export class SceneScheduler {
     
     const { start, end } = schedule.timeRange;
     
+    // Overnight windows such as 22:00-06:00 wrap past midnight
+    if (start && end && start > end) {
+      return time >= start || time <= end;
+    }
+    
     if (start && time < start) return false;
     if (end && time > end) return false;
     
     return true;
   }
 
+  /**
+   * Check whether a date is in a list of "YYYY-MM-DD" or yearly "MM-DD" dates
+   * @param {Array<string|Object>} dates - Dates, or objects with a date property
+   * @param {string} dateKey - Date as "YYYY-MM-DD"
+   */
+  matchesDate(dates, dateKey) {
+    if (!Array.isArray(dates)) return false;
+    
+    return dates.some(entry => {
+      const date = typeof entry === 'string' ? entry : entry?.date;
+      return date === dateKey || date === dateKey.slice(5);
+    });
+  }
+
+  /**
+   * Get the holiday on a date from the scheduler's holidays list
+   * @param {string} dateKey - Date as "YYYY-MM-DD"
+   * @returns {Object|null} { date, name }
+   */
+  getHoliday(dateKey) {
+    const holiday = this.config.holidays.find(entry => this.matchesDate([entry], dateKey));
+    if (!holiday) return null;
+    
+    return typeof holiday === 'string' ? { date: holiday, name: null } : { name: null, ...holiday };
+  }
+
+  /**
+   * Check a schedule's onHolidays rule ('include' by default, 'exclude' or 'only')
+   */
+  isValidForHoliday(schedule, dateKey) {
+    const mode = schedule.onHolidays || 'include';
+    if (mode === 'include') return true;
+    
+    const isHoliday = this.getHoliday(dateKey) !== null;
+    return mode === 'only' ? isHoliday : !isHoliday;
+  }
+
+  /**
+   * Check "nth weekday of the month" rules, e.g. { weekday: 1, n: 1 } for the first Monday
+   * or { weekday: 5, n: -1 } for the last Friday. A list matches if any rule does.
+   */
+  matchesNthWeekday(schedule, timeInfo) {
+    if (!schedule.nthWeekday) return true;
+    
+    const rules = Array.isArray(schedule.nthWeekday) ? schedule.nthWeekday : [schedule.nthWeekday];
+    const daysInMonth = new Date(timeInfo.year, timeInfo.month, 0).getDate();
+    
+    return rules.some(rule => {
+      if (rule.weekday !== timeInfo.dayOfWeek) return false;
+      if (rule.month && rule.month !== timeInfo.month) return false;
+      
+      if (rule.n === -1) {
+        return timeInfo.day + 7 > daysInMonth;
+      }
+      return Math.ceil(timeInfo.day / 7) === rule.n;
+    });
+  }
+
+  /**
+   * Check a schedule's cron expression. Without cronDuration the schedule is active during
+   * matching minutes ("* 9-17 * * 1-5"); with it, for that many minutes after each match.
+   */
+  matchesCron(schedule, timeInfo) {
+    if (!schedule.cron) return true;
+    
+    const cron = this.getCron(schedule.cron);
+    if (!cron) return false;
+    
+    const window = Math.max(1, Math.floor(schedule.cronDuration || 1));
+    const timeZone = this.getTimeZone();
+    for (let minutesAgo = 0; minutesAgo < window; minutesAgo++) {
+      if (cron.matches(getZonedParts(timeInfo.date.getTime() - minutesAgo * 60000, timeZone))) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Parse a cron expression once; invalid expressions never match
+   * @param {string} expression - Cron expression
+   * @returns {CronExpression|null}
+   */
+  getCron(expression) {
+    if (!this.cronCache.has(expression)) {
+      try {
+        this.cronCache.set(expression, parseCron(expression));
+      } catch (error) {
+        console.warn(`SceneScheduler: ${error.message}`);
+        this.cronCache.set(expression, null);
+      }
+    }
+    return this.cronCache.get(expression);
+  }
+
   /**
    * Get time information for scheduling
+   * @param {Date} date - Instant
+   * @returns {Object} The instant as date, plus its wall-clock parts in the scheduler's timezone
    */
   getTimeInfo(date) {
-    // Convert to target timezone if specified
-    const targetDate = this.config.timezone === 'local' ? 
-      date : this.convertToTimezone(date, this.config.timezone);
+    const parts = getZonedParts(date, this.getTimeZone());
     
     return {
-      date: targetDate,
-      dayOfWeek: targetDate.getDay(), // 0 = Sunday, 1 = Monday, etc.
-      time: this.formatTime(targetDate),
-      hour: targetDate.getHours(),
-      minute: targetDate.getMinutes()
+      date: new Date(date),
+      dayOfWeek: parts.weekday, // 0 = Sunday, 1 = Monday, etc.
+      time: this.formatTime(parts),
+      hour: parts.hour,
+      minute: parts.minute,
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      dateKey: timeService.toDateKey(parts)
     };
   }
 
   /**
    * Format time as HH:MM for comparison
    */
-  formatTime(date) {
-    return date.toTimeString().slice(0, 5); // "HH:MM"
+  formatTime(parts) {
+    return `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
   }
 
   /**
-   * Convert date to specified timezone (simplified)
+   * Get the configured timezone as an IANA zone, or null for local time
    */
-  convertToTimezone(date, timezone) {
-    // This is a simplified implementation
-    // In production, you'd want to use a library like date-fns-tz or moment-timezone
-    try {
-      return new Date(date.toLocaleString("en-US", { timeZone: timezone }));
-    } catch (error) {
-      console.warn(`SceneScheduler: Invalid timezone '${timezone}', using local time`);
-      return date;
+  getTimeZone() {
+    if (this.resolvedTimeZone === undefined || this.resolvedTimeZoneSource !== this.config.timezone) {
+      this.resolvedTimeZoneSource = this.config.timezone;
+      this.resolvedTimeZone = timeService.resolveTimeZone(this.config.timezone, 'SceneScheduler');
     }
+    return this.resolvedTimeZone;
   }
 
   /**
@@ -225,35 +404,197 @@ export class SceneScheduler {
   applySchedule(schedule) {
     if (!this.sceneEngine) return;
     
-    // Apply scene configuration
-    if (schedule.scenes && schedule.scenes.length > 0) {
-      this.sceneEngine.loadScenes(schedule.scenes);
-      this.sceneEngine.goToScene(0);
+    const engine = this.sceneEngine;
+    const timeline = this.getSchedulePlaylist(schedule);
+    
+    // Remember how the board was playing; between schedules, go back to that first
+    if (this.baseState) {
+      this.restoreBaseState({ render: !timeline && schedule.sceneIndex === undefined });
+    } else {
+      this.baseState = this.captureBaseState();
+    }
+    
+    if (timeline) {
+      this.playTimeline(timeline, schedule.sceneIndex);
+    } else if (schedule.sceneIndex !== undefined) {
+      engine.goToScene(schedule.sceneIndex);
     }
     
-    // Apply rotation settings
+    // Apply rotation settings; a schedule's own timeline rotates unless it says otherwise
     if (schedule.rotation) {
       if (schedule.rotation.enabled) {
         const interval = schedule.rotation.interval || this.config.defaultDuration;
-        this.sceneEngine.startRotation(interval);
+        engine.startRotation(interval);
       } else {
-        this.sceneEngine.stopRotation();
+        engine.stopRotation();
+      }
+    } else if (timeline) {
+      engine.startRotation(engine.rotationInterval);
+    }
+  }
+
+  /**
+   * Build the timeline a schedule plays: its playlist, or else the scenes it names and tags
+   * @param {Object} schedule - Schedule configuration
+   * @returns {{playlist: ScenePlaylist, extraScenes: Array}|null} Null when the schedule keeps the board's timeline
+   */
+  getSchedulePlaylist(schedule) {
+    const baseScenes = this.getBaseScenes();
+    // Inline scene objects are still accepted; one named like a board scene defers to it
+    const extraScenes = (schedule.scenes || []).filter(scene =>
+      scene && typeof scene === 'object' && !baseScenes.some(base => base.name === scene.name));
+    const scenes = [...baseScenes, ...extraScenes];
+    
+    let playlist = null;
+    if (schedule.playlist) {
+      playlist = typeof schedule.playlist === 'string'
+        ? this.sceneEngine?.playlists?.get(schedule.playlist)
+        : parsePlaylist(schedule.playlist, { name: 'inline' });
+      if (!playlist) {
+        console.warn(`SceneScheduler: Unknown playlist '${schedule.playlist}' in schedule '${schedule.name}'`);
+        return null;
+      }
+    } else {
+      const names = this.getScheduleSceneNames(schedule, scenes);
+      if (names.length === 0) {
+        if (schedule.scenes?.length || schedule.tags?.length) {
+          console.warn(`SceneScheduler: Schedule '${schedule.name}' matches no scenes, keeping the current ones`);
+        }
+        return null;
+      }
+      playlist = new ScenePlaylist(names, { name: schedule.name || 'schedule' });
+    }
+    
+    if (!playlist.entries.some(entry => scenes.some(scene => scene.name === entry.scene))) {
+      console.warn(`SceneScheduler: Schedule '${schedule.name}' has no known scenes, keeping the current ones`);
+      return null;
+    }
+    
+    return { playlist, extraScenes };
+  }
+
+  /**
+   * Get the scene names a schedule selects: those listed in "scenes", in order,
+   * then any other scene with one of the schedule's "tags", in config order
+   * @param {Object} schedule - Schedule configuration
+   * @param {Array} scenes - Scenes to pick tagged scenes from
+   * @returns {string[]}
+   */
+  getScheduleSceneNames(schedule, scenes) {
+    const names = (schedule.scenes || [])
+      .map(scene => (typeof scene === 'string' ? scene : scene?.name))
+      .filter(Boolean);
+    const tags = schedule.tags || [];
+    
+    scenes.forEach(scene => {
+      if (scene.tags?.some(tag => tags.includes(tag)) && !names.includes(scene.name)) {
+        names.push(scene.name);
       }
+    });
+    
+    return names;
+  }
+
+  /**
+   * Get the board's own scenes, without any a schedule added
+   */
+  getBaseScenes() {
+    return (this.sceneEngine?.scenes || []).filter(scene => !this.extraScenes.includes(scene));
+  }
+
+  /**
+   * Show a schedule's timeline, starting from its sceneIndex-th entry
+   * @param {{playlist: ScenePlaylist, extraScenes: Array}} timeline - From getSchedulePlaylist()
+   * @param {number} [sceneIndex] - Position in the schedule's timeline
+   */
+  playTimeline(timeline, sceneIndex) {
+    const engine = this.sceneEngine;
+    
+    if (timeline.extraScenes.length > 0) {
+      this.extraScenes = timeline.extraScenes;
+      engine.loadScenes([...engine.scenes, ...timeline.extraScenes]);
+    }
+    
+    engine.usePlaylist(timeline.playlist);
+    if (sceneIndex !== undefined && !engine.playlist.seek(sceneIndex)) {
+      console.warn(`SceneScheduler: sceneIndex ${sceneIndex} is past the end of the schedule's ${engine.playlist.length} scenes`);
     }
     
-    // Apply specific scene if defined
-    if (schedule.sceneIndex !== undefined) {
-      this.sceneEngine.goToScene(schedule.sceneIndex);
+    engine.currentSceneIndex = engine.playlist.current().sceneIndex;
+    engine.renderCurrentScene({ animate: true });
+  }
+
+  /**
+   * Snapshot the board's timeline, scene and rotation before a schedule changes them
+   * @returns {Object} { playlist, position, scene, sceneIndex, rotating, interval }
+   */
+  captureBaseState() {
+    const engine = this.sceneEngine;
+    
+    return {
+      playlist: engine.playlistDefinition,
+      position: engine.playlist ? engine.playlist.position : null,
+      scene: engine.scenes[engine.currentSceneIndex]?.name || null,
+      sceneIndex: engine.currentSceneIndex,
+      rotating: engine.isRotating,
+      interval: engine.rotationInterval
+    };
+  }
+
+  /**
+   * Put the board back to its snapshot: scenes, timeline, scene on screen and rotation
+   * @param {Object} options - { render } false when another schedule renders straight after
+   */
+  restoreBaseState(options = {}) {
+    const engine = this.sceneEngine;
+    const base = this.baseState;
+    if (!engine || !base) return;
+    
+    // Drop the schedule's playlist first so it is not re-bound without its scenes
+    engine.clearPlaylist();
+    if (this.extraScenes.length > 0) {
+      const extraScenes = this.extraScenes;
+      this.extraScenes = [];
+      engine.loadScenes(engine.scenes.filter(scene => !extraScenes.includes(scene)));
+    }
+    
+    if (base.playlist) {
+      engine.usePlaylist(base.playlist);
+    }
+    
+    // Back to the scene that was showing, at the same point in the timeline
+    if (engine.playlist) {
+      const position = engine.playlist.entries[base.position]?.scene === base.scene
+        ? base.position
+        : engine.playlist.indexOfScene(base.scene);
+      engine.playlist.seek(Math.max(position, 0));
+      engine.currentSceneIndex = engine.playlist.current().sceneIndex;
+    } else {
+      const index = base.scene ? engine.scenes.findIndex(scene => scene.name === base.scene) : -1;
+      engine.currentSceneIndex = index !== -1 ? index : Math.min(base.sceneIndex, Math.max(engine.scenes.length - 1, 0));
+    }
+    
+    if (options.render !== false) {
+      engine.renderCurrentScene({ animate: true });
+    }
+    
+    if (base.rotating) {
+      engine.startRotation(base.interval);
+    } else {
+      engine.stopRotation();
     }
   }
 
   /**
-   * Apply default behavior when no schedule is active
+   * Apply default behavior when no schedule is active: the board's own timeline,
+   * scene position and rotation, as they were when the first schedule took over
    */
   applyDefaultBehavior() {
-    // This could load default scenes or maintain current state
-    // Implementation depends on desired behavior
-    console.log('SceneScheduler: Applying default behavior');
+    if (!this.baseState) return;
+    
+    console.log('SceneScheduler: Restoring the default rotation');
+    this.restoreBaseState();
+    this.baseState = null;
   }
 
   /**
@@ -263,12 +604,13 @@ export class SceneScheduler {
     if (!this.isActive) return;
     
     const nextCheckTime = this.calculateNextCheckTime();
-    const delay = nextCheckTime - Date.now();
+    const delay = nextCheckTime - now();
     
+    // A virtual clock running faster than real time shortens the wait
     this.nextScheduleTimer = setTimeout(() => {
       this.checkCurrentSchedule();
       this.scheduleNextCheck();
-    }, Math.max(delay, 1000)); // At least 1 second delay
+    }, Math.max(toRealDelay(delay), 1000)); // At least 1 second delay
     
     console.log(`SceneScheduler: Next check in ${Math.round(delay / 1000)}s`);
   }
@@ -277,10 +619,8 @@ export class SceneScheduler {
    * Calculate when the next schedule check should occur
    */
   calculateNextCheckTime() {
-    const now = new Date();
-    const nextMinute = new Date(now);
-    nextMinute.setSeconds(0, 0);
-    nextMinute.setMinutes(nextMinute.getMinutes() + 1);
+    const current = new Date(now());
+    const nextMinute = new Date(Math.floor(current.getTime() / 60000) * 60000 + 60000);
     
     // Find the next schedule change time
     let nextChangeTime = nextMinute;
@@ -288,8 +628,8 @@ export class SceneScheduler {
     for (const schedule of this.config.schedules) {
       if (!schedule.timeRange) continue;
       
-      const scheduleStartTime = this.getNextScheduleTime(schedule.timeRange.start, now);
-      const scheduleEndTime = this.getNextScheduleTime(schedule.timeRange.end, now);
+      const scheduleStartTime = this.getNextScheduleTime(schedule.timeRange.start, current);
+      const scheduleEndTime = this.getNextScheduleTime(schedule.timeRange.end, current);
       
       if (scheduleStartTime && scheduleStartTime < nextChangeTime) {
         nextChangeTime = scheduleStartTime;
@@ -304,21 +644,26 @@ export class SceneScheduler {
   }
 
   /**
-   * Get the next occurrence of a specific time
+   * Get the next occurrence of a wall-clock time in the scheduler's timezone
+   * @param {string} timeString - "HH:MM"
+   * @param {Date} fromDate - Instant to search from
+   * @returns {Date|null}
    */
   getNextScheduleTime(timeString, fromDate) {
     if (!timeString) return null;
     
-    const [hours, minutes] = timeString.split(':').map(Number);
-    const nextTime = new Date(fromDate);
-    nextTime.setHours(hours, minutes, 0, 0);
+    const [hour, minute] = timeString.split(':').map(Number);
+    const timeZone = this.getTimeZone();
+    const today = getZonedParts(fromDate, timeZone);
+    let nextTime = zonedTimeToTimestamp({ ...today, hour, minute, second: 0 }, timeZone);
     
     // If the time has already passed today, move to tomorrow
-    if (nextTime <= fromDate) {
-      nextTime.setDate(nextTime.getDate() + 1);
+    if (nextTime <= fromDate.getTime()) {
+      const tomorrow = timeService.addDays(today, 1);
+      nextTime = zonedTimeToTimestamp({ ...tomorrow, hour, minute, second: 0 }, timeZone);
     }
     
-    return nextTime;
+    return new Date(nextTime);
   }
 
   /**
@@ -344,13 +689,137 @@ export class SceneScheduler {
       detail: {
         previous: previousSchedule,
         current: currentSchedule,
-        timestamp: Date.now()
+        timestamp: now()
       }
     });
     
     document.dispatchEvent(event);
   }
 
+  /**
+   * Preview which schedule and scene will be showing at a moment, without changing anything.
+   * The scene assumes rotation ran uninterrupted since the schedule became active.
+   * @param {Date|number} time - Moment to preview
+   * @returns {Object} { time, schedule, holiday, activeSince, scene, sceneIndex, playlist }
+   */
+  previewAt(time) {
+    const date = new Date(time);
+    const schedule = this.findActiveSchedule(date);
+    const activeSince = this.findActiveSince(schedule, date);
+    const timeline = this.getTimeline(schedule);
+    const entry = this.getTimelineEntry(timeline, (date - activeSince) / 1000);
+    
+    return {
+      time: date,
+      schedule: schedule ? schedule.name : null,
+      holiday: this.getHoliday(this.getTimeInfo(date).dateKey)?.name || null,
+      activeSince,
+      scene: entry ? entry.scene : null,
+      sceneIndex: entry ? entry.sceneIndex : null,
+      playlist: timeline.name
+    };
+  }
+
+  /**
+   * Preview the schedule programme over a period, e.g. a week before deploying
+   * @param {Date|number} start - Period start
+   * @param {Date|number} end - Period end
+   * @param {Object} options - { step } sampling interval in ms (default one minute)
+   * @returns {Array<{start: Date, end: Date, schedule: string|null}>} Consecutive segments
+   */
+  previewRange(start, end, options = {}) {
+    const step = options.step || 60000;
+    const endTime = new Date(end).getTime();
+    const segments = [];
+    
+    for (let time = new Date(start).getTime(); time < endTime; time += step) {
+      const schedule = this.findActiveSchedule(new Date(time));
+      const name = schedule ? schedule.name : null;
+      const last = segments[segments.length - 1];
+      
+      if (last && last.schedule === name) {
+        last.end = new Date(Math.min(time + step, endTime));
+      } else {
+        segments.push({ start: new Date(time), end: new Date(Math.min(time + step, endTime)), schedule: name });
+      }
+    }
+    
+    return segments;
+  }
+
+  /**
+   * Find when the schedule active at a moment took over, looking back at most a week
+   */
+  findActiveSince(schedule, date) {
+    const limit = date.getTime() - PREVIEW_LOOKBACK;
+    let since = Math.floor(date.getTime() / 60000) * 60000;
+    
+    while (since - 60000 >= limit && this.findActiveSchedule(new Date(since - 60000)) === schedule) {
+      since -= 60000;
+    }
+    
+    return new Date(since);
+  }
+
+  /**
+   * Get the scenes a schedule plays, in order, with their durations
+   * @returns {{name: string|null, repeat: boolean, rotating: boolean, startEntry: Object|null, entries: Array}}
+   */
+  getTimeline(schedule) {
+    const timeline = schedule ? this.getSchedulePlaylist(schedule) : null;
+    const scenes = [...this.getBaseScenes(), ...(timeline?.extraScenes || [])];
+    const interval = schedule?.rotation?.interval || this.sceneEngine?.rotationInterval || this.config.defaultDuration;
+    const sceneDuration = (scene) => Number(scene?.duration) > 0 ? Number(scene.duration) : interval;
+    
+    // Without a timeline of its own, a schedule keeps the board's
+    const boardPlaylist = this.baseState ? this.baseState.playlist : this.sceneEngine?.playlistDefinition;
+    const playlist = timeline?.playlist || boardPlaylist || this.sceneEngine?.playlists?.get('default') || null;
+    
+    const entries = playlist
+      ? playlist.resolve(scenes).entries.map(entry => ({ ...entry, duration: entry.duration || sceneDuration(scenes[entry.sceneIndex]) }))
+      : scenes.map((scene, sceneIndex) => ({ scene: scene.name, sceneIndex, duration: sceneDuration(scene) }));
+    
+    // sceneIndex counts entries of the schedule's own timeline, or else the board's scenes
+    let startEntry = null;
+    if (schedule?.sceneIndex !== undefined) {
+      startEntry = timeline
+        ? entries[schedule.sceneIndex]
+        : entries.find(entry => entry.sceneIndex === schedule.sceneIndex);
+    }
+    
+    return {
+      name: playlist?.name || null,
+      repeat: playlist ? playlist.repeat : true,
+      rotating: schedule?.rotation?.enabled !== false,
+      startEntry: startEntry || null,
+      entries
+    };
+  }
+
+  /**
+   * Find the timeline entry on screen a number of seconds after it started
+   */
+  getTimelineEntry(timeline, elapsed) {
+    const { entries } = timeline;
+    if (entries.length === 0) return null;
+    
+    if (!timeline.rotating) {
+      return timeline.startEntry || entries[0];
+    }
+    
+    const total = entries.reduce((sum, entry) => sum + entry.duration, 0);
+    if (!timeline.repeat && elapsed >= total) {
+      return entries[entries.length - 1];
+    }
+    
+    let offset = elapsed % total;
+    for (const entry of entries) {
+      if (offset < entry.duration) return entry;
+      offset -= entry.duration;
+    }
+    return entries[entries.length - 1];
+  }
+
   /**
    * Get current schedule information
    */
@@ -426,6 +895,8 @@ export class SceneScheduler {
    * Destroy the scheduler
    */
   destroy() {
+    // The board is going away too; leave its scenes as they are
+    this.baseState = null;
     this.stop();
     this.sceneEngine = null;
     this.config = null;
@@ -433,7 +904,7 @@ export class SceneScheduler {
 }
 
 /**
- * Example schedule configurations
+ * Example schedule configurations; scenes are the board's own, picked by name or tag
  */
 export const exampleSchedules = {
   businessHours: {
@@ -445,18 +916,7 @@ export const exampleSchedules = {
       end: '17:00'
     },
     daysOfWeek: [1, 2, 3, 4, 5], // Monday to Friday
-    scenes: [
-      {
-        name: 'Business Dashboard',
-        layout: '2x2',
-        widgets: [
-          { type: 'clock', position: 0 },
-          { type: 'weather', position: 1 },
-          { type: 'news', position: 2 },
-          { type: 'stocks', position: 3 }
-        ]
-      }
-    ],
+    tags: ['business'],
     rotation: {
       enabled: true,
       interval: 60
@@ -471,15 +931,7 @@ export const exampleSchedules = {
       start: '17:01',
       end: '08:59'
     },
-    scenes: [
-      {
-        name: 'Relaxed Display',
-        layout: 'single',
-        widgets: [
-          { type: 'image-slideshow', position: 0 }
-        ]
-      }
-    ],
+    scenes: ['Relaxed Display'],
     rotation: {
       enabled: false
     }
@@ -490,18 +942,7 @@ export const exampleSchedules = {
     priority: 2,
     enabled: true,
     daysOfWeek: [0, 6], // Sunday and Saturday
-    scenes: [
-      {
-        name: 'Weekend Info',
-        layout: '2x2',
-        widgets: [
-          { type: 'clock', position: 0 },
-          { type: 'weather', position: 1 },
-          { type: 'calendar', position: 2 },
-          { type: 'youtube', position: 3 }
-        ]
-      }
-    ],
+    scenes: ['Weekend Info', 'Weather'],
     rotation: {
       enabled: true,
       interval: 120
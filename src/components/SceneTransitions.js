@@ -1,7 +1,11 @@
 /**
  * Scene Transitions Component for LumaBoard
- * Provides smooth animated transitions between scenes
+ * Provides smooth animated transitions between scenes.
+ * Scenes are animated in place rather than cloned, so their widgets keep running; an incoming
+ * scene can be rendered ahead of time with prepare(), hidden until its transition starts.
  */
+const TRANSITION_TYPES = ['fade', 'slide-left', 'slide-right', 'slide-up', 'slide-down', 'zoom', 'flip', 'cube', 'mosaic', 'ripple'];
+
 export class SceneTransitions {
   constructor(container, options = {}) {
     this.container = container;
@@ -16,6 +20,7 @@ export class SceneTransitions {
     this.isTransitioning = false;
     this.transitionQueue = [];
     this.currentTransition = null;
+    this.currentDuration = this.options.duration;
     
     this.init();
   }
@@ -37,8 +42,8 @@ export class SceneTransitions {
    * Setup container for transitions
    */
   setupContainer() {
-    this.container.style.position = 'relative';
-    this.container.style.overflow = 'hidden';
+    // A class rather than inline styles, so a rotated (fixed) container keeps its position
+    this.container.classList.add('scene-transitions-root');
   }
 
   /**
@@ -50,6 +55,22 @@ export class SceneTransitions {
     const style = document.createElement('style');
     style.id = 'scene-transition-styles';
     style.textContent = `
+      :where(.scene-transitions-root) {
+        position: relative;
+        overflow: hidden;
+      }
+      
+      /* Rendered ahead of its transition: full size so widgets lay out, but not shown */
+      .scene-transition-pending {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        visibility: hidden;
+        pointer-events: none;
+      }
+      
       .scene-transition-container {
         position: absolute;
         top: 0;
@@ -285,11 +306,28 @@ export class SceneTransitions {
     document.head.appendChild(style);
   }
 
+  /**
+   * Add an incoming scene to the container without showing it, so it can render
+   * (and its widgets load) before the transition to it starts
+   * @param {HTMLElement} element - Incoming scene element
+   */
+  prepare(element) {
+    this.addTransitionStyles();
+    element.classList.add('scene-transition-pending');
+    if (element.parentNode !== this.container) {
+      this.container.appendChild(element);
+    }
+  }
+
   /**
    * Execute a scene transition
+   * @param {HTMLElement|null} fromElement - Scene on screen, removed when the transition ends
+   * @param {HTMLElement} toElement - Incoming scene
+   * @param {string|null} transitionType - One of getAvailableTransitions(), 'none' to swap instantly
+   * @param {Object} options - { duration } in milliseconds, overriding the default
    */
-  async transition(fromElement, toElement, transitionType = null) {
-    if (!this.options.enabled) {
+  async transition(fromElement, toElement, transitionType = null, options = {}) {
+    if (!this.options.enabled || transitionType === 'none') {
       // No transition, just swap elements
       this.instantSwap(fromElement, toElement);
       return Promise.resolve();
@@ -298,37 +336,35 @@ export class SceneTransitions {
     if (this.isTransitioning) {
       // Queue the transition
       return new Promise((resolve, reject) => {
-        this.transitionQueue.push({ fromElement, toElement, transitionType, resolve, reject });
+        this.transitionQueue.push({ fromElement, toElement, transitionType, options, resolve, reject });
       });
     }
     
-    return this.executeTransition(fromElement, toElement, transitionType);
+    return this.executeTransition(fromElement, toElement, transitionType, options);
   }
 
   /**
    * Execute the actual transition
    */
-  async executeTransition(fromElement, toElement, transitionType) {
+  async executeTransition(fromElement, toElement, transitionType, options = {}) {
     this.isTransitioning = true;
-    this.currentTransition = transitionType || this.options.defaultTransition;
+    this.currentTransition = TRANSITION_TYPES.includes(transitionType) ? transitionType : this.options.defaultTransition;
+    this.currentDuration = options.duration ?? this.options.duration;
     
     try {
-      // Set up transition containers
-      const fromContainer = this.createTransitionContainer(fromElement, 'exit');
-      const toContainer = this.createTransitionContainer(toElement, 'enter');
-      
       // Set CSS variables for transition
-      this.setCSSVariables();
+      this.setCSSVariables(this.currentDuration);
+      this.container.classList.toggle('transition-cube-container', this.currentTransition === 'cube');
       
-      // Add containers to main container
-      this.container.appendChild(fromContainer);
-      this.container.appendChild(toContainer);
+      // Animate the scenes themselves; clones would restart their widgets
+      this.startPhase(fromElement, 'exit');
+      this.startPhase(toElement, 'enter');
       
       // Start transition
-      await this.performTransition(fromContainer, toContainer);
+      await this.performTransition(fromElement, toElement);
       
       // Cleanup
-      this.cleanupTransition(fromContainer, toContainer, toElement);
+      this.cleanupTransition(fromElement, toElement);
       
     } catch (error) {
       console.error('SceneTransitions: Transition failed:', error);
@@ -343,46 +379,45 @@ export class SceneTransitions {
   }
 
   /**
-   * Create a transition container
+   * Put a scene into the starting state of a transition phase
    */
-  createTransitionContainer(element, phase) {
-    const container = document.createElement('div');
-    container.className = `scene-transition-container transition-${this.currentTransition}-${phase}`;
+  startPhase(element, phase) {
+    if (!element) return;
     
-    // Clone the element content
-    if (element) {
-      container.appendChild(element.cloneNode(true));
+    // Revealed in the same frame the starting state applies, so it never flashes
+    element.classList.remove('scene-transition-pending');
+    element.classList.add('scene-transition-container', `transition-${this.currentTransition}-${phase}`);
+    if (element.parentNode !== this.container) {
+      this.container.appendChild(element);
     }
-    
-    return container;
   }
 
   /**
    * Set CSS variables for the transition
    */
-  setCSSVariables() {
-    this.container.style.setProperty('--transition-duration', `${this.options.duration}ms`);
+  setCSSVariables(duration = this.options.duration) {
+    this.container.style.setProperty('--transition-duration', `${duration}ms`);
     this.container.style.setProperty('--transition-easing', this.options.easing);
   }
 
   /**
    * Perform the actual transition animation
    */
-  async performTransition(fromContainer, toContainer) {
+  async performTransition(fromElement, toElement) {
     return new Promise((resolve) => {
       // Trigger reflow to ensure initial styles are applied
-      fromContainer.offsetHeight;
-      toContainer.offsetHeight;
+      fromElement?.offsetHeight;
+      toElement?.offsetHeight;
       
       // Add active classes to start transition
       requestAnimationFrame(() => {
-        fromContainer.classList.add(`transition-${this.currentTransition}-exit-active`);
-        toContainer.classList.add(`transition-${this.currentTransition}-enter-active`);
+        fromElement?.classList.add(`transition-${this.currentTransition}-exit-active`);
+        toElement?.classList.add(`transition-${this.currentTransition}-enter-active`);
         
         // Wait for transition to complete
         setTimeout(() => {
           resolve();
-        }, this.options.duration);
+        }, this.currentDuration);
       });
     });
   }
@@ -390,20 +425,27 @@ export class SceneTransitions {
   /**
    * Cleanup after transition
    */
-  cleanupTransition(fromContainer, toContainer, originalToElement) {
-    // Remove transition containers
-    if (fromContainer.parentNode) {
-      fromContainer.parentNode.removeChild(fromContainer);
+  cleanupTransition(fromElement, toElement) {
+    // Remove the outgoing scene
+    if (fromElement && fromElement.parentNode) {
+      fromElement.parentNode.removeChild(fromElement);
     }
     
-    if (toContainer.parentNode) {
-      toContainer.parentNode.removeChild(toContainer);
+    // Leave the incoming scene in normal flow
+    if (toElement) {
+      this.clearTransitionClasses(toElement);
     }
     
-    // Add the original element back
-    if (originalToElement) {
-      this.container.appendChild(originalToElement);
-    }
+    this.container?.classList.remove('transition-cube-container');
+  }
+
+  /**
+   * Remove transition state classes from a scene element
+   */
+  clearTransitionClasses(element) {
+    Array.from(element.classList)
+      .filter(name => name.startsWith('transition-') || name.startsWith('scene-transition-'))
+      .forEach(name => element.classList.remove(name));
   }
 
   /**
@@ -415,7 +457,10 @@ export class SceneTransitions {
     }
     
     if (toElement) {
-      this.container.appendChild(toElement);
+      this.clearTransitionClasses(toElement);
+      if (toElement.parentNode !== this.container) {
+        this.container.appendChild(toElement);
+      }
     }
   }
 
@@ -425,7 +470,7 @@ export class SceneTransitions {
   processQueue() {
     if (this.transitionQueue.length > 0) {
       const next = this.transitionQueue.shift();
-      this.executeTransition(next.fromElement, next.toElement, next.transitionType)
+      this.executeTransition(next.fromElement, next.toElement, next.transitionType, next.options)
         .then(next.resolve)
         .catch(next.reject);
     }
@@ -435,18 +480,7 @@ export class SceneTransitions {
    * Get available transition types
    */
   getAvailableTransitions() {
-    return [
-      'fade',
-      'slide-left',
-      'slide-right', 
-      'slide-up',
-      'slide-down',
-      'zoom',
-      'flip',
-      'cube',
-      'mosaic',
-      'ripple'
-    ];
+    return [...TRANSITION_TYPES];
   }
 
   /**
@@ -476,6 +510,8 @@ export class SceneTransitions {
    */
   enable() {
     this.options.enabled = true;
+    this.setupContainer();
+    this.addTransitionStyles();
   }
 
   /**
@@ -496,6 +532,7 @@ export class SceneTransitions {
    */
   destroy() {
     this.disable();
+    this.container?.classList.remove('scene-transitions-root');
     this.container = null;
     this.options = null;
   }
@@ -0,0 +1,597 @@
+/**
+ * Settings Panel Component for LumaBoard
+ * The hidden on-screen settings from §18: hovering over the top-right corner for 2 seconds (or a
+ * long press there on a touch screen) opens a panel to switch the config URL, reorder scenes,
+ * set how long each scene shows and clear cached data. Changes are kept in localStorage.
+ */
+import { loadConfig } from '../configLoader.js';
+import { diffConfigs } from '../configReloader.js';
+import { dataService } from '../dataService.js';
+import { serviceWorkerManager } from '../serviceWorker.js';
+import { escapeHTML } from '../sanitize.js';
+import localSettings, { applySettings } from '../settings.js';
+import { adminLock } from './AdminLock.js';
+import { layoutEngine } from './LayoutEngine.js';
+
+// How long the corner has to be hovered or pressed
+const HOLD_DELAY = 2000;
+
+// Range offered by the duration sliders, in seconds
+const MIN_DURATION = 5;
+const MAX_DURATION = 300;
+
+export class SettingsPanel {
+  constructor(lumaBoard) {
+    this.lumaBoard = lumaBoard;
+    this.isVisible = false;
+    this.corner = null;
+    this.hotspot = null;
+    this.overlay = null;
+    this.stopRotatingCorner = null;
+    this.stopRotatingOverlay = null;
+    this.holdTimer = null;
+    this.changedDurations = new Set();
+
+    this.hide = this.hide.bind(this);
+    this.handlePointerEnter = this.handlePointerEnter.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerEnd = this.handlePointerEnd.bind(this);
+
+    this.setupStyles();
+    this.createHotspot();
+    this.unsubscribeLock = adminLock.onLock(this.hide);
+  }
+
+  /**
+   * Create the invisible corner that opens the panel
+   */
+  createHotspot() {
+    // The hotspot sits in a full-screen layer that turns with the board, so on a rotated display
+    // it stays in the corner the viewer sees as top right
+    this.corner = document.createElement('div');
+    this.corner.className = 'luma-settings-corner';
+
+    this.hotspot = document.createElement('div');
+    this.hotspot.className = 'luma-settings-hotspot';
+    this.hotspot.setAttribute('aria-hidden', 'true');
+
+    this.hotspot.addEventListener('pointerenter', this.handlePointerEnter);
+    this.hotspot.addEventListener('pointerleave', this.handlePointerEnd);
+    this.hotspot.addEventListener('pointerdown', this.handlePointerDown);
+    this.hotspot.addEventListener('pointerup', this.handlePointerEnd);
+    this.hotspot.addEventListener('pointercancel', this.handlePointerEnd);
+    // Keep a long press from bringing up the browser's context menu
+    this.hotspot.addEventListener('contextmenu', (event) => event.preventDefault());
+
+    this.corner.appendChild(this.hotspot);
+    document.body.appendChild(this.corner);
+    this.stopRotatingCorner = layoutEngine.rotateWith(this.corner);
+  }
+
+  handlePointerEnter(event) {
+    if (event.pointerType === 'mouse') {
+      this.startHold();
+    }
+  }
+
+  handlePointerDown(event) {
+    if (event.pointerType !== 'mouse') {
+      this.startHold();
+    }
+  }
+
+  handlePointerEnd(event) {
+    // A mouse click in the corner should not cancel the hover
+    if (event.type === 'pointerup' && event.pointerType === 'mouse') return;
+    this.cancelHold();
+  }
+
+  startHold() {
+    this.cancelHold();
+    this.holdTimer = setTimeout(() => {
+      this.holdTimer = null;
+      this.show();
+    }, HOLD_DELAY);
+  }
+
+  cancelHold() {
+    if (this.holdTimer) {
+      clearTimeout(this.holdTimer);
+      this.holdTimer = null;
+    }
+  }
+
+  /**
+   * Show the settings panel once the admin password has been entered
+   */
+  async show() {
+    if (this.isVisible) return;
+    if (!(await adminLock.unlock('Settings'))) return;
+    if (this.isVisible || !this.lumaBoard) return;
+
+    this.isVisible = true;
+    this.changedDurations.clear();
+    this.createOverlay();
+
+    console.log('SettingsPanel: Opened');
+  }
+
+  /**
+   * Hide the settings panel, dropping unsaved changes
+   */
+  hide() {
+    if (!this.isVisible) return;
+
+    this.isVisible = false;
+    this.stopRotatingOverlay?.();
+    this.stopRotatingOverlay = null;
+    this.overlay?.remove();
+    this.overlay = null;
+
+    console.log('SettingsPanel: Closed');
+  }
+
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'luma-settings-overlay';
+    this.overlay.innerHTML = this.getOverlayHTML();
+
+    this.setupOverlayEvents();
+    document.body.appendChild(this.overlay);
+    this.stopRotatingOverlay = layoutEngine.rotateWith(this.overlay);
+  }
+
+  getOverlayHTML() {
+    const { configUrl } = localSettings.get();
+    const scenes = this.lumaBoard.config?.scenes || [];
+    const fallback = this.lumaBoard.config?.sceneRotation?.interval || 30;
+
+    return `
+      <div class="luma-settings-panel" role="dialog" aria-modal="true" aria-labelledby="luma-settings-title">
+        <div class="luma-settings-header">
+          <h2 id="luma-settings-title">⚙️ Settings</h2>
+          <button class="luma-settings-btn" data-action="close" title="Close (Esc)">✕</button>
+        </div>
+
+        <section class="luma-settings-section">
+          <h3>Config URL</h3>
+          <input type="url" class="luma-settings-url" value="${this.escapeAttribute(configUrl || '')}" placeholder="Bundled config">
+          <div class="luma-settings-row">
+            <button class="luma-settings-btn" data-action="load-url">Load</button>
+            <button class="luma-settings-btn" data-action="bundled-config">Use Bundled Config</button>
+          </div>
+        </section>
+
+        <section class="luma-settings-section">
+          <h3>Scenes</h3>
+          <p class="luma-settings-hint">Drag ☰ to reorder; the sliders set how long each scene shows.</p>
+          <ol class="luma-settings-scenes">
+            ${scenes.map(scene => this.getSceneRowHTML(scene, fallback)).join('')}
+          </ol>
+          <button class="luma-settings-btn luma-settings-primary" data-action="save-scenes">Save Scenes</button>
+        </section>
+
+        <section class="luma-settings-section">
+          <h3>Maintenance</h3>
+          <div class="luma-settings-row">
+            <button class="luma-settings-btn" data-action="clear-caches">Clear Caches</button>
+            <button class="luma-settings-btn" data-action="reset">Reset Local Settings</button>
+          </div>
+          <div class="luma-settings-row">
+            <button class="luma-settings-btn" data-action="config-manager">Config Manager</button>
+            <button class="luma-settings-btn" data-action="debug">Debug Overlay</button>
+            <button class="luma-settings-btn" data-action="theme-manager">Theme Manager</button>
+          </div>
+        </section>
+
+        <div class="luma-settings-status" role="status"></div>
+      </div>
+    `;
+  }
+
+  getSceneRowHTML(scene, fallback) {
+    const duration = Math.min(MAX_DURATION, Math.max(MIN_DURATION, Number(scene.duration) || fallback));
+    const name = this.escapeAttribute(scene.name);
+
+    return `
+      <li class="luma-settings-scene" data-scene="${name}">
+        <span class="luma-settings-handle" tabindex="0" role="button" aria-label="Move ${name} (arrow keys)">☰</span>
+        <span class="luma-settings-scene-name">${escapeHTML(scene.name)}</span>
+        <input type="range" class="luma-settings-duration" min="${MIN_DURATION}" max="${MAX_DURATION}" step="5" value="${duration}" aria-label="${name} duration">
+        <span class="luma-settings-duration-value">${duration}s</span>
+      </li>
+    `;
+  }
+
+  // Scene names and the config URL come from remote configs and may hold quotes
+  escapeAttribute(value) {
+    return escapeHTML(String(value)).replace(/"/g, '&quot;');
+  }
+
+  setupOverlayEvents() {
+    // Typing in the panel must not reach the board's keyboard shortcuts
+    this.overlay.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.hide();
+      }
+    });
+
+    this.overlay.addEventListener('click', (event) => {
+      if (event.target === this.overlay) {
+        this.hide();
+        return;
+      }
+
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (action) {
+        this.handleAction(action);
+      }
+    });
+
+    this.overlay.querySelectorAll('.luma-settings-scene').forEach(row => {
+      const slider = row.querySelector('.luma-settings-duration');
+      slider.addEventListener('input', () => {
+        row.querySelector('.luma-settings-duration-value').textContent = `${slider.value}s`;
+        this.changedDurations.add(row.dataset.scene);
+      });
+
+      const handle = row.querySelector('.luma-settings-handle');
+      handle.addEventListener('pointerdown', (event) => this.startDrag(event, row));
+      handle.addEventListener('keydown', (event) => this.moveWithKeys(event, row));
+    });
+  }
+
+  /**
+   * Drag a scene row by its handle; pointer events cover mouse, touch and pen alike
+   */
+  startDrag(event, row) {
+    event.preventDefault();
+
+    const handle = event.currentTarget;
+    const list = row.parentNode;
+    handle.setPointerCapture(event.pointerId);
+    row.classList.add('dragging');
+
+    const move = (moveEvent) => {
+      const target = [...list.children].find(other => {
+        if (other === row) return false;
+        const rect = other.getBoundingClientRect();
+        return moveEvent.clientY >= rect.top && moveEvent.clientY <= rect.bottom;
+      });
+      if (!target) return;
+
+      const rect = target.getBoundingClientRect();
+      list.insertBefore(row, moveEvent.clientY < rect.top + rect.height / 2 ? target : target.nextSibling);
+    };
+
+    const end = () => {
+      row.classList.remove('dragging');
+      handle.removeEventListener('pointermove', move);
+      handle.removeEventListener('pointerup', end);
+      handle.removeEventListener('pointercancel', end);
+    };
+
+    handle.addEventListener('pointermove', move);
+    handle.addEventListener('pointerup', end);
+    handle.addEventListener('pointercancel', end);
+  }
+
+  moveWithKeys(event, row) {
+    if (event.key === 'ArrowUp' && row.previousElementSibling) {
+      row.parentNode.insertBefore(row, row.previousElementSibling);
+    } else if (event.key === 'ArrowDown' && row.nextElementSibling) {
+      row.parentNode.insertBefore(row.nextElementSibling, row);
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    event.currentTarget.focus();
+  }
+
+  async handleAction(action) {
+    switch (action) {
+      case 'close':
+        this.hide();
+        break;
+      case 'load-url':
+        await this.switchConfig(this.overlay.querySelector('.luma-settings-url').value.trim() || null);
+        break;
+      case 'bundled-config':
+        await this.switchConfig(null);
+        break;
+      case 'save-scenes':
+        this.saveScenes();
+        break;
+      case 'clear-caches':
+        await this.clearCaches();
+        break;
+      case 'reset':
+        this.resetSettings();
+        break;
+      case 'config-manager':
+        this.hide();
+        this.lumaBoard.configManager?.show();
+        break;
+      case 'debug':
+        this.hide();
+        this.lumaBoard.debugOverlay?.show();
+        break;
+      case 'theme-manager':
+        this.hide();
+        this.lumaBoard.themeManager?.show();
+        break;
+    }
+  }
+
+  /**
+   * Load the config from another URL and keep using it if it is valid
+   * @param {string|null} url - Config URL, or null for the bundled config
+   */
+  async switchConfig(url) {
+    this.showStatus(url ? `Loading ${url}...` : 'Loading the bundled config...');
+
+    try {
+      const loaded = await loadConfig({ url: url || undefined, device: this.lumaBoard.device });
+      localSettings.save({ configUrl: url });
+      // Keep the new config available for offline starts
+      if (serviceWorkerManager.getStatus().registered) {
+        serviceWorkerManager.precache([], serviceWorkerManager.collectConfigUrls()).catch(() => {});
+      }
+      this.applyConfig(applySettings(loaded, localSettings.get()));
+      this.showStatus(url ? 'Now using the config from this URL' : 'Now using the bundled config', 'success');
+    } catch (error) {
+      // The current config stays; a broken URL is never remembered
+      this.showStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Remember the scene order and any changed durations, and apply them
+   */
+  saveScenes() {
+    const rows = [...this.overlay.querySelectorAll('.luma-settings-scene')];
+    const { sceneDurations } = localSettings.get();
+
+    rows
+      .filter(row => this.changedDurations.has(row.dataset.scene))
+      .forEach(row => {
+        sceneDurations[row.dataset.scene] = Number(row.querySelector('.luma-settings-duration').value);
+      });
+
+    const settings = localSettings.save({ sceneOrder: rows.map(row => row.dataset.scene), sceneDurations });
+    this.changedDurations.clear();
+    this.applyConfig(applySettings(this.lumaBoard.config, settings));
+    this.showStatus('Scenes saved', 'success');
+  }
+
+  applyConfig(config) {
+    this.lumaBoard.applyConfigUpdate(config, diffConfigs(this.lumaBoard.config, config));
+  }
+
+  /**
+   * Drop cached widget data, offline snapshots and the service worker caches
+   */
+  async clearCaches() {
+    dataService.clear();
+    this.lumaBoard.offlineFallback?.clearCache();
+
+    try {
+      await serviceWorkerManager.clear();
+      this.showStatus('Caches cleared', 'success');
+    } catch (error) {
+      this.showStatus(`Could not clear the service worker cache: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Forget every local setting and restart with the config as written
+   */
+  resetSettings() {
+    if (!window.confirm('Forget the local config URL, scene order and durations and reload?')) return;
+
+    localSettings.reset();
+    window.location.reload();
+  }
+
+  showStatus(message, type = 'info') {
+    const status = this.overlay?.querySelector('.luma-settings-status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.dataset.type = type;
+  }
+
+  /**
+   * Setup CSS styles
+   */
+  setupStyles() {
+    if (document.querySelector('#luma-settings-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'luma-settings-styles';
+    style.textContent = `
+      .luma-settings-corner {
+        position: fixed;
+        inset: 0;
+        z-index: 9999;
+        pointer-events: none;
+      }
+
+      .luma-settings-hotspot {
+        position: absolute;
+        top: 0;
+        right: 0;
+        width: 48px;
+        height: 48px;
+        pointer-events: auto;
+        touch-action: none;
+        -webkit-touch-callout: none;
+        user-select: none;
+      }
+
+      .luma-settings-overlay {
+        position: fixed;
+        inset: 0;
+        z-index: 10001;
+        display: flex;
+        justify-content: flex-end;
+        background: rgba(0, 0, 0, 0.5);
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      }
+
+      .luma-settings-panel {
+        width: min(420px, 100vw);
+        height: 100%;
+        box-sizing: border-box;
+        overflow-y: auto;
+        padding: 1.5rem;
+        background: #1e2a38;
+        color: white;
+        box-shadow: -10px 0 30px rgba(0, 0, 0, 0.5);
+      }
+
+      .luma-settings-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+      }
+
+      .luma-settings-header h2 {
+        margin: 0;
+        font-size: 1.4rem;
+      }
+
+      .luma-settings-section {
+        margin-top: 1.5rem;
+      }
+
+      .luma-settings-section h3 {
+        margin: 0 0 0.5rem;
+        font-size: 0.9rem;
+        color: #3498db;
+        border-bottom: 1px solid rgba(52, 152, 219, 0.3);
+        padding-bottom: 0.3rem;
+      }
+
+      .luma-settings-hint {
+        margin: 0 0 0.5rem;
+        font-size: 0.8rem;
+        opacity: 0.7;
+      }
+
+      .luma-settings-url {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 0.6rem;
+        margin-bottom: 0.5rem;
+        border-radius: 6px;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        background: rgba(0, 0, 0, 0.3);
+        color: white;
+        font-size: 0.9rem;
+      }
+
+      .luma-settings-row {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-bottom: 0.5rem;
+      }
+
+      .luma-settings-btn {
+        min-height: 44px;
+        padding: 0.5rem 1rem;
+        border-radius: 6px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        background: rgba(255, 255, 255, 0.1);
+        color: white;
+        font-size: 0.9rem;
+        cursor: pointer;
+      }
+
+      .luma-settings-btn:hover {
+        background: rgba(255, 255, 255, 0.2);
+      }
+
+      .luma-settings-primary {
+        background: #3498db;
+        border-color: #3498db;
+      }
+
+      .luma-settings-scenes {
+        list-style: none;
+        margin: 0 0 0.75rem;
+        padding: 0;
+      }
+
+      .luma-settings-scene {
+        display: grid;
+        grid-template-columns: auto 1fr auto;
+        grid-template-areas: "handle name value" "handle slider slider";
+        align-items: center;
+        gap: 0.25rem 0.75rem;
+        padding: 0.5rem;
+        margin-bottom: 0.4rem;
+        border-radius: 6px;
+        background: rgba(255, 255, 255, 0.06);
+      }
+
+      .luma-settings-scene.dragging {
+        background: rgba(52, 152, 219, 0.3);
+      }
+
+      .luma-settings-handle {
+        grid-area: handle;
+        padding: 0.5rem;
+        font-size: 1.2rem;
+        cursor: grab;
+        touch-action: none;
+      }
+
+      .luma-settings-scene-name {
+        grid-area: name;
+        font-weight: 600;
+      }
+
+      .luma-settings-duration {
+        grid-area: slider;
+        width: 100%;
+      }
+
+      .luma-settings-duration-value {
+        grid-area: value;
+        font-family: 'Consolas', monospace;
+        font-size: 0.85rem;
+      }
+
+      .luma-settings-status {
+        margin-top: 1rem;
+        min-height: 1.2rem;
+        font-size: 0.85rem;
+      }
+
+      .luma-settings-status[data-type="success"] { color: #2ecc71; }
+      .luma-settings-status[data-type="error"] { color: #e74c3c; }
+    `;
+
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Destroy the settings panel
+   */
+  destroy() {
+    this.cancelHold();
+    this.hide();
+    this.unsubscribeLock();
+    this.stopRotatingCorner?.();
+    this.stopRotatingCorner = null;
+    this.corner?.remove();
+    this.corner = null;
+    this.hotspot = null;
+    this.lumaBoard = null;
+  }
+}
@@ -1,3 +1,10 @@
+import { dataService } from '../dataService.js';
+import { getStockProvider } from '../stockProviders.js';
+import { getMarketStatus } from '../marketCalendar.js';
+import { now, CLOCK_CHANGE_EVENT } from '../time.js';
+import { escapeHTML } from '../sanitize.js';
+import dataProvenance, { reportDataState, isMockDataAllowed } from '../dataProvenance.js';
+
 export class StockTickerWidget extends HTMLElement {
   constructor() {
     super();
@@ -8,12 +15,20 @@ export class StockTickerWidget extends HTMLElement {
       showChange: true,
       showPercentChange: true,
       scrollSpeed: 30, // pixels per second
-      apiKey: null, // For services that require API keys
+      provider: 'yahoo', // 'yahoo', 'alpha-vantage', 'twelve-data', 'url' or a registered provider
+      apiKey: null, // For providers that require API keys
+      providerUrl: '', // JSON/CSV endpoint for the 'url' provider, may contain {symbol}
+      showSparkline: true, // Intraday price line per symbol
+      exchange: 'NYSE', // Exchange calendar for the open/closed badge
+      marketHolidays: [], // Extra closed dates ("YYYY-MM-DD") for the exchange
+      showMarketStatus: true,
       ...this.config
     };
     this.stockData = [];
     this.refreshTimer = null;
     this.lastUpdate = null;
+    this.loadError = null;
+    this.handleClockChange = this.handleClockChange.bind(this);
   }
 
   connectedCallback() {
@@ -29,91 +44,131 @@ export class StockTickerWidget extends HTMLElement {
 
     this.loadStockData();
     this.startRefreshTimer();
+    document.addEventListener(CLOCK_CHANGE_EVENT, this.handleClockChange);
   }
 
   disconnectedCallback() {
     this.stopRefreshTimer();
+    document.removeEventListener(CLOCK_CHANGE_EVENT, this.handleClockChange);
+  }
+
+  /**
+   * Re-render the open/closed badge when the board clock is set or shifted
+   */
+  handleClockChange() {
+    if (this.config.showMarketStatus) {
+      this.render();
+    }
   }
 
   async loadStockData() {
     try {
-      // Try to fetch fresh data
-      const freshData = await this.fetchStockData();
-      if (freshData && freshData.length > 0) {
-        this.stockData = freshData;
-        this.lastUpdate = new Date();
-        this.cacheStockData(freshData);
-      } else {
-        // Fall back to cached data
-        this.stockData = this.getCachedStockData() || [];
-      }
+      this.stockData = await this.fetchStockData();
+      this.updateLastUpdate();
     } catch (error) {
       console.warn('StockTickerWidget: Failed to load stock data', error);
-      // Try cached data as fallback
-      this.stockData = this.getCachedStockData() || this.getMockStockData();
+      this.stockData = isMockDataAllowed() ? this.getMockStockData() : [];
     }
 
+    this.loadError = this.stockData.length === 0 ? 'Market data unavailable' : null;
+    this.reportState();
     this.render();
   }
 
   async fetchStockData() {
+    // Quotes are cached per symbol so widgets with overlapping symbols share requests
+    const quotes = await Promise.all(this.config.symbols.map(symbol => this.fetchSingleStock(symbol)));
+    // Symbols without a quote are dropped when demo data is not allowed
+    return quotes.filter(Boolean);
+  }
+
+  async fetchSingleStock(symbol) {
     try {
-      // Using Alpha Vantage free API (demo key - replace with real key)
-      // Note: Free tier has limited requests
-      const stockPromises = this.config.symbols.map(symbol => 
-        this.fetchSingleStock(symbol)
-      );
-      
-      const results = await Promise.allSettled(stockPromises);
-      const validData = results
-        .filter(result => result.status === 'fulfilled' && result.value)
-        .map(result => result.value);
-      
-      if (validData.length === 0) {
-        // If all API calls fail, return mock data
-        return this.getMockStockData();
-      }
-      
-      return validData;
+      const result = await dataService.request(this.getCacheKey(symbol), () => this.fetchQuote(symbol), {
+        source: 'stocks',
+        // Half the refresh interval so scheduled refreshes always revalidate
+        ttl: this.config.refreshInterval * 60 / 2,
+        maxAge: 30 * 60,
+        onUpdate: (update) => this.applyQuoteUpdate(symbol, update)
+      });
+      return { ...result.data, fetchedAt: result.fetchedAt, dataState: dataProvenance.getStateForResult(result, this.config) };
     } catch (error) {
-      console.warn('StockTickerWidget: API fetch failed, using mock data', error);
-      return this.getMockStockData();
+      if (!isMockDataAllowed()) {
+        console.warn(`StockTickerWidget: Failed to fetch ${symbol}`, error);
+        return null;
+      }
+      console.warn(`StockTickerWidget: Failed to fetch ${symbol}, showing demo data`, error);
+      return this.getMockStockForSymbol(symbol);
     }
   }
 
-  async fetchSingleStock(symbol) {
+  async fetchQuote(symbol) {
+    const provider = getStockProvider(this.config.provider);
+    if (!provider) {
+      throw new Error(`Unknown market data provider '${this.config.provider}'`);
+    }
+
+    return provider.fetchQuote(symbol, {
+      apiKey: this.config.apiKey,
+      url: this.config.providerUrl,
+      intraday: this.config.showSparkline
+    });
+  }
+
+  getCacheKey(symbol) {
+    return `stocks:${this.config.provider}:${symbol}${this.config.showSparkline ? ':intraday' : ''}`;
+  }
+
+  applyQuoteUpdate(symbol, result) {
+    const index = this.stockData.findIndex(stock => stock.symbol === symbol);
+    if (index === -1) return;
+
+    this.stockData[index] = { ...result.data, fetchedAt: result.fetchedAt, dataState: dataProvenance.getStateForResult(result, this.config) };
+    this.updateLastUpdate();
+    this.reportState();
+    this.render();
+  }
+
+  // The widget is only as trustworthy as its least trustworthy quote
+  reportState() {
+    const states = this.stockData.map(stock => stock.mock ? 'mock' : stock.dataState);
+    const missing = this.config.symbols.length - this.stockData.length;
+    if (missing > 0) {
+      states.push('error');
+    }
+
+    let message = null;
+    if (this.hasMockData()) {
+      message = 'Live prices unavailable, showing demo data';
+    } else if (missing > 0) {
+      message = `${missing} of ${this.config.symbols.length} symbols unavailable`;
+    }
+
+    reportDataState(this, dataProvenance.combineStates(states), {
+      source: 'stocks',
+      fetchedAt: this.lastUpdate,
+      message
+    });
+  }
+
+  // Freshness follows the oldest live quote on display
+  updateLastUpdate() {
+    const fetchTimes = this.stockData
+      .map(stock => stock.fetchedAt)
+      .filter(Boolean);
+    this.lastUpdate = fetchTimes.length > 0 ? new Date(Math.min(...fetchTimes)) : null;
+  }
+
+  hasMockData() {
+    return this.stockData.some(stock => stock.mock);
+  }
+
+  getMarketStatus() {
     try {
-      // Try Yahoo Finance alternative API (free, no key required)
-      // Note: This is for demo purposes - in production use a reliable service
-      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`;
-      
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Stock API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      const result = data.chart.result[0];
-      const meta = result.meta;
-      const quote = result.indicators.quote[0];
-      
-      const currentPrice = meta.regularMarketPrice;
-      const previousClose = meta.previousClose;
-      const change = currentPrice - previousClose;
-      const changePercent = (change / previousClose) * 100;
-      
-      return {
-        symbol: symbol,
-        price: currentPrice,
-        change: change,
-        changePercent: changePercent,
-        currency: meta.currency || 'USD',
-        lastUpdate: new Date()
-      };
+      return getMarketStatus(this.config.exchange, new Date(now()), this.config.marketHolidays);
     } catch (error) {
-      console.warn(`StockTickerWidget: Failed to fetch ${symbol}`, error);
-      // Return mock data for this symbol
-      return this.getMockStockForSymbol(symbol);
+      console.warn('StockTickerWidget: Market status unavailable', error);
+      return null;
     }
   }
 
@@ -139,39 +194,12 @@ export class StockTickerWidget extends HTMLElement {
       change: mock.change,
       changePercent: mock.changePercent,
       currency: 'USD',
-      lastUpdate: new Date()
+      intraday: [],
+      // Flagged so the widget labels it as demo data rather than live prices
+      mock: true
     };
   }
 
-  cacheStockData(data) {
-    try {
-      const cacheKey = `stocks_${this.config.symbols.join('_')}`;
-      localStorage.setItem(cacheKey, JSON.stringify({
-        data,
-        timestamp: Date.now()
-      }));
-    } catch (error) {
-      console.warn('StockTickerWidget: Failed to cache data', error);
-    }
-  }
-
-  getCachedStockData() {
-    try {
-      const cacheKey = `stocks_${this.config.symbols.join('_')}`;
-      const cached = localStorage.getItem(cacheKey);
-      if (cached) {
-        const { data, timestamp } = JSON.parse(cached);
-        // Use cached data if less than 30 minutes old
-        if (Date.now() - timestamp < 30 * 60 * 1000) {
-          return data;
-        }
-      }
-    } catch (error) {
-      console.warn('StockTickerWidget: Failed to load cached data', error);
-    }
-    return null;
-  }
-
   formatPrice(price, currency = 'USD') {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -197,8 +225,38 @@ export class StockTickerWidget extends HTMLElement {
     return '#74b9ff'; // Blue for neutral
   }
 
+  /**
+   * Render an intraday price line as inline SVG
+   * @param {Object} stock - Quote with intraday points
+   * @returns {string} SVG markup, empty when there are too few points
+   */
+  renderSparkline(stock) {
+    const prices = (stock.intraday || []).map(point => point.price);
+    if (!this.config.showSparkline || prices.length < 2) return '';
+
+    const width = 100;
+    const height = 30;
+    // Include the previous close so the baseline is always in view
+    const range = stock.previousClose ? [...prices, stock.previousClose] : prices;
+    const min = Math.min(...range);
+    const max = Math.max(...range);
+    const scaleY = (price) => max === min ? height / 2 : height - ((price - min) / (max - min)) * height;
+    const points = prices
+      .map((price, i) => `${((i / (prices.length - 1)) * width).toFixed(1)},${scaleY(price).toFixed(1)}`)
+      .join(' ');
+
+    return `
+      <svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+        ${stock.previousClose ? `<line class="baseline" x1="0" x2="${width}" y1="${scaleY(stock.previousClose).toFixed(1)}" y2="${scaleY(stock.previousClose).toFixed(1)}"></line>` : ''}
+        <polyline points="${points}" style="stroke: ${this.getChangeColor(stock.change)}"></polyline>
+      </svg>
+    `;
+  }
+
   render() {
     const hasData = this.stockData && this.stockData.length > 0;
+    const hasMockData = this.hasMockData();
+    const market = this.config.showMarketStatus ? this.getMarketStatus() : null;
     const isStale = this.lastUpdate && (Date.now() - this.lastUpdate.getTime()) > (this.config.refreshInterval * 60 * 1000);
     
     this.shadowRoot.innerHTML = `
@@ -288,6 +346,59 @@ export class StockTickerWidget extends HTMLElement {
           margin-bottom: 0.2rem;
         }
         
+        .header-badges {
+          display: flex;
+          gap: 0.4rem;
+        }
+        
+        .badge {
+          font-size: 0.65rem;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          border-radius: 4px;
+          padding: 0.15rem 0.45rem;
+          background: rgba(255, 255, 255, 0.2);
+        }
+        
+        .badge.market-open {
+          background: rgba(0, 184, 148, 0.6);
+        }
+        
+        .badge.market-closed {
+          background: rgba(45, 52, 54, 0.4);
+        }
+        
+        .badge.demo {
+          background: #fdcb6e;
+          color: #2d3436;
+        }
+        
+        .stock-item.mock {
+          opacity: 0.75;
+          border: 1px dashed rgba(255, 255, 255, 0.6);
+        }
+        
+        .sparkline {
+          width: 100%;
+          height: 30px;
+          margin-top: 0.4rem;
+          overflow: visible;
+        }
+        
+        .sparkline polyline {
+          fill: none;
+          stroke-width: 1.5;
+          vector-effect: non-scaling-stroke;
+        }
+        
+        .sparkline .baseline {
+          stroke: rgba(255, 255, 255, 0.5);
+          stroke-width: 1;
+          stroke-dasharray: 3 3;
+          vector-effect: non-scaling-stroke;
+        }
+        
         .stock-change {
           font-size: 0.8rem;
           font-weight: 500;
@@ -334,13 +445,21 @@ export class StockTickerWidget extends HTMLElement {
             <div class="title">
               💹 Stock Ticker
             </div>
+            <div class="header-badges">
+              ${hasMockData ? '<span class="badge demo" title="Live prices are unavailable; these figures are not real">Demo data</span>' : ''}
+              ${market ? `
+                <span class="badge ${market.isOpen ? 'market-open' : 'market-closed'}" title="${market.exchange} ${market.localTime}">
+                  ${market.exchange} ${market.isOpen ? 'Open' : this.getClosedLabel(market.reason)}
+                </span>
+              ` : ''}
+            </div>
           </div>
           <div class="stocks-container">
             ${hasData ? `
               <div class="stocks-grid">
                 ${this.stockData.map(stock => `
-                  <div class="stock-item">
-                    <div class="stock-symbol">${stock.symbol}</div>
+                  <div class="stock-item ${stock.mock ? 'mock' : ''}">
+                    <div class="stock-symbol">${escapeHTML(stock.symbol)}</div>
                     <div class="stock-price">${this.formatPrice(stock.price, stock.currency)}</div>
                     <div class="stock-change">
                       ${this.config.showChange ? `
@@ -354,9 +473,14 @@ export class StockTickerWidget extends HTMLElement {
                         </span>
                       ` : ''}
                     </div>
+                    ${this.renderSparkline(stock)}
                   </div>
                 `).join('')}
               </div>
+            ` : this.loadError ? `
+              <div class="loading-state">
+                ${escapeHTML(this.loadError)}
+              </div>
             ` : `
               <div class="loading-state">
                 Loading stock data...
@@ -370,6 +494,17 @@ export class StockTickerWidget extends HTMLElement {
     `;
   }
 
+  getClosedLabel(reason) {
+    const labels = {
+      weekend: 'Closed · Weekend',
+      holiday: 'Closed · Holiday',
+      'pre-market': 'Pre-market',
+      break: 'Midday break',
+      'after-hours': 'Closed'
+    };
+    return labels[reason] || 'Closed';
+  }
+
   startRefreshTimer() {
     this.refreshTimer = setInterval(() => {
       this.loadStockData();
@@ -394,6 +529,7 @@ export class StockTickerWidget extends HTMLElement {
 
   destroy() {
     this.stopRefreshTimer();
+    document.removeEventListener(CLOCK_CHANGE_EVENT, this.handleClockChange);
   }
 }
 
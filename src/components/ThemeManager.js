@@ -5,6 +5,7 @@
 import { themeEngine } from '../theme.js';
 import { layoutEngine } from './LayoutEngine.js';
 import { cssCustomizer } from './CSSCustomizer.js';
+import { adminLock } from './AdminLock.js';
 
 export class ThemeManager {
   constructor() {
@@ -27,6 +28,9 @@ export class ThemeManager {
       this.createContainer();
       this.setupKeyboardShortcuts();
       this.setupEventListeners();
+      this.unsubscribeLock = adminLock.onLock(() => {
+        if (this.isVisible) this.hide();
+      });
       this.initialized = true;
       console.log('ThemeManager: Initialized');
     } else {
@@ -671,7 +675,8 @@ export class ThemeManager {
     }
   }
 
-  show() {
+  async show() {
+    if (!(await adminLock.unlock('Theme Manager'))) return;
     if (!this.initialized) {
       this.init();
     }
@@ -793,6 +798,7 @@ export class ThemeManager {
     }
 
     this.listeners.clear();
+    this.unsubscribeLock?.();
     this.container = null;
 
     console.log('ThemeManager: Destroyed');
@@ -1,3 +1,7 @@
+import { getWeatherProvider, isMetricUnits } from '../weatherProviders.js';
+import { dataService } from '../dataService.js';
+import dataProvenance, { reportDataState } from '../dataProvenance.js';
+
 export class WeatherWidget extends HTMLElement {
   constructor() {
     super();
@@ -6,9 +10,16 @@ export class WeatherWidget extends HTMLElement {
       location: 'Minneapolis',
       latitude: null,
       longitude: null,
-      units: 'fahrenheit', // 'celsius' or 'fahrenheit'
+      units: 'fahrenheit', // 'celsius' (or 'metric') or 'fahrenheit'
       refreshInterval: 30, // minutes
-      showForecast: false,
+      provider: 'open-meteo', // 'open-meteo', 'weatherapi', 'json' or a registered provider
+      apiKey: '', // WeatherAPI key
+      providerUrl: '', // Self-hosted JSON endpoint for the 'json' provider
+      showForecast: false, // Multi-day forecast
+      showHourly: false, // Hourly forecast
+      forecastDays: 5,
+      hourlyHours: 12,
+      mode: 'compact', // 'compact' or 'expanded'
       ...this.config
     };
     this.weatherData = null;
@@ -37,27 +48,35 @@ export class WeatherWidget extends HTMLElement {
 
   async loadWeatherData() {
     try {
-      // Try to get coordinates if not provided
-      if (!this.config.latitude || !this.config.longitude) {
+      // Try to get coordinates if the provider needs them
+      const provider = this.getProvider();
+      if (provider && provider.requiresCoordinates && (!this.config.latitude || !this.config.longitude)) {
         await this.getCoordinates();
       }
 
-      // Try to fetch fresh data
-      const freshData = await this.fetchWeatherData();
-      if (freshData) {
-        this.weatherData = freshData;
-        this.lastUpdate = new Date();
-        this.cacheWeatherData(freshData);
-      } else {
-        // Fall back to cached data
-        this.weatherData = this.getCachedWeatherData();
-      }
+      const result = await dataService.request(this.getCacheKey(), () => this.fetchWeatherData(), {
+        source: 'weather',
+        // Half the refresh interval so scheduled refreshes always revalidate
+        ttl: this.config.refreshInterval * 60 / 2,
+        maxAge: 2 * 60 * 60,
+        onUpdate: (update) => this.applyWeatherResult(update)
+      });
+      this.applyWeatherResult(result);
     } catch (error) {
       console.warn('WeatherWidget: Failed to load weather data', error);
-      // Try cached data as fallback
-      this.weatherData = this.getCachedWeatherData();
+      reportDataState(this, 'error', { source: 'weather', message: error.message });
+      this.render();
     }
+  }
 
+  applyWeatherResult(result) {
+    this.weatherData = result.data;
+    // Freshness reflects when the data was actually fetched, not when it was rendered
+    this.lastUpdate = new Date(result.fetchedAt);
+    reportDataState(this, dataProvenance.getStateForResult(result, this.config), {
+      source: 'weather',
+      fetchedAt: result.fetchedAt
+    });
     this.render();
   }
 
@@ -66,10 +85,10 @@ export class WeatherWidget extends HTMLElement {
 
     try {
       // Use a simple geocoding service (Open-Meteo also provides this)
-      const response = await fetch(
-        `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(this.config.location)}&count=1`
+      const { data } = await dataService.fetchJSON(
+        `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(this.config.location)}&count=1`,
+        { source: 'geocoding', ttl: 30 * 24 * 60 * 60 }
       );
-      const data = await response.json();
       
       if (data.results && data.results.length > 0) {
         this.config.latitude = data.results[0].latitude;
@@ -80,57 +99,38 @@ export class WeatherWidget extends HTMLElement {
     }
   }
 
+  getProvider() {
+    return getWeatherProvider(this.config.provider);
+  }
+
   async fetchWeatherData() {
-    if (!this.config.latitude || !this.config.longitude) {
-      throw new Error('No coordinates available');
+    const provider = this.getProvider();
+    if (!provider) {
+      throw new Error(`Unknown weather provider '${this.config.provider}'`);
     }
 
-    const tempUnit = this.config.units === 'celsius' ? 'celsius' : 'fahrenheit';
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${this.config.latitude}&longitude=${this.config.longitude}&current_weather=true&temperature_unit=${tempUnit}&timezone=auto`;
-
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Weather API error: ${response.status}`);
+    if (provider.requiresCoordinates && (!this.config.latitude || !this.config.longitude)) {
+      throw new Error('No coordinates available');
     }
 
-    const data = await response.json();
-    return {
-      temperature: Math.round(data.current_weather.temperature),
-      weatherCode: data.current_weather.weathercode,
-      windSpeed: data.current_weather.windspeed,
-      windDirection: data.current_weather.winddirection,
-      time: data.current_weather.time,
-      units: tempUnit
-    };
+    return provider.fetchWeather({
+      latitude: this.config.latitude,
+      longitude: this.config.longitude,
+      location: this.config.location,
+      units: isMetricUnits(this.config.units) ? 'celsius' : 'fahrenheit',
+      apiKey: this.config.apiKey,
+      url: this.config.providerUrl,
+      forecastDays: this.config.forecastDays,
+      hourlyHours: this.config.hourlyHours
+    });
   }
 
-  cacheWeatherData(data) {
-    try {
-      const cacheKey = `weather_${this.config.latitude}_${this.config.longitude}`;
-      localStorage.setItem(cacheKey, JSON.stringify({
-        data,
-        timestamp: Date.now()
-      }));
-    } catch (error) {
-      console.warn('WeatherWidget: Failed to cache data', error);
-    }
-  }
-
-  getCachedWeatherData() {
-    try {
-      const cacheKey = `weather_${this.config.latitude}_${this.config.longitude}`;
-      const cached = localStorage.getItem(cacheKey);
-      if (cached) {
-        const { data, timestamp } = JSON.parse(cached);
-        // Use cached data if less than 2 hours old
-        if (Date.now() - timestamp < 2 * 60 * 60 * 1000) {
-          return data;
-        }
-      }
-    } catch (error) {
-      console.warn('WeatherWidget: Failed to load cached data', error);
-    }
-    return null;
+  getCacheKey() {
+    const place = this.config.latitude && this.config.longitude
+      ? `${this.config.latitude},${this.config.longitude}`
+      : this.config.location;
+    const units = isMetricUnits(this.config.units) ? 'celsius' : 'fahrenheit';
+    return `weather:${this.config.provider}:${place}:${units}:${this.config.forecastDays}:${this.config.hourlyHours}`;
   }
 
   getWeatherIcon(weatherCode) {
@@ -194,9 +194,105 @@ export class WeatherWidget extends HTMLElement {
     return descriptions[weatherCode] || 'Unknown';
   }
 
+  getTemperatureSymbol() {
+    const units = this.weatherData?.units || (isMetricUnits(this.config.units) ? 'celsius' : 'fahrenheit');
+    return units === 'celsius' ? 'C' : 'F';
+  }
+
+  getWindUnit() {
+    return this.weatherData?.windUnit || (this.getTemperatureSymbol() === 'C' ? 'km/h' : 'mph');
+  }
+
+  // Local ISO strings without an offset parse as local wall-clock time
+  formatDay(date, index) {
+    if (index === 0) return 'Today';
+    return new Date(`${date}T00:00`).toLocaleDateString([], { weekday: 'short' });
+  }
+
+  formatHour(time) {
+    return new Date(time).toLocaleTimeString([], { hour: 'numeric' });
+  }
+
+  formatClock(time) {
+    if (!time) return '--';
+    return new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  }
+
+  formatPrecipitation(probability) {
+    return probability === null || probability === undefined ? '' : `💧${Math.round(probability)}%`;
+  }
+
+  formatWind(speed) {
+    return speed === null || speed === undefined ? '' : `💨${Math.round(speed)} ${this.getWindUnit()}`;
+  }
+
+  renderDetails() {
+    const today = this.weatherData.daily?.[0];
+    const details = [this.formatWind(this.weatherData.windSpeed)];
+    if (today) {
+      details.push(`↑${today.high}° ↓${today.low}°`);
+      if (today.sunrise) details.push(`🌅 ${this.formatClock(today.sunrise)}`);
+      if (today.sunset) details.push(`🌇 ${this.formatClock(today.sunset)}`);
+    }
+    return `<div class="details">${details.filter(Boolean).map(detail => `<span>${detail}</span>`).join('')}</div>`;
+  }
+
+  renderHourly(expanded) {
+    const hours = (this.weatherData.hourly || []).slice(0, expanded ? this.config.hourlyHours : 6);
+    if (!this.config.showHourly || hours.length === 0) return '';
+
+    return `
+      <div class="hourly">
+        ${hours.map(hour => `
+          <div class="hour">
+            <div class="hour-time">${this.formatHour(hour.time)}</div>
+            <div class="hour-icon">${this.getWeatherIcon(hour.weatherCode)}</div>
+            <div class="hour-temp">${hour.temperature}°</div>
+            ${expanded ? `<div class="hour-precip">${this.formatPrecipitation(hour.precipitationProbability)}</div>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderDaily(expanded) {
+    const days = (this.weatherData.daily || []).slice(0, this.config.forecastDays);
+    if (!this.config.showForecast || days.length === 0) return '';
+
+    if (!expanded) {
+      return `
+        <div class="daily compact">
+          ${days.map((day, index) => `
+            <div class="day">
+              <div class="day-name">${this.formatDay(day.date, index)}</div>
+              <div class="day-icon">${this.getWeatherIcon(day.weatherCode)}</div>
+              <div class="day-temps">${day.high}° <span class="low">${day.low}°</span></div>
+            </div>
+          `).join('')}
+        </div>
+      `;
+    }
+
+    return `
+      <div class="daily expanded">
+        ${days.map((day, index) => `
+          <div class="day-row">
+            <div class="day-name">${this.formatDay(day.date, index)}</div>
+            <div class="day-icon" title="${this.getWeatherDescription(day.weatherCode)}">${this.getWeatherIcon(day.weatherCode)}</div>
+            <div class="day-precip">${this.formatPrecipitation(day.precipitationProbability)}</div>
+            <div class="day-wind">${this.formatWind(day.windSpeed)}</div>
+            <div class="day-temps">${day.high}° <span class="low">${day.low}°</span></div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
   render() {
     const hasData = this.weatherData;
     const isStale = this.lastUpdate && (Date.now() - this.lastUpdate.getTime()) > (this.config.refreshInterval * 60 * 1000);
+    const expanded = this.config.mode === 'expanded';
+    const hasForecast = hasData && (this.config.showForecast || this.config.showHourly);
     
     this.shadowRoot.innerHTML = `
       <style>
@@ -233,12 +329,24 @@ export class WeatherWidget extends HTMLElement {
           position: relative;
           z-index: 1;
         }
+
+        .weather-widget.with-forecast .content {
+          width: 100%;
+          display: flex;
+          flex-direction: column;
+          gap: 0.8rem;
+        }
         
         .weather-icon {
           font-size: clamp(2.5rem, 5vw, 4rem);
           margin-bottom: 0.8rem;
           filter: drop-shadow(0 2px 4px rgba(0,0,0,0.3));
         }
+
+        .with-forecast .weather-icon {
+          font-size: clamp(2rem, 4vw, 3rem);
+          margin-bottom: 0.3rem;
+        }
         
         .temperature {
           font-size: clamp(2rem, 4vw, 3rem);
@@ -260,6 +368,81 @@ export class WeatherWidget extends HTMLElement {
           font-weight: 300;
           text-transform: capitalize;
         }
+
+        .details {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          gap: 0.4rem 0.9rem;
+          font-size: 0.85rem;
+          opacity: 0.9;
+          margin-top: 0.4rem;
+        }
+
+        .hourly {
+          display: flex;
+          gap: 0.4rem;
+          overflow: hidden;
+          justify-content: space-between;
+        }
+
+        .hour {
+          flex: 1;
+          min-width: 2.8rem;
+          font-size: 0.8rem;
+          background: rgba(255, 255, 255, 0.12);
+          border-radius: 6px;
+          padding: 0.3rem 0.2rem;
+        }
+
+        .hour-icon {
+          font-size: 1.1rem;
+        }
+
+        .hour-precip {
+          font-size: 0.7rem;
+          opacity: 0.85;
+        }
+
+        .daily.compact {
+          display: flex;
+          gap: 0.4rem;
+          justify-content: space-between;
+        }
+
+        .daily.compact .day {
+          flex: 1;
+          font-size: 0.8rem;
+        }
+
+        .day-icon {
+          font-size: 1.2rem;
+        }
+
+        .low {
+          opacity: 0.7;
+        }
+
+        .daily.expanded {
+          display: flex;
+          flex-direction: column;
+          gap: 0.3rem;
+          text-align: left;
+        }
+
+        .day-row {
+          display: grid;
+          grid-template-columns: 3.5rem 1.8rem 1fr 1.5fr auto;
+          align-items: center;
+          gap: 0.5rem;
+          font-size: 0.85rem;
+          padding: 0.2rem 0;
+          border-top: 1px solid rgba(255, 255, 255, 0.2);
+        }
+
+        .day-row .day-temps {
+          text-align: right;
+        }
         
         .error-state {
           background: linear-gradient(135deg, #ff6b6b 0%, #ee5a24 100%);
@@ -288,13 +471,18 @@ export class WeatherWidget extends HTMLElement {
           font-weight: 300;
         }
       </style>
-      <div class="weather-widget ${!hasData ? 'loading-state' : ''}">
+      <div class="weather-widget ${!hasData ? 'loading-state' : ''} ${hasForecast ? 'with-forecast' : ''} ${expanded ? 'expanded' : 'compact'}">
         <div class="content">
           ${hasData ? `
-            <div class="weather-icon">${this.getWeatherIcon(this.weatherData.weatherCode)}</div>
-            <div class="temperature">${this.weatherData.temperature}°${this.weatherData.units === 'celsius' ? 'C' : 'F'}</div>
-            <div class="location">${this.config.location}</div>
-            <div class="description">${this.getWeatherDescription(this.weatherData.weatherCode)}</div>
+            <div class="current">
+              <div class="weather-icon">${this.getWeatherIcon(this.weatherData.weatherCode)}</div>
+              <div class="temperature">${this.weatherData.temperature}°${this.getTemperatureSymbol()}</div>
+              <div class="location">${this.config.location}</div>
+              <div class="description">${this.getWeatherDescription(this.weatherData.weatherCode)}</div>
+              ${expanded ? this.renderDetails() : ''}
+            </div>
+            ${this.renderHourly(expanded)}
+            ${this.renderDaily(expanded)}
           ` : `
             <div class="weather-icon">🌤️</div>
             <div class="temperature">--°</div>
@@ -1,6 +1,20 @@
+import { validateConfigSchema, formatProblems } from './configSchema.js';
+import { applyDeviceOverrides, getDevice } from './device.js';
+
+/**
+ * Config files tried in order when no source is given
+ */
+export const DEFAULT_CONFIG_SOURCES = [
+  './config/phase3-demo-config.json',  // Phase 3 Demo configuration
+  './config/phase2-demo-config.json',  // Phase 2 Demo configuration
+  './config/config.json',              // User configuration
+  './config/example-config.json'       // Example configuration
+];
+
 /**
  * Loads and validates a LumaBoard config from a file, URL, or localStorage.
- * @param {Object} options - { url, file, localStorageKey }
+ * Fleet overrides for this screen are merged in before validation; pass device: false to skip them.
+ * @param {Object} options - { url, file, localStorageKey, device }
  * @returns {Promise<Object>} - Resolves with config object or rejects with error.
  */
 export async function loadConfig(options = {}) {
@@ -17,15 +31,8 @@ export async function loadConfig(options = {}) {
       if (!configText) throw new Error('No config found in localStorage');
     } else {
       // Default: try to load configs in order of preference
-      const configSources = [
-        './config/phase3-demo-config.json',  // Phase 3 Demo configuration
-        './config/phase2-demo-config.json',  // Phase 2 Demo configuration
-        './config/config.json',              // User configuration
-        './config/example-config.json'       // Example configuration
-      ];
-      
       let configLoaded = false;
-      for (const source of configSources) {
+      for (const source of DEFAULT_CONFIG_SOURCES) {
         try {
           const res = await fetch(source);
           if (res.ok) {
@@ -43,7 +50,10 @@ export async function loadConfig(options = {}) {
         throw new Error('No config source specified and no default config available');
       }
     }
-    const config = JSON.parse(configText);
+    const baseConfig = JSON.parse(configText);
+    const config = options.device === false
+      ? baseConfig
+      : applyDeviceOverrides(baseConfig, options.device || getDevice());
     validateConfig(config);
     return config;
   } catch (err) {
@@ -52,18 +62,16 @@ export async function loadConfig(options = {}) {
 }
 
 /**
- * Basic config schema validation (expand as needed).
- * Throws error if invalid.
+ * Validate config against the board and widget schemas.
+ * Logs warnings and throws an error listing every schema error.
  */
 function validateConfig(config) {
-  if (!config || typeof config !== 'object') throw new Error('Config is not an object');
-  if (!Array.isArray(config.scenes)) throw new Error('Config missing scenes array');
-  
-  // Validate each scene
-  config.scenes.forEach((scene, index) => {
-    if (!scene.name) throw new Error(`Scene ${index} missing name`);
-    if (!Array.isArray(scene.widgets)) throw new Error(`Scene ${scene.name} missing widgets array`);
-  });
-  
-  // Add more schema checks as needed
-} 
\ No newline at end of file
+  const result = validateConfigSchema(config);
+
+  if (result.warnings.length > 0) {
+    console.warn('ConfigLoader: Config warnings:\n' + formatProblems(result.warnings).join('\n'));
+  }
+  if (!result.valid) {
+    throw new Error(formatProblems(result.errors).join('; '));
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * LumaBoard Config Reloader
+ * Polls a remote config URL so a fleet of screens picks up edits without a page reload.
+ * Requests are conditional (ETag / Last-Modified), new configs get this screen's fleet
+ * overrides merged in and are schema-checked before use, and the last config that validated
+ * is kept (and persisted) for when a later one is broken or the server is unreachable.
+ *
+ *   "hotReload": { "url": "https://signage.example.com/lobby.json", "interval": 60 }
+ *
+ * Changes are reported as a diff so the board can re-render only what changed:
+ *
+ *   { changed, sections: ['theme', ...],
+ *     scenes: { added: [names], removed: [names], changed: [{ name, widgets: { added, removed, changed }, layoutChanged }], orderChanged } }
+ */
+
+import { validateConfigSchema, formatProblems } from './configSchema.js';
+import { applyDeviceOverrides, getDevice } from './device.js';
+
+const STORAGE_KEY = 'luma_last_good_config';
+
+/**
+ * Deep equality for JSON values
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Key scenes by name, falling back to their position for unnamed scenes
+ */
+function sceneKey(scene, index) {
+  return scene?.name ? scene.name : `#${index}`;
+}
+
+/**
+ * Compare two widget lists by position
+ * @returns {{added: number[], removed: number[], changed: number[]}}
+ */
+function diffWidgets(previous = [], next = []) {
+  const diff = { added: [], removed: [], changed: [] };
+  const length = Math.max(previous.length, next.length);
+
+  for (let index = 0; index < length; index++) {
+    if (index >= previous.length) {
+      diff.added.push(index);
+    } else if (index >= next.length) {
+      diff.removed.push(index);
+    } else if (!isEqual(previous[index], next[index])) {
+      diff.changed.push(index);
+    }
+  }
+  return diff;
+}
+
+/**
+ * Describe what changed between two board configs
+ * @param {Object} previous - Config currently applied
+ * @param {Object} next - New config
+ * @returns {Object} Diff; changed is false when the configs are equivalent
+ */
+export function diffConfigs(previous = {}, next = {}) {
+  const sections = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(key => key !== 'scenes' && !isEqual(previous[key], next[key]));
+
+  const previousScenes = new Map((previous.scenes || []).map((scene, index) => [sceneKey(scene, index), scene]));
+  const nextScenes = new Map((next.scenes || []).map((scene, index) => [sceneKey(scene, index), scene]));
+  const scenes = { added: [], removed: [], changed: [], orderChanged: false };
+
+  nextScenes.forEach((scene, name) => {
+    if (!previousScenes.has(name)) {
+      scenes.added.push(name);
+      return;
+    }
+
+    const before = previousScenes.get(name);
+    if (isEqual(before, scene)) return;
+
+    const { widgets: widgetsBefore, ...restBefore } = before;
+    const { widgets: widgetsAfter, ...restAfter } = scene;
+    scenes.changed.push({
+      name,
+      widgets: diffWidgets(widgetsBefore, widgetsAfter),
+      layoutChanged: !isEqual(restBefore, restAfter)
+    });
+  });
+
+  previousScenes.forEach((scene, name) => {
+    if (!nextScenes.has(name)) scenes.removed.push(name);
+  });
+
+  const kept = [...nextScenes.keys()].filter(name => previousScenes.has(name));
+  const keptBefore = [...previousScenes.keys()].filter(name => nextScenes.has(name));
+  scenes.orderChanged = !isEqual(kept, keptBefore);
+
+  return {
+    changed: sections.length > 0 || scenes.added.length > 0 || scenes.removed.length > 0 ||
+      scenes.changed.length > 0 || scenes.orderChanged,
+    sections,
+    scenes
+  };
+}
+
+class ConfigReloader {
+  constructor(options = {}) {
+    this.options = {
+      url: null,
+      interval: 300, // seconds between checks
+      persist: true, // keep the last good config in localStorage
+      ...options
+    };
+
+    this.onUpdate = null;
+    this.active = false;
+    this.timer = null;
+    this.current = null;
+    this.validators = { etag: null, lastModified: null };
+    this.status = {
+      url: null,
+      lastChecked: null,
+      lastApplied: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Update options from the board config "hotReload" section
+   * @param {Object} options - { url, interval, persist }
+   */
+  configure(options = {}) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) this.options[key] = value;
+    });
+    this.status.url = this.options.url;
+  }
+
+  /**
+   * Start polling, checking once straight away
+   * @param {Object} currentConfig - Config the board is running
+   * @param {Function} onUpdate - Called with (config, diff) when a valid, changed config arrives
+   */
+  start(currentConfig, onUpdate) {
+    this.stop();
+    if (!this.options.url) return;
+
+    this.current = currentConfig;
+    this.onUpdate = onUpdate;
+    this.active = true;
+    console.log(`ConfigReloader: Watching ${this.options.url} every ${this.options.interval}s`);
+    this.poll();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    this.active = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    try {
+      await this.check();
+    } catch (error) {
+      console.error('ConfigReloader: Check failed', error);
+    } finally {
+      // Whatever went wrong, keep watching
+      if (this.active) {
+        this.timer = setTimeout(() => this.poll(), this.options.interval * 1000);
+      }
+    }
+  }
+
+  /**
+   * Fetch the config URL once and apply it if it changed and validates
+   * @returns {Promise<string>} 'applied', 'unchanged', 'invalid' or 'error'
+   */
+  async check() {
+    const url = this.options.url;
+    if (!url) return 'unchanged';
+
+    this.status.lastChecked = Date.now();
+    const headers = {};
+    if (this.validators.etag) headers['If-None-Match'] = this.validators.etag;
+    if (this.validators.lastModified) headers['If-Modified-Since'] = this.validators.lastModified;
+
+    let config;
+    let validators;
+    try {
+      const response = await fetch(url, { headers, cache: 'no-cache' });
+      // Only a config that was applied (or matched) is remembered, so a rejected one keeps its error
+      if (response.status === 304) {
+        return 'unchanged';
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      config = JSON.parse(await response.text());
+      validators = {
+        etag: response.headers?.get('ETag') || null,
+        lastModified: response.headers?.get('Last-Modified') || null
+      };
+    } catch (error) {
+      this.status.lastError = `Load failed: ${error.message}`;
+      console.warn(`ConfigReloader: Could not load ${url}, keeping the current config`, error);
+      return 'error';
+    }
+
+    const outcome = this.apply(applyDeviceOverrides(config, getDevice()));
+    // A rejected config is fetched in full again next time, not answered with a 304
+    if (outcome === 'applied' || outcome === 'unchanged') {
+      this.validators = validators;
+    }
+    return outcome;
+  }
+
+  /**
+   * Validate a config and hand it to the board if it differs from the running one
+   * @param {Object} config - Parsed config
+   * @returns {string} 'applied', 'unchanged' or 'invalid'
+   */
+  apply(config) {
+    const result = validateConfigSchema(config);
+    if (!result.valid) {
+      this.status.lastError = `Invalid config: ${formatProblems(result.errors).join('; ')}`;
+      console.warn(`ConfigReloader: Rejected new config, keeping the last good one:\n${formatProblems(result.errors).join('\n')}`);
+      return 'invalid';
+    }
+
+    this.status.lastError = null;
+    const diff = diffConfigs(this.current || {}, config);
+    if (!diff.changed) return 'unchanged';
+
+    const previous = this.current;
+    console.log(`ConfigReloader: Applying new config (${this.describe(diff)})`);
+
+    try {
+      this.onUpdate?.(config, diff);
+    } catch (error) {
+      // Put the board back on the config that last worked
+      this.status.lastError = `Apply failed: ${error.message}`;
+      console.error('ConfigReloader: Failed to apply new config, restoring the last good one', error);
+      if (previous) {
+        try {
+          this.onUpdate?.(previous, diffConfigs(config, previous));
+        } catch (restoreError) {
+          console.error('ConfigReloader: Failed to restore the last good config', restoreError);
+        }
+      }
+      return 'invalid';
+    }
+
+    this.current = config;
+    this.saveLastGood(config);
+    this.status.lastApplied = Date.now();
+    return 'applied';
+  }
+
+  /**
+   * Summarize a diff for logs
+   */
+  describe(diff) {
+    const { scenes, sections } = diff;
+    const parts = [];
+    if (scenes.added.length) parts.push(`${scenes.added.length} scenes added`);
+    if (scenes.removed.length) parts.push(`${scenes.removed.length} removed`);
+    if (scenes.changed.length) parts.push(`${scenes.changed.length} changed`);
+    if (scenes.orderChanged) parts.push('scenes reordered');
+    if (sections.length) parts.push(`sections: ${sections.join(', ')}`);
+    return parts.join(', ');
+  }
+
+  saveLastGood(config) {
+    if (!this.options.persist) return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+    } catch (error) {
+      console.warn('ConfigReloader: Could not persist the config', error);
+    }
+  }
+
+  /**
+   * Get the last config that validated, e.g. when the startup config cannot be loaded
+   * @returns {Object|null}
+   */
+  getLastGoodConfig() {
+    if (this.current) return this.current;
+    if (!this.options.persist) return null;
+
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the reload status for the DebugOverlay
+   * @returns {Object} { url, lastChecked, lastApplied, lastError }
+   */
+  getStatus() {
+    return { ...this.status };
+  }
+}
+
+// Create default instance
+const configReloader = new ConfigReloader();
+
+// Export class for advanced usage
+export { ConfigReloader, configReloader };
+
+// Export default instance
+export default configReloader;
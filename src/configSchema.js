@@ -0,0 +1,1001 @@
+/**
+ * LumaBoard Config Schema
+ * Schemas for the board config and every built-in widget's config, checked by a small
+ * validator for the JSON Schema subset they use (type, enum, properties, required, items,
+ * ranges, pattern, anyOf). Problems are reported with JSON paths such as
+ * scenes[2].widgets[1].config.symbols so editors can point at the offending value.
+ *
+ * Errors make the config unusable; warnings (unknown properties, unknown widget types)
+ * are shown to the author but the config still loads.
+ */
+
+import { parseCron } from './cron.js';
+import { isValidTimeZone } from './time.js';
+
+const TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+
+const bool = { type: 'boolean' };
+const str = { type: 'string' };
+const nonEmptyStr = { type: 'string', minLength: 1 };
+const positive = { type: 'number', exclusiveMinimum: 0 };
+const nonNegative = { type: 'number', minimum: 0 };
+const index = { type: 'integer', minimum: 0 };
+const time = { type: 'string', pattern: TIME_PATTERN, patternMessage: 'Expected a 24 hour time such as "06:30"' };
+const dimLevel = { type: 'number', minimum: 0, maximum: 1 };
+const stringList = { type: 'array', items: str };
+
+const animation = {
+  type: 'object',
+  properties: {
+    type: { enum: ['css', 'js', 'custom'] },
+    name: str,
+    duration: nonNegative,
+    easing: str,
+    delay: nonNegative,
+    iterations: { type: ['integer', 'string'] }
+  },
+  additionalProperties: false
+};
+
+const transitionType = {
+  enum: ['fade', 'slide-left', 'slide-right', 'slide-up', 'slide-down', 'zoom', 'flip', 'cube', 'mosaic', 'ripple']
+};
+
+const widgetSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: nonEmptyStr,
+    id: str,
+    position: { type: ['integer', 'string'] },
+    slot: str,
+    config: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+const sceneSchema = {
+  type: 'object',
+  required: ['name', 'widgets'],
+  properties: {
+    name: nonEmptyStr,
+    duration: positive,
+    tags: stringList,
+    layout: { type: ['string', 'object'] },
+    background: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: ['color', 'gradient', 'image'] },
+        value: str
+      },
+      additionalProperties: false
+    },
+    // Transition into this scene: a type, 'none', or { type, duration } with duration in ms
+    transition: {
+      anyOf: [
+        { enum: [...transitionType.enum, 'none'] },
+        {
+          type: 'object',
+          properties: { type: { enum: [...transitionType.enum, 'none'] }, duration: nonNegative },
+          additionalProperties: false
+        }
+      ]
+    },
+    widgets: { type: 'array', items: widgetSchema }
+  },
+  additionalProperties: false
+};
+
+// Scene Scheduler DSL (§21): entries name scenes and may override their duration
+const playlistEntries = {
+  type: 'array',
+  items: {
+    anyOf: [
+      nonEmptyStr,
+      {
+        type: 'object',
+        required: ['scene'],
+        properties: { scene: nonEmptyStr, duration: positive },
+        additionalProperties: false
+      }
+    ]
+  }
+};
+
+const playlistObject = {
+  type: 'object',
+  required: ['entries'],
+  properties: { entries: playlistEntries, repeat: bool },
+  additionalProperties: false
+};
+
+// "YYYY-MM-DD", or "MM-DD" to recur every year
+const scheduleDate = {
+  type: 'string',
+  pattern: '^(\\d{4}-)?\\d{2}-\\d{2}$',
+  patternMessage: 'Expected "YYYY-MM-DD" or "MM-DD"'
+};
+
+const nthWeekdayRule = {
+  type: 'object',
+  required: ['weekday', 'n'],
+  properties: {
+    weekday: { type: 'integer', minimum: 0, maximum: 6 },
+    n: { enum: [1, 2, 3, 4, 5, -1] },
+    month: { type: 'integer', minimum: 1, maximum: 12 }
+  },
+  additionalProperties: false
+};
+
+const scheduleSchema = {
+  type: 'object',
+  properties: {
+    name: str,
+    enabled: bool,
+    priority: { type: 'number' },
+    dateRange: {
+      type: 'object',
+      properties: { start: str, end: str },
+      additionalProperties: false
+    },
+    daysOfWeek: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } },
+    timeRange: {
+      type: 'object',
+      properties: { start: time, end: time },
+      additionalProperties: false
+    },
+    // Scene names to play; inline scene objects are still accepted
+    scenes: { type: 'array', items: { anyOf: [nonEmptyStr, sceneSchema] } },
+    tags: stringList,
+    rotation: {
+      type: 'object',
+      properties: { enabled: bool, interval: positive },
+      additionalProperties: false
+    },
+    sceneIndex: index,
+    cron: nonEmptyStr,
+    cronDuration: positive,
+    nthWeekday: { anyOf: [nthWeekdayRule, { type: 'array', items: nthWeekdayRule }] },
+    exceptDates: { type: 'array', items: scheduleDate },
+    onHolidays: { enum: ['include', 'exclude', 'only'] },
+    playlist: { anyOf: [nonEmptyStr, playlistEntries, playlistObject] }
+  },
+  additionalProperties: false
+};
+
+// Emergency alerts shown over the scenes; start and expires are date-times, duration is in seconds
+const alertSchema = {
+  type: 'object',
+  required: ['headline'],
+  properties: {
+    id: nonEmptyStr,
+    headline: nonEmptyStr,
+    message: str,
+    instruction: str,
+    severity: { enum: ['info', 'warning', 'critical'] },
+    display: { enum: ['fullscreen', 'banner'] },
+    start: str,
+    expires: str,
+    duration: positive,
+    // true counts down to the expiry, a date-time to that moment
+    countdown: { type: ['boolean', 'string'] }
+  },
+  additionalProperties: false
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['scenes'],
+  properties: {
+    scenes: { type: 'array', items: sceneSchema },
+    sceneRotation: {
+      type: 'object',
+      properties: { enabled: bool, interval: positive },
+      additionalProperties: false
+    },
+    refreshInterval: positive,
+    display: {
+      type: 'object',
+      properties: { rotation: { enum: [0, 90, 180, 270] } },
+      additionalProperties: false
+    },
+    // Themes are either simple colours/font or a full ThemeEngine theme, so extra keys are allowed
+    theme: {
+      type: 'object',
+      properties: {
+        name: str,
+        extends: str,
+        font: str,
+        primaryColor: str,
+        backgroundColor: str,
+        textColor: str,
+        colors: { type: 'object' },
+        typography: { type: 'object' },
+        spacing: { type: 'object' },
+        borderRadius: { type: 'object' },
+        shadows: { type: 'object' },
+        animations: { type: 'object' }
+      }
+    },
+    scheduler: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        timezone: str,
+        defaultDuration: positive,
+        transitionDuration: nonNegative,
+        checkInterval: positive,
+        holidays: {
+          type: 'array',
+          items: {
+            anyOf: [
+              scheduleDate,
+              {
+                type: 'object',
+                required: ['date'],
+                properties: { date: scheduleDate, name: str },
+                additionalProperties: false
+              }
+            ]
+          }
+        },
+        schedules: { type: 'array', items: scheduleSchema }
+      },
+      additionalProperties: false
+    },
+    // An entry array, or named playlists where "default" plays unless a scheduler rule swaps it
+    schedule: {
+      anyOf: [
+        playlistEntries,
+        { type: 'object', additionalProperties: { anyOf: [playlistEntries, playlistObject] } }
+      ]
+    },
+    repeat: bool,
+    transitions: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        defaultTransition: transitionType,
+        duration: nonNegative,
+        easing: str,
+        readyTimeout: nonNegative
+      },
+      additionalProperties: false
+    },
+    offline: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        checkInterval: positive,
+        retryAttempts: index,
+        retryDelay: nonNegative,
+        fallbackScenes: { type: 'array' },
+        cacheStrategy: { enum: ['aggressive', 'conservative', 'minimal'] },
+        serviceWorker: bool,
+        precache: stringList
+      },
+      additionalProperties: false
+    },
+    debug: { type: 'object' },
+    settings: { type: 'object' },
+    animations: {
+      type: 'object',
+      properties: {
+        global: {
+          type: 'object',
+          properties: { duration: nonNegative, easing: str, delay: nonNegative },
+          additionalProperties: false
+        },
+        widgetEntrance: animation,
+        sceneTransition: animation,
+        dataUpdate: animation
+      },
+      additionalProperties: false
+    },
+    burnInProtection: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        pixelShift: {
+          type: 'object',
+          properties: { enabled: bool, interval: positive, maxShift: nonNegative, duration: nonNegative },
+          additionalProperties: false
+        },
+        logoShift: {
+          type: 'object',
+          properties: { enabled: bool, interval: positive, maxShift: nonNegative, duration: nonNegative },
+          additionalProperties: false
+        },
+        screenSaver: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            activateAfter: positive,
+            type: { enum: ['geometric', 'particles', 'waves'] },
+            duration: positive
+          },
+          additionalProperties: false
+        },
+        dimming: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            nightMode: {
+              type: 'object',
+              properties: { enabled: bool, startTime: time, endTime: time, dimLevel, timezone: str },
+              additionalProperties: false
+            },
+            idleDimming: {
+              type: 'object',
+              properties: { enabled: bool, activateAfter: positive, dimLevel },
+              additionalProperties: false
+            }
+          },
+          additionalProperties: false
+        },
+        contentRotation: {
+          type: 'object',
+          properties: { enabled: bool, staticElementDetection: bool, rotateAfter: positive },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+    customCSS: str,
+    // Per-device and per-group overrides (see device.js), merged in before validation
+    fleet: {
+      type: 'object',
+      properties: {
+        groups: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { devices: stringList, overrides: { type: 'object' } },
+            additionalProperties: false
+          }
+        },
+        devices: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { groups: stringList, overrides: { type: 'object' } },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false
+    },
+    hotReload: {
+      type: 'object',
+      properties: { enabled: bool, url: str, interval: positive, persist: bool },
+      additionalProperties: false
+    },
+    // Admin password guarding the config, debug and theme panels; times are in seconds
+    admin: {
+      type: 'object',
+      properties: {
+        password: {
+          type: 'object',
+          required: ['hash', 'salt'],
+          properties: {
+            hash: { type: 'string', pattern: '^[0-9a-f]{64}$', patternMessage: 'Expected a SHA-256 hex hash from the config manager' },
+            salt: { type: 'string', pattern: '^[0-9a-f]+$', patternMessage: 'Expected the hex salt generated with the hash' }
+          },
+          additionalProperties: false
+        },
+        sessionTimeout: positive,
+        maxAttempts: { type: 'integer', minimum: 1 },
+        lockoutDuration: positive
+      },
+      additionalProperties: false
+    },
+    alerts: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        items: { type: 'array', items: alertSchema },
+        url: str,
+        interval: positive,
+        channel: { anyOf: [nonEmptyStr, { enum: [false] }] },
+        pauseRotation: bool
+      },
+      additionalProperties: false
+    },
+    data: {
+      type: 'object',
+      properties: {
+        proxyUrl: str,
+        proxyMode: { enum: ['fallback', 'always'] },
+        allowMockData: bool,
+        defaultTtl: nonNegative,
+        defaultMaxAge: nonNegative,
+        sources: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { ttl: nonNegative, maxAge: nonNegative },
+            additionalProperties: false
+          }
+        },
+        persist: bool
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+const WIDGET_SCHEMAS = {
+  clock: {
+    properties: {
+      format: { enum: ['12', '24'] },
+      showDate: bool,
+      showSeconds: bool,
+      timezone: str,
+      dateFormat: { enum: ['short', 'long', 'numeric'] },
+      updateInterval: positive
+    }
+  },
+  weather: {
+    properties: {
+      location: str,
+      latitude: { type: ['number', 'null'], minimum: -90, maximum: 90 },
+      longitude: { type: ['number', 'null'], minimum: -180, maximum: 180 },
+      units: { enum: ['celsius', 'metric', 'fahrenheit', 'imperial'] },
+      refreshInterval: positive,
+      provider: nonEmptyStr,
+      apiKey: str,
+      providerUrl: str,
+      showForecast: bool,
+      showHourly: bool,
+      forecastDays: { type: 'integer', minimum: 1, maximum: 16 },
+      hourlyHours: { type: 'integer', minimum: 1, maximum: 48 },
+      mode: { enum: ['compact', 'expanded'] }
+    }
+  },
+  news: {
+    properties: {
+      feedUrl: str,
+      sources: {
+        type: 'array',
+        items: {
+          anyOf: [
+            nonEmptyStr,
+            { type: 'object', required: ['url'], properties: { url: nonEmptyStr, name: str } }
+          ]
+        }
+      },
+      includeKeywords: stringList,
+      excludeKeywords: stringList,
+      refreshInterval: positive,
+      maxItems: { type: 'integer', minimum: 1 },
+      scrollSpeed: positive,
+      pauseOnHover: bool,
+      showSource: bool
+    }
+  },
+  stocks: {
+    properties: {
+      symbols: { type: 'array', minItems: 1, items: nonEmptyStr },
+      refreshInterval: positive,
+      showChange: bool,
+      showPercentChange: bool,
+      scrollSpeed: positive,
+      provider: nonEmptyStr,
+      apiKey: { type: ['string', 'null'] },
+      providerUrl: str,
+      showSparkline: bool,
+      exchange: { enum: ['NYSE', 'NASDAQ', 'TSX', 'LSE', 'XETRA', 'EURONEXT', 'SIX', 'TSE', 'HKEX', 'ASX'] },
+      marketHolidays: { type: 'array', items: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', patternMessage: 'Expected a date such as "2024-12-24"' } },
+      showMarketStatus: bool
+    }
+  },
+  youtube: {
+    properties: {
+      videoId: str,
+      playlist: stringList,
+      autoplay: bool,
+      loop: bool,
+      mute: bool,
+      controls: bool,
+      showInfo: bool,
+      currentIndex: index,
+      playlistInterval: positive
+    }
+  },
+  'image-slideshow': {
+    properties: {
+      images: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['url'],
+          properties: { url: nonEmptyStr, caption: str }
+        }
+      },
+      interval: positive,
+      showCaptions: bool,
+      showControls: bool,
+      showIndicators: bool,
+      transition: { enum: ['fade', 'slide', 'none'] },
+      autoplay: bool,
+      pauseOnHover: bool,
+      currentIndex: index
+    }
+  },
+  video: {
+    properties: {
+      videoUrl: str,
+      playlist: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['url'],
+          properties: { url: nonEmptyStr, title: str, poster: str }
+        }
+      },
+      autoplay: bool,
+      loop: bool,
+      muted: bool,
+      controls: bool,
+      poster: str,
+      currentIndex: index,
+      playlistAutoAdvance: bool
+    }
+  },
+  calendar: {
+    properties: {
+      showWeekNumbers: bool,
+      startOfWeek: { type: 'integer', minimum: 0, maximum: 6 },
+      highlightToday: bool,
+      showEvents: bool,
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['date'],
+          properties: { date: nonEmptyStr, title: str, color: str }
+        }
+      },
+      icsUrls: {
+        type: 'array',
+        items: {
+          anyOf: [
+            nonEmptyStr,
+            { type: 'object', required: ['url'], properties: { url: nonEmptyStr, name: str, color: str } }
+          ]
+        }
+      },
+      refreshInterval: positive,
+      showAgenda: bool,
+      agendaDays: { type: 'integer', minimum: 1 },
+      maxAgendaItems: { type: 'integer', minimum: 1 },
+      monthNames: { type: 'array', minItems: 12, items: str },
+      dayNames: { type: 'array', minItems: 7, items: str }
+    }
+  },
+  countdown: {
+    properties: {
+      targetDate: { type: ['string', 'null'] },
+      title: str,
+      showDays: bool,
+      showHours: bool,
+      showMinutes: bool,
+      showSeconds: bool,
+      format: { enum: ['digital', 'analog', 'text'] },
+      completedMessage: str,
+      autoRefresh: bool,
+      timezone: str
+    }
+  },
+  qrcode: {
+    properties: {
+      data: str,
+      size: { type: 'integer', minimum: 1 },
+      errorCorrectionLevel: { enum: ['L', 'M', 'Q', 'H'] },
+      foregroundColor: str,
+      backgroundColor: str,
+      title: str,
+      showTitle: bool,
+      showData: bool,
+      dataType: { enum: ['url', 'text', 'wifi', 'email', 'phone', 'sms'] }
+    }
+  },
+  map: {
+    properties: {
+      latitude: { type: 'number', minimum: -90, maximum: 90 },
+      longitude: { type: 'number', minimum: -180, maximum: 180 },
+      zoom: { type: 'number', minimum: 0, maximum: 22 },
+      mapType: { enum: ['roadmap', 'satellite', 'hybrid', 'terrain'] },
+      showMarker: bool,
+      markerTitle: str,
+      showControls: bool,
+      showStreetView: bool,
+      markers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['lat', 'lng'],
+          properties: {
+            lat: { type: 'number', minimum: -90, maximum: 90 },
+            lng: { type: 'number', minimum: -180, maximum: 180 },
+            title: str,
+            description: str
+          }
+        }
+      },
+      apiKey: { type: ['string', 'null'] },
+      useOpenStreetMap: bool
+    }
+  },
+  embed: {
+    required: ['url'],
+    properties: {
+      url: nonEmptyStr,
+      title: str,
+      showHeader: bool,
+      sandbox: { type: ['array', 'string'], items: str },
+      allow: str,
+      reloadInterval: nonNegative,
+      loadTimeout: positive,
+      zoom: positive,
+      scaleToFit: bool,
+      contentWidth: { type: 'integer', minimum: 1 },
+      contentHeight: { type: 'integer', minimum: 1 },
+      scrollX: nonNegative,
+      scrollY: nonNegative,
+      fallbackMessage: str
+    }
+  },
+  notes: {
+    properties: {
+      title: str,
+      notes: { type: ['string', 'array'], items: str },
+      quotes: {
+        type: 'array',
+        items: {
+          anyOf: [
+            str,
+            { type: 'object', required: ['text'], properties: { text: str, author: str } }
+          ]
+        }
+      },
+      quotesUrl: str,
+      quoteInterval: positive,
+      quoteRefreshInterval: positive,
+      todos: {
+        type: 'array',
+        items: {
+          anyOf: [
+            str,
+            { type: 'object', required: ['text'], properties: { id: { type: ['string', 'number'] }, text: str, done: bool } }
+          ]
+        }
+      },
+      todoTitle: str,
+      storageKey: str
+    }
+  }
+};
+
+// Widget configs are objects and warn about keys the widget does not read
+Object.values(WIDGET_SCHEMAS).forEach(schema => {
+  schema.type = 'object';
+  schema.additionalProperties = false;
+});
+
+/**
+ * Describe the JSON type of a value the way schemas name it
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+class ConfigValidator {
+  /**
+   * Validate a value against a schema, appending problems to result
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema object
+   * @param {string} path - JSON path of the value
+   * @param {Object} result - { errors, warnings } accumulator
+   */
+  validate(value, schema, path, result) {
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        this.addError(result, path, `Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      this.addError(result, path, `Must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+      return;
+    }
+
+    if (schema.anyOf) {
+      this.validateAnyOf(value, schema.anyOf, path, result);
+      return;
+    }
+
+    if (typeof value === 'number') {
+      this.validateNumber(value, schema, path, result);
+    } else if (typeof value === 'string') {
+      this.validateString(value, schema, path, result);
+    } else if (Array.isArray(value)) {
+      this.validateArray(value, schema, path, result);
+    } else if (value && typeof value === 'object') {
+      this.validateObject(value, schema, path, result);
+    }
+  }
+
+  validateAnyOf(value, options, path, result) {
+    // Options of the value's own type describe what the author was going for
+    const sameType = options.filter(option => !option.type || [].concat(option.type).some(type => matchesType(value, type)));
+    const attempts = (sameType.length > 0 ? sameType : options).map(option => {
+      const attempt = { errors: [], warnings: [] };
+      this.validate(value, option, path, attempt);
+      return attempt;
+    });
+
+    const best = attempts.reduce((closest, attempt) =>
+      attempt.errors.length < closest.errors.length ? attempt : closest
+    );
+    result.errors.push(...best.errors);
+    result.warnings.push(...best.warnings);
+  }
+
+  validateNumber(value, schema, path, result) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      this.addError(result, path, `Must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      this.addError(result, path, `Must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      this.addError(result, path, `Must be at most ${schema.maximum}`);
+    }
+  }
+
+  validateString(value, schema, path, result) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      this.addError(result, path, schema.minLength === 1 ? 'Must not be empty' : `Must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      this.addError(result, path, schema.patternMessage || `Must match ${schema.pattern}`);
+    }
+  }
+
+  validateArray(value, schema, path, result) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      this.addError(result, path, `Must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => this.validate(item, schema.items, `${path}[${i}]`, result));
+    }
+  }
+
+  validateObject(value, schema, path, result) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        this.addError(result, joinPath(path, key), 'Required property is missing');
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      const childPath = joinPath(path, key);
+      if (properties[key]) {
+        this.validate(value[key], properties[key], childPath, result);
+      } else if (schema.additionalProperties === false) {
+        this.addWarning(result, childPath, 'Unknown property');
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        this.validate(value[key], schema.additionalProperties, childPath, result);
+      }
+    });
+  }
+
+  addError(result, path, message) {
+    result.errors.push({ path, message });
+  }
+
+  addWarning(result, path, message) {
+    result.warnings.push({ path, message });
+  }
+}
+
+const validator = new ConfigValidator();
+
+/**
+ * Register a schema for a custom widget type's config so it is validated like the built-ins
+ * @param {string} type - Widget type as used in scene config
+ * @param {Object} schema - Schema with a properties map (and optional required list)
+ */
+export function registerWidgetSchema(type, schema) {
+  WIDGET_SCHEMAS[type] = { type: 'object', additionalProperties: false, ...schema };
+}
+
+/**
+ * Validate a single widget's config against its type's schema
+ * @param {string} type - Widget type
+ * @param {Object} config - Widget config
+ * @param {string} path - JSON path of the config object
+ * @returns {{valid: boolean, errors: Array, warnings: Array}}
+ */
+export function validateWidgetConfig(type, config, path = 'config') {
+  const result = { errors: [], warnings: [] };
+  const schema = WIDGET_SCHEMAS[type];
+
+  if (!schema) {
+    validator.addWarning(result, path, `No schema for widget type "${type}"`);
+  } else {
+    validator.validate(config, schema, path, result);
+  }
+  return { valid: result.errors.length === 0, ...result };
+}
+
+/**
+ * Validate a complete board config
+ * @param {Object} config - Parsed config
+ * @returns {{valid: boolean, errors: Array<{path, message}>, warnings: Array<{path, message}>}}
+ */
+export function validateConfigSchema(config) {
+  const result = { errors: [], warnings: [] };
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    validator.addError(result, '', 'Config must be an object');
+    return { valid: false, ...result };
+  }
+
+  validator.validate(config, CONFIG_SCHEMA, '', result);
+
+  if (Array.isArray(config.scenes)) {
+    const names = new Set();
+
+    config.scenes.forEach((scene, sceneIndex) => {
+      if (!scene || !Array.isArray(scene.widgets)) return;
+
+      if (names.has(scene.name)) {
+        validator.addWarning(result, `scenes[${sceneIndex}].name`, `Duplicate scene name "${scene.name}"`);
+      }
+      names.add(scene.name);
+
+      scene.widgets.forEach((widget, widgetIndex) => {
+        if (!widget || typeof widget.type !== 'string') return;
+
+        const widgetPath = `scenes[${sceneIndex}].widgets[${widgetIndex}]`;
+        const schema = WIDGET_SCHEMAS[widget.type];
+        if (!schema) {
+          validator.addWarning(result, `${widgetPath}.type`, `Unknown widget type "${widget.type}"`);
+        } else if (widget.config && typeof widget.config === 'object' && !Array.isArray(widget.config)) {
+          validator.validate(widget.config, schema, `${widgetPath}.config`, result);
+          checkTimeZone(widget.config.timezone, `${widgetPath}.config.timezone`, result);
+        }
+      });
+    });
+
+    checkPlaylistScenes(config.schedule, names, result);
+    checkScheduleScenes(config.scheduler?.schedules, config.scenes, result);
+  }
+
+  checkCronExpressions(config.scheduler?.schedules, result);
+  checkTimeZone(config.scheduler?.timezone, 'scheduler.timezone', result);
+  checkTimeZone(config.burnInProtection?.dimming?.nightMode?.timezone, 'burnInProtection.dimming.nightMode.timezone', result);
+
+  return { valid: result.errors.length === 0, ...result };
+}
+
+/**
+ * Report scheduler rules whose cron expression does not parse
+ * @param {Array} schedules - Scheduler "schedules" list
+ * @param {Object} result - { errors, warnings } accumulator
+ */
+function checkCronExpressions(schedules, result) {
+  if (!Array.isArray(schedules)) return;
+
+  schedules.forEach((schedule, index) => {
+    if (typeof schedule?.cron !== 'string' || !schedule.cron) return;
+
+    try {
+      parseCron(schedule.cron);
+    } catch (error) {
+      validator.addError(result, `scheduler.schedules[${index}].cron`, error.message);
+    }
+  });
+}
+
+/**
+ * Warn about time zones Intl does not know; the board falls back to local time for them
+ * @param {*} timeZone - Configured zone
+ * @param {string} path - JSON path of the value
+ * @param {Object} result - { errors, warnings } accumulator
+ */
+function checkTimeZone(timeZone, path, result) {
+  if (typeof timeZone !== 'string' || isValidTimeZone(timeZone)) return;
+
+  validator.addWarning(result, path, `Unknown time zone "${timeZone}", local time will be used`);
+}
+
+/**
+ * Warn about playlist entries naming scenes the config does not define
+ * @param {Array|Object} schedule - Config "schedule" section
+ * @param {Set<string>} sceneNames - Names of the configured scenes
+ * @param {Object} result - { errors, warnings } accumulator
+ */
+function checkPlaylistScenes(schedule, sceneNames, result) {
+  if (!schedule || typeof schedule !== 'object') return;
+
+  const playlists = Array.isArray(schedule)
+    ? [['schedule', schedule]]
+    : Object.entries(schedule).map(([name, playlist]) => [
+      Array.isArray(playlist) ? `schedule.${name}` : `schedule.${name}.entries`,
+      Array.isArray(playlist) ? playlist : playlist?.entries
+    ]);
+
+  playlists.forEach(([path, entries]) => {
+    if (!Array.isArray(entries)) return;
+
+    entries.forEach((entry, index) => {
+      const name = typeof entry === 'string' ? entry : entry?.scene;
+      if (typeof name === 'string' && name && !sceneNames.has(name)) {
+        validator.addWarning(result, `${path}[${index}]`, `Unknown scene "${name}"`);
+      }
+    });
+  });
+}
+
+/**
+ * Warn about scheduler rules naming scenes, or tags, that no configured scene has
+ * @param {Array} schedules - Scheduler "schedules" list
+ * @param {Array} scenes - Configured scenes
+ * @param {Object} result - { errors, warnings } accumulator
+ */
+function checkScheduleScenes(schedules, scenes, result) {
+  if (!Array.isArray(schedules)) return;
+
+  const sceneNames = new Set(scenes.map(scene => scene?.name));
+  const sceneTags = new Set(scenes.flatMap(scene => (Array.isArray(scene?.tags) ? scene.tags : [])));
+
+  schedules.forEach((schedule, index) => {
+    const path = `scheduler.schedules[${index}]`;
+
+    (Array.isArray(schedule?.scenes) ? schedule.scenes : []).forEach((name, sceneIndex) => {
+      if (typeof name === 'string' && name && !sceneNames.has(name)) {
+        validator.addWarning(result, `${path}.scenes[${sceneIndex}]`, `Unknown scene "${name}"`);
+      }
+    });
+
+    (Array.isArray(schedule?.tags) ? schedule.tags : []).forEach((tag, tagIndex) => {
+      if (typeof tag === 'string' && !sceneTags.has(tag)) {
+        validator.addWarning(result, `${path}.tags[${tagIndex}]`, `No scene is tagged "${tag}"`);
+      }
+    });
+  });
+}
+
+/**
+ * Format validation problems as "path: message" lines
+ * @param {Array<{path, message}>} problems - Errors or warnings
+ * @returns {string[]}
+ */
+export function formatProblems(problems) {
+  return problems.map(problem => problem.path ? `${problem.path}: ${problem.message}` : problem.message);
+}
+
+// Export schemas and class for advanced usage
+export { CONFIG_SCHEMA, WIDGET_SCHEMAS, ConfigValidator };
@@ -0,0 +1,130 @@
+/**
+ * LumaBoard Cron Expressions
+ * Five-field cron ("minute hour day-of-month month day-of-week") used by SceneScheduler rules.
+ * Supports *, lists, ranges, steps, month/day names, 7 as Sunday and the @hourly, @daily,
+ * @weekly, @monthly and @yearly shortcuts. As in classic cron, when both day fields are
+ * restricted a date matches if either does.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'weekday', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+const SHORTCUTS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+class CronExpression {
+  /**
+   * @param {string} expression - Cron expression
+   * @throws {Error} If the expression is malformed
+   */
+  constructor(expression) {
+    this.expression = String(expression).trim();
+    const source = SHORTCUTS[this.expression.toLowerCase()] || this.expression;
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== 5) {
+      throw new Error(`Cron expression '${this.expression}' must have 5 fields`);
+    }
+
+    this.fields = {};
+    this.restricted = {};
+    FIELDS.forEach((field, i) => {
+      this.fields[field.name] = this.parseField(parts[i], field);
+      // "*/2" still counts as unrestricted for the day-of-month/day-of-week rule
+      this.restricted[field.name] = !parts[i].startsWith('*');
+    });
+
+    // 7 is an alias for Sunday
+    if (this.fields.weekday.has(7)) {
+      this.fields.weekday.add(0);
+    }
+  }
+
+  parseField(text, field) {
+    const values = new Set();
+
+    text.split(',').forEach(part => {
+      const [range, stepText] = part.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step '${stepText}' in cron ${field.name} field`);
+      }
+
+      let start;
+      let end;
+      if (range === '*') {
+        start = field.min;
+        end = field.max;
+      } else {
+        const [from, to] = range.split('-');
+        start = this.parseValue(from, field);
+        // "5/15" means from 5 to the end of the range
+        end = to !== undefined ? this.parseValue(to, field) : (stepText !== undefined ? field.max : start);
+      }
+
+      if (start > end) {
+        throw new Error(`Invalid range '${range}' in cron ${field.name} field`);
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    });
+
+    return values;
+  }
+
+  parseValue(text, field) {
+    const upper = String(text).toUpperCase();
+    const named = field.names ? field.names.indexOf(upper) : -1;
+    const value = named !== -1 ? named + field.offset : Number(text);
+
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new Error(`Invalid value '${text}' in cron ${field.name} field`);
+    }
+    return value;
+  }
+
+  /**
+   * Check whether wall-clock parts match the expression
+   * @param {{minute, hour, day, month, weekday}} parts - Local time parts (month 1-12, weekday 0-6)
+   * @returns {boolean}
+   */
+  matches(parts) {
+    const { fields, restricted } = this;
+    if (!fields.minute.has(parts.minute) || !fields.hour.has(parts.hour) || !fields.month.has(parts.month)) {
+      return false;
+    }
+
+    const dayMatch = fields.day.has(parts.day);
+    const weekdayMatch = fields.weekday.has(parts.weekday);
+    if (restricted.day && restricted.weekday) {
+      return dayMatch || weekdayMatch;
+    }
+    return dayMatch && weekdayMatch;
+  }
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression such as "0 9 * * 1-5"
+ * @returns {CronExpression}
+ * @throws {Error} If the expression is malformed
+ */
+export function parseCron(expression) {
+  return new CronExpression(expression);
+}
+
+// Export class for advanced usage
+export { CronExpression };
@@ -0,0 +1,127 @@
+/**
+ * LumaBoard Data Provenance
+ * Tracks where each widget's data came from so the board never passes off cached,
+ * fallback or demo content as live. Widgets report through a common event:
+ *
+ *   'widgetdatastate' (bubbles, composed) with detail
+ *   { state, fetchedAt, age, source, message }
+ *
+ * States:
+ *   live     - fetched from the network on this load
+ *   cached   - served from the data cache within its TTL or while revalidating
+ *   fallback - substitute content because the source is unreachable
+ *              (expired cache during an outage, offline fallback scenes)
+ *   mock     - fabricated demo content
+ *   error    - nothing to show
+ */
+
+export const DATA_STATES = ['live', 'cached', 'fallback', 'mock', 'error'];
+
+export const DATA_STATE_EVENT = 'widgetdatastate';
+
+class DataProvenance {
+  constructor(options = {}) {
+    this.options = {
+      allowMockData: true, // set "data.allowMockData": false to forbid demo content in production
+      ...options
+    };
+  }
+
+  /**
+   * Update options from the board config "data" section
+   * @param {Object} options - { allowMockData }
+   */
+  configure(options = {}) {
+    if (typeof options.allowMockData === 'boolean') {
+      this.options.allowMockData = options.allowMockData;
+    }
+  }
+
+  /**
+   * Whether widgets may fall back to fabricated demo data
+   * @returns {boolean}
+   */
+  isMockAllowed() {
+    return this.options.allowMockData !== false;
+  }
+
+  /**
+   * Derive the state for a data service result
+   * @param {Object} result - Result from dataService.request() { fetchedAt, origin, error }
+   * @param {Object} widgetConfig - Widget config; offline fallback scenes set "offline"
+   * @returns {string} State name
+   */
+  getStateForResult(result, widgetConfig = {}) {
+    if (result.error || widgetConfig.offline) return 'fallback';
+    return result.origin === 'network' ? 'live' : 'cached';
+  }
+
+  /**
+   * Combine the states of several sources shown together; the least trustworthy wins
+   * @param {string[]} states - States of each source
+   * @returns {string} Combined state
+   */
+  combineStates(states) {
+    const order = ['error', 'mock', 'fallback', 'cached', 'live'];
+    const present = order.filter(state => states.includes(state));
+    // A partial failure is still worth showing as whatever the remaining sources are
+    if (present.length > 1 && present[0] === 'error') {
+      return present[1];
+    }
+    return present[0] || 'error';
+  }
+
+  /**
+   * Record a widget's data state and announce it
+   * @param {HTMLElement} widget - Widget element
+   * @param {string} state - One of DATA_STATES
+   * @param {Object} details - { fetchedAt, source, message }
+   * @returns {Object} The reported detail
+   */
+  report(widget, state, details = {}) {
+    if (!DATA_STATES.includes(state)) {
+      throw new Error(`Unknown data state '${state}'`);
+    }
+
+    const fetchedAt = details.fetchedAt != null ? new Date(details.fetchedAt).getTime() : null;
+    const detail = {
+      state,
+      fetchedAt,
+      age: fetchedAt != null ? Date.now() - fetchedAt : null,
+      source: details.source || null,
+      message: details.message || null
+    };
+
+    widget.dataState = detail;
+    widget.dispatchEvent(new CustomEvent(DATA_STATE_EVENT, {
+      detail,
+      bubbles: true,
+      composed: true
+    }));
+    return detail;
+  }
+}
+
+// Create default instance
+const dataProvenance = new DataProvenance();
+
+/**
+ * Report a widget's data state through the shared event
+ * @param {HTMLElement} widget - Widget element
+ * @param {string} state - 'live', 'cached', 'fallback', 'mock' or 'error'
+ * @param {Object} details - { fetchedAt, source, message }
+ * @returns {Object} The reported detail
+ */
+export const reportDataState = (widget, state, details) => dataProvenance.report(widget, state, details);
+
+/**
+ * Whether fabricated demo data may be shown
+ * @returns {boolean}
+ */
+export const isMockDataAllowed = () => dataProvenance.isMockAllowed();
+
+// Export class for advanced usage
+export { DataProvenance };
+
+// Export default instance
+export default dataProvenance;
@@ -0,0 +1,274 @@
+/**
+ * LumaBoard Data Service
+ * Shared fetch layer for widgets: per-source TTLs, stale-while-revalidate caching,
+ * request de-duplication across widget instances and an optional self-hosted CORS proxy
+ */
+
+const CACHE_PREFIX = 'luma_data_';
+
+class DataService {
+  constructor(options = {}) {
+    this.options = {
+      proxyUrl: '', // e.g. 'https://proxy.example.com/fetch?url={url}', or a prefix the encoded URL is appended to
+      proxyMode: 'fallback', // 'fallback' retries through the proxy after a network/CORS failure, 'always' proxies every request
+      defaultTtl: 300, // seconds data is served without revalidating
+      defaultMaxAge: 86400, // seconds stale data may still be served while revalidating
+      sources: {}, // per-source overrides, e.g. { news: { ttl: 900, maxAge: 3600 } }
+      persist: true, // mirror the cache to localStorage so it survives reloads and outages
+      ...options
+    };
+
+    this.memoryCache = new Map();
+    this.inflight = new Map();
+  }
+
+  /**
+   * Update service options, merging per-source overrides
+   * @param {Object} options - Options from the board config "data" section
+   */
+  configure(options = {}) {
+    this.options = {
+      ...this.options,
+      ...options,
+      sources: { ...this.options.sources, ...(options.sources || {}) }
+    };
+  }
+
+  /**
+   * Resolve the TTL and max age (in ms) for a source.
+   * Board-level source config wins over the defaults a widget passes in.
+   * @param {string} source - Source name such as 'weather' or 'news'
+   * @param {Object} defaults - Widget supplied { ttl, maxAge } in seconds
+   * @returns {{ttl: number, maxAge: number}}
+   */
+  getSourcePolicy(source, defaults = {}) {
+    const configured = this.options.sources[source] || {};
+    const ttl = configured.ttl ?? defaults.ttl ?? this.options.defaultTtl;
+    const maxAge = configured.maxAge ?? defaults.maxAge ?? this.options.defaultMaxAge;
+
+    return {
+      ttl: ttl * 1000,
+      maxAge: Math.max(maxAge, ttl) * 1000
+    };
+  }
+
+  /**
+   * Get data for a cache key, fetching it when missing or expired.
+   * Fresh entries are returned as is; stale entries are returned immediately and
+   * revalidated in the background, with onUpdate called once new data arrives.
+   * @param {string} key - Cache key shared by every widget requesting the same data
+   * @param {Function} fetcher - Async function returning JSON-serializable data
+   * @param {Object} options - { source, ttl, maxAge, onUpdate }
+   * @returns {Promise<Object>} { data, fetchedAt, age, origin, stale }, plus error when expired data
+   *   is served because the fetch failed
+   */
+  async request(key, fetcher, options = {}) {
+    const { source = 'default', onUpdate } = options;
+    const { ttl, maxAge } = this.getSourcePolicy(source, options);
+    const cached = this.getCached(key);
+    const age = cached ? Date.now() - cached.timestamp : Infinity;
+
+    if (cached && age < ttl) {
+      return this.toResult(cached, 'cache');
+    }
+
+    if (cached && age < maxAge) {
+      this.revalidate(key, fetcher)
+        .then(entry => {
+          if (onUpdate) onUpdate(this.toResult(entry, 'network'));
+        })
+        .catch(error => console.warn(`DataService: Background refresh failed for ${key}`, error));
+      return this.toResult(cached, 'stale');
+    }
+
+    try {
+      const entry = await this.revalidate(key, fetcher);
+      return this.toResult(entry, 'network');
+    } catch (error) {
+      if (cached) {
+        // Expired data is still better than nothing during an outage
+        console.warn(`DataService: Serving expired data for ${key}`, error);
+        return { ...this.toResult(cached, 'stale'), error };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch fresh data for a key, sharing one request between concurrent callers
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Async function returning data
+   * @returns {Promise<Object>} Cache entry { data, timestamp }
+   */
+  revalidate(key, fetcher) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then(data => {
+        const entry = { data, timestamp: Date.now() };
+        this.setCached(key, entry);
+        return entry;
+      })
+      .finally(() => {
+        this.inflight.delete(key);
+      });
+
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Fetch and cache a URL as text
+   * @param {string} url - Resource URL
+   * @param {Object} options - request() options plus optional key and init
+   * @returns {Promise<Object>} Result with text data
+   */
+  fetchText(url, options = {}) {
+    return this.request(options.key || url, async () => {
+      const response = await this.fetch(url, options.init);
+      return response.text();
+    }, options);
+  }
+
+  /**
+   * Fetch and cache a URL as JSON
+   * @param {string} url - Resource URL
+   * @param {Object} options - request() options plus optional key and init
+   * @returns {Promise<Object>} Result with parsed JSON data
+   */
+  fetchJSON(url, options = {}) {
+    return this.request(options.key || url, async () => {
+      const response = await this.fetch(url, options.init);
+      return response.json();
+    }, options);
+  }
+
+  /**
+   * Fetch a URL without caching, routing through the configured CORS proxy
+   * when required. Rejects on HTTP errors.
+   * @param {string} url - Resource URL
+   * @param {Object} init - fetch() init options
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init) {
+    const { proxyUrl, proxyMode } = this.options;
+
+    if (proxyUrl && proxyMode === 'always') {
+      return this.checkResponse(await fetch(this.getProxiedUrl(url), init), url);
+    }
+
+    try {
+      return this.checkResponse(await fetch(url, init), url);
+    } catch (error) {
+      // fetch() rejects with a TypeError for network and CORS failures
+      if (!proxyUrl || !(error instanceof TypeError)) {
+        throw error;
+      }
+      return this.checkResponse(await fetch(this.getProxiedUrl(url), init), url);
+    }
+  }
+
+  checkResponse(response, url) {
+    if (!response.ok) {
+      throw new Error(`Request failed (${response.status}) for ${url}`);
+    }
+    return response;
+  }
+
+  /**
+   * Build the proxied URL for a resource
+   * @param {string} url - Resource URL
+   * @returns {string}
+   */
+  getProxiedUrl(url) {
+    const { proxyUrl } = this.options;
+    if (proxyUrl.includes('{url}')) {
+      return proxyUrl.replace('{url}', encodeURIComponent(url));
+    }
+    return `${proxyUrl}${encodeURIComponent(url)}`;
+  }
+
+  toResult(entry, origin) {
+    return {
+      data: entry.data,
+      fetchedAt: entry.timestamp,
+      age: Date.now() - entry.timestamp,
+      origin,
+      stale: origin === 'stale'
+    };
+  }
+
+  getCached(key) {
+    if (this.memoryCache.has(key)) {
+      return this.memoryCache.get(key);
+    }
+
+    if (!this.options.persist) return null;
+
+    try {
+      const stored = localStorage.getItem(CACHE_PREFIX + key);
+      if (stored) {
+        const entry = JSON.parse(stored);
+        this.memoryCache.set(key, entry);
+        return entry;
+      }
+    } catch (error) {
+      console.warn(`DataService: Failed to read cache for ${key}`, error);
+    }
+    return null;
+  }
+
+  setCached(key, entry) {
+    this.memoryCache.set(key, entry);
+    if (!this.options.persist) return;
+
+    try {
+      localStorage.setItem(CACHE_PREFIX + key, JSON.stringify(entry));
+    } catch (error) {
+      console.warn(`DataService: Failed to persist cache for ${key}`, error);
+    }
+  }
+
+  /**
+   * Drop a cached entry so the next request fetches fresh data
+   * @param {string} key - Cache key
+   */
+  invalidate(key) {
+    this.memoryCache.delete(key);
+    if (!this.options.persist) return;
+
+    try {
+      localStorage.removeItem(CACHE_PREFIX + key);
+    } catch (error) {
+      console.warn(`DataService: Failed to remove cache for ${key}`, error);
+    }
+  }
+
+  /**
+   * Clear every cached entry
+   */
+  clear() {
+    this.memoryCache.clear();
+    if (!this.options.persist) return;
+
+    try {
+      Object.keys(localStorage)
+        .filter(key => key.startsWith(CACHE_PREFIX))
+        .forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+      console.warn('DataService: Failed to clear cache', error);
+    }
+  }
+}
+
+// Create default instance
+const dataService = new DataService();
+
+// Export class for advanced usage
+export { DataService, dataService };
+
+// Export default instance
+export default dataService;
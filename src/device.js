@@ -0,0 +1,236 @@
+/**
+ * LumaBoard Device Identity
+ * Gives each screen a stable id so one shared config can carry per-screen differences.
+ * The id comes from the URL (?device=lobby-east, optionally &group=lobby,ground-floor) or is
+ * generated on first boot; both are remembered in localStorage so kiosks keep their identity.
+ *
+ * The "fleet" config section holds overrides merged over the base config, groups first
+ * (in the order they are listed) and then the device's own:
+ *
+ *   "fleet": {
+ *     "groups": { "lobby": { "devices": ["lobby-*"], "overrides": { "scenes": ["Welcome", "Weather"] } } },
+ *     "devices": { "lobby-east": { "groups": ["lobby"], "overrides": { "widgets": { "weather": { "config": { "location": "Berlin" } } } } } }
+ *   }
+ *
+ * Objects merge deeply and other values replace. Two override keys are special: "scenes" may
+ * list base scene names to keep a subset (in that order, mixed with new scene objects), and
+ * "widgets" merges into every widget whose id or type matches the key.
+ */
+
+const STORAGE_KEY = 'luma_device';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge an override into a value; objects merge deeply, anything else replaces
+ */
+function mergeDeep(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return structuredClone(override);
+  }
+
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = key in base ? mergeDeep(base[key], value) : structuredClone(value);
+  });
+  return merged;
+}
+
+/**
+ * Match a device id against a group pattern, where * matches any run of characters
+ */
+function matchesPattern(id, pattern) {
+  const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(id);
+}
+
+/**
+ * Pick base scenes by name, keeping scene objects as they are
+ */
+function selectScenes(scenes = [], selection) {
+  return selection.flatMap(entry => {
+    if (typeof entry !== 'string') return [structuredClone(entry)];
+
+    const scene = scenes.find(candidate => candidate.name === entry);
+    if (!scene) {
+      console.warn(`Device: Override lists unknown scene "${entry}"`);
+      return [];
+    }
+    return [scene];
+  });
+}
+
+/**
+ * Merge widget overrides into every widget whose id or type matches
+ */
+function overrideWidgets(scenes = [], widgetOverrides) {
+  return scenes.map(scene => {
+    if (!Array.isArray(scene?.widgets)) return scene;
+
+    return {
+      ...scene,
+      widgets: scene.widgets.map(widget => Object.entries(widgetOverrides).reduce((result, [key, override]) => (
+        widget.id === key || (!widget.id && widget.type === key) ? mergeDeep(result, override) : result
+      ), widget))
+    };
+  });
+}
+
+/**
+ * Apply one override layer to a config
+ */
+function applyOverrides(config, overrides) {
+  const { scenes, widgets, ...rest } = overrides;
+  const result = mergeDeep(config, rest);
+
+  if (Array.isArray(scenes)) {
+    result.scenes = selectScenes(config.scenes, scenes);
+  }
+  if (isPlainObject(widgets)) {
+    result.scenes = overrideWidgets(result.scenes, widgets);
+  }
+  return result;
+}
+
+/**
+ * List the override layers that apply to a device, in merge order
+ * @param {Object} fleet - The config "fleet" section
+ * @param {{id: string, groups: string[]}} device - Device identity
+ * @returns {Array<{name: string, overrides: Object}>} e.g. [{ name: 'group lobby', ... }, { name: 'device lobby-east', ... }]
+ */
+export function getOverrideLayers(fleet, device) {
+  if (!isPlainObject(fleet) || !device?.id) return [];
+
+  const deviceEntry = fleet.devices?.[device.id];
+  const memberOf = new Set([...(device.groups || []), ...(deviceEntry?.groups || [])]);
+  const layers = [];
+
+  Object.entries(fleet.groups || {}).forEach(([name, group]) => {
+    const matched = memberOf.has(name) ||
+      (Array.isArray(group?.devices) && group.devices.some(pattern => matchesPattern(device.id, pattern)));
+    if (matched && isPlainObject(group.overrides)) {
+      layers.push({ name: `group ${name}`, overrides: group.overrides });
+    }
+  });
+
+  if (isPlainObject(deviceEntry?.overrides)) {
+    layers.push({ name: `device ${device.id}`, overrides: deviceEntry.overrides });
+  }
+  return layers;
+}
+
+/**
+ * Merge the fleet overrides for a device over a config
+ * @param {Object} config - Base config, possibly with a "fleet" section
+ * @param {{id: string, groups: string[]}} device - Device identity
+ * @returns {Object} The config itself when nothing applies, otherwise a merged copy
+ */
+export function applyDeviceOverrides(config, device) {
+  const layers = getOverrideLayers(config?.fleet, device);
+  if (layers.length === 0) return config;
+
+  console.log(`Device: Applying overrides for ${layers.map(layer => layer.name).join(', ')}`);
+  return layers.reduce((result, layer) => applyOverrides(result, layer.overrides), config);
+}
+
+class DeviceIdentity {
+  constructor() {
+    this.id = null;
+    this.groups = [];
+    this.source = null; // 'url', 'stored' or 'generated'
+  }
+
+  /**
+   * Work out the device identity, preferring URL parameters over the stored one
+   * @param {string} search - Query string such as "?device=lobby-east&group=lobby"
+   * @returns {{id: string, groups: string[], source: string}}
+   */
+  resolve(search = typeof window !== 'undefined' ? window.location.search : '') {
+    const params = new URLSearchParams(search);
+    const stored = this.load();
+    const urlId = params.get('device')?.trim();
+    const urlGroups = params.get('group');
+
+    if (urlId) {
+      this.id = urlId;
+      this.source = 'url';
+    } else if (stored?.id) {
+      this.id = stored.id;
+      this.source = 'stored';
+    } else {
+      this.id = this.generateId();
+      this.source = 'generated';
+    }
+
+    this.groups = urlGroups !== null
+      ? urlGroups.split(',').map(group => group.trim()).filter(Boolean)
+      : (stored?.groups || []);
+
+    this.save();
+    return this.get();
+  }
+
+  /**
+   * Get the device identity, resolving it on first use
+   * @returns {{id: string, groups: string[], source: string}}
+   */
+  get() {
+    if (!this.id) return this.resolve();
+    return { id: this.id, groups: [...this.groups], source: this.source };
+  }
+
+  generateId() {
+    const random = globalThis.crypto?.randomUUID
+      ? globalThis.crypto.randomUUID().slice(0, 8)
+      : Math.random().toString(16).slice(2, 10);
+    return `luma-${random}`;
+  }
+
+  load() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ id: this.id, groups: this.groups }));
+    } catch (error) {
+      console.warn('Device: Could not persist the device id, it will change on the next boot');
+    }
+  }
+
+  /**
+   * Forget the stored identity so the next boot generates a new one
+   */
+  reset() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Nothing stored
+    }
+    this.id = null;
+    this.groups = [];
+    this.source = null;
+  }
+}
+
+// Create default instance
+const deviceIdentity = new DeviceIdentity();
+
+/**
+ * Get this screen's identity
+ * @returns {{id: string, groups: string[], source: string}}
+ */
+export const getDevice = () => deviceIdentity.get();
+
+// Export class for advanced usage
+export { DeviceIdentity, deviceIdentity };
+
+// Export default instance
+export default deviceIdentity;
@@ -0,0 +1,519 @@
+/**
+ * LumaBoard iCalendar Parser
+ * Parses ICS feeds (RFC 5545) into events and expands recurrences into occurrences
+ * Supports all-day events, TZID times, RRULE (DAILY/WEEKLY/MONTHLY/YEARLY) and EXDATE
+ */
+
+import { zonedTimeToTimestamp, isValidTimeZone } from './time.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_OCCURRENCES = 5000; // per expansion, counted from the query range for open-ended rules
+
+// Common Windows zone names found in Outlook/Exchange exports
+const WINDOWS_TIMEZONES = {
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Atlantic Standard Time': 'America/Halifax',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'UTC': 'UTC'
+};
+
+class ICalParser {
+  /**
+   * Parse ICS text into a list of events.
+   * Events are plain JSON-serializable objects so they can be cached.
+   * @param {string} text - ICS feed contents
+   * @returns {Array<Object>} Parsed VEVENTs
+   */
+  parse(text) {
+    const lines = this.unfoldLines(text);
+    const events = [];
+    let current = null;
+    let depth = 0;
+
+    for (const line of lines) {
+      const property = this.parseProperty(line);
+      if (!property) continue;
+
+      if (property.name === 'BEGIN') {
+        if (property.value.toUpperCase() === 'VEVENT' && !current) {
+          current = { properties: [] };
+          depth = 0;
+        } else if (current) {
+          depth++; // Nested component such as VALARM
+        }
+        continue;
+      }
+
+      if (property.name === 'END') {
+        if (current && depth > 0) {
+          depth--;
+        } else if (current && property.value.toUpperCase() === 'VEVENT') {
+          // One malformed event in a third-party feed must not cost the rest of the calendar
+          try {
+            const event = this.buildEvent(current.properties);
+            if (event) events.push(event);
+          } catch (error) {
+            const uid = current.properties.find(property => property.name === 'UID')?.value;
+            console.warn(`ICalParser: Skipping event${uid ? ` '${uid}'` : ''}: ${error.message}`);
+          }
+          current = null;
+        }
+        continue;
+      }
+
+      if (current && depth === 0) {
+        current.properties.push(property);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Join folded lines (continuations start with a space or tab)
+   * @param {string} text - Raw ICS text
+   * @returns {Array<string>} Logical lines
+   */
+  unfoldLines(text) {
+    const lines = [];
+    String(text).split(/\r?\n/).forEach(line => {
+      if ((line.startsWith(' ') || line.startsWith('\t')) && lines.length > 0) {
+        lines[lines.length - 1] += line.substring(1);
+      } else if (line.trim()) {
+        lines.push(line);
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * Parse a content line into name, parameters and value
+   * @param {string} line - Content line
+   * @returns {Object|null} { name, params, value }
+   */
+  parseProperty(line) {
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        colonIndex = i;
+        break;
+      }
+    }
+    if (colonIndex === -1) return null;
+
+    const [name, ...paramParts] = line.substring(0, colonIndex).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+      const eq = part.indexOf('=');
+      if (eq > 0) {
+        params[part.substring(0, eq).toUpperCase()] = part.substring(eq + 1).replace(/^"|"$/g, '');
+      }
+    });
+
+    return { name: name.toUpperCase(), params, value: line.substring(colonIndex + 1) };
+  }
+
+  /**
+   * Build an event from its properties
+   * @param {Array<Object>} properties - Parsed properties
+   * @returns {Object|null} Event, or null if it has no start or is cancelled
+   */
+  buildEvent(properties) {
+    const get = name => properties.find(p => p.name === name);
+    const dtstart = get('DTSTART');
+    if (!dtstart) return null;
+
+    const status = get('STATUS');
+    if (status && status.value.toUpperCase() === 'CANCELLED') return null;
+
+    const start = this.parseDateValue(dtstart);
+    const event = {
+      uid: get('UID')?.value || null,
+      title: this.unescapeText(get('SUMMARY')?.value || 'Untitled event'),
+      description: this.unescapeText(get('DESCRIPTION')?.value || ''),
+      location: this.unescapeText(get('LOCATION')?.value || ''),
+      start: start.parts,
+      timeZone: start.timeZone,
+      allDay: start.allDay,
+      duration: 0,
+      rrule: null,
+      exdates: [],
+      recurrenceId: null
+    };
+
+    const startTime = zonedTimeToTimestamp(start.parts, start.timeZone);
+    const dtend = get('DTEND');
+    const duration = get('DURATION');
+    if (dtend) {
+      const end = this.parseDateValue(dtend);
+      event.duration = Math.max(0, zonedTimeToTimestamp(end.parts, end.timeZone) - startTime);
+    } else if (duration) {
+      event.duration = this.parseDuration(duration.value);
+    } else if (event.allDay) {
+      event.duration = DAY_MS;
+    }
+
+    const rrule = get('RRULE');
+    if (rrule) {
+      event.rrule = this.parseRRule(rrule.value);
+    }
+
+    properties.filter(p => p.name === 'EXDATE').forEach(exdate => {
+      exdate.value.split(',').forEach(value => {
+        const parsed = this.parseDateValue({ params: exdate.params, value });
+        event.exdates.push(zonedTimeToTimestamp(parsed.parts, parsed.timeZone || event.timeZone));
+      });
+    });
+
+    const recurrenceId = get('RECURRENCE-ID');
+    if (recurrenceId) {
+      const parsed = this.parseDateValue(recurrenceId);
+      event.recurrenceId = zonedTimeToTimestamp(parsed.parts, parsed.timeZone || event.timeZone);
+    }
+
+    return event;
+  }
+
+  /**
+   * Parse a DATE or DATE-TIME property value
+   * @param {Object} property - { params, value }
+   * @returns {Object} { parts, timeZone, allDay } where timeZone is 'UTC', an IANA zone or null for floating time
+   */
+  parseDateValue(property) {
+    const value = property.value.trim();
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) {
+      throw new Error(`Invalid iCalendar date '${value}'`);
+    }
+
+    const parts = {
+      year: parseInt(match[1], 10),
+      month: parseInt(match[2], 10),
+      day: parseInt(match[3], 10),
+      hour: parseInt(match[4] || '0', 10),
+      minute: parseInt(match[5] || '0', 10),
+      second: parseInt(match[6] || '0', 10)
+    };
+
+    const allDay = property.params.VALUE === 'DATE' || match[4] === undefined;
+    let timeZone = null;
+    if (match[7]) {
+      timeZone = 'UTC';
+    } else if (!allDay && property.params.TZID) {
+      timeZone = this.resolveTimeZone(property.params.TZID);
+    }
+
+    return { parts, timeZone, allDay };
+  }
+
+  /**
+   * Map a TZID to an IANA zone supported by Intl
+   * @param {string} tzid - TZID parameter
+   * @returns {string|null} IANA zone, or null to treat as floating local time
+   */
+  resolveTimeZone(tzid) {
+    const candidates = [tzid, WINDOWS_TIMEZONES[tzid], tzid.replace(/^\/+/, '')];
+    for (const zone of candidates) {
+      if (zone && isValidTimeZone(zone)) return zone;
+    }
+    console.warn(`ICalParser: Unknown time zone '${tzid}', using local time`);
+    return null;
+  }
+
+  /**
+   * Parse an RRULE value
+   * @param {string} value - RRULE value
+   * @returns {Object} Recurrence rule
+   */
+  parseRRule(value) {
+    const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], weekStart: 'MO' };
+
+    value.split(';').forEach(part => {
+      const [key, raw] = part.split('=');
+      if (!raw) return;
+      switch (key.toUpperCase()) {
+        case 'FREQ':
+          rule.freq = raw.toUpperCase();
+          break;
+        case 'INTERVAL':
+          rule.interval = Math.max(1, parseInt(raw, 10) || 1);
+          break;
+        case 'COUNT':
+          rule.count = parseInt(raw, 10);
+          break;
+        case 'UNTIL': {
+          const parsed = this.parseDateValue({ params: {}, value: raw });
+          rule.until = zonedTimeToTimestamp(parsed.parts, parsed.allDay ? null : parsed.timeZone);
+          if (parsed.allDay) rule.until += DAY_MS - 1; // Inclusive of the whole day
+          break;
+        }
+        case 'BYDAY':
+          rule.byDay = raw.split(',').map(day => {
+            const dayMatch = day.trim().toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+            return dayMatch ? { ordinal: dayMatch[1] ? parseInt(dayMatch[1], 10) : 0, weekday: WEEKDAYS.indexOf(dayMatch[2]) } : null;
+          }).filter(Boolean);
+          break;
+        case 'BYMONTHDAY':
+          rule.byMonthDay = raw.split(',').map(day => parseInt(day, 10)).filter(day => !isNaN(day));
+          break;
+        case 'WKST':
+          rule.weekStart = raw.toUpperCase();
+          break;
+      }
+    });
+
+    return rule;
+  }
+
+  /**
+   * Parse an ISO 8601 duration such as PT1H30M or P1D
+   * @param {string} value - Duration value
+   * @returns {number} Duration in milliseconds
+   */
+  parseDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return 0;
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const ms = ((parseInt(weeks || 0, 10) * 7 + parseInt(days || 0, 10)) * 24 * 3600 +
+      parseInt(hours || 0, 10) * 3600 + parseInt(minutes || 0, 10) * 60 + parseInt(seconds || 0, 10)) * 1000;
+    return sign === '-' ? -ms : ms;
+  }
+
+  unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  /**
+   * Expand events into concrete occurrences overlapping a range
+   * @param {Array<Object>} events - Parsed events
+   * @param {Date} rangeStart - Range start
+   * @param {Date} rangeEnd - Range end
+   * @returns {Array<Object>} Occurrences sorted by start: { title, start, end, allDay, location, description, uid }
+   */
+  expand(events, rangeStart, rangeEnd) {
+    const from = rangeStart.getTime();
+    const to = rangeEnd.getTime();
+    const overrides = events.filter(event => event.recurrenceId !== null && event.recurrenceId !== undefined);
+    const occurrences = [];
+
+    events.forEach(event => {
+      const replaced = new Set(
+        overrides.filter(o => o !== event && o.uid && o.uid === event.uid).map(o => o.recurrenceId)
+      );
+
+      this.getOccurrenceStarts(event, to, from - event.duration).forEach(start => {
+        if (replaced.has(start)) return;
+        const end = start + event.duration;
+        // Zero-length events still show on the day they start
+        if (end > from || (event.duration === 0 && start >= from)) {
+          if (start < to) {
+            occurrences.push({
+              uid: event.uid,
+              title: event.title,
+              description: event.description,
+              location: event.location,
+              allDay: event.allDay,
+              start: new Date(start),
+              end: new Date(end)
+            });
+          }
+        }
+      });
+    });
+
+    return occurrences.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Get occurrence start timestamps for an event up to a limit
+   * @param {Object} event - Parsed event
+   * @param {number} limit - Stop generating after this timestamp
+   * @param {number} [after] - Starts before this timestamp are not needed; rules without COUNT skip ahead to it
+   * @returns {Array<number>} Start timestamps
+   */
+  getOccurrenceStarts(event, limit, after = -Infinity) {
+    const zone = event.allDay ? null : event.timeZone;
+    const firstStart = zonedTimeToTimestamp(event.start, zone);
+    const rule = event.rrule;
+
+    if (!rule || !['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) {
+      return [firstStart];
+    }
+
+    const excluded = new Set(event.exdates);
+    const starts = [];
+    let generated = 0;
+
+    // COUNT is counted from DTSTART, so only open-ended and UNTIL rules can start near the range
+    const firstPeriod = rule.count ? 0 : this.getFirstPeriod(event.start, rule, after);
+
+    for (const date of this.iterateRuleDates(event.start, rule, firstPeriod)) {
+      const start = zonedTimeToTimestamp({ ...event.start, year: date.year, month: date.month, day: date.day }, zone);
+      if (start < firstStart) continue;
+      if (rule.until !== null && start > rule.until) break;
+      if (start > limit) break;
+
+      generated++;
+      if (!excluded.has(start)) {
+        starts.push(start);
+      }
+      if ((rule.count && generated >= rule.count) || generated >= MAX_OCCURRENCES) break;
+    }
+
+    return starts;
+  }
+
+  /**
+   * The rule period (day, week, month or year times INTERVAL) to start generating from so the
+   * first candidate falls at or before a timestamp; one period early to absorb time zone offsets
+   * @param {Object} startParts - DTSTART wall-clock parts
+   * @param {Object} rule - Recurrence rule
+   * @param {number} after - Timestamp the occurrences are needed from
+   * @returns {number} Period index, 0 for DTSTART's own period
+   */
+  getFirstPeriod(startParts, rule, after) {
+    const startDay = Date.UTC(startParts.year, startParts.month - 1, startParts.day);
+    if (!Number.isFinite(after) || after <= startDay) return 0;
+
+    const target = new Date(after);
+    const units = {
+      DAILY: (after - startDay) / DAY_MS,
+      WEEKLY: (after - startDay) / (7 * DAY_MS),
+      MONTHLY: (target.getUTCFullYear() - startParts.year) * 12 + target.getUTCMonth() + 1 - startParts.month,
+      YEARLY: target.getUTCFullYear() - startParts.year
+    }[rule.freq];
+
+    return Math.max(0, Math.floor(units / rule.interval) - 1);
+  }
+
+  /**
+   * Generate candidate calendar dates for a rule, in order
+   * @param {Object} startParts - DTSTART wall-clock parts
+   * @param {Object} rule - Recurrence rule
+   * @param {number} [firstPeriod] - Period to start from, see getFirstPeriod()
+   */
+  *iterateRuleDates(startParts, rule, firstPeriod = 0) {
+    const startDay = Date.UTC(startParts.year, startParts.month - 1, startParts.day);
+    const toParts = ms => {
+      const d = new Date(ms);
+      return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+    };
+
+    for (let period = firstPeriod; period < firstPeriod + MAX_OCCURRENCES; period++) {
+      const step = period * rule.interval;
+
+      if (rule.freq === 'DAILY') {
+        yield toParts(startDay + step * DAY_MS);
+      } else if (rule.freq === 'WEEKLY') {
+        const weekStart = WEEKDAYS.indexOf(rule.weekStart) === -1 ? 1 : WEEKDAYS.indexOf(rule.weekStart);
+        const startWeekday = new Date(startDay).getUTCDay();
+        const firstWeekDay = startDay - ((startWeekday - weekStart + 7) % 7) * DAY_MS;
+        const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [startWeekday];
+        const offsets = [...new Set(weekdays.map(w => (w - weekStart + 7) % 7))].sort((a, b) => a - b);
+        for (const offset of offsets) {
+          yield toParts(firstWeekDay + (step * 7 + offset) * DAY_MS);
+        }
+      } else if (rule.freq === 'MONTHLY') {
+        const monthIndex = startParts.month - 1 + step;
+        const year = startParts.year + Math.floor(monthIndex / 12);
+        const month = ((monthIndex % 12) + 12) % 12 + 1;
+        for (const day of this.getMonthlyDays(year, month, startParts.day, rule)) {
+          yield { year, month, day };
+        }
+      } else if (rule.freq === 'YEARLY') {
+        const year = startParts.year + step;
+        if (startParts.day <= this.getDaysInMonth(year, startParts.month)) {
+          yield { year, month: startParts.month, day: startParts.day };
+        }
+      }
+    }
+  }
+
+  /**
+   * Days of a month matching a MONTHLY rule
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {number} startDay - Day of month of DTSTART
+   * @param {Object} rule - Recurrence rule
+   * @returns {Array<number>} Sorted days of month
+   */
+  getMonthlyDays(year, month, startDay, rule) {
+    const daysInMonth = this.getDaysInMonth(year, month);
+    const days = new Set();
+
+    if (rule.byDay.length > 0) {
+      rule.byDay.forEach(({ ordinal, weekday }) => {
+        const matches = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+          if (new Date(Date.UTC(year, month - 1, day)).getUTCDay() === weekday) {
+            matches.push(day);
+          }
+        }
+        if (ordinal === 0) {
+          matches.forEach(day => days.add(day));
+        } else {
+          const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+          if (day) days.add(day);
+        }
+      });
+    } else if (rule.byMonthDay.length > 0) {
+      rule.byMonthDay.forEach(day => {
+        const resolved = day > 0 ? day : daysInMonth + day + 1;
+        if (resolved >= 1 && resolved <= daysInMonth) days.add(resolved);
+      });
+    } else if (startDay <= daysInMonth) {
+      days.add(startDay);
+    }
+
+    return [...days].sort((a, b) => a - b);
+  }
+
+  getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+}
+
+// Create global instance
+const icalParser = new ICalParser();
+
+/**
+ * Parse ICS text into events
+ * @param {string} text - ICS feed contents
+ * @returns {Array<Object>} Parsed events
+ */
+export const parseICS = (text) => icalParser.parse(text);
+
+/**
+ * Expand parsed events into occurrences within a date range
+ * @param {Array<Object>} events - Parsed events
+ * @param {Date} rangeStart - Range start
+ * @param {Date} rangeEnd - Range end
+ * @returns {Array<Object>} Occurrences sorted by start
+ */
+export const expandEvents = (events, rangeStart, rangeEnd) => icalParser.expand(events, rangeStart, rangeEnd);
+
+// Export class for advanced usage
+export { ICalParser };
+
+// Export default instance
+export default icalParser;
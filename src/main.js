@@ -9,11 +9,22 @@ import { SceneTransitions } from './components/SceneTransitions.js';
 import { OfflineFallback } from './components/OfflineFallback.js';
 import { animationEngine } from './components/AnimationEngine.js';
 import { ConfigManager } from './components/ConfigManager.js';
+import { SettingsPanel } from './components/SettingsPanel.js';
 import { BurnInProtection } from './components/BurnInProtection.js';
+import { AlertOverlay } from './components/AlertOverlay.js';
 import { themeEngine } from './theme.js';
 import { layoutEngine } from './components/LayoutEngine.js';
 import { cssCustomizer } from './components/CSSCustomizer.js';
 import { themeManager } from './components/ThemeManager.js';
+import { adminLock } from './components/AdminLock.js';
+import { dataService } from './dataService.js';
+import dataProvenance from './dataProvenance.js';
+import { serviceWorkerManager } from './serviceWorker.js';
+import timeService from './time.js';
+import configReloader, { diffConfigs } from './configReloader.js';
+import alertService from './alerts.js';
+import { getDevice } from './device.js';
+import { getSettings, applySettings } from './settings.js';
 
 // Import all widget components
 import './components/ClockWidget.js';
@@ -27,6 +38,8 @@ import './components/CalendarWidget.js';
 import './components/CountdownWidget.js';
 import './components/QRCodeWidget.js';
 import './components/MapWidget.js';
+import './components/EmbedWidget.js';
+import './components/NotesWidget.js';
 
 /**
  * LumaBoard Main Application
@@ -35,6 +48,7 @@ import './components/MapWidget.js';
 class LumaBoard {
   constructor() {
     this.config = null;
+    this.device = null;
     this.sceneEngine = null;
     this.debugOverlay = null;
     this.sceneScheduler = null;
@@ -42,7 +56,9 @@ class LumaBoard {
     this.offlineFallback = null;
     this.animationEngine = null;
     this.configManager = null;
+    this.settingsPanel = null;
     this.burnInProtection = null;
+    this.alertOverlay = null;
     this.themeEngine = null;
     this.layoutEngine = null;
     this.cssCustomizer = null;
@@ -61,6 +77,15 @@ class LumaBoard {
       // Load configuration
       await this.loadConfiguration();
       
+      // Configure shared widget data fetching before any widget mounts
+      this.setupDataService();
+      
+      // Start time travel from the URL before anything reads the clock
+      this.setupVirtualClock();
+      
+      // Rotate the display before the first scene picks a portrait or landscape layout
+      this.setupDisplay();
+      
       // Initialize scene engine
       this.initializeSceneEngine();
       
@@ -80,15 +105,55 @@ class LumaBoard {
    * Load application configuration
    */
   async loadConfiguration() {
+    // Resolve which screen this is so loadConfig can merge its fleet overrides
+    this.device = getDevice();
+    console.log(`LumaBoard: Running as device ${this.device.id}${this.device.groups.length ? ` (groups: ${this.device.groups.join(', ')})` : ''}`);
+    
+    // A config URL set on the screen's settings panel replaces the bundled config
+    const settings = getSettings();
+    
     try {
-      this.config = await loadConfig();
-      console.log('LumaBoard: Configuration loaded successfully');
+      this.config = applySettings(await loadConfig({ url: settings.configUrl || undefined, device: this.device }), settings);
+      console.log(`LumaBoard: Configuration loaded successfully${settings.configUrl ? ` from ${settings.configUrl}` : ''}`);
       console.log('LumaBoard: Scenes available:', this.config.scenes?.length || 0);
     } catch (error) {
       console.error('LumaBoard: Failed to load configuration:', error);
-      // Use fallback configuration
-      this.config = this.getFallbackConfig();
-      console.log('LumaBoard: Using fallback configuration');
+      // Prefer the last config a hot reload applied, then the built-in fallback
+      const lastGood = configReloader.getLastGoodConfig();
+      this.config = lastGood ? applySettings(lastGood, settings) : this.getFallbackConfig();
+      console.log(`LumaBoard: Using ${lastGood ? 'last good' : 'fallback'} configuration`);
+    }
+  }
+
+  /**
+   * Configure the shared data service (TTLs, CORS proxy) and whether demo data
+   * may stand in for failed sources, from the "data" config section
+   */
+  setupDataService() {
+    const { allowMockData, ...dataOptions } = this.config.data || {};
+    dataService.configure(dataOptions);
+    dataProvenance.configure({ allowMockData });
+    console.log('LumaBoard: Data service configured');
+  }
+
+  /**
+   * Run the board clock from another time or speed when the URL asks for it,
+   * e.g. ?clock=2025-03-10T06:00&clockSpeed=60 to watch Monday morning's schedule
+   */
+  setupVirtualClock() {
+    if (timeService.applyUrlParams(window.location.search)) {
+      const clock = timeService.getClockInfo();
+      console.log(`LumaBoard: Virtual clock set to ${new Date(clock.time).toLocaleString()} (${clock.speed}x speed)`);
+    }
+  }
+
+  /**
+   * Rotate the board for screens mounted sideways or upside down ("display.rotation": 0, 90, 180 or 270)
+   */
+  setupDisplay() {
+    const rotation = this.config.display?.rotation || 0;
+    if (rotation || layoutEngine.rotation) {
+      layoutEngine.setRotation(rotation, document.getElementById('app'));
     }
   }
 
@@ -107,6 +172,14 @@ class LumaBoard {
     // Load scenes
     this.sceneEngine.loadScenes(this.config.scenes || []);
     
+    // Play scenes in "schedule" playlist order when one is configured
+    if (this.config.schedule) {
+      this.sceneEngine.loadPlaylists(this.config.schedule, { repeat: this.config.repeat });
+      if (this.sceneEngine.playlists.has('default')) {
+        this.sceneEngine.usePlaylist('default');
+      }
+    }
+    
     console.log('LumaBoard: Scene engine initialized');
   }
 
@@ -121,13 +194,16 @@ class LumaBoard {
     // Render the first scene
     this.sceneEngine.renderCurrentScene();
     
-    // Start scene rotation if configured and multiple scenes exist
-    if (this.config.sceneRotation?.enabled && this.config.scenes?.length > 1) {
-      const interval = this.config.sceneRotation.interval || 30;
+    // Start scene rotation if configured and multiple scenes exist; a playlist plays on its own timeline
+    if ((this.config.sceneRotation?.enabled && this.config.scenes?.length > 1) || this.sceneEngine.playlist) {
+      const interval = this.config.sceneRotation?.interval || 30;
       this.sceneEngine.startRotation(interval);
       console.log(`LumaBoard: Started scene rotation (${interval}s interval)`);
     }
 
+    // Guard the admin overlays before any of them can open
+    this.setupAdminLock();
+    
     // Set up keyboard controls
     this.setupKeyboardControls();
     
@@ -146,12 +222,24 @@ class LumaBoard {
     // Initialize offline fallback
     this.setupOfflineFallback();
     
+    // Cache the app shell, config and media for offline starts
+    this.setupServiceWorker();
+    
     // Initialize animation engine
     this.setupAnimationEngine();
     
     // Initialize config manager
     this.setupConfigManager();
     
+    // Open the settings panel from the top-right corner
+    this.setupSettingsPanel();
+    
+    // Poll the remote config for changes
+    this.setupConfigReloader();
+    
+    // Show emergency alerts over the scenes
+    this.setupAlerts();
+    
     // Initialize burn-in protection
     this.setupBurnInProtection();
     
@@ -216,6 +304,14 @@ class LumaBoard {
     console.log('LumaBoard: Controls - Arrow keys: navigate, Space: pause/resume, R: refresh, Esc: info');
   }
 
+  /**
+   * Set up the admin password prompt from the "admin" config section
+   */
+  setupAdminLock() {
+    adminLock.configure(this.config.admin || {});
+    console.log('LumaBoard: Admin lock initialized');
+  }
+
   /**
    * Set up periodic refresh for widgets
    */
@@ -328,6 +424,7 @@ class LumaBoard {
     const appContainer = document.getElementById('app');
     const transitionConfig = this.config.transitions || {};
     this.sceneTransitions = new SceneTransitions(appContainer, transitionConfig);
+    this.sceneEngine.setTransitions(this.sceneTransitions, { readyTimeout: transitionConfig.readyTimeout });
     console.log('LumaBoard: Scene transitions initialized');
   }
 
@@ -341,6 +438,24 @@ class LumaBoard {
     console.log('LumaBoard: Offline fallback initialized');
   }
 
+  /**
+   * Set up the service worker that precaches the app for offline starts
+   */
+  setupServiceWorker() {
+    const offlineConfig = this.config.offline || {};
+    // Off under the dev server by default so cached modules never mask local edits
+    const enabled = offlineConfig.serviceWorker ?? import.meta.env?.PROD;
+    
+    if (!enabled || offlineConfig.enabled === false) {
+      console.log('LumaBoard: Service worker disabled');
+      return;
+    }
+    
+    serviceWorkerManager.register(this.config).then(status => {
+      console.log(`LumaBoard: Service worker caching ${status.shellEntries + status.mediaEntries + status.configEntries} files`);
+    });
+  }
+
   /**
    * Set up animation engine
    */
@@ -363,6 +478,173 @@ class LumaBoard {
     console.log('LumaBoard: Config manager initialized (Ctrl+Shift+C to toggle)');
   }
 
+  /**
+   * Set up the hidden settings panel (hover or long-press the top-right corner)
+   */
+  setupSettingsPanel() {
+    this.settingsPanel = new SettingsPanel(this);
+    console.log('LumaBoard: Settings panel initialized (hover the top-right corner for 2s)');
+  }
+
+  /**
+   * Set up hot reloading from the "hotReload" config URL
+   */
+  setupConfigReloader() {
+    const { enabled, ...reloadOptions } = this.config.hotReload || {};
+    if (enabled === false || !reloadOptions.url) return;
+    
+    configReloader.configure(reloadOptions);
+    // Local scene order and durations stay in force over every reloaded config
+    configReloader.start(this.config, (config) => {
+      const local = applySettings(config, getSettings());
+      this.applyConfigUpdate(local, diffConfigs(this.config, local));
+    });
+    console.log('LumaBoard: Config hot reload enabled');
+  }
+
+  /**
+   * Set up emergency alerts from the "alerts" config section
+   */
+  setupAlerts() {
+    const { enabled, pauseRotation, ...alertOptions } = this.config.alerts || {};
+    if (enabled === false) return;
+    
+    this.alertOverlay = new AlertOverlay();
+    alertService.configure({ ...alertOptions, items: alertOptions.items || [], url: alertOptions.url || null });
+    alertService.start(alerts => this.handleAlerts(alerts));
+    console.log('LumaBoard: Alerts initialized');
+  }
+
+  /**
+   * Show the active alerts and hold the current scene while any are up
+   * @param {Array<Object>} alerts - Active alerts, most severe first
+   */
+  handleAlerts(alerts) {
+    this.alertOverlay?.show(alerts);
+    
+    if (alerts.length > 0 && this.config.alerts?.pauseRotation !== false) {
+      this.sceneEngine?.pauseRotation();
+    } else {
+      this.sceneEngine?.resumeRotation();
+    }
+  }
+
+  /**
+   * Stop alerts and remove the overlay
+   */
+  teardownAlerts() {
+    alertService.stop();
+    this.alertOverlay?.destroy();
+    this.alertOverlay = null;
+    this.sceneEngine?.resumeRotation();
+  }
+
+  /**
+   * Apply a changed config without reloading the page, touching only what changed
+   * @param {Object} config - New, validated config
+   * @param {Object} diff - Changes from diffConfigs()
+   */
+  applyConfigUpdate(config, diff) {
+    const changed = (section) => diff.sections.includes(section);
+    this.config = config;
+    
+    if (changed('data')) {
+      this.setupDataService();
+    }
+    
+    const scenesChanged = diff.scenes.added.length > 0 || diff.scenes.removed.length > 0 ||
+      diff.scenes.changed.length > 0 || diff.scenes.orderChanged;
+    if (scenesChanged) {
+      this.sceneEngine.applySceneUpdate(config.scenes || [], diff.scenes);
+    }
+    
+    // A new timeline starts from its first entry
+    const playlistsChanged = changed('schedule') || changed('repeat');
+    if (playlistsChanged) {
+      this.sceneEngine.loadPlaylists(config.schedule, { repeat: config.repeat });
+      if (this.sceneEngine.playlists.has('default')) {
+        this.sceneEngine.usePlaylist('default');
+      } else {
+        this.sceneEngine.clearPlaylist();
+      }
+      this.sceneEngine.renderCurrentScene();
+    }
+    
+    if (diff.scenes.added.length > 0 || diff.scenes.removed.length > 0 || playlistsChanged || changed('sceneRotation')) {
+      if ((config.sceneRotation?.enabled && config.scenes?.length > 1) || this.sceneEngine.playlist) {
+        this.sceneEngine.startRotation(config.sceneRotation?.interval || 30);
+      } else {
+        this.sceneEngine.stopRotation();
+      }
+    }
+    
+    if (changed('transitions') && this.sceneTransitions) {
+      const { enabled, readyTimeout, ...transitionOptions } = config.transitions || {};
+      this.sceneTransitions.setOptions(transitionOptions);
+      if (enabled === false) {
+        this.sceneTransitions.disable();
+      } else {
+        this.sceneTransitions.enable();
+      }
+      this.sceneEngine.setTransitions(this.sceneTransitions, { readyTimeout });
+    }
+    
+    if (changed('display')) {
+      this.setupDisplay();
+    }
+    
+    if (changed('scheduler')) {
+      // Stopping hands the board back its own timeline before the new rules take over
+      this.sceneScheduler?.stop();
+      this.sceneScheduler?.destroy();
+      this.setupSceneScheduler();
+    }
+    
+    if (changed('theme') && config.theme) {
+      this.themeEngine?.applyTheme(config.theme);
+    }
+    
+    if (changed('customCSS')) {
+      this.cssCustomizer?.applyCustomCSS(config.customCSS || '');
+    }
+    
+    if (changed('animations') && config.animations) {
+      this.animationEngine?.updateGlobalOptions(config.animations.global || {});
+    }
+    
+    if (changed('burnInProtection') && config.burnInProtection) {
+      this.burnInProtection?.updateConfig(config.burnInProtection);
+    }
+    
+    if (changed('alerts')) {
+      this.teardownAlerts();
+      this.setupAlerts();
+    }
+    
+    // A new password locks the admin panels again
+    if (changed('admin')) {
+      adminLock.configure(config.admin || {});
+    }
+    
+    // Takes effect from the next check
+    if (changed('hotReload')) {
+      const { enabled, ...reloadOptions } = config.hotReload || {};
+      if (enabled === false || !reloadOptions.url) {
+        configReloader.stop();
+      } else {
+        configReloader.configure(reloadOptions);
+      }
+    }
+    
+    const live = ['data', 'schedule', 'repeat', 'sceneRotation', 'transitions', 'display', 'scheduler', 'theme', 'customCSS', 'animations', 'burnInProtection', 'hotReload', 'alerts', 'admin'];
+    const deferred = diff.sections.filter(section => !live.includes(section));
+    if (deferred.length > 0) {
+      console.log(`LumaBoard: Changes to ${deferred.join(', ')} apply on the next page load`);
+    }
+    
+    console.log('LumaBoard: Configuration updated');
+  }
+
   /**
    * Set up burn-in protection
    */
@@ -418,7 +700,8 @@ class LumaBoard {
    */
   setupThemeManager() {
     this.themeManager = themeManager;
-    console.log('LumaBoard: Theme manager initialized');
+    this.themeManager.init();
+    console.log('LumaBoard: Theme manager initialized (Ctrl+Shift+T to toggle)');
   }
 
   /**
@@ -502,6 +785,8 @@ class LumaBoard {
    * Destroy the application and cleanup resources
    */
   destroy() {
+    configReloader.stop();
+    
     if (this.burnInProtection) {
       this.burnInProtection.destroy();
       this.burnInProtection = null;
@@ -512,6 +797,11 @@ class LumaBoard {
       this.configManager = null;
     }
     
+    if (this.settingsPanel) {
+      this.settingsPanel.destroy();
+      this.settingsPanel = null;
+    }
+    
     if (this.animationEngine) {
       this.animationEngine.destroy();
       this.animationEngine = null;
@@ -523,6 +813,7 @@ class LumaBoard {
     }
     
     if (this.sceneTransitions) {
+      this.sceneEngine?.setTransitions(null);
       this.sceneTransitions.destroy();
       this.sceneTransitions = null;
     }
@@ -532,6 +823,9 @@ class LumaBoard {
       this.sceneScheduler = null;
     }
     
+    this.teardownAlerts();
+    adminLock.destroy();
+    
     if (this.debugOverlay) {
       this.debugOverlay.destroy();
       this.debugOverlay = null;
@@ -543,6 +837,7 @@ class LumaBoard {
     }
     
     this.config = null;
+    this.device = null;
     this.isInitialized = false;
     
     console.log('LumaBoard: Application destroyed');
@@ -0,0 +1,163 @@
+/**
+ * LumaBoard Markdown Renderer
+ * Converts a small, signage-friendly subset of Markdown into HTML
+ * Supports headings, paragraphs, lists, blockquotes, emphasis, inline code and links
+ * Output should still be passed through sanitizeHTML before it is displayed
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+class MarkdownRenderer {
+  /**
+   * Render Markdown text to HTML
+   * @param {string} text - Markdown source
+   * @returns {string} HTML string
+   */
+  render(text) {
+    if (!text || typeof text !== 'string') return '';
+
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null;
+    let quote = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${paragraph.map(line => this.renderInline(line)).join('<br>')}</p>`);
+        paragraph = [];
+      }
+    };
+    const flushList = () => {
+      if (list) {
+        html.push(`<${list.type}>${list.items.map(item => `<li>${this.renderInline(item)}</li>`).join('')}</${list.type}>`);
+        list = null;
+      }
+    };
+    const flushQuote = () => {
+      if (quote.length > 0) {
+        html.push(`<div class="blockquote">${quote.map(line => this.renderInline(line)).join('<br>')}</div>`);
+        quote = [];
+      }
+    };
+    const flushAll = () => {
+      flushParagraph();
+      flushList();
+      flushQuote();
+    };
+
+    for (const rawLine of lines) {
+      const line = rawLine.trimEnd();
+
+      if (!line.trim()) {
+        flushAll();
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) {
+        flushAll();
+        const level = heading[1].length;
+        html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+        continue;
+      }
+
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flushAll();
+        html.push('<div class="rule"></div>');
+        continue;
+      }
+
+      const quoteLine = line.match(/^\s*>\s?(.*)$/);
+      if (quoteLine) {
+        flushParagraph();
+        flushList();
+        quote.push(quoteLine[1]);
+        continue;
+      }
+
+      const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+      const ordered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+      if (bullet || ordered) {
+        flushParagraph();
+        flushQuote();
+        const type = bullet ? 'ul' : 'ol';
+        if (!list || list.type !== type) {
+          flushList();
+          list = { type, items: [] };
+        }
+        list.items.push((bullet || ordered)[1]);
+        continue;
+      }
+
+      // Indented lines continue the previous list item
+      if (list && /^\s+/.test(rawLine)) {
+        list.items[list.items.length - 1] += ` ${line.trim()}`;
+        continue;
+      }
+
+      flushList();
+      flushQuote();
+      paragraph.push(line);
+    }
+
+    flushAll();
+    return html.join('');
+  }
+
+  /**
+   * Render inline formatting for a single line of text
+   * @param {string} text - Line text
+   * @returns {string} HTML string
+   */
+  renderInline(text) {
+    const codeSpans = [];
+
+    // Pull out code spans first so their contents are not formatted
+    let html = this.escape(text).replace(/`([^`]+)`/g, (match, code) => {
+      codeSpans.push(code);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        return this.isSafeUrl(url) ? `<a href="${url}">${label}</a>` : label;
+      })
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+      .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<span class="strike">$1</span>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => `<span class="code">${codeSpans[index]}</span>`);
+  }
+
+  isSafeUrl(url) {
+    return /^(https?:\/\/|mailto:|\/|#)/i.test(url.replace(/&amp;/g, '&'));
+  }
+
+  escape(text) {
+    return String(text).replace(/[&<>"']/g, char => ESCAPES[char]);
+  }
+}
+
+// Create default instance
+const markdownRenderer = new MarkdownRenderer();
+
+/**
+ * Render Markdown text to (unsanitized) HTML
+ * @param {string} text - Markdown source
+ * @returns {string} HTML string
+ */
+export const renderMarkdown = (text) => markdownRenderer.render(text);
+
+// Export class for advanced usage
+export { MarkdownRenderer };
+
+// Export default instance
+export default markdownRenderer;
@@ -0,0 +1,162 @@
+/**
+ * LumaBoard Market Calendar
+ * Trading hours and holidays for common exchanges, used to show whether a market is open
+ * US exchanges (NYSE, NASDAQ) include the full NYSE holiday rules; other exchanges cover
+ * weekends and trading hours, with holidays supplied through config
+ */
+
+import { getZonedParts } from './time.js';
+
+const EXCHANGES = {
+  NYSE: { name: 'NYSE', timeZone: 'America/New_York', sessions: [['09:30', '16:00']], holidays: 'us' },
+  NASDAQ: { name: 'NASDAQ', timeZone: 'America/New_York', sessions: [['09:30', '16:00']], holidays: 'us' },
+  TSX: { name: 'TSX', timeZone: 'America/Toronto', sessions: [['09:30', '16:00']] },
+  LSE: { name: 'LSE', timeZone: 'Europe/London', sessions: [['08:00', '16:30']] },
+  XETRA: { name: 'Xetra', timeZone: 'Europe/Berlin', sessions: [['09:00', '17:30']] },
+  EURONEXT: { name: 'Euronext', timeZone: 'Europe/Paris', sessions: [['09:00', '17:30']] },
+  SIX: { name: 'SIX', timeZone: 'Europe/Zurich', sessions: [['09:00', '17:30']] },
+  TSE: { name: 'TSE', timeZone: 'Asia/Tokyo', sessions: [['09:00', '11:30'], ['12:30', '15:30']] },
+  HKEX: { name: 'HKEX', timeZone: 'Asia/Hong_Kong', sessions: [['09:30', '12:00'], ['13:00', '16:00']] },
+  ASX: { name: 'ASX', timeZone: 'Australia/Sydney', sessions: [['10:00', '16:00']] }
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class MarketCalendar {
+  /**
+   * Get the trading state of an exchange at an instant
+   * @param {string} exchange - Exchange code such as 'NYSE' or 'LSE'
+   * @param {Date} date - Instant to check
+   * @param {string[]} extraHolidays - Additional closed dates ("YYYY-MM-DD", exchange local)
+   * @returns {{exchange: string, isOpen: boolean, reason: string, localTime: string}}
+   *   reason is 'open', 'weekend', 'holiday', 'pre-market', 'break' or 'after-hours'
+   */
+  getStatus(exchange = 'NYSE', date = new Date(), extraHolidays = []) {
+    const definition = EXCHANGES[String(exchange).toUpperCase()];
+    if (!definition) {
+      throw new Error(`Unknown exchange '${exchange}'`);
+    }
+
+    const local = this.getLocalParts(date, definition.timeZone);
+    const dateKey = `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+    const time = `${pad(local.hour)}:${pad(local.minute)}`;
+    const status = (isOpen, reason) => ({ exchange: definition.name, isOpen, reason, localTime: `${dateKey} ${time}` });
+
+    if (local.weekday === 0 || local.weekday === 6) {
+      return status(false, 'weekend');
+    }
+    if (extraHolidays.includes(dateKey) || this.getHolidays(definition, local.year).includes(dateKey)) {
+      return status(false, 'holiday');
+    }
+
+    const { sessions } = definition;
+    if (sessions.some(([open, close]) => time >= open && time < close)) {
+      return status(true, 'open');
+    }
+    if (time < sessions[0][0]) {
+      return status(false, 'pre-market');
+    }
+    if (time >= sessions[sessions.length - 1][1]) {
+      return status(false, 'after-hours');
+    }
+    return status(false, 'break');
+  }
+
+  getHolidays(definition, year) {
+    return definition.holidays === 'us' ? this.getUSHolidays(year) : [];
+  }
+
+  /**
+   * NYSE full-day holidays for a year
+   * @param {number} year - Calendar year
+   * @returns {string[]} Dates as "YYYY-MM-DD"
+   */
+  getUSHolidays(year) {
+    const dates = [
+      this.observed(year, 1, 1, false), // New Year's Day, no Friday closure when it falls on a Saturday
+      this.nthWeekday(year, 1, 1, 3), // Martin Luther King Jr. Day
+      this.nthWeekday(year, 2, 1, 3), // Washington's Birthday
+      this.addDays(this.easter(year), -2), // Good Friday
+      this.lastWeekday(year, 5, 1), // Memorial Day
+      year >= 2022 ? this.observed(year, 6, 19) : null, // Juneteenth
+      this.observed(year, 7, 4), // Independence Day
+      this.nthWeekday(year, 9, 1, 1), // Labor Day
+      this.nthWeekday(year, 11, 4, 4), // Thanksgiving
+      this.observed(year, 12, 25) // Christmas
+    ];
+
+    return dates.filter(Boolean).map(date => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`);
+  }
+
+  // Saturday holidays are observed on Friday, Sunday holidays on Monday
+  observed(year, month, day, allowFriday = true) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const weekday = date.getUTCDay();
+    if (weekday === 6) return allowFriday ? this.addDays(date, -1) : null;
+    if (weekday === 0) return this.addDays(date, 1);
+    return date;
+  }
+
+  nthWeekday(year, month, weekday, n) {
+    const first = new Date(Date.UTC(year, month - 1, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return new Date(Date.UTC(year, month - 1, 1 + offset + (n - 1) * 7));
+  }
+
+  lastWeekday(year, month, weekday) {
+    const last = new Date(Date.UTC(year, month, 0));
+    const offset = (last.getUTCDay() - weekday + 7) % 7;
+    return this.addDays(last, -offset);
+  }
+
+  // Anonymous Gregorian algorithm
+  easter(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  addDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Wall-clock parts of an instant in a zone
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA zone
+   * @returns {{year, month, day, hour, minute, weekday}}
+   */
+  getLocalParts(date, timeZone) {
+    return getZonedParts(date, timeZone);
+  }
+}
+
+// Create default instance
+const marketCalendar = new MarketCalendar();
+
+/**
+ * Get whether an exchange is trading at an instant
+ * @param {string} exchange - Exchange code
+ * @param {Date} date - Instant to check (defaults to now)
+ * @param {string[]} extraHolidays - Additional closed dates ("YYYY-MM-DD")
+ * @returns {{exchange: string, isOpen: boolean, reason: string, localTime: string}}
+ */
+export const getMarketStatus = (exchange, date, extraHolidays) => marketCalendar.getStatus(exchange, date, extraHolidays);
+
+// Export class and exchange table for advanced usage
+export { MarketCalendar, EXCHANGES };
+
+// Export default instance
+export default marketCalendar;
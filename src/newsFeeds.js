@@ -0,0 +1,190 @@
+/**
+ * LumaBoard News Feeds
+ * Parses RSS 2.0, Atom and JSON Feed documents into one item shape and merges items
+ * from several feeds: keyword filtering, newest first, duplicates dropped by link or title
+ *
+ * Item shape: { title, link, pubDate (Date or null), description, source }
+ */
+
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref)$/i;
+
+class FeedParser {
+  /**
+   * Parse feed text of any supported format
+   * @param {string} text - RSS, Atom or JSON Feed document
+   * @param {string} source - Label for the items, used when the feed has no title
+   * @returns {{title: string, items: Array<Object>}}
+   */
+  parse(text, source = '') {
+    const trimmed = (text || '').trim();
+
+    if (trimmed.startsWith('{')) {
+      return this.parseJSONFeed(JSON.parse(trimmed), source);
+    }
+
+    const doc = new DOMParser().parseFromString(trimmed, 'text/xml');
+    if (doc.querySelector('parsererror')) {
+      throw new Error('Feed is neither valid XML nor JSON');
+    }
+
+    return doc.documentElement.localName === 'feed'
+      ? this.parseAtomFeed(doc, source)
+      : this.parseRSSFeed(doc, source);
+  }
+
+  parseRSSFeed(doc, source) {
+    const channelTitle = this.childText(doc.querySelector('channel'), 'title');
+    const label = source || channelTitle;
+
+    const items = Array.from(doc.querySelectorAll('item')).map(item => ({
+      title: this.childText(item, 'title'),
+      link: this.childText(item, 'link') || this.childText(item, 'guid'),
+      pubDate: this.parseDate(this.childText(item, 'pubDate') || this.childText(item, 'date')),
+      description: this.stripHtml(this.childText(item, 'description')),
+      source: label
+    }));
+
+    return { title: channelTitle, items: items.filter(item => item.title) };
+  }
+
+  parseAtomFeed(doc, source) {
+    const feed = doc.documentElement;
+    const feedTitle = this.childText(feed, 'title');
+    const label = source || feedTitle;
+
+    const items = Array.from(feed.children)
+      .filter(entry => entry.localName === 'entry')
+      .map(entry => ({
+        title: this.stripHtml(this.childText(entry, 'title')),
+        link: this.getAtomLink(entry),
+        pubDate: this.parseDate(this.childText(entry, 'published') || this.childText(entry, 'updated')),
+        description: this.stripHtml(this.childText(entry, 'summary') || this.childText(entry, 'content')),
+        source: label
+      }));
+
+    return { title: feedTitle, items: items.filter(item => item.title) };
+  }
+
+  parseJSONFeed(data, source) {
+    if (!Array.isArray(data.items)) {
+      throw new Error('JSON Feed is missing an items array');
+    }
+
+    const label = source || data.title || '';
+    const items = data.items.map(item => ({
+      title: (item.title || '').trim(),
+      link: item.url || item.external_url || '',
+      pubDate: this.parseDate(item.date_published || item.date_modified),
+      description: item.summary || item.content_text || this.stripHtml(item.content_html),
+      source: label
+    }));
+
+    return { title: data.title || '', items: items.filter(item => item.title) };
+  }
+
+  // Prefer the alternate (web page) link over self/enclosure links
+  getAtomLink(entry) {
+    const links = Array.from(entry.children).filter(child => child.localName === 'link');
+    const alternate = links.find(link => !link.getAttribute('rel') || link.getAttribute('rel') === 'alternate');
+    return (alternate || links[0])?.getAttribute('href') || '';
+  }
+
+  // Direct child lookup by local name, so namespaced elements (dc:date) and Atom's default namespace both match
+  childText(parent, name) {
+    if (!parent) return '';
+    const child = Array.from(parent.children).find(element => element.localName === name);
+    return child?.textContent?.trim() || '';
+  }
+
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  stripHtml(html) {
+    return (html || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 200);
+  }
+
+  /**
+   * Merge items from several feeds
+   * @param {Array<Array<Object>>} itemLists - Items per feed
+   * @param {Object} options - { include, exclude, maxItems }; keywords match title or description, case-insensitive
+   * @returns {Array<Object>} Newest first, without duplicates
+   */
+  merge(itemLists, options = {}) {
+    const include = (options.include || []).map(keyword => keyword.toLowerCase());
+    const exclude = (options.exclude || []).map(keyword => keyword.toLowerCase());
+    const seen = new Set();
+
+    const items = itemLists.flat()
+      .filter(item => {
+        const text = `${item.title} ${item.description || ''}`.toLowerCase();
+        if (include.length > 0 && !include.some(keyword => text.includes(keyword))) return false;
+        return !exclude.some(keyword => text.includes(keyword));
+      })
+      // Sorting first keeps the newest copy of a story carried by several feeds
+      .sort((a, b) => (b.pubDate?.getTime() || 0) - (a.pubDate?.getTime() || 0))
+      .filter(item => {
+        const keys = [this.normalizeLink(item.link), this.normalizeTitle(item.title)].filter(Boolean);
+        if (keys.some(key => seen.has(key))) return false;
+        keys.forEach(key => seen.add(key));
+        return true;
+      });
+
+    return options.maxItems ? items.slice(0, options.maxItems) : items;
+  }
+
+  normalizeLink(link) {
+    if (!link || link === '#') return '';
+    try {
+      const url = new URL(link);
+      Array.from(url.searchParams.keys())
+        .filter(key => TRACKING_PARAMS.test(key))
+        .forEach(key => url.searchParams.delete(key));
+      return `link:${url.host.replace(/^www\./, '')}${url.pathname.replace(/\/$/, '')}${url.search}`;
+    } catch (e) {
+      return `link:${link}`;
+    }
+  }
+
+  normalizeTitle(title) {
+    const normalized = (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return normalized ? `title:${normalized}` : '';
+  }
+}
+
+// Create default instance
+const feedParser = new FeedParser();
+
+/**
+ * Parse an RSS, Atom or JSON Feed document
+ * @param {string} text - Feed contents
+ * @param {string} source - Source label for the items
+ * @returns {{title: string, items: Array<Object>}}
+ */
+export const parseFeed = (text, source) => feedParser.parse(text, source);
+
+/**
+ * Merge, filter, sort and de-duplicate items from several feeds
+ * @param {Array<Array<Object>>} itemLists - Items per feed
+ * @param {Object} options - { include, exclude, maxItems }
+ * @returns {Array<Object>}
+ */
+export const mergeFeedItems = (itemLists, options) => feedParser.merge(itemLists, options);
+
+// Export class for advanced usage
+export { FeedParser };
+
+// Export default instance
+export default feedParser;
@@ -19,6 +19,8 @@ class PasswordProtection {
     this.sessionToken = null;
     this.sessionExpiry = 0;
     this.isLocked = false;
+    this.activityHandler = null;
+    this.activityEvents = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
     
     // Storage keys
     this.storageKeys = {
@@ -129,9 +131,9 @@ class PasswordProtection {
    * Validate current session
    */
   validateSession() {
-    const now = Date.now();
+    if (!this.sessionToken) return false;
     
-    if (!this.sessionToken || now >= this.sessionExpiry) {
+    if (Date.now() >= this.sessionExpiry) {
       this.clearSession();
       return false;
     }
@@ -324,7 +326,8 @@ class PasswordProtection {
    * Extend current session
    */
   extendSession() {
-    if (this.sessionToken) {
+    // An expired session has to be unlocked again, not revived by activity
+    if (this.validateSession()) {
       this.sessionExpiry = Date.now() + this.config.sessionTimeout;
       this.saveState();
       
@@ -385,31 +388,43 @@ class PasswordProtection {
    * Setup automatic session extension on activity
    */
   setupActivityMonitoring() {
-    const events = ['mousedown', 'mousemove', 'keypress', 'scroll', 'touchstart'];
-    let lastActivity = Date.now();
+    if (this.activityHandler) return;
+    
+    let lastExtended = Date.now();
     
-    const activityHandler = () => {
+    this.activityHandler = () => {
       const now = Date.now();
       
-      // Only extend session if more than 5 minutes since last activity
-      if (now - lastActivity > 300000) {
-        this.extendSession();
+      // Extend at most once a minute while someone is using the board
+      if (now - lastExtended > 60000 && this.extendSession()) {
+        lastExtended = now;
       }
-      
-      lastActivity = now;
     };
     
-    events.forEach(event => {
-      document.addEventListener(event, activityHandler, { passive: true });
+    this.activityEvents.forEach(event => {
+      document.addEventListener(event, this.activityHandler, { passive: true });
     });
     
     console.log('PasswordProtection: Activity monitoring enabled');
   }
 
+  /**
+   * Stop extending the session on activity
+   */
+  stopActivityMonitoring() {
+    if (!this.activityHandler) return;
+    
+    this.activityEvents.forEach(event => {
+      document.removeEventListener(event, this.activityHandler);
+    });
+    this.activityHandler = null;
+  }
+
   /**
    * Destroy password protection and cleanup
    */
   destroy() {
+    this.stopActivityMonitoring();
     this.clearSession();
     console.log('PasswordProtection: Destroyed');
   }
@@ -0,0 +1,694 @@
+/**
+ * LumaBoard QR Code Encoder
+ * Dependency-free QR Code Model 2 encoder (ISO/IEC 18004)
+ * Supports versions 1-40, numeric/alphanumeric/byte modes, L/M/Q/H error correction and mask selection
+ */
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+const MODES = {
+  numeric: { indicator: 0x1, charCountBits: [10, 12, 14] },
+  alphanumeric: { indicator: 0x2, charCountBits: [9, 11, 13] },
+  byte: { indicator: 0x4, charCountBits: [8, 16, 16] }
+};
+
+// Format bits for each error correction level (ISO/IEC 18004 table 12)
+const ERROR_CORRECTION_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+// Error correction codewords per block, indexed by [level ordinal][version]
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Number of error correction blocks, indexed by [level ordinal][version]
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Penalty weights used when scoring mask patterns
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+class QREncoder {
+  /**
+   * Encode text into a QR code symbol
+   * @param {string} text - Text to encode
+   * @param {Object} options - { errorCorrectionLevel, minVersion, maxVersion, mask }
+   * @returns {Object} { version, size, errorCorrectionLevel, mode, mask, modules }
+   */
+  encode(text, options = {}) {
+    const level = String(options.errorCorrectionLevel || 'M').toUpperCase();
+    const ecl = ERROR_CORRECTION_LEVELS[level];
+    if (!ecl) {
+      throw new Error(`Invalid error correction level '${options.errorCorrectionLevel}'`);
+    }
+
+    const minVersion = options.minVersion || MIN_VERSION;
+    const maxVersion = options.maxVersion || MAX_VERSION;
+    if (minVersion < MIN_VERSION || maxVersion > MAX_VERSION || minVersion > maxVersion) {
+      throw new Error('Invalid QR version range');
+    }
+
+    const mask = options.mask === undefined ? -1 : options.mask;
+    if (mask < -1 || mask > 7) {
+      throw new Error('Invalid QR mask pattern');
+    }
+
+    const segment = this.createSegment(String(text));
+    const version = this.selectVersion(segment, ecl, minVersion, maxVersion);
+    const dataCodewords = this.createDataCodewords(segment, version, ecl);
+    const allCodewords = this.addErrorCorrection(dataCodewords, version, ecl);
+
+    const symbol = this.createSymbol(version);
+    this.drawFunctionPatterns(symbol, ecl);
+    this.drawCodewords(symbol, allCodewords);
+
+    const chosenMask = mask === -1 ? this.selectMask(symbol, ecl) : mask;
+    this.applyMask(symbol, chosenMask);
+    this.drawFormatBits(symbol, ecl, chosenMask);
+
+    return {
+      version,
+      size: symbol.size,
+      errorCorrectionLevel: level,
+      mode: segment.mode,
+      mask: chosenMask,
+      modules: symbol.modules
+    };
+  }
+
+  /**
+   * Pick the most compact mode for the text and encode its bits
+   * @param {string} text - Text to encode
+   * @returns {Object} Segment with mode, character count and data bits
+   */
+  createSegment(text) {
+    if (/^[0-9]*$/.test(text)) {
+      const bits = [];
+      for (let i = 0; i < text.length; i += 3) {
+        const chunk = text.substring(i, i + 3);
+        this.appendBits(bits, parseInt(chunk, 10), chunk.length * 3 + 1);
+      }
+      return { mode: 'numeric', numChars: text.length, bits };
+    }
+
+    if (this.isAlphanumeric(text)) {
+      const bits = [];
+      let i;
+      for (i = 0; i + 2 <= text.length; i += 2) {
+        const value = ALPHANUMERIC_CHARSET.indexOf(text[i]) * 45 + ALPHANUMERIC_CHARSET.indexOf(text[i + 1]);
+        this.appendBits(bits, value, 11);
+      }
+      if (i < text.length) {
+        this.appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(text[i]), 6);
+      }
+      return { mode: 'alphanumeric', numChars: text.length, bits };
+    }
+
+    const bytes = this.toUtf8Bytes(text);
+    const bits = [];
+    bytes.forEach(b => this.appendBits(bits, b, 8));
+    return { mode: 'byte', numChars: bytes.length, bits };
+  }
+
+  /**
+   * Check whether text only uses the alphanumeric mode charset
+   * @param {string} text - Text to check
+   * @returns {boolean} True if encodable in alphanumeric mode
+   */
+  isAlphanumeric(text) {
+    for (const char of text) {
+      if (ALPHANUMERIC_CHARSET.indexOf(char) === -1) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Convert a string to UTF-8 bytes
+   * @param {string} text - Text to convert
+   * @returns {Array<number>} UTF-8 bytes
+   */
+  toUtf8Bytes(text) {
+    if (typeof TextEncoder !== 'undefined') {
+      return Array.from(new TextEncoder().encode(text));
+    }
+    const encoded = unescape(encodeURIComponent(text));
+    return Array.from(encoded, char => char.charCodeAt(0));
+  }
+
+  /**
+   * Find the smallest version that fits the segment
+   * @param {Object} segment - Encoded segment
+   * @param {Object} ecl - Error correction level
+   * @param {number} minVersion - Smallest version to consider
+   * @param {number} maxVersion - Largest version to consider
+   * @returns {number} Version number
+   */
+  selectVersion(segment, ecl, minVersion, maxVersion) {
+    for (let version = minVersion; version <= maxVersion; version++) {
+      const capacityBits = this.getNumDataCodewords(version, ecl) * 8;
+      const countBits = this.getCharCountBits(segment.mode, version);
+      const usedBits = 4 + countBits + segment.bits.length;
+      if (segment.numChars < (1 << countBits) && usedBits <= capacityBits) {
+        return version;
+      }
+    }
+    throw new Error('Data too long to fit in a QR code');
+  }
+
+  /**
+   * Get the number of character count bits for a mode and version
+   * @param {string} mode - Segment mode
+   * @param {number} version - QR version
+   * @returns {number} Bit length
+   */
+  getCharCountBits(mode, version) {
+    const index = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+    return MODES[mode].charCountBits[index];
+  }
+
+  /**
+   * Build the data codewords including mode header, terminator and padding
+   * @param {Object} segment - Encoded segment
+   * @param {number} version - QR version
+   * @param {Object} ecl - Error correction level
+   * @returns {Array<number>} Data codewords
+   */
+  createDataCodewords(segment, version, ecl) {
+    const capacityBits = this.getNumDataCodewords(version, ecl) * 8;
+    const bits = [];
+
+    this.appendBits(bits, MODES[segment.mode].indicator, 4);
+    this.appendBits(bits, segment.numChars, this.getCharCountBits(segment.mode, version));
+    segment.bits.forEach(bit => bits.push(bit));
+
+    // Terminator and byte alignment
+    this.appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+    this.appendBits(bits, 0, (8 - bits.length % 8) % 8);
+
+    // Alternating pad bytes until capacity is reached
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+      this.appendBits(bits, pad, 8);
+    }
+
+    const codewords = new Array(bits.length / 8).fill(0);
+    bits.forEach((bit, i) => {
+      codewords[i >>> 3] |= bit << (7 - (i & 7));
+    });
+    return codewords;
+  }
+
+  /**
+   * Split data into blocks, append Reed-Solomon codewords and interleave
+   * @param {Array<number>} data - Data codewords
+   * @param {number} version - QR version
+   * @param {Object} ecl - Error correction level
+   * @returns {Array<number>} Final codeword sequence
+   */
+  addErrorCorrection(data, version, ecl) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+    const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = this.reedSolomonDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+      const blockData = data.slice(offset, offset + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+      offset += blockData.length;
+      const ecc = this.reedSolomonRemainder(blockData, divisor);
+      if (i < numShortBlocks) {
+        blockData.push(0);
+      }
+      blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Skip the padding byte of short blocks
+        if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Number of data modules available in a version, excluding function patterns
+   * @param {number} version - QR version
+   * @returns {number} Module count
+   */
+  getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) {
+        result -= 36;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Number of data codewords for a version and error correction level
+   * @param {number} version - QR version
+   * @param {Object} ecl - Error correction level
+   * @returns {number} Codeword count
+   */
+  getNumDataCodewords(version, ecl) {
+    return Math.floor(this.getNumRawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+  }
+
+  /**
+   * Compute the Reed-Solomon generator polynomial for a given degree
+   * @param {number} degree - Number of error correction codewords
+   * @returns {Array<number>} Polynomial coefficients, highest power first (leading 1 omitted)
+   */
+  reedSolomonDivisor(degree) {
+    const result = new Array(degree - 1).fill(0);
+    result.push(1);
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = this.gfMultiply(result[j], root);
+        if (j + 1 < result.length) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      root = this.gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  /**
+   * Compute Reed-Solomon error correction codewords for a block
+   * @param {Array<number>} data - Block data codewords
+   * @param {Array<number>} divisor - Generator polynomial
+   * @returns {Array<number>} Error correction codewords
+   */
+  reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(b => {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => {
+        result[i] ^= this.gfMultiply(coef, factor);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Multiply two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+   * @param {number} x - First operand
+   * @param {number} y - Second operand
+   * @returns {number} Product
+   */
+  gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Create an empty symbol grid for a version
+   * @param {number} version - QR version
+   * @returns {Object} Symbol with module and function-pattern grids
+   */
+  createSymbol(version) {
+    const size = version * 4 + 17;
+    return {
+      version,
+      size,
+      modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+      isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+  }
+
+  /**
+   * Set a function pattern module
+   * @param {Object} symbol - Symbol being built
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @param {boolean} dark - Module color
+   */
+  setFunctionModule(symbol, x, y, dark) {
+    symbol.modules[y][x] = dark;
+    symbol.isFunction[y][x] = true;
+  }
+
+  /**
+   * Draw timing, finder, alignment, format and version patterns
+   * @param {Object} symbol - Symbol being built
+   * @param {Object} ecl - Error correction level
+   */
+  drawFunctionPatterns(symbol, ecl) {
+    const { size } = symbol;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.setFunctionModule(symbol, 6, i, i % 2 === 0);
+      this.setFunctionModule(symbol, i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with separators
+    this.drawFinderPattern(symbol, 3, 3);
+    this.drawFinderPattern(symbol, size - 4, 3);
+    this.drawFinderPattern(symbol, 3, size - 4);
+
+    // Alignment patterns, skipping the three finder corners
+    const positions = this.getAlignmentPatternPositions(symbol.version, size);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+        if (!overlapsFinder) {
+          this.drawAlignmentPattern(symbol, x, y);
+        }
+      });
+    });
+
+    // Reserve format areas (overwritten once the mask is known) and draw version info
+    this.drawFormatBits(symbol, ecl, 0);
+    this.drawVersion(symbol);
+  }
+
+  /**
+   * Draw a 9x9 finder pattern (including separator) centred on (x, y)
+   * @param {Object} symbol - Symbol being built
+   * @param {number} x - Centre column
+   * @param {number} y - Centre row
+   */
+  drawFinderPattern(symbol, x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < symbol.size && yy >= 0 && yy < symbol.size) {
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          this.setFunctionModule(symbol, xx, yy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  }
+
+  /**
+   * Draw a 5x5 alignment pattern centred on (x, y)
+   * @param {Object} symbol - Symbol being built
+   * @param {number} x - Centre column
+   * @param {number} y - Centre row
+   */
+  drawAlignmentPattern(symbol, x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(symbol, x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  /**
+   * Get alignment pattern centre coordinates for a version
+   * @param {number} version - QR version
+   * @param {number} size - Symbol size in modules
+   * @returns {Array<number>} Coordinates, ascending
+   */
+  getAlignmentPatternPositions(version, size) {
+    if (version === 1) return [];
+
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+      result.splice(1, 0, pos);
+    }
+    return result;
+  }
+
+  /**
+   * Draw both copies of the BCH-protected format information
+   * @param {Object} symbol - Symbol being built
+   * @param {Object} ecl - Error correction level
+   * @param {number} mask - Mask pattern (0-7)
+   */
+  drawFormatBits(symbol, ecl, mask) {
+    const { size } = symbol;
+    const data = (ecl.formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) {
+      rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+
+    // Copy around the top-left finder
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(symbol, 8, i, bit(i));
+    this.setFunctionModule(symbol, 8, 7, bit(6));
+    this.setFunctionModule(symbol, 8, 8, bit(7));
+    this.setFunctionModule(symbol, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(symbol, 14 - i, 8, bit(i));
+
+    // Copy split between the top-right and bottom-left finders
+    for (let i = 0; i < 8; i++) this.setFunctionModule(symbol, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(symbol, 8, size - 15 + i, bit(i));
+    this.setFunctionModule(symbol, 8, size - 8, true); // Dark module
+  }
+
+  /**
+   * Draw both copies of the version information (versions 7 and up)
+   * @param {Object} symbol - Symbol being built
+   */
+  drawVersion(symbol) {
+    const { version, size } = symbol;
+    if (version < 7) return;
+
+    let rem = version;
+    for (let i = 0; i < 12; i++) {
+      rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    }
+    const bits = (version << 12) | rem;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(symbol, a, b, dark);
+      this.setFunctionModule(symbol, b, a, dark);
+    }
+  }
+
+  /**
+   * Place codewords in the zig-zag data region
+   * @param {Object} symbol - Symbol being built
+   * @param {Array<number>} codewords - Interleaved codewords
+   */
+  drawCodewords(symbol, codewords) {
+    const { size } = symbol;
+    const totalBits = codewords.length * 8;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!symbol.isFunction[y][x] && i < totalBits) {
+            symbol.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Check whether a mask pattern flips the module at (x, y)
+   * @param {number} mask - Mask pattern (0-7)
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @returns {boolean} True if the module is inverted
+   */
+  isMasked(mask, x, y) {
+    switch (mask) {
+      case 0: return (x + y) % 2 === 0;
+      case 1: return y % 2 === 0;
+      case 2: return x % 3 === 0;
+      case 3: return (x + y) % 3 === 0;
+      case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+      case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+      case 7: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+      default: throw new Error('Invalid QR mask pattern');
+    }
+  }
+
+  /**
+   * XOR a mask pattern onto all data modules (applying twice undoes it)
+   * @param {Object} symbol - Symbol being built
+   * @param {number} mask - Mask pattern (0-7)
+   */
+  applyMask(symbol, mask) {
+    for (let y = 0; y < symbol.size; y++) {
+      for (let x = 0; x < symbol.size; x++) {
+        if (!symbol.isFunction[y][x] && this.isMasked(mask, x, y)) {
+          symbol.modules[y][x] = !symbol.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Try every mask and return the one with the lowest penalty score
+   * @param {Object} symbol - Symbol being built
+   * @param {Object} ecl - Error correction level
+   * @returns {number} Best mask pattern
+   */
+  selectMask(symbol, ecl) {
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(symbol, mask);
+      this.drawFormatBits(symbol, ecl, mask);
+      const penalty = this.getPenaltyScore(symbol);
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      this.applyMask(symbol, mask);
+    }
+    return bestMask;
+  }
+
+  /**
+   * Score a symbol using the four penalty rules of the specification
+   * @param {Object} symbol - Symbol to score
+   * @returns {number} Penalty score
+   */
+  getPenaltyScore(symbol) {
+    const { size, modules } = symbol;
+    let result = 0;
+
+    // Rule 1 and 3: runs of same colour and finder-like patterns, rows then columns
+    for (let pass = 0; pass < 2; pass++) {
+      for (let a = 0; a < size; a++) {
+        const line = [];
+        for (let b = 0; b < size; b++) {
+          line.push(pass === 0 ? modules[a][b] : modules[b][a]);
+        }
+        result += this.getLinePenalty(line);
+      }
+    }
+
+    // Rule 2: 2x2 blocks of the same colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          result += PENALTY_N2;
+        }
+      }
+    }
+
+    // Rule 4: balance of dark and light modules
+    let dark = 0;
+    modules.forEach(row => row.forEach(module => {
+      if (module) dark++;
+    }));
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    result += k * PENALTY_N4;
+
+    return result;
+  }
+
+  /**
+   * Penalty for a single row or column (rules 1 and 3)
+   * @param {Array<boolean>} line - Module colours
+   * @returns {number} Penalty score
+   */
+  getLinePenalty(line) {
+    let result = 0;
+    let runLength = 1;
+
+    for (let i = 1; i <= line.length; i++) {
+      if (i < line.length && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) {
+          result += PENALTY_N1 + (runLength - 5);
+        }
+        runLength = 1;
+      }
+    }
+
+    // 1:1:3:1:1 finder-like pattern with four light modules on either side
+    const finder = [true, false, true, true, true, false, true];
+    const isLight = i => i < 0 || i >= line.length || !line[i];
+    for (let i = 0; i + finder.length <= line.length; i++) {
+      if (!finder.every((dark, k) => line[i + k] === dark)) continue;
+      const lightBefore = [1, 2, 3, 4].every(k => isLight(i - k));
+      const lightAfter = [0, 1, 2, 3].every(k => isLight(i + finder.length + k));
+      if (lightBefore || lightAfter) {
+        result += PENALTY_N3;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Append an integer as a big-endian bit sequence
+   * @param {Array<number>} bits - Bit buffer
+   * @param {number} value - Value to append
+   * @param {number} length - Number of bits
+   */
+  appendBits(bits, value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  }
+}
+
+// Create global instance
+const qrEncoder = new QREncoder();
+
+/**
+ * Encode text into a QR code module matrix
+ * @param {string} text - Text to encode
+ * @param {Object} options - { errorCorrectionLevel, minVersion, maxVersion, mask }
+ * @returns {Object} { version, size, errorCorrectionLevel, mode, mask, modules }
+ */
+export const encodeQR = (text, options) => qrEncoder.encode(text, options);
+
+// Export class for advanced usage
+export { QREncoder };
+
+// Export default instance
+export default qrEncoder;
@@ -1,4 +1,6 @@
 import { widgetMount } from './widgetMount.js';
+import { layoutEngine } from './components/LayoutEngine.js';
+import { ScenePlaylist, parseSchedule, parsePlaylist } from './scenePlaylist.js';
 
 /**
  * Scene Engine for LumaBoard
@@ -10,8 +12,39 @@ export class SceneEngine {
     this.scenes = [];
     this.currentSceneIndex = 0;
     this.rotationTimer = null;
+    this.rotationInterval = 30;
     this.isRotating = false;
-    this.currentWidgetIds = [];
+    this.rotationPaused = false; // held on the current scene, e.g. while an alert is showing
+    this.currentWidgetIds = []; // widget IDs by position in the current scene's widget list
+    this.currentLayout = null;
+    this.playlists = new Map();
+    this.playlistDefinition = null; // unresolved playlist, re-bound whenever scenes change
+    this.playlist = null;
+    this.transitions = null; // SceneTransitions, when scene changes animate
+    this.readyTimeout = 3000; // ms to wait for an incoming scene's widgets before showing it
+    this.pendingScene = null; // { layout, widgetIds } rendered off-screen ahead of its transition
+    this.renderToken = 0;
+    
+    // Re-render responsive layouts when the viewport crosses a breakpoint or changes orientation
+    this.handleViewportChange = () => {
+      const scene = this.scenes[this.currentSceneIndex];
+      if (scene && layoutEngine.hasResponsiveLayout(scene.layout)) {
+        this.renderCurrentScene();
+      }
+    };
+    layoutEngine.on('viewport-changed', this.handleViewportChange);
+  }
+
+  /**
+   * Animate scene changes with SceneTransitions
+   * @param {SceneTransitions|null} transitions - Transition system, or null to switch instantly
+   * @param {Object} options - { readyTimeout } ms to wait for the incoming scene's widgets
+   */
+  setTransitions(transitions, options = {}) {
+    this.transitions = transitions;
+    if (options.readyTimeout !== undefined) {
+      this.readyTimeout = options.readyTimeout;
+    }
   }
 
   /**
@@ -21,38 +54,160 @@ export class SceneEngine {
   loadScenes(scenes) {
     this.scenes = scenes || [];
     console.log(`SceneEngine: Loaded ${this.scenes.length} scenes`);
+
+    if (this.playlistDefinition) {
+      this.bindPlaylist(this.playlistDefinition);
+    }
+  }
+
+  /**
+   * Load named playlists from the config "schedule" section (Scene Scheduler DSL)
+   * @param {Array|Object} schedule - Entry array or map of named playlists
+   * @param {Object} options - { repeat } for the array form
+   */
+  loadPlaylists(schedule, options = {}) {
+    this.playlists = parseSchedule(schedule, options);
+    console.log(`SceneEngine: Loaded ${this.playlists.size} playlists`);
+  }
+
+  /**
+   * Play scenes in playlist order instead of array order.
+   * Does not render; call renderCurrentScene() or startRotation() afterwards.
+   * @param {string|Array|Object|ScenePlaylist} playlist - Name of a loaded playlist, an inline definition or a ScenePlaylist
+   * @returns {boolean} True if the playlist has at least one playable entry
+   */
+  usePlaylist(playlist) {
+    let definition = playlist;
+    if (typeof playlist === 'string') {
+      definition = this.playlists.get(playlist);
+    } else if (!(playlist instanceof ScenePlaylist)) {
+      definition = parsePlaylist(playlist, { name: 'inline' });
+    }
+
+    if (!definition) {
+      console.warn(`SceneEngine: Unknown playlist '${playlist}'`);
+      return false;
+    }
+
+    this.playlistDefinition = definition;
+    this.bindPlaylist(definition);
+    console.log(`SceneEngine: Using playlist '${definition.name}' (${this.playlist?.length || 0} entries)`);
+    return this.playlist !== null;
+  }
+
+  /**
+   * Return to rotating through scenes in array order
+   */
+  clearPlaylist() {
+    this.playlistDefinition = null;
+    this.playlist = null;
+  }
+
+  /**
+   * Bind a playlist to the loaded scenes and move to its first entry
+   * @param {ScenePlaylist} definition - Unresolved playlist
+   */
+  bindPlaylist(definition) {
+    const playlist = definition.resolve(this.scenes);
+    // Scenes without any playlist entry (e.g. offline fallback scenes) rotate in array order
+    this.playlist = playlist.length > 0 ? playlist : null;
+    if (this.playlist) {
+      this.currentSceneIndex = this.playlist.current().sceneIndex;
+    }
   }
 
   /**
    * Start scene rotation
-   * @param {number} interval - Rotation interval in seconds
+   * @param {number} interval - Default rotation interval in seconds, used for scenes without a duration
    */
   startRotation(interval = 30) {
-    if (this.scenes.length <= 1) {
+    const count = this.playlist ? this.playlist.length : this.scenes.length;
+    if (count <= 1) {
+      this.clearRotationTimer();
       console.log('SceneEngine: Not starting rotation - only one scene or no scenes');
       return;
     }
 
     this.stopRotation();
+    this.rotationInterval = interval;
     this.isRotating = true;
+    this.scheduleNextRotation();
     
-    this.rotationTimer = setInterval(() => {
-      this.nextScene();
-    }, interval * 1000);
-    
-    console.log(`SceneEngine: Started rotation with ${interval}s interval`);
+    console.log(`SceneEngine: Started rotation with ${interval}s default interval`);
   }
 
   /**
    * Stop scene rotation
    */
   stopRotation() {
+    this.clearRotationTimer();
+    this.isRotating = false;
+    console.log('SceneEngine: Stopped rotation');
+  }
+
+  /**
+   * Hold the current scene without changing the rotation settings, e.g. while an alert covers the board
+   */
+  pauseRotation() {
+    if (this.rotationPaused) return;
+
+    this.rotationPaused = true;
+    this.clearRotationTimer();
+    console.log('SceneEngine: Paused rotation');
+  }
+
+  /**
+   * Carry on rotating after pauseRotation(); the current scene gets its full duration again
+   */
+  resumeRotation() {
+    if (!this.rotationPaused) return;
+
+    this.rotationPaused = false;
+    this.scheduleNextRotation();
+    console.log('SceneEngine: Resumed rotation');
+  }
+
+  /**
+   * Arm the rotation timer for the current scene's duration
+   */
+  scheduleNextRotation() {
+    this.clearRotationTimer();
+    if (!this.isRotating || this.rotationPaused) return;
+
+    const duration = this.getCurrentDuration();
+    this.rotationTimer = setTimeout(() => {
+      this.rotationTimer = null;
+      this.nextScene();
+    }, duration * 1000);
+  }
+
+  /**
+   * Clear the pending rotation timer
+   */
+  clearRotationTimer() {
     if (this.rotationTimer) {
-      clearInterval(this.rotationTimer);
+      clearTimeout(this.rotationTimer);
       this.rotationTimer = null;
     }
-    this.isRotating = false;
-    console.log('SceneEngine: Stopped rotation');
+  }
+
+  /**
+   * Get how long a scene stays on screen during rotation
+   * @param {Object} scene - Scene configuration
+   * @returns {number} Duration in seconds
+   */
+  getSceneDuration(scene) {
+    const duration = Number(scene?.duration);
+    return duration > 0 ? duration : this.rotationInterval;
+  }
+
+  /**
+   * Get how long the current scene stays on screen, preferring the playlist entry's duration
+   * @returns {number} Duration in seconds
+   */
+  getCurrentDuration() {
+    const entry = this.playlist?.current();
+    return entry?.duration || this.getSceneDuration(this.scenes[this.currentSceneIndex]);
   }
 
   /**
@@ -61,21 +216,56 @@ export class SceneEngine {
   nextScene() {
     if (this.scenes.length === 0) return;
     
+    if (this.playlist) {
+      this.nextPlaylistEntry();
+      return;
+    }
+    
     this.currentSceneIndex = (this.currentSceneIndex + 1) % this.scenes.length;
-    this.renderCurrentScene();
+    this.renderCurrentScene({ animate: true });
+    this.scheduleNextRotation();
     console.log(`SceneEngine: Switched to scene ${this.currentSceneIndex + 1}/${this.scenes.length}`);
   }
 
+  /**
+   * Advance the playlist; a non-repeating playlist stays on its final scene
+   */
+  nextPlaylistEntry() {
+    const entry = this.playlist.advance();
+    if (!entry) {
+      if (this.isRotating) {
+        console.log(`SceneEngine: Playlist '${this.playlist.name}' finished`);
+        this.stopRotation();
+      }
+      return;
+    }
+
+    this.currentSceneIndex = entry.sceneIndex;
+    this.renderCurrentScene({ animate: true });
+    this.scheduleNextRotation();
+    console.log(`SceneEngine: Playlist entry ${this.playlist.position + 1}/${this.playlist.length} (${entry.scene})`);
+  }
+
   /**
    * Move to the previous scene
    */
   previousScene() {
     if (this.scenes.length === 0) return;
     
+    if (this.playlist) {
+      const entry = this.playlist.back();
+      if (!entry) return;
+      this.currentSceneIndex = entry.sceneIndex;
+      this.renderCurrentScene({ animate: true });
+      this.scheduleNextRotation();
+      return;
+    }
+    
     this.currentSceneIndex = this.currentSceneIndex === 0 
       ? this.scenes.length - 1 
       : this.currentSceneIndex - 1;
-    this.renderCurrentScene();
+    this.renderCurrentScene({ animate: true });
+    this.scheduleNextRotation();
     console.log(`SceneEngine: Switched to scene ${this.currentSceneIndex + 1}/${this.scenes.length}`);
   }
 
@@ -85,32 +275,50 @@ export class SceneEngine {
    */
   goToScene(index) {
     if (index >= 0 && index < this.scenes.length) {
+      // Continue the playlist from the scene's first entry, if it has one
+      const position = this.playlist ? this.playlist.entries.findIndex(entry => entry.sceneIndex === index) : -1;
+      if (position !== -1) {
+        this.playlist.seek(position);
+      }
       this.currentSceneIndex = index;
-      this.renderCurrentScene();
+      this.renderCurrentScene({ animate: true });
+      this.scheduleNextRotation();
       console.log(`SceneEngine: Switched to scene ${index + 1}/${this.scenes.length}`);
     }
   }
 
   /**
    * Render the current scene
+   * @param {Object} options - { animate } to transition from the scene on screen
    */
-  renderCurrentScene() {
+  renderCurrentScene(options = {}) {
     if (this.scenes.length === 0) {
       this.renderEmptyState();
       return;
     }
 
     const scene = this.scenes[this.currentSceneIndex];
-    this.renderScene(scene);
+    this.renderScene(scene, options);
   }
 
   /**
    * Render a specific scene
    * @param {Object} scene - Scene configuration
+   * @param {Object} options - { animate } to transition from the scene on screen
+   * @returns {Promise<void>} Resolves once the scene is on screen
    */
-  renderScene(scene) {
+  renderScene(scene, options = {}) {
     console.log(`SceneEngine: Rendering scene "${scene.name}"`);
     
+    // A newer render replaces any scene still waiting for its transition
+    const token = ++this.renderToken;
+    this.discardPendingScene();
+    
+    const transition = options.animate && this.currentLayout ? this.getSceneTransition(scene) : null;
+    if (transition) {
+      return this.transitionToScene(scene, transition, token);
+    }
+    
     // Clear current widgets
     this.clearCurrentWidgets();
     
@@ -123,9 +331,92 @@ export class SceneEngine {
     // Create layout based on scene layout type
     const layout = this.createLayout(scene.layout);
     this.container.appendChild(layout);
+    this.currentLayout = layout;
     
     // Mount widgets
     this.mountSceneWidgets(scene, layout);
+    return Promise.resolve();
+  }
+
+  /**
+   * Get the transition into a scene, from its "transition" field or the configured default
+   * @param {Object} scene - Scene configuration
+   * @returns {{type: string|null, duration: number|undefined}|null} Null when the change is instant
+   */
+  getSceneTransition(scene) {
+    if (!this.transitions?.options?.enabled) return null;
+
+    const transition = typeof scene.transition === 'string' ? { type: scene.transition } : (scene.transition || {});
+    if (transition.type === 'none') return null;
+    return { type: transition.type || null, duration: transition.duration };
+  }
+
+  /**
+   * Render a scene off-screen, wait until its widgets are ready (or readyTimeout passes),
+   * then transition to it from the scene on screen
+   * @param {Object} scene - Scene configuration
+   * @param {Object} transition - { type, duration } from getSceneTransition()
+   * @param {number} token - Render token; a newer render abandons this one
+   */
+  async transitionToScene(scene, transition, token) {
+    const layout = this.createLayout(scene.layout);
+    const widgetIds = [];
+    this.pendingScene = { layout, widgetIds };
+    this.transitions.prepare(layout);
+    this.mountSceneWidgets(scene, layout, widgetIds);
+    
+    const ready = await this.waitForWidgets(widgetIds);
+    if (token !== this.renderToken) return;
+    if (!ready) {
+      console.warn(`SceneEngine: Widgets in "${scene.name}" not ready after ${this.readyTimeout}ms, showing it anyway`);
+    }
+    
+    const outgoing = { layout: this.currentLayout, widgetIds: this.currentWidgetIds };
+    this.pendingScene = null;
+    this.currentLayout = layout;
+    this.currentWidgetIds = widgetIds;
+    this.applySceneBackground(scene);
+    
+    try {
+      await this.transitions.transition(outgoing.layout, layout, transition.type, { duration: transition.duration });
+    } catch (error) {
+      // Transitions were turned off while this one was queued
+      outgoing.layout?.remove();
+      layout.className = 'scene-layout';
+    }
+    
+    outgoing.widgetIds.forEach(widgetId => {
+      if (widgetId) widgetMount.removeWidget(widgetId);
+    });
+  }
+
+  /**
+   * Wait for widgets to have content to show
+   * @param {string[]} widgetIds - Widget IDs
+   * @returns {Promise<boolean>} False if readyTimeout passed first
+   */
+  waitForWidgets(widgetIds) {
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), this.readyTimeout);
+    });
+    const ready = Promise.all(widgetIds.filter(Boolean).map(widgetId => widgetMount.whenReady(widgetId)))
+      .then(() => true);
+    
+    return Promise.race([ready, timedOut]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Drop a scene that was rendered off-screen but never shown
+   */
+  discardPendingScene() {
+    if (!this.pendingScene) return;
+    
+    this.pendingScene.widgetIds.forEach(widgetId => {
+      if (widgetId) widgetMount.removeWidget(widgetId);
+    });
+    this.pendingScene.layout.remove();
+    this.pendingScene = null;
   }
 
   /**
@@ -161,15 +452,17 @@ export class SceneEngine {
 
   /**
    * Create layout container based on layout type
-   * @param {string} layout - Layout type ('2x2', '3x3', 'single', 'custom')
+   * @param {string|Object} layout - Built-in grid ('2x2', '3x3', 'single'), LayoutEngine layout name,
+   *   inline layout DSL, JSON grid ({ rows, columns, widgets }), or { portrait, landscape } variants of these
    * @returns {HTMLElement} Layout container
    */
   createLayout(layout = '2x2') {
+    layout = layoutEngine.selectOrientationVariant(layout) || '2x2';
     const layoutContainer = document.createElement('div');
     layoutContainer.className = 'scene-layout';
     
     // Normalize layout names
-    const normalizedLayout = layout.replace('grid-', '');
+    const normalizedLayout = typeof layout === 'string' ? layout.replace('grid-', '') : layout;
     
     switch (normalizedLayout) {
       case '2x2':
@@ -226,52 +519,178 @@ export class SceneEngine {
         layoutContainer.appendChild(singleContainer);
         break;
         
-      default:
-        console.warn(`SceneEngine: Unknown layout type '${layout}', using 2x2`);
-        return this.createLayout('2x2');
+      default: {
+        const gridConfig = layoutEngine.resolveLayout(layout);
+        if (!gridConfig) {
+          console.warn(`SceneEngine: Unknown layout type '${typeof layout === 'string' ? layout : JSON.stringify(layout)}', using 2x2`);
+          return this.createLayout('2x2');
+        }
+        this.buildGridLayout(layoutContainer, gridConfig);
+        break;
+      }
     }
     
     return layoutContainer;
   }
 
+  /**
+   * Build a grid layout with one named slot per LayoutEngine widget area
+   * @param {HTMLElement} layoutContainer - Layout container
+   * @param {Object} gridConfig - Grid configuration from LayoutEngine
+   */
+  buildGridLayout(layoutContainer, gridConfig) {
+    layoutContainer.style.cssText = `
+      display: grid;
+      grid-template-columns: repeat(${gridConfig.columns}, 1fr);
+      grid-template-rows: repeat(${gridConfig.rows}, 1fr);
+      gap: ${gridConfig.gap || '1rem'};
+      padding: 1rem;
+      height: 100%;
+      box-sizing: border-box;
+    `;
+
+    gridConfig.widgets.forEach((slot, index) => {
+      const widgetContainer = document.createElement('div');
+      widgetContainer.className = 'widget-container';
+      widgetContainer.dataset.slot = slot.id;
+      widgetContainer.dataset.position = index;
+      widgetContainer.style.gridColumn = `${slot.x + 1} / span ${slot.width}`;
+      widgetContainer.style.gridRow = `${slot.y + 1} / span ${slot.height}`;
+      widgetContainer.style.minWidth = '0';
+      widgetContainer.style.minHeight = '0';
+      layoutContainer.appendChild(widgetContainer);
+    });
+  }
+
   /**
    * Mount widgets for a scene
    * @param {Object} scene - Scene configuration
    * @param {HTMLElement} layout - Layout container
+   * @param {Array} widgetIds - Receives widget IDs by widget index
    */
-  mountSceneWidgets(scene, layout) {
+  mountSceneWidgets(scene, layout, widgetIds = this.currentWidgetIds) {
     if (!scene.widgets || scene.widgets.length === 0) {
       console.log('SceneEngine: No widgets to mount for this scene');
       return;
     }
 
     scene.widgets.forEach((widgetConfig, index) => {
-      const position = widgetConfig.position || index;
-      const container = layout.querySelector(`[data-position="${position}"]`);
+      this.mountWidget(widgetConfig, index, layout, widgetIds);
+    });
+  }
+
+  /**
+   * Mount one widget of a scene
+   * @param {Object} widgetConfig - Widget configuration
+   * @param {number} index - Widget index within the scene
+   * @param {HTMLElement} layout - Layout container
+   * @param {Array} widgetIds - Receives the widget ID at its index
+   */
+  mountWidget(widgetConfig, index, layout, widgetIds = this.currentWidgetIds) {
+    const container = this.findWidgetContainer(layout, widgetConfig, index);
+    const position = widgetConfig.slot || widgetConfig.position || index;
+    
+    if (!container) {
+      console.warn(`SceneEngine: No container found for position ${position}`);
+      return;
+    }
+
+    try {
+      const widgetElement = widgetMount.createWidget(
+        widgetConfig.type,
+        container,
+        widgetConfig.config || {}
+      );
       
-      if (!container) {
-        console.warn(`SceneEngine: No container found for position ${position}`);
-        return;
+      // Store widget ID for cleanup
+      const widgetId = this.extractWidgetId(widgetElement);
+      if (widgetId) {
+        widgetIds[index] = widgetId;
       }
+      
+      console.log(`SceneEngine: Mounted ${widgetConfig.type} widget at position ${position}`);
+    } catch (error) {
+      console.error(`SceneEngine: Failed to mount widget at position ${position}:`, error);
+    }
+  }
 
-      try {
-        const widgetElement = widgetMount.createWidget(
-          widgetConfig.type,
-          container,
-          widgetConfig.config || {}
-        );
-        
-        // Store widget ID for cleanup
-        const widgetId = this.extractWidgetId(widgetElement);
-        if (widgetId) {
-          this.currentWidgetIds.push(widgetId);
-        }
-        
-        console.log(`SceneEngine: Mounted ${widgetConfig.type} widget at position ${position}`);
-      } catch (error) {
-        console.error(`SceneEngine: Failed to mount widget at position ${position}:`, error);
+  /**
+   * Swap in a new scene list from a config reload, keeping the scene on screen where
+   * possible and re-mounting only the widgets that changed
+   * @param {Array} scenes - New scene configurations
+   * @param {Object} diff - Scene diff from diffConfigs() { added, removed, changed, orderChanged }
+   */
+  applySceneUpdate(scenes, diff) {
+    const currentName = this.scenes[this.currentSceneIndex]?.name;
+    const position = this.playlist ? this.playlist.position : null;
+    
+    this.loadScenes(scenes);
+    
+    const index = currentName ? this.scenes.findIndex(scene => scene.name === currentName) : -1;
+    if (index === -1) {
+      // The scene on screen was removed (or unnamed): start over from the first scene
+      this.currentSceneIndex = this.playlist ? this.playlist.current().sceneIndex : 0;
+      this.renderCurrentScene();
+      this.scheduleNextRotation();
+      return;
+    }
+    
+    // loadScenes() re-binds the playlist from its start; carry on where it was instead
+    this.currentSceneIndex = index;
+    if (this.playlist) {
+      const entry = this.playlist.entries[position]?.sceneIndex === index ? position : this.playlist.indexOfScene(currentName);
+      if (entry !== -1) this.playlist.seek(entry);
+    }
+    
+    const change = diff.changed.find(scene => scene.name === currentName);
+    if (!change) return;
+    
+    // The scene is still waiting off-screen to come in: currentLayout and currentWidgetIds belong
+    // to the scene leaving, so build the incoming one again from the new config
+    if (this.pendingScene) {
+      this.renderCurrentScene({ animate: true });
+      return;
+    }
+    
+    if (change.layoutChanged || !this.currentLayout) {
+      this.renderCurrentScene();
+      return;
+    }
+    
+    const { added, removed, changed } = change.widgets;
+    const widgets = this.scenes[index].widgets || [];
+    [...removed, ...changed].forEach(widgetIndex => {
+      const widgetId = this.currentWidgetIds[widgetIndex];
+      if (widgetId) {
+        widgetMount.removeWidget(widgetId);
+        delete this.currentWidgetIds[widgetIndex];
       }
     });
+    [...changed, ...added].forEach(widgetIndex => {
+      this.mountWidget(widgets[widgetIndex], widgetIndex, this.currentLayout);
+    });
+    console.log(`SceneEngine: Updated ${changed.length + added.length + removed.length} widgets in "${currentName}"`);
+  }
+
+  /**
+   * Find the layout container a widget should mount into.
+   * Widgets bind to a named slot via "slot" (or "id"), falling back to numeric position.
+   * @param {HTMLElement} layout - Layout container
+   * @param {Object} widgetConfig - Widget configuration
+   * @param {number} index - Widget index within the scene
+   * @returns {HTMLElement|null} Widget container
+   */
+  findWidgetContainer(layout, widgetConfig, index) {
+    const slotId = widgetConfig.slot || widgetConfig.id;
+    if (slotId) {
+      const slotContainer = Array.from(layout.querySelectorAll('[data-slot]'))
+        .find(container => container.dataset.slot === String(slotId));
+      if (slotContainer) return slotContainer;
+      if (widgetConfig.slot) return null;
+    }
+
+    const position = widgetConfig.position || index;
+    return layout.querySelector(`[data-position="${position}"]`);
   }
 
   /**
@@ -299,6 +718,9 @@ export class SceneEngine {
    * Render empty state when no scenes are available
    */
   renderEmptyState() {
+    this.renderToken++;
+    this.discardPendingScene();
+    this.currentLayout = null;
     this.container.innerHTML = `
       <div style="
         display: flex;
@@ -327,7 +749,10 @@ export class SceneEngine {
       index: this.currentSceneIndex,
       total: this.scenes.length,
       scene: this.scenes[this.currentSceneIndex] || null,
-      isRotating: this.isRotating
+      duration: this.getCurrentDuration(),
+      isRotating: this.isRotating,
+      rotationPaused: this.rotationPaused,
+      playlist: this.playlist ? this.playlist.getInfo() : null
     };
   }
 
@@ -353,9 +778,12 @@ export class SceneEngine {
    * Destroy the scene engine and cleanup resources
    */
   destroy() {
+    layoutEngine.off('viewport-changed', this.handleViewportChange);
     this.stopRotation();
+    this.discardPendingScene();
     this.clearCurrentWidgets();
     this.container.innerHTML = '';
+    this.currentLayout = null;
     console.log('SceneEngine: Destroyed');
   }
 } 
\ No newline at end of file
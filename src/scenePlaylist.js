@@ -0,0 +1,188 @@
+/**
+ * LumaBoard Scene Playlists
+ * Timeline playback for the Scene Scheduler DSL (§21): scenes play by name in the listed
+ * order, may appear more than once, and each entry may override the scene's duration.
+ *
+ *   "schedule": [{ "scene": "welcome", "duration": 10 }, { "scene": "menu", "duration": 12 }],
+ *   "repeat": false
+ *
+ * or named playlists, where "default" plays unless a scheduler rule swaps in another:
+ *
+ *   "schedule": {
+ *     "default": ["welcome", "menu"],
+ *     "evening": { "entries": [{ "scene": "menu", "duration": 60 }], "repeat": false }
+ *   }
+ */
+
+/**
+ * Normalize a playlist entry to { scene, duration }
+ * @param {string|Object} entry - Scene name or { scene, duration }
+ * @returns {Object|null} Entry, or null when it names no scene
+ */
+export function normalizeEntry(entry) {
+  const value = typeof entry === 'string' ? { scene: entry } : entry;
+  if (!value || typeof value.scene !== 'string' || !value.scene) {
+    return null;
+  }
+
+  const duration = Number(value.duration);
+  return {
+    scene: value.scene,
+    duration: duration > 0 ? duration : null
+  };
+}
+
+export class ScenePlaylist {
+  /**
+   * @param {Array} entries - Scene names or { scene, duration } entries, in play order
+   * @param {Object} options - { name, repeat }
+   */
+  constructor(entries = [], options = {}) {
+    this.name = options.name || null;
+    this.repeat = options.repeat !== false;
+    this.entries = entries.map(normalizeEntry).filter(Boolean);
+    this.position = 0;
+  }
+
+  get length() {
+    return this.entries.length;
+  }
+
+  /**
+   * Get the entry at the current position
+   * @returns {Object|null}
+   */
+  current() {
+    return this.entries[this.position] || null;
+  }
+
+  /**
+   * Whether advancing would show another entry; false once a non-repeating playlist
+   * reaches its final entry
+   * @returns {boolean}
+   */
+  hasNext() {
+    if (this.entries.length === 0) return false;
+    return this.repeat || this.position < this.entries.length - 1;
+  }
+
+  /**
+   * Move to the next entry, wrapping when the playlist repeats
+   * @returns {Object|null} The new entry, or null at the end of a non-repeating playlist
+   */
+  advance() {
+    if (!this.hasNext()) return null;
+
+    this.position = (this.position + 1) % this.entries.length;
+    return this.current();
+  }
+
+  /**
+   * Move to the previous entry, wrapping when the playlist repeats
+   * @returns {Object|null} The new entry
+   */
+  back() {
+    if (this.entries.length === 0) return null;
+
+    if (this.position > 0) {
+      this.position--;
+    } else if (this.repeat) {
+      this.position = this.entries.length - 1;
+    }
+    return this.current();
+  }
+
+  /**
+   * Jump to an entry
+   * @param {number} position - Entry index
+   * @returns {Object|null} The entry, or null when out of range
+   */
+  seek(position) {
+    if (position < 0 || position >= this.entries.length) return null;
+
+    this.position = position;
+    return this.current();
+  }
+
+  /**
+   * Find the first entry showing a scene
+   * @param {string} sceneName - Scene name
+   * @returns {number} Entry index or -1
+   */
+  indexOfScene(sceneName) {
+    return this.entries.findIndex(entry => entry.scene === sceneName);
+  }
+
+  /**
+   * Bind entries to the loaded scenes, dropping names that match no scene
+   * @param {Array} scenes - Scene configurations
+   * @returns {ScenePlaylist} A new playlist whose entries carry sceneIndex
+   */
+  resolve(scenes) {
+    const resolved = new ScenePlaylist([], { name: this.name, repeat: this.repeat });
+
+    this.entries.forEach(entry => {
+      const sceneIndex = scenes.findIndex(scene => scene.name === entry.scene);
+      if (sceneIndex === -1) {
+        console.warn(`ScenePlaylist: Unknown scene '${entry.scene}'${this.name ? ` in playlist '${this.name}'` : ''}, skipping`);
+        return;
+      }
+      resolved.entries.push({ ...entry, sceneIndex });
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Describe the playlist for debugging and status displays
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      position: this.position,
+      length: this.entries.length,
+      repeat: this.repeat,
+      finished: !this.hasNext()
+    };
+  }
+}
+
+/**
+ * Build a playlist from an entry array or { entries, repeat }
+ * @param {Array|Object} definition - Playlist definition
+ * @param {Object} options - { name, repeat } used when the definition does not set them
+ * @returns {ScenePlaylist}
+ */
+export function parsePlaylist(definition, options = {}) {
+  if (Array.isArray(definition)) {
+    return new ScenePlaylist(definition, options);
+  }
+
+  return new ScenePlaylist(definition?.entries || [], {
+    ...options,
+    repeat: definition?.repeat ?? options.repeat
+  });
+}
+
+/**
+ * Read the board config "schedule" section into named playlists
+ * An entry array becomes the "default" playlist; an object maps names to playlists.
+ * @param {Array|Object} schedule - Config "schedule" section
+ * @param {Object} options - { repeat } from the top-level config, for the array form
+ * @returns {Map<string, ScenePlaylist>}
+ */
+export function parseSchedule(schedule, options = {}) {
+  const playlists = new Map();
+  if (!schedule) return playlists;
+
+  if (Array.isArray(schedule)) {
+    playlists.set('default', parsePlaylist(schedule, { name: 'default', repeat: options.repeat }));
+    return playlists;
+  }
+
+  Object.entries(schedule).forEach(([name, definition]) => {
+    playlists.set(name, parsePlaylist(definition, { name }));
+  });
+  return playlists;
+}
@@ -0,0 +1,191 @@
+/**
+ * LumaBoard Service Worker Manager
+ * Registers public/sw.js, asks it to precache the config files and media a board
+ * references, and keeps a snapshot of the cache status for OfflineFallback and the DebugOverlay
+ */
+
+import { DEFAULT_CONFIG_SOURCES } from './configLoader.js';
+import { getSettings } from './settings.js';
+
+const MESSAGE_TIMEOUT = 10000;
+
+class ServiceWorkerManager {
+  constructor(options = {}) {
+    this.options = {
+      url: './sw.js',
+      ...options
+    };
+
+    this.registration = null;
+    this.status = {
+      supported: typeof navigator !== 'undefined' && 'serviceWorker' in navigator,
+      registered: false,
+      controlled: false,
+      version: null,
+      shellEntries: 0,
+      mediaEntries: 0,
+      configEntries: 0,
+      lastUpdated: null,
+      failed: [],
+      error: null
+    };
+  }
+
+  /**
+   * Register the service worker and precache everything the config references
+   * @param {Object} config - Board config
+   * @returns {Promise<Object>} Cache status
+   */
+  async register(config = {}) {
+    if (!this.status.supported) {
+      return this.getStatus();
+    }
+
+    try {
+      this.registration = await navigator.serviceWorker.register(this.options.url);
+      await navigator.serviceWorker.ready;
+      this.updateStatus({
+        registered: true,
+        controlled: !!navigator.serviceWorker.controller,
+        error: null
+      });
+      console.log('ServiceWorkerManager: Registered');
+
+      await this.precache(this.collectUrls(config), this.collectConfigUrls());
+    } catch (error) {
+      console.warn('ServiceWorkerManager: Registration failed', error);
+      this.updateStatus({ error: error.message });
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Collect the config files a board may start from: the bundled sources and
+   * the config URL set on the screen's settings panel. The worker fetches these
+   * fresh and only answers from its cache when the network is down.
+   * @returns {string[]} Unique URLs
+   */
+  collectConfigUrls() {
+    const { configUrl } = getSettings();
+    return Array.from(new Set(configUrl ? [...DEFAULT_CONFIG_SOURCES, configUrl] : DEFAULT_CONFIG_SOURCES));
+  }
+
+  /**
+   * Collect the media a board needs to start offline: slideshow images,
+   * video posters, image backgrounds, url() references in custom CSS (fonts)
+   * and offline.precache entries
+   * @param {Object} config - Board config
+   * @returns {string[]} Unique URLs
+   */
+  collectUrls(config = {}) {
+    const urls = new Set();
+    const add = (url) => {
+      if (typeof url === 'string' && url && !url.startsWith('data:') && !url.startsWith('blob:')) {
+        urls.add(url);
+      }
+    };
+
+    (config.scenes || []).forEach(scene => {
+      if (scene.background?.type === 'image') {
+        add(scene.background.value);
+      }
+
+      (scene.widgets || []).forEach(widget => {
+        const widgetConfig = widget.config || {};
+        if (widget.type === 'image-slideshow') {
+          (widgetConfig.images || []).forEach(image => add(image?.url));
+        } else if (widget.type === 'video') {
+          add(widgetConfig.poster);
+          (widgetConfig.playlist || []).forEach(video => add(video?.poster));
+        }
+      });
+    });
+
+    if (config.customCSS) {
+      for (const match of config.customCSS.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g)) {
+        add(match[1].trim());
+      }
+    }
+
+    (config.offline?.precache || []).forEach(add);
+
+    return Array.from(urls);
+  }
+
+  /**
+   * Ask the service worker to cache a list of URLs
+   * @param {string[]} urls - Media and files served from the cache first
+   * @param {string[]} configUrls - Config files served from the network first
+   * @returns {Promise<Object>} Cache status
+   */
+  async precache(urls, configUrls = []) {
+    return this.applyWorkerStatus(await this.postMessage({ type: 'PRECACHE', urls, configUrls }));
+  }
+
+  /**
+   * Fetch the latest cache status from the service worker
+   * @returns {Promise<Object>} Cache status
+   */
+  async refreshStatus() {
+    if (!this.status.registered) return this.getStatus();
+    return this.applyWorkerStatus(await this.postMessage({ type: 'GET_STATUS' }));
+  }
+
+  /**
+   * Drop every cache the service worker keeps
+   * @returns {Promise<Object>} Cache status
+   */
+  async clear() {
+    if (!this.status.registered) return this.getStatus();
+    return this.applyWorkerStatus(await this.postMessage({ type: 'CLEAR_CACHE' }));
+  }
+
+  /**
+   * Get the last known cache status
+   * @returns {Object}
+   */
+  getStatus() {
+    return { ...this.status, failed: [...this.status.failed] };
+  }
+
+  applyWorkerStatus(workerStatus) {
+    this.updateStatus({
+      ...workerStatus,
+      controlled: !!navigator.serviceWorker.controller
+    });
+    return this.getStatus();
+  }
+
+  updateStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    document.dispatchEvent(new CustomEvent('cachestatuschange', { detail: this.getStatus() }));
+  }
+
+  postMessage(message) {
+    const worker = this.registration?.active || navigator.serviceWorker.controller;
+    if (!worker) {
+      return Promise.reject(new Error('No active service worker'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => reject(new Error(`Service worker did not answer ${message.type}`)), MESSAGE_TIMEOUT);
+
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timer);
+        resolve(event.data);
+      };
+      worker.postMessage(message, [channel.port2]);
+    });
+  }
+}
+
+// Create default instance
+const serviceWorkerManager = new ServiceWorkerManager();
+
+// Export class for advanced usage
+export { ServiceWorkerManager, serviceWorkerManager };
+
+// Export default instance
+export default serviceWorkerManager;
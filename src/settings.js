@@ -0,0 +1,121 @@
+/**
+ * LumaBoard Local Settings
+ * Changes an operator makes on the screen itself through the hidden settings panel (§18): the URL
+ * the config loads from, the scene order and per-scene durations. They are remembered in
+ * localStorage so a kiosk keeps them across reboots, and applied over whichever config loads:
+ *
+ *   { "configUrl": "https://signage.example.com/lobby.json", "sceneOrder": ["Weather", "Welcome"], "sceneDurations": { "Weather": 45 } }
+ *
+ * Scenes are matched by name. Scenes missing from sceneOrder follow the listed ones in their
+ * config order, and names the config no longer has are ignored.
+ */
+
+const STORAGE_KEY = 'luma_settings';
+
+/**
+ * Drop anything malformed from stored settings
+ */
+function normalizeSettings(raw = {}) {
+  const sceneDurations = {};
+  Object.entries(raw.sceneDurations || {}).forEach(([name, seconds]) => {
+    if (Number(seconds) > 0) sceneDurations[name] = Number(seconds);
+  });
+
+  return {
+    configUrl: typeof raw.configUrl === 'string' && raw.configUrl.trim() ? raw.configUrl.trim() : null,
+    sceneOrder: Array.isArray(raw.sceneOrder) ? raw.sceneOrder.filter(name => typeof name === 'string') : [],
+    sceneDurations
+  };
+}
+
+/**
+ * Apply local scene order and durations over a config
+ * @param {Object} config - Loaded config
+ * @param {Object} settings - Local settings from getSettings()
+ * @returns {Object} A new config; the given one is left untouched
+ */
+export function applySettings(config, settings) {
+  if (!config || !Array.isArray(config.scenes)) return config;
+
+  const { sceneOrder = [], sceneDurations = {} } = settings || {};
+  const rank = (scene) => {
+    const position = sceneOrder.indexOf(scene.name);
+    return position === -1 ? sceneOrder.length : position;
+  };
+
+  // Array sort is stable, so unlisted scenes keep their config order
+  const scenes = config.scenes
+    .map(scene => (scene.name in sceneDurations ? { ...scene, duration: sceneDurations[scene.name] } : scene))
+    .sort((a, b) => rank(a) - rank(b));
+
+  return { ...config, scenes };
+}
+
+class LocalSettings {
+  constructor() {
+    this.settings = null;
+  }
+
+  /**
+   * Get the stored settings, loading them on first use
+   * @returns {{configUrl: string|null, sceneOrder: string[], sceneDurations: Object<string, number>}}
+   */
+  get() {
+    if (!this.settings) {
+      this.settings = this.load();
+    }
+    return structuredClone(this.settings);
+  }
+
+  load() {
+    try {
+      return normalizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+    } catch (error) {
+      return normalizeSettings();
+    }
+  }
+
+  /**
+   * Merge changes into the stored settings
+   * @param {Object} changes - Any of configUrl, sceneOrder, sceneDurations
+   * @returns {Object} The settings now in effect
+   */
+  save(changes) {
+    this.settings = normalizeSettings({ ...this.get(), ...changes });
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('Settings: Could not save the settings, they will be lost on the next boot', error);
+    }
+
+    return this.get();
+  }
+
+  /**
+   * Forget every local setting so the config applies as written
+   */
+  reset() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Nothing stored
+    }
+    this.settings = null;
+  }
+}
+
+// Create default instance
+const localSettings = new LocalSettings();
+
+/**
+ * Get the operator's local settings
+ * @returns {{configUrl: string|null, sceneOrder: string[], sceneDurations: Object<string, number>}}
+ */
+export const getSettings = () => localSettings.get();
+
+// Export class for advanced usage
+export { LocalSettings, localSettings };
+
+// Export default instance
+export default localSettings;
@@ -0,0 +1,275 @@
+/**
+ * LumaBoard Market Data Providers
+ * Pluggable quote sources for StockTickerWidget, normalized to a single quote shape
+ * Built in: Yahoo Finance (default), Alpha Vantage, Twelve Data and a generic JSON/CSV URL
+ *
+ * Normalized shape (also what a JSON/CSV endpoint may return per symbol):
+ * {
+ *   symbol, price, change, changePercent, previousClose, currency, exchange,
+ *   intraday: [{ time, price }]
+ * }
+ * Intraday times are ISO strings, in exchange local time when the provider gives no offset.
+ */
+
+import { dataService } from './dataService.js';
+
+/**
+ * Fill in change figures a provider did not supply
+ * @param {Object} quote - Partial quote with at least symbol and price
+ * @returns {Object} Normalized quote
+ */
+export function normalizeQuote(quote) {
+  const price = Number(quote.price);
+  if (!Number.isFinite(price)) {
+    throw new Error(`Quote for ${quote.symbol} is missing a numeric price`);
+  }
+
+  const previousClose = quote.previousClose != null ? Number(quote.previousClose) : null;
+  const change = quote.change != null
+    ? Number(quote.change)
+    : (previousClose ? price - previousClose : 0);
+  const changePercent = quote.changePercent != null
+    ? parseFloat(quote.changePercent)
+    : (previousClose ? (change / previousClose) * 100 : 0);
+
+  return {
+    symbol: quote.symbol,
+    price,
+    change,
+    changePercent,
+    previousClose,
+    // Intl.NumberFormat throws on anything but an ISO 4217 code ("$", "US Dollar")
+    currency: /^[A-Z]{3}$/i.test(quote.currency || '') ? quote.currency.toUpperCase() : 'USD',
+    exchange: quote.exchange || null,
+    intraday: (quote.intraday || [])
+      .map(point => typeof point === 'number' ? { time: null, price: point } : { time: point.time ?? null, price: Number(point.price) })
+      .filter(point => Number.isFinite(point.price))
+  };
+}
+
+class YahooProvider {
+  constructor() {
+    this.name = 'yahoo';
+    this.requiresApiKey = false;
+  }
+
+  async fetchQuote(symbol, options = {}) {
+    // Unofficial endpoint without a key; fine for signage, use a keyed provider for anything critical
+    const params = new URLSearchParams({ range: '1d', interval: '5m' });
+    const response = await dataService.fetch(`https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?${params.toString()}`);
+    const data = await response.json();
+    const result = data.chart?.result?.[0];
+    if (!result) {
+      throw new Error(data.chart?.error?.description || `No chart data for ${symbol}`);
+    }
+
+    const meta = result.meta;
+    const closes = result.indicators?.quote?.[0]?.close || [];
+
+    return normalizeQuote({
+      symbol,
+      price: meta.regularMarketPrice,
+      previousClose: meta.chartPreviousClose ?? meta.previousClose,
+      currency: meta.currency,
+      exchange: meta.exchangeName,
+      intraday: options.intraday
+        ? (result.timestamp || []).map((timestamp, i) => ({
+          time: new Date(timestamp * 1000).toISOString(),
+          price: closes[i]
+        })).filter(point => point.price != null)
+        : []
+    });
+  }
+}
+
+class AlphaVantageProvider {
+  constructor() {
+    this.name = 'alpha-vantage';
+    this.requiresApiKey = true;
+  }
+
+  async fetchQuote(symbol, options = {}) {
+    if (!options.apiKey) {
+      throw new Error('Alpha Vantage requires an apiKey');
+    }
+
+    const quote = (await this.query({ function: 'GLOBAL_QUOTE', symbol }, options.apiKey))['Global Quote'];
+    if (!quote || !quote['05. price']) {
+      throw new Error(`No Alpha Vantage quote for ${symbol}`);
+    }
+
+    // The free tier allows few calls per day, so the intraday series is only requested for sparklines
+    let intraday = [];
+    if (options.intraday) {
+      const series = (await this.query({ function: 'TIME_SERIES_INTRADAY', symbol, interval: '5min' }, options.apiKey))['Time Series (5min)'] || {};
+      const latestDay = Object.keys(series).sort().pop()?.slice(0, 10);
+      intraday = Object.keys(series)
+        .filter(time => time.startsWith(latestDay))
+        .sort()
+        .map(time => ({ time: time.replace(' ', 'T'), price: parseFloat(series[time]['4. close']) }));
+    }
+
+    return normalizeQuote({
+      symbol,
+      price: parseFloat(quote['05. price']),
+      previousClose: parseFloat(quote['08. previous close']),
+      change: parseFloat(quote['09. change']),
+      changePercent: parseFloat(quote['10. change percent']),
+      intraday
+    });
+  }
+
+  async query(params, apiKey) {
+    const search = new URLSearchParams({ ...params, apikey: apiKey });
+    const response = await dataService.fetch(`https://www.alphavantage.co/query?${search.toString()}`);
+    const data = await response.json();
+    // Rate limits and bad keys come back as 200 responses with a message
+    const message = data['Error Message'] || data.Note || data.Information;
+    if (message) {
+      throw new Error(`Alpha Vantage: ${message}`);
+    }
+    return data;
+  }
+}
+
+class TwelveDataProvider {
+  constructor() {
+    this.name = 'twelve-data';
+    this.requiresApiKey = true;
+  }
+
+  async fetchQuote(symbol, options = {}) {
+    if (!options.apiKey) {
+      throw new Error('Twelve Data requires an apiKey');
+    }
+
+    const quote = await this.query('quote', { symbol }, options.apiKey);
+
+    let intraday = [];
+    if (options.intraday) {
+      const series = await this.query('time_series', { symbol, interval: '5min', outputsize: 96 }, options.apiKey);
+      const values = (series.values || []).slice().reverse();
+      const latestDay = values[values.length - 1]?.datetime.slice(0, 10);
+      intraday = values
+        .filter(value => value.datetime.startsWith(latestDay))
+        .map(value => ({ time: value.datetime.replace(' ', 'T'), price: parseFloat(value.close) }));
+    }
+
+    return normalizeQuote({
+      symbol,
+      price: parseFloat(quote.close),
+      previousClose: parseFloat(quote.previous_close),
+      change: parseFloat(quote.change),
+      changePercent: parseFloat(quote.percent_change),
+      currency: quote.currency,
+      exchange: quote.exchange,
+      intraday
+    });
+  }
+
+  async query(endpoint, params, apiKey) {
+    const search = new URLSearchParams({ ...params, apikey: apiKey });
+    const response = await dataService.fetch(`https://api.twelvedata.com/${endpoint}?${search.toString()}`);
+    const data = await response.json();
+    if (data.status === 'error') {
+      throw new Error(`Twelve Data: ${data.message}`);
+    }
+    return data;
+  }
+}
+
+class URLProvider {
+  constructor() {
+    this.name = 'url';
+    this.requiresApiKey = false;
+  }
+
+  /**
+   * Fetch quotes from a self-hosted endpoint. The URL may contain a {symbol} placeholder
+   * for one document per symbol; otherwise one document lists every symbol.
+   * JSON may be a quote, an array of quotes or { quotes: [...] }; CSV needs a header row
+   * with symbol and price columns (change, changePercent, previousClose, currency optional).
+   */
+  async fetchQuote(symbol, options = {}) {
+    if (!options.url) {
+      throw new Error('URL market data provider requires a providerUrl');
+    }
+
+    const url = options.url.replace(/\{symbol\}/g, encodeURIComponent(symbol));
+    // A shared document is fetched once for all symbols on the board
+    const result = await dataService.fetchText(url, { key: `stocks:url:${url}`, source: 'stocks', ttl: 30, maxAge: 30 });
+    const quotes = this.parse(result.data);
+    const quote = quotes.length === 1 && !quotes[0].symbol
+      ? quotes[0]
+      : quotes.find(entry => String(entry.symbol).toUpperCase() === symbol.toUpperCase());
+
+    if (!quote) {
+      throw new Error(`No quote for ${symbol} at ${options.url}`);
+    }
+    return normalizeQuote({ ...quote, symbol });
+  }
+
+  parse(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      const data = JSON.parse(trimmed);
+      if (Array.isArray(data)) return data;
+      return Array.isArray(data.quotes) ? data.quotes : [data];
+    }
+    return this.parseCSV(trimmed);
+  }
+
+  parseCSV(text) {
+    const [header, ...rows] = text.split(/\r?\n/).filter(line => line.trim());
+    const columns = header.split(',').map(column => this.toCamelCase(column.trim()));
+
+    return rows.map(row => {
+      const values = row.split(',').map(value => value.trim());
+      const quote = {};
+      columns.forEach((column, i) => {
+        if (values[i] !== undefined && values[i] !== '') quote[column] = values[i];
+      });
+      return quote;
+    });
+  }
+
+  // previous_close, "Previous Close" and previousClose all map to previousClose
+  toCamelCase(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+([a-z0-9])/g, (match, char) => char.toUpperCase())
+      .replace(/[^a-zA-Z0-9]/g, '')
+      .replace(/^changepercent$|^percentchange$/i, 'changePercent');
+  }
+}
+
+const providers = new Map();
+
+/**
+ * Register a market data provider under a name
+ * Providers expose fetchQuote(symbol, options) resolving to the normalized shape
+ * @param {string} name - Provider name used in widget config
+ * @param {Object} provider - Provider instance
+ */
+export function registerStockProvider(name, provider) {
+  if (!provider || typeof provider.fetchQuote !== 'function') {
+    throw new Error(`Market data provider '${name}' must implement fetchQuote(symbol, options)`);
+  }
+  providers.set(name, provider);
+}
+
+/**
+ * Look up a registered market data provider
+ * @param {string} name - Provider name
+ * @returns {Object|null}
+ */
+export function getStockProvider(name) {
+  return providers.get(name) || null;
+}
+
+registerStockProvider('yahoo', new YahooProvider());
+registerStockProvider('alpha-vantage', new AlphaVantageProvider());
+registerStockProvider('twelve-data', new TwelveDataProvider());
+registerStockProvider('url', new URLProvider());
+
+export { YahooProvider, AlphaVantageProvider, TwelveDataProvider, URLProvider };
@@ -0,0 +1,403 @@
+/**
+ * LumaBoard Time Utilities
+ * Wall-clock conversions for IANA time zones on top of Intl, shared by the scene scheduler,
+ * clock, countdown, burn-in night mode, calendar parser and market calendar, plus a clock
+ * override so time-dependent behavior can be checked at any date.
+ *
+ * Zones are IANA names ('Europe/Berlin'), 'UTC', or 'local' / null for the device zone.
+ * Wall-clock parts are { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }.
+ *
+ * Converting wall-clock time to an instant follows the 'compatible' rule used by Temporal:
+ * a time skipped by a DST gap moves forward by the gap (02:30 becomes 03:30), and a time
+ * repeated by a DST overlap resolves to the earlier instant unless 'later' is requested.
+ *
+ * Virtual clock: setVirtualTime() starts the board's clock at another moment, optionally
+ * running faster than real time, so schedules can be checked without waiting. Kiosks can
+ * start in that mode with "?clock=2025-03-10T06:00&clockSpeed=60" (local wall time, or with
+ * an offset). Every change dispatches 'clockchange' on document so timers re-plan; timers
+ * should wait toRealDelay(ms) for a span of board time.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_SPEED = 3600;
+
+export const CLOCK_CHANGE_EVENT = 'clockchange';
+
+class TimeService {
+  constructor() {
+    this.clock = null;
+    this.virtual = null; // { anchor, realAnchor, speed } while time travelling
+    this.formatters = new Map();
+  }
+
+  /**
+   * Current time in milliseconds, honoring any clock override
+   * @returns {number}
+   */
+  now() {
+    return this.clock ? this.clock() : Date.now();
+  }
+
+  /**
+   * Replace the clock, e.g. to verify schedules at a future date
+   * @param {Date|number|Function|null} source - Fixed instant, function returning ms, or null for the real clock
+   */
+  setClock(source) {
+    this.virtual = null;
+
+    if (source === null || source === undefined) {
+      this.clock = null;
+    } else if (typeof source === 'function') {
+      this.clock = () => new Date(source()).getTime();
+    } else {
+      const fixed = new Date(source).getTime();
+      if (Number.isNaN(fixed)) {
+        throw new Error(`Invalid clock time '${source}'`);
+      }
+      this.clock = () => fixed;
+    }
+
+    this.emitChange();
+  }
+
+  /**
+   * Run the clock from another moment, at real or accelerated speed
+   * @param {Date|number|string} time - Moment to start from; strings without an offset are local wall time
+   * @param {Object} options - { speed } board seconds per real second (default 1, max 3600)
+   */
+  setVirtualTime(time, options = {}) {
+    const anchor = this.parse(time, null).getTime();
+    if (Number.isNaN(anchor)) {
+      throw new Error(`Invalid clock time '${time}'`);
+    }
+
+    const speed = Number(options.speed ?? 1);
+    if (!(speed > 0) || speed > MAX_SPEED) {
+      throw new Error(`Clock speed must be greater than 0 and at most ${MAX_SPEED}`);
+    }
+
+    const virtual = { anchor, realAnchor: Date.now(), speed };
+    this.clock = () => virtual.anchor + (Date.now() - virtual.realAnchor) * virtual.speed;
+    this.virtual = virtual;
+    this.emitChange();
+  }
+
+  /**
+   * Change how fast the virtual clock runs, keeping the current board time
+   * @param {number} speed - Board seconds per real second
+   */
+  setSpeed(speed) {
+    this.setVirtualTime(this.now(), { speed });
+  }
+
+  /**
+   * Describe the clock for status displays
+   * @returns {{time: number, virtual: boolean, speed: number, offset: number}}
+   */
+  getClockInfo() {
+    const time = this.now();
+    return {
+      time,
+      virtual: this.clock !== null,
+      speed: this.virtual ? this.virtual.speed : 1,
+      offset: time - Date.now()
+    };
+  }
+
+  /**
+   * Real milliseconds a timer should wait for a span of board time
+   * @param {number} ms - Board time in milliseconds
+   * @returns {number}
+   */
+  toRealDelay(ms) {
+    return this.virtual ? ms / this.virtual.speed : ms;
+  }
+
+  /**
+   * Apply "clock" and "clockSpeed" URL parameters
+   * @param {string} search - Query string, e.g. location.search
+   * @returns {boolean} True if a virtual clock was started
+   */
+  applyUrlParams(search) {
+    const params = new URLSearchParams(search);
+    const time = params.get('clock');
+    const speed = params.get('clockSpeed');
+    if (!time && !speed) return false;
+
+    try {
+      this.setVirtualTime(time || Date.now(), { speed: speed || 1 });
+      return true;
+    } catch (error) {
+      console.warn(`Time: Ignoring clock URL parameters: ${error.message}`);
+      return false;
+    }
+  }
+
+  emitChange() {
+    if (typeof document === 'undefined') return;
+
+    document.dispatchEvent(new CustomEvent(CLOCK_CHANGE_EVENT, { detail: this.getClockInfo() }));
+  }
+
+  /**
+   * Whether a zone can be used, 'local' included
+   * @param {string} timeZone - Zone name
+   * @returns {boolean}
+   */
+  isValidTimeZone(timeZone) {
+    if (this.isLocal(timeZone)) return true;
+    try {
+      this.getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isLocal(timeZone) {
+    return !timeZone || timeZone === 'local';
+  }
+
+  /**
+   * Normalize a configured zone, falling back to local time for unknown names
+   * @param {string} timeZone - Zone name
+   * @param {string} context - Name used in the warning
+   * @returns {string|null} IANA zone or null for local time
+   */
+  resolveTimeZone(timeZone, context = 'Time') {
+    if (this.isLocal(timeZone)) return null;
+    if (this.isValidTimeZone(timeZone)) return timeZone;
+
+    console.warn(`${context}: Invalid timezone '${timeZone}', using local time`);
+    return null;
+  }
+
+  getFormatter(timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    }
+    return this.formatters.get(timeZone);
+  }
+
+  /**
+   * Wall-clock parts of an instant in a zone
+   * @param {Date|number} instant - Instant
+   * @param {string|null} timeZone - Zone, or null/'local' for the device zone
+   * @returns {{year, month, day, hour, minute, second, weekday}}
+   */
+  getParts(instant, timeZone) {
+    const date = new Date(instant);
+
+    if (this.isLocal(timeZone)) {
+      return {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        hour: date.getHours(),
+        minute: date.getMinutes(),
+        second: date.getSeconds(),
+        weekday: date.getDay()
+      };
+    }
+
+    const values = {};
+    this.getFormatter(timeZone).formatToParts(date).forEach(part => {
+      values[part.type] = part.value;
+    });
+
+    return {
+      year: parseInt(values.year, 10),
+      month: parseInt(values.month, 10),
+      day: parseInt(values.day, 10),
+      hour: parseInt(values.hour, 10) % 24,
+      minute: parseInt(values.minute, 10),
+      second: parseInt(values.second, 10),
+      weekday: WEEKDAYS.indexOf(values.weekday)
+    };
+  }
+
+  /**
+   * Offset of a zone from UTC at an instant
+   * @param {Date|number} instant - Instant
+   * @param {string|null} timeZone - Zone
+   * @returns {number} Offset in milliseconds (positive east of UTC)
+   */
+  getOffset(instant, timeZone) {
+    const timestamp = new Date(instant).getTime();
+    if (timeZone === 'UTC') return 0;
+
+    const parts = this.getParts(timestamp, timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  /**
+   * Convert wall-clock parts in a zone to an instant
+   * @param {Object} parts - { year, month, day, hour, minute, second, millisecond }
+   * @param {string|null} timeZone - Zone
+   * @param {Object} options - { disambiguation: 'compatible' (default), 'earlier' or 'later' }
+   * @returns {number} Timestamp in milliseconds
+   */
+  toTimestamp(parts, timeZone, options = {}) {
+    const { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 } = parts;
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+    if (timeZone === 'UTC') return wallTime;
+
+    // A day either side of the wall time brackets any DST transition affecting it
+    const offsetBefore = this.getOffset(wallTime - DAY_MS, timeZone);
+    const offsetAfter = this.getOffset(wallTime + DAY_MS, timeZone);
+    const candidates = [...new Set([offsetBefore, offsetAfter])]
+      .map(offset => wallTime - offset)
+      .filter(timestamp => this.getOffset(timestamp, timeZone) === wallTime - timestamp)
+      .sort((a, b) => a - b);
+
+    const disambiguation = options.disambiguation || 'compatible';
+
+    if (candidates.length === 0) {
+      // Skipped by a DST gap: 'earlier' lands before the gap, otherwise shift forward past it
+      return disambiguation === 'earlier' ? wallTime - offsetAfter : wallTime - offsetBefore;
+    }
+
+    return disambiguation === 'later' ? candidates[candidates.length - 1] : candidates[0];
+  }
+
+  /**
+   * Parse a date-time, reading values without an offset ("2025-01-01T09:00", "2025-01-01")
+   * as wall-clock time in the zone; values with "Z" or an offset are absolute
+   * @param {string|Date|number} value - Date-time
+   * @param {string|null} timeZone - Zone for offset-less values
+   * @returns {Date} Invalid Date when the value cannot be parsed
+   */
+  parse(value, timeZone) {
+    if (value instanceof Date || typeof value === 'number') {
+      return new Date(value);
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/.exec(String(value).trim());
+    if (!match) {
+      return new Date(value);
+    }
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = match;
+    return new Date(this.toTimestamp({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour),
+      minute: Number(minute),
+      second: Number(second),
+      millisecond: Number(fraction.padEnd(3, '0'))
+    }, timeZone));
+  }
+
+  /**
+   * Format an instant with Intl options in a zone
+   * @param {Date|number} instant - Instant
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @param {string|null} timeZone - Zone
+   * @param {string} locale - Locale
+   * @returns {string}
+   */
+  format(instant, options = {}, timeZone = null, locale = 'en-US') {
+    const zoned = this.isLocal(timeZone) ? options : { ...options, timeZone };
+    return new Date(instant).toLocaleString(locale, zoned);
+  }
+
+  /**
+   * Add calendar days to a date in wall-clock terms
+   * @param {{year, month, day}} parts - Date parts
+   * @param {number} days - Days to add
+   * @returns {{year, month, day}}
+   */
+  addDays(parts, days) {
+    const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  }
+
+  /**
+   * Format wall-clock parts as "YYYY-MM-DD"
+   * @param {{year, month, day}} parts - Date parts
+   * @returns {string}
+   */
+  toDateKey(parts) {
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+  }
+}
+
+// Create default instance
+const timeService = new TimeService();
+
+/**
+ * Current time in milliseconds, honoring any clock override
+ * @returns {number}
+ */
+export const now = () => timeService.now();
+
+/**
+ * Replace the clock used by time-dependent components
+ * @param {Date|number|Function|null} source - Fixed instant, function returning ms, or null for the real clock
+ */
+export const setClock = (source) => timeService.setClock(source);
+
+/**
+ * Run the board clock from another moment, optionally faster than real time
+ * @param {Date|number|string} time - Moment to start from
+ * @param {Object} options - { speed } board seconds per real second
+ */
+export const setVirtualTime = (time, options) => timeService.setVirtualTime(time, options);
+
+/**
+ * Real milliseconds a timer should wait for a span of board time
+ * @param {number} ms - Board time in milliseconds
+ * @returns {number}
+ */
+export const toRealDelay = (ms) => timeService.toRealDelay(ms);
+
+/**
+ * Wall-clock parts of an instant in a zone
+ * @param {Date|number} instant - Instant
+ * @param {string|null} timeZone - IANA zone, 'UTC', or null/'local'
+ * @returns {{year, month, day, hour, minute, second, weekday}}
+ */
+export const getZonedParts = (instant, timeZone) => timeService.getParts(instant, timeZone);
+
+/**
+ * Convert wall-clock parts in a zone to a timestamp, resolving DST gaps and overlaps
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string|null} timeZone - IANA zone, 'UTC', or null/'local'
+ * @param {Object} options - { disambiguation: 'compatible', 'earlier' or 'later' }
+ * @returns {number} Timestamp in milliseconds
+ */
+export const zonedTimeToTimestamp = (parts, timeZone, options) => timeService.toTimestamp(parts, timeZone, options);
+
+/**
+ * Offset of a zone from UTC at an instant
+ * @param {Date|number} instant - Instant
+ * @param {string|null} timeZone - Zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+export const getTimeZoneOffset = (instant, timeZone) => timeService.getOffset(instant, timeZone);
+
+/**
+ * Whether a zone name is usable
+ * @param {string} timeZone - Zone name
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => timeService.isValidTimeZone(timeZone);
+
+// Export class for advanced usage
+export { TimeService };
+
+// Export default instance
+export default timeService;
@@ -0,0 +1,240 @@
+/**
+ * LumaBoard Weather Providers
+ * Pluggable weather sources for WeatherWidget, normalized to a single data shape
+ * Built in: Open-Meteo (default), WeatherAPI and self-hosted JSON endpoints
+ *
+ * Normalized shape (also the expected response of a self-hosted JSON endpoint):
+ * {
+ *   temperature, weatherCode, windSpeed, windDirection, time, units, windUnit,
+ *   daily: [{ date, high, low, weatherCode, precipitationProbability, windSpeed, sunrise, sunset }],
+ *   hourly: [{ time, temperature, weatherCode, precipitationProbability, windSpeed }]
+ * }
+ * Times are local ISO strings without offset ("2024-03-04T13:00"), dates are "YYYY-MM-DD"
+ * and weather codes use the WMO interpretation codes.
+ */
+
+import { dataService } from './dataService.js';
+
+// WeatherAPI condition codes mapped to the nearest WMO weather code
+const WEATHERAPI_CODES = {
+  1000: 0, 1003: 2, 1006: 3, 1009: 3, 1030: 45, 1063: 61, 1066: 71, 1069: 61,
+  1072: 51, 1087: 95, 1114: 73, 1117: 75, 1135: 45, 1147: 48, 1150: 51, 1153: 51,
+  1168: 55, 1171: 55, 1180: 61, 1183: 61, 1186: 63, 1189: 63, 1192: 65, 1195: 65,
+  1198: 61, 1201: 65, 1204: 61, 1207: 63, 1210: 71, 1213: 71, 1216: 73, 1219: 73,
+  1222: 75, 1225: 75, 1237: 77, 1240: 80, 1243: 81, 1246: 82, 1249: 80, 1252: 81,
+  1255: 85, 1258: 86, 1261: 85, 1264: 86, 1273: 95, 1276: 95, 1279: 95, 1282: 99
+};
+
+/**
+ * Check whether a units setting means metric/celsius
+ * @param {string} units - 'celsius', 'metric', 'fahrenheit' or 'imperial'
+ * @returns {boolean}
+ */
+export function isMetricUnits(units) {
+  return units === 'celsius' || units === 'metric';
+}
+
+/**
+ * Trim hourly entries to those starting at the current hour
+ * @param {Array<Object>} hourly - Hourly entries with local ISO times
+ * @param {string} currentTime - Local ISO time of the current observation
+ * @param {number} hours - Number of entries to keep
+ * @returns {Array<Object>}
+ */
+function upcomingHours(hourly, currentTime, hours) {
+  const currentHour = (currentTime || '').slice(0, 13);
+  return hourly
+    .filter(entry => !currentHour || entry.time.slice(0, 13) >= currentHour)
+    .slice(0, hours);
+}
+
+class OpenMeteoProvider {
+  constructor() {
+    this.name = 'open-meteo';
+    this.requiresCoordinates = true;
+  }
+
+  async fetchWeather(options) {
+    const metric = isMetricUnits(options.units);
+    const params = new URLSearchParams({
+      latitude: options.latitude,
+      longitude: options.longitude,
+      current_weather: 'true',
+      temperature_unit: metric ? 'celsius' : 'fahrenheit',
+      windspeed_unit: metric ? 'kmh' : 'mph',
+      daily: 'weathercode,temperature_2m_max,temperature_2m_min,precipitation_probability_max,windspeed_10m_max,sunrise,sunset',
+      hourly: 'temperature_2m,weathercode,precipitation_probability,windspeed_10m',
+      forecast_days: Math.min(Math.max(options.forecastDays, 1), 16),
+      timezone: 'auto'
+    });
+
+    const response = await dataService.fetch(`https://api.open-meteo.com/v1/forecast?${params.toString()}`);
+    const data = await response.json();
+    const current = data.current_weather;
+    const daily = data.daily || {};
+    const hourly = data.hourly || {};
+
+    return {
+      temperature: Math.round(current.temperature),
+      weatherCode: current.weathercode,
+      windSpeed: current.windspeed,
+      windDirection: current.winddirection,
+      time: current.time,
+      units: metric ? 'celsius' : 'fahrenheit',
+      windUnit: metric ? 'km/h' : 'mph',
+      daily: (daily.time || []).map((date, i) => ({
+        date,
+        high: Math.round(daily.temperature_2m_max[i]),
+        low: Math.round(daily.temperature_2m_min[i]),
+        weatherCode: daily.weathercode[i],
+        precipitationProbability: daily.precipitation_probability_max?.[i] ?? null,
+        windSpeed: daily.windspeed_10m_max?.[i] ?? null,
+        sunrise: daily.sunrise?.[i] ?? null,
+        sunset: daily.sunset?.[i] ?? null
+      })),
+      hourly: upcomingHours((hourly.time || []).map((time, i) => ({
+        time,
+        temperature: Math.round(hourly.temperature_2m[i]),
+        weatherCode: hourly.weathercode[i],
+        precipitationProbability: hourly.precipitation_probability?.[i] ?? null,
+        windSpeed: hourly.windspeed_10m?.[i] ?? null
+      })), current.time, options.hourlyHours)
+    };
+  }
+}
+
+class WeatherAPIProvider {
+  constructor() {
+    this.name = 'weatherapi';
+    this.requiresCoordinates = false;
+  }
+
+  async fetchWeather(options) {
+    if (!options.apiKey) {
+      throw new Error('WeatherAPI requires an apiKey');
+    }
+
+    const metric = isMetricUnits(options.units);
+    const query = options.latitude && options.longitude
+      ? `${options.latitude},${options.longitude}`
+      : options.location;
+    const params = new URLSearchParams({
+      key: options.apiKey,
+      q: query,
+      days: Math.min(Math.max(options.forecastDays, 1), 14),
+      aqi: 'no',
+      alerts: 'no'
+    });
+
+    const response = await dataService.fetch(`https://api.weatherapi.com/v1/forecast.json?${params.toString()}`);
+    const data = await response.json();
+    const current = data.current;
+    const temp = metric ? 'temp_c' : 'temp_f';
+    const wind = metric ? 'kph' : 'mph';
+    const days = data.forecast?.forecastday || [];
+    const currentTime = current.last_updated.replace(' ', 'T');
+
+    return {
+      temperature: Math.round(current[temp]),
+      weatherCode: this.toWMOCode(current.condition.code),
+      windSpeed: current[`wind_${wind}`],
+      windDirection: current.wind_degree,
+      time: currentTime,
+      units: metric ? 'celsius' : 'fahrenheit',
+      windUnit: metric ? 'km/h' : 'mph',
+      daily: days.map(day => ({
+        date: day.date,
+        high: Math.round(day.day[`maxtemp_${metric ? 'c' : 'f'}`]),
+        low: Math.round(day.day[`mintemp_${metric ? 'c' : 'f'}`]),
+        weatherCode: this.toWMOCode(day.day.condition.code),
+        precipitationProbability: Math.max(day.day.daily_chance_of_rain || 0, day.day.daily_chance_of_snow || 0),
+        windSpeed: day.day[`maxwind_${wind}`],
+        sunrise: this.toLocalTime(day.date, day.astro?.sunrise),
+        sunset: this.toLocalTime(day.date, day.astro?.sunset)
+      })),
+      hourly: upcomingHours(days.flatMap(day => day.hour || []).map(hour => ({
+        time: hour.time.replace(' ', 'T'),
+        temperature: Math.round(hour[temp]),
+        weatherCode: this.toWMOCode(hour.condition.code),
+        precipitationProbability: Math.max(hour.chance_of_rain || 0, hour.chance_of_snow || 0),
+        windSpeed: hour[`wind_${wind}`]
+      })), currentTime, options.hourlyHours)
+    };
+  }
+
+  toWMOCode(code) {
+    return WEATHERAPI_CODES[code] ?? 2;
+  }
+
+  // Convert "06:45 AM" astro times into local ISO strings
+  toLocalTime(date, time) {
+    const match = (time || '').match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10) % 12;
+    if (match[3].toUpperCase() === 'PM') hours += 12;
+    return `${date}T${String(hours).padStart(2, '0')}:${match[2]}`;
+  }
+}
+
+class JSONWeatherProvider {
+  constructor() {
+    this.name = 'json';
+    this.requiresCoordinates = false;
+  }
+
+  async fetchWeather(options) {
+    if (!options.url) {
+      throw new Error('JSON weather provider requires a providerUrl');
+    }
+
+    // Allow {latitude}, {longitude}, {location} and {units} placeholders in the URL
+    const url = options.url.replace(/\{(latitude|longitude|location|units)\}/g, (match, key) =>
+      encodeURIComponent(options[key] ?? '')
+    );
+
+    const response = await dataService.fetch(url);
+    const data = await response.json();
+    if (typeof data.temperature !== 'number') {
+      throw new Error('Weather JSON is missing a numeric temperature');
+    }
+
+    return {
+      ...data,
+      units: data.units || (isMetricUnits(options.units) ? 'celsius' : 'fahrenheit'),
+      daily: Array.isArray(data.daily) ? data.daily.slice(0, options.forecastDays) : [],
+      hourly: Array.isArray(data.hourly) ? upcomingHours(data.hourly, data.time, options.hourlyHours) : []
+    };
+  }
+}
+
+const providers = new Map();
+
+/**
+ * Register a weather provider under a name
+ * Providers expose fetchWeather(options) resolving to the normalized shape
+ * and a requiresCoordinates flag
+ * @param {string} name - Provider name used in widget config
+ * @param {Object} provider - Provider instance
+ */
+export function registerWeatherProvider(name, provider) {
+  if (!provider || typeof provider.fetchWeather !== 'function') {
+    throw new Error(`Weather provider '${name}' must implement fetchWeather(options)`);
+  }
+  providers.set(name, provider);
+}
+
+/**
+ * Look up a registered weather provider
+ * @param {string} name - Provider name
+ * @returns {Object|null}
+ */
+export function getWeatherProvider(name) {
+  return providers.get(name) || null;
+}
+
+registerWeatherProvider('open-meteo', new OpenMeteoProvider());
+registerWeatherProvider('weatherapi', new WeatherAPIProvider());
+registerWeatherProvider('json', new JSONWeatherProvider());
+
+export { OpenMeteoProvider, WeatherAPIProvider, JSONWeatherProvider };
@@ -10,7 +10,10 @@ import { CalendarWidget } from './components/CalendarWidget.js';
 import { CountdownWidget } from './components/CountdownWidget.js';
 import { QRCodeWidget } from './components/QRCodeWidget.js';
 import { MapWidget } from './components/MapWidget.js';
+import { EmbedWidget } from './components/EmbedWidget.js';
+import { NotesWidget } from './components/NotesWidget.js';
 import { freshnessManager } from './components/FreshnessIndicator.js';
+import { DATA_STATE_EVENT } from './dataProvenance.js';
 
 /**
  * Widget mounting system for LumaBoard
@@ -30,7 +33,9 @@ export class WidgetMount {
       'calendar': CalendarWidget,
       'countdown': CountdownWidget,
       'qrcode': QRCodeWidget,
-      'map': MapWidget
+      'map': MapWidget,
+      'embed': EmbedWidget,
+      'notes': NotesWidget
     };
   }
 
@@ -258,6 +263,101 @@ export class WidgetMount {
     return this.widgets.get(widgetId) || null;
   }
 
+  /**
+   * Whether a widget announces the end of its first data load with a data-state event.
+   * Media widgets are waited on through whenMediaReady(); the rest have their content as soon
+   * as they are connected.
+   * @param {string} type - Widget type
+   * @param {Object} config - Widget configuration
+   * @returns {boolean}
+   */
+  reportsDataState(type, config = {}) {
+    switch (type) {
+      case 'weather':
+      case 'news':
+      case 'stocks':
+        return true;
+      case 'calendar':
+        return !!(config.icsUrl || config.icsUrls?.length);
+      case 'notes':
+        return !!config.quotesUrl;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Wait until a widget has its first content to show
+   * @param {string} widgetId - Widget ID
+   * @returns {Promise<void>} Resolves when the widget is ready (or unknown)
+   */
+  whenReady(widgetId) {
+    const widget = this.widgets.get(widgetId);
+    if (!widget || widget.element.dataState) {
+      return Promise.resolve();
+    }
+
+    if (!this.reportsDataState(widget.type, widget.config)) {
+      return this.whenMediaReady(widget);
+    }
+
+    return new Promise(resolve => {
+      widget.element.addEventListener(DATA_STATE_EVENT, () => resolve(), { once: true });
+    });
+  }
+
+  /**
+   * Wait for the media a widget opens with: the page in an embed or YouTube frame, the first
+   * slide of a slideshow or the first frame of a video. Media that fails to load counts as ready,
+   * the widget shows its own error for it; a frame the widget swaps for its fallback card is
+   * left to the scene engine's readyTimeout.
+   * @param {Object} widget - Widget entry from this.widgets
+   * @returns {Promise<void>}
+   */
+  whenMediaReady(widget) {
+    const root = widget.element.shadowRoot || widget.element;
+
+    switch (widget.type) {
+      case 'embed':
+      case 'youtube': {
+        const frame = root.querySelector('iframe');
+        return frame ? this.waitForMediaEvent(frame, 'load') : Promise.resolve();
+      }
+      case 'image-slideshow': {
+        const image = root.querySelectorAll('.slide img')[widget.element.config?.currentIndex || 0];
+        if (!image || image.complete) return Promise.resolve();
+        return image.decode().catch(() => {});
+      }
+      case 'video': {
+        const video = root.querySelector('video');
+        if (!video || video.error || video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+          return Promise.resolve();
+        }
+        return this.waitForMediaEvent(video, 'loadeddata');
+      }
+      default:
+        return Promise.resolve();
+    }
+  }
+
+  /**
+   * Resolve on a media element's load event or its error
+   * @param {HTMLElement} element - iframe or video
+   * @param {string} type - Event that means the media is showing
+   * @returns {Promise<void>}
+   */
+  waitForMediaEvent(element, type) {
+    return new Promise(resolve => {
+      const done = () => {
+        element.removeEventListener(type, done);
+        element.removeEventListener('error', done);
+        resolve();
+      };
+      element.addEventListener(type, done);
+      element.addEventListener('error', done);
+    });
+  }
+
   /**
    * Get all widgets
    * @returns {Map} All widgets
@@ -291,21 +391,27 @@ export class WidgetMount {
   addFreshnessIndicator(widgetElement, type) {
     // Only add freshness indicators to data widgets that fetch external data
     const dataWidgets = ['weather', 'news', 'stocks', 'map'];
+    const options = {
+      position: 'top-right',
+      showAge: true,
+      showIcon: true,
+      threshold: {
+        fresh: 30000,    // 30 seconds
+        stale: 300000,   // 5 minutes
+        expired: 900000  // 15 minutes
+      }
+    };
     
     if (dataWidgets.includes(type)) {
       // Wait for widget to be fully initialized
       setTimeout(() => {
-        freshnessManager.addIndicator(widgetElement, {
-          position: 'top-right',
-          showAge: true,
-          showIcon: true,
-          threshold: {
-            fresh: 30000,    // 30 seconds
-            stale: 300000,   // 5 minutes
-            expired: 900000  // 15 minutes
-          }
-        });
+        freshnessManager.addIndicator(widgetElement, options);
       }, 1000);
+    } else {
+      // Widgets with optional remote data (calendar feeds, quote lists) get one once they report
+      widgetElement.addEventListener(DATA_STATE_EVENT, () => {
+        freshnessManager.addIndicator(widgetElement, options);
+      }, { once: true });
     }
   }
 }
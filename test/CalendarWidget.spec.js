@@ -309,4 +309,53 @@ test('CalendarWidget handles empty configuration', async ({ page }) => {
   const currentDate = new Date();
   const currentYear = currentDate.getFullYear();
   await expect(calendarWidget).toContainText(currentYear.toString());
-}); 
\ No newline at end of file
+}); 
+
+test('CalendarWidget merges ICS feed events into the grid and agenda', async ({ page }) => {
+  const today = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const icsDate = `${today.getFullYear()}${pad(today.getMonth() + 1)}${pad(today.getDate())}`;
+  
+  await page.route('**/team.ics', route => route.fulfill({
+    status: 200,
+    contentType: 'text/calendar',
+    body: [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:feed-1',
+      'SUMMARY:Feed Event',
+      `DTSTART;VALUE=DATE:${icsDate}`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n')
+  }));
+  
+  await page.goto('http://localhost:5173');
+  
+  await page.evaluate(() => {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    
+    const container = document.createElement('div');
+    container.style.width = '800px';
+    container.style.height = '500px';
+    document.body.appendChild(container);
+    
+    const calendarWidget = document.createElement('calendar-widget');
+    calendarWidget.setAttribute('config', JSON.stringify({
+      icsUrls: [{ url: '/team.ics', color: '#e17055' }],
+      events: [
+        { date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`, title: 'Config Event' }
+      ]
+    }));
+    container.appendChild(calendarWidget);
+  });
+  
+  await page.waitForTimeout(1000);
+  
+  const calendarWidget = page.locator('calendar-widget').last();
+  await expect(calendarWidget.locator('.calendar-day.today')).toContainText('Feed Event');
+  await expect(calendarWidget.locator('.calendar-day.today')).toContainText('Config Event');
+  await expect(calendarWidget.locator('.agenda')).toContainText('Upcoming');
+  await expect(calendarWidget.locator('.agenda')).toContainText('Feed Event');
+});
@@ -0,0 +1,101 @@
+import { test, expect } from '@playwright/test';
+
+test('EmbedWidget renders a sandboxed iframe', async ({ page }) => {
+  await page.route('https://dashboard.example.com/**', route => route.fulfill({
+    status: 200,
+    contentType: 'text/html',
+    body: '<html><body><h1>Status Page</h1></body></html>'
+  }));
+
+  await page.goto('http://localhost:5173');
+
+  await page.evaluate(() => {
+    const container = document.createElement('div');
+    container.style.width = '400px';
+    container.style.height = '300px';
+    document.body.appendChild(container);
+
+    const embedWidget = document.createElement('embed-widget');
+    embedWidget.setAttribute('config', JSON.stringify({
+      url: 'https://dashboard.example.com/status',
+      title: 'Status',
+      sandbox: 'allow-scripts allow-bogus',
+      zoom: 0.5,
+      scrollY: 200
+    }));
+    container.appendChild(embedWidget);
+  });
+
+  const embedWidget = page.locator('embed-widget').last();
+  await expect(embedWidget).toContainText('Status');
+
+  const iframe = embedWidget.locator('iframe');
+  await expect(iframe).toHaveAttribute('src', 'https://dashboard.example.com/status');
+  await expect(iframe).toHaveAttribute('sandbox', 'allow-scripts');
+
+  // Zoom and scroll offset are applied through the frame transform
+  const transform = await iframe.evaluate(frame => frame.style.transform);
+  expect(transform).toContain('scale(0.5)');
+  expect(transform).toContain('translate(0px, -200px)');
+});
+
+test('EmbedWidget shows a fallback card when the page cannot load', async ({ page }) => {
+  await page.route('https://down.example.com/**', route => route.abort());
+
+  await page.goto('http://localhost:5173');
+
+  await page.evaluate(() => {
+    const container = document.createElement('div');
+    container.style.width = '400px';
+    container.style.height = '300px';
+    document.body.appendChild(container);
+
+    const embedWidget = document.createElement('embed-widget');
+    embedWidget.setAttribute('config', JSON.stringify({
+      url: 'https://down.example.com/',
+      fallbackMessage: 'Menu board unavailable'
+    }));
+    container.appendChild(embedWidget);
+  });
+
+  const embedWidget = page.locator('embed-widget').last();
+  await expect(embedWidget).toContainText('Menu board unavailable');
+  await expect(embedWidget.locator('iframe')).toHaveCount(0);
+
+  // Going offline switches the card to the offline message
+  await page.evaluate(() => window.lumaBoard.offlineFallback.simulateOffline());
+  await expect(embedWidget).toContainText('Device is offline');
+});
+
+test('EmbedWidget keeps the frame off its own origin unless asked and warns on a same-origin page', async ({ page }) => {
+  const warnings = [];
+  page.on('console', message => {
+    if (message.type() === 'warning') warnings.push(message.text());
+  });
+  await page.route('https://dashboard.example.com/**', route => route.fulfill({
+    status: 200,
+    contentType: 'text/html',
+    body: '<html><body><h1>Status Page</h1></body></html>'
+  }));
+
+  await page.goto('http://localhost:5173');
+
+  await page.evaluate(() => {
+    const defaults = document.createElement('embed-widget');
+    defaults.id = 'default-sandbox';
+    defaults.setAttribute('config', JSON.stringify({ url: 'https://dashboard.example.com/status' }));
+    document.body.appendChild(defaults);
+
+    const sameOrigin = document.createElement('embed-widget');
+    sameOrigin.id = 'same-origin-sandbox';
+    sameOrigin.setAttribute('config', JSON.stringify({
+      url: `${window.location.origin}/`,
+      sandbox: ['allow-scripts', 'allow-same-origin']
+    }));
+    document.body.appendChild(sameOrigin);
+  });
+
+  await expect(page.locator('#default-sandbox iframe')).toHaveAttribute('sandbox', 'allow-scripts');
+  await expect(page.locator('#same-origin-sandbox iframe')).toHaveAttribute('sandbox', 'allow-scripts allow-same-origin');
+  expect(warnings.some(text => text.includes('leaves the frame unsandboxed'))).toBe(true);
+});
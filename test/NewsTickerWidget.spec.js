@@ -176,15 +176,88 @@ test('NewsTickerWidget caching functionality', async ({ page }) => {
     const newsWidget = document.querySelector('news-widget');
     if (!newsWidget) return false;
     
-    // Check if widget has the actual caching methods
-    const hasCacheNewsData = typeof newsWidget.cacheNewsData === 'function';
-    const hasGetCachedNewsData = typeof newsWidget.getCachedNewsData === 'function';
+    // Caching is handled by the shared data service, keyed per feed
+    const hasCacheKey = typeof newsWidget.getCacheKey === 'function';
     const hasLoadNewsData = typeof newsWidget.loadNewsData === 'function';
     
-    return { hasCacheNewsData, hasGetCachedNewsData, hasLoadNewsData };
+    return { hasCacheKey, hasLoadNewsData };
   });
   
-  expect(result.hasCacheNewsData).toBe(true);
-  expect(result.hasGetCachedNewsData).toBe(true);
+  expect(result.hasCacheKey).toBe(true);
   expect(result.hasLoadNewsData).toBe(true);
-}); 
\ No newline at end of file
+}); 
+
+test('NewsTickerWidget merges RSS and Atom feeds with source labels', async ({ page }) => {
+  await page.route('https://rss.example.com/feed.xml', route => route.fulfill({
+    status: 200,
+    contentType: 'application/rss+xml',
+    headers: { 'Access-Control-Allow-Origin': '*' },
+    body: `<?xml version="1.0"?>
+      <rss version="2.0"><channel><title>Local Radio</title>
+        <item><title>Bridge reopens downtown</title><link>https://radio.example.com/bridge</link><pubDate>Mon, 04 Mar 2024 09:00:00 GMT</pubDate></item>
+        <item><title>Sports roundup</title><link>https://radio.example.com/sports</link><pubDate>Mon, 04 Mar 2024 07:00:00 GMT</pubDate></item>
+      </channel></rss>`
+  }));
+  await page.route('https://atom.example.com/feed.atom', route => route.fulfill({
+    status: 200,
+    contentType: 'application/atom+xml',
+    headers: { 'Access-Control-Allow-Origin': '*' },
+    body: `<?xml version="1.0"?>
+      <feed xmlns="http://www.w3.org/2005/Atom"><title>City Hall</title>
+        <entry><title>Council approves budget</title><link href="https://city.example.com/budget"/><updated>2024-03-04T10:00:00Z</updated></entry>
+        <entry><title>Bridge Reopens Downtown</title><link href="https://city.example.com/bridge"/><updated>2024-03-04T08:00:00Z</updated></entry>
+      </feed>`
+  }));
+
+  await page.goto('http://localhost:5173');
+
+  await page.evaluate(() => {
+    const container = document.createElement('div');
+    container.style.width = '600px';
+    container.style.height = '150px';
+    document.body.appendChild(container);
+
+    const newsWidget = document.createElement('news-widget');
+    newsWidget.setAttribute('config', JSON.stringify({
+      sources: ['https://rss.example.com/feed.xml', { url: 'https://atom.example.com/feed.atom', name: 'City' }],
+      excludeKeywords: ['sports']
+    }));
+    container.appendChild(newsWidget);
+  });
+
+  const newsWidget = page.locator('news-widget').last();
+  await expect(newsWidget.locator('.news-item')).toHaveCount(2);
+
+  const items = await newsWidget.locator('.news-item').allTextContents();
+  // Newest first, the older duplicate bridge story and the excluded sports item are dropped
+  expect(items[0].replace(/\s+/g, ' ').trim()).toBe('City Council approves budget');
+  expect(items[1].replace(/\s+/g, ' ').trim()).toBe('Local Radio Bridge reopens downtown');
+});
+
+test('NewsTickerWidget labels demo headlines and can forbid them', async ({ page }) => {
+  await page.route('https://down.example.com/feed.xml', route => route.fulfill({ status: 503, body: '' }));
+
+  await page.goto('http://localhost:5173');
+
+  const mountWidget = () => page.evaluate(() => {
+    const newsWidget = document.createElement('news-widget');
+    newsWidget.setAttribute('config', JSON.stringify({ sources: ['https://down.example.com/feed.xml'] }));
+    document.body.appendChild(newsWidget);
+    return new Promise(resolve => {
+      newsWidget.addEventListener('widgetdatastate', event => resolve(event.detail.state), { once: true });
+    });
+  });
+
+  expect(await mountWidget()).toBe('mock');
+  await expect(page.locator('news-widget').last().locator('.badge.demo')).toHaveText('Demo data');
+
+  await page.evaluate(async () => {
+    const { default: dataProvenance } = await import('/src/dataProvenance.js');
+    dataProvenance.configure({ allowMockData: false });
+  });
+
+  expect(await mountWidget()).toBe('error');
+  const newsWidget = page.locator('news-widget').last();
+  await expect(newsWidget).toContainText('News unavailable');
+  await expect(newsWidget.locator('.news-item')).toHaveCount(0);
+});
@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+
+test('NotesWidget renders sanitized markdown notes and quotes', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+
+  await page.evaluate(() => {
+    const container = document.createElement('div');
+    container.style.width = '400px';
+    container.style.height = '400px';
+    document.body.appendChild(container);
+
+    const notesWidget = document.createElement('notes-widget');
+    notesWidget.setAttribute('config', JSON.stringify({
+      title: 'Office',
+      notes: '## Today\n\n**Fire drill** at 2pm <img src=x onerror="alert(1)">',
+      quotes: [{ text: 'Stay hungry', author: 'Someone' }]
+    }));
+    container.appendChild(notesWidget);
+  });
+
+  const notesWidget = page.locator('notes-widget').last();
+  await expect(notesWidget).toContainText('Office');
+  await expect(notesWidget.locator('.notes h2')).toHaveText('Today');
+  await expect(notesWidget.locator('.notes strong')).toHaveText('Fire drill');
+  await expect(notesWidget.locator('.notes img')).toHaveCount(0);
+  await expect(notesWidget.locator('.quote')).toContainText('Stay hungry');
+  await expect(notesWidget.locator('.quote')).toContainText('Someone');
+});
+
+test('NotesWidget persists todo check state', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+
+  const addWidget = () => page.evaluate(() => {
+    const container = document.createElement('div');
+    container.className = 'notes-test';
+    container.style.width = '400px';
+    container.style.height = '300px';
+    document.body.appendChild(container);
+
+    const notesWidget = document.createElement('notes-widget');
+    notesWidget.setAttribute('config', JSON.stringify({
+      title: 'Kitchen',
+      todos: ['Empty dishwasher', { id: 'milk', text: 'Buy milk' }]
+    }));
+    container.appendChild(notesWidget);
+  });
+
+  await page.evaluate(() => localStorage.removeItem('notes_todos_Kitchen'));
+  await addWidget();
+
+  const notesWidget = page.locator('notes-widget').last();
+  await expect(notesWidget.locator('.todo-count')).toHaveText('2 of 2 left');
+
+  await notesWidget.locator('.todo-item', { hasText: 'Buy milk' }).click();
+  await expect(notesWidget.locator('.todo-item.done')).toHaveText(/Buy milk/);
+
+  // A freshly mounted widget restores the saved state
+  await page.evaluate(() => document.querySelector('.notes-test').remove());
+  await addWidget();
+  await expect(page.locator('notes-widget').last().locator('.todo-count')).toHaveText('1 of 2 left');
+
+  const stored = await page.evaluate(() => JSON.parse(localStorage.getItem('notes_todos_Kitchen')));
+  expect(stored).toEqual({ milk: true });
+});
@@ -346,4 +346,33 @@ test('QRCodeWidget SMS data type', async ({ page }) => {
   
   // Should show SMS text
   await expect(qrWidget).toContainText('SMS');
-}); 
\ No newline at end of file
+}); 
+
+test('QRCodeWidget builds structured payloads', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+  
+  const payloads = await page.evaluate(() => {
+    const build = (config) => {
+      const qrWidget = document.createElement('qrcode-widget');
+      qrWidget.setAttribute('config', JSON.stringify(config));
+      document.body.appendChild(qrWidget);
+      const payload = qrWidget.buildPayload();
+      qrWidget.remove();
+      return payload;
+    };
+    
+    return {
+      wifi: build({ dataType: 'wifi', data: { ssid: 'Lobby;Guest', password: 'pa:ss', encryption: 'WPA', hidden: true } }),
+      email: build({ dataType: 'email', data: { to: 'desk@example.com', subject: 'Hi there' } }),
+      phone: build({ dataType: 'phone', data: '+1 (555) 123-4567' }),
+      sms: build({ dataType: 'sms', data: { number: '+15551234567', message: 'Hello' } }),
+      passthrough: build({ dataType: 'wifi', data: 'WIFI:T:WPA;S:MyNetwork;P:password123;;' })
+    };
+  });
+  
+  expect(payloads.wifi).toBe('WIFI:T:WPA;S:Lobby\\;Guest;P:pa\\:ss;H:true;;');
+  expect(payloads.email).toBe('mailto:desk@example.com?subject=Hi%20there');
+  expect(payloads.phone).toBe('tel:+15551234567');
+  expect(payloads.sms).toBe('SMSTO:+15551234567:Hello');
+  expect(payloads.passthrough).toBe('WIFI:T:WPA;S:MyNetwork;P:password123;;');
+});
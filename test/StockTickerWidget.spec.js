@@ -208,15 +208,90 @@ test('StockTickerWidget caching functionality', async ({ page }) => {
     const stockWidget = document.querySelector('stocks-widget');
     if (!stockWidget) return false;
     
-    // Check if widget has caching methods that actually exist
-    const hasCacheStockData = typeof stockWidget.cacheStockData === 'function';
-    const hasGetCachedStockData = typeof stockWidget.getCachedStockData === 'function';
+    // Quotes are cached per symbol by the shared data service
+    const hasFetchSingleStock = typeof stockWidget.fetchSingleStock === 'function';
     const hasGetMockStockData = typeof stockWidget.getMockStockData === 'function';
     
-    return { hasCacheStockData, hasGetCachedStockData, hasGetMockStockData };
+    return { hasFetchSingleStock, hasGetMockStockData };
   });
   
-  expect(result.hasCacheStockData).toBe(true);
-  expect(result.hasGetCachedStockData).toBe(true);
+  expect(result.hasFetchSingleStock).toBe(true);
   expect(result.hasGetMockStockData).toBe(true);
-}); 
\ No newline at end of file
+}); 
+
+test('StockTickerWidget labels mock prices as demo data', async ({ page }) => {
+  await page.route('https://query1.finance.yahoo.com/**', route => route.abort());
+
+  await page.goto('http://localhost:5173');
+
+  await page.evaluate(() => {
+    const container = document.createElement('div');
+    container.style.width = '400px';
+    container.style.height = '250px';
+    document.body.appendChild(container);
+
+    const stockWidget = document.createElement('stocks-widget');
+    stockWidget.setAttribute('config', JSON.stringify({ symbols: ['ZZZT'], exchange: 'NYSE' }));
+    container.appendChild(stockWidget);
+  });
+
+  const stockWidget = page.locator('stocks-widget').last();
+  await expect(stockWidget.locator('.badge.demo')).toHaveText('Demo data');
+  await expect(stockWidget.locator('.stock-item.mock')).toHaveCount(1);
+  await expect(stockWidget).toContainText(/NYSE (Open|Closed|Pre-market)/);
+});
+
+test('StockTickerWidget draws intraday sparklines from provider data', async ({ page }) => {
+  await page.route('https://quotes.example.com/**', route => route.fulfill({
+    status: 200,
+    contentType: 'application/json',
+    headers: { 'Access-Control-Allow-Origin': '*' },
+    body: JSON.stringify({ symbol: 'ACME', price: 12, previousClose: 11, intraday: [11.2, 11.5, 11.4, 12] })
+  }));
+
+  await page.goto('http://localhost:5173');
+
+  await page.evaluate(() => {
+    const container = document.createElement('div');
+    container.style.width = '400px';
+    container.style.height = '250px';
+    document.body.appendChild(container);
+
+    const stockWidget = document.createElement('stocks-widget');
+    stockWidget.setAttribute('config', JSON.stringify({
+      symbols: ['ACME'],
+      provider: 'url',
+      providerUrl: 'https://quotes.example.com/{symbol}.json'
+    }));
+    container.appendChild(stockWidget);
+  });
+
+  const stockWidget = page.locator('stocks-widget').last();
+  await expect(stockWidget.locator('.sparkline polyline')).toHaveCount(1);
+  await expect(stockWidget.locator('.badge.demo')).toHaveCount(0);
+  await expect(stockWidget).toContainText('+1.00');
+});
+
+test('StockTickerWidget shows the market status on the board clock', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+
+  await page.evaluate(async () => {
+    const { setVirtualTime } = await import('/src/time.js');
+    // Wednesday 15:00 in New York
+    setVirtualTime('2030-01-09T20:00:00Z');
+
+    const stockWidget = document.createElement('stocks-widget');
+    stockWidget.setAttribute('config', JSON.stringify({ symbols: ['ZZZT'], exchange: 'NYSE' }));
+    document.body.appendChild(stockWidget);
+  });
+
+  const stockWidget = page.locator('stocks-widget').last();
+  await expect(stockWidget).toContainText('NYSE Open');
+
+  // Saturday
+  await page.evaluate(async () => {
+    const { setVirtualTime } = await import('/src/time.js');
+    setVirtualTime('2030-01-12T20:00:00Z');
+  });
+  await expect(stockWidget).toContainText('NYSE Closed');
+});
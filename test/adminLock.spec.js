@@ -0,0 +1,100 @@
+import { test, expect } from '@playwright/test';
+import { AdminLock } from '../src/components/AdminLock.js';
+import { PasswordProtection } from '../src/password.js';
+import { validateConfigSchema } from '../src/configSchema.js';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+let password;
+
+test.beforeAll(async () => {
+  globalThis.localStorage = memoryStorage();
+  globalThis.document = new EventTarget();
+  password = await new PasswordProtection().createPasswordHash('Lobby-Screen-42');
+});
+
+test.beforeEach(() => {
+  globalThis.localStorage = memoryStorage();
+  globalThis.document = new EventTarget();
+});
+
+test.afterAll(() => {
+  delete globalThis.localStorage;
+  delete globalThis.document;
+});
+
+test('admin panels open freely until a password is configured', async () => {
+  const lock = new AdminLock();
+  lock.configure({});
+  expect(lock.isProtected()).toBe(false);
+  expect(await lock.unlock('Config Manager')).toBe(true);
+
+  lock.configure({ password });
+  expect(lock.isProtected()).toBe(true);
+  expect(lock.isUnlocked()).toBe(false);
+  lock.destroy();
+});
+
+test('wrong passwords count down to a lockout and the right one starts a session', async () => {
+  const lock = new AdminLock();
+  lock.configure({ password, maxAttempts: 3, lockoutDuration: 60 });
+
+  expect(await lock.verify('guess')).toEqual({ unlocked: false, message: 'Wrong password, 2 attempts left' });
+  expect(await lock.verify('Lobby-Screen-42')).toEqual({ unlocked: true, message: '' });
+  expect(lock.isUnlocked()).toBe(true);
+  expect(await lock.unlock('Debug Overlay')).toBe(true);
+
+  const locked = [];
+  lock.onLock(() => locked.push('config'));
+  lock.lock();
+  expect(locked).toEqual(['config']);
+  expect(lock.isUnlocked()).toBe(false);
+
+  await lock.verify('one');
+  await lock.verify('two');
+  expect((await lock.verify('three')).message).toBe('Too many attempts. Try again in 60 seconds.');
+  expect((await lock.verify('Lobby-Screen-42')).unlocked).toBe(false);
+  lock.destroy();
+});
+
+test('panels close when the session expires and a new password ends the session', async () => {
+  const lock = new AdminLock();
+  const locked = [];
+  lock.onLock(() => locked.push(Date.now()));
+  lock.configure({ password, sessionTimeout: 0.05 });
+
+  await lock.verify('Lobby-Screen-42');
+  await expect.poll(() => locked.length).toBe(1);
+  expect(lock.isUnlocked()).toBe(false);
+
+  // An expired session is not revived by activity
+  expect(lock.protection.extendSession()).toBe(false);
+
+  // The same password keeps a running session across a config update, a new one does not
+  lock.configure({ password, sessionTimeout: 60 });
+  await lock.verify('Lobby-Screen-42');
+  lock.configure({ password, sessionTimeout: 120 });
+  expect(lock.isUnlocked()).toBe(true);
+
+  const other = await new PasswordProtection().createPasswordHash('Front-Desk-7!');
+  lock.configure({ password: other });
+  expect(lock.isUnlocked()).toBe(false);
+  expect(locked).toHaveLength(2);
+  lock.destroy();
+});
+
+test('config schema checks the admin section', () => {
+  const result = validateConfigSchema({
+    scenes: [{ name: 'welcome', widgets: [] }],
+    admin: { password: { hash: 'secret' }, maxAttempts: 0 }
+  });
+
+  expect(result.errors.map(error => error.path)).toEqual(['admin.password.salt', 'admin.password.hash', 'admin.maxAttempts']);
+});
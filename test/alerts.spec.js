@@ -0,0 +1,173 @@
+import { test, expect } from '@playwright/test';
+import { AlertService, parseAlerts } from '../src/alerts.js';
+import { setClock, setVirtualTime } from '../src/time.js';
+import { validateConfigSchema } from '../src/configSchema.js';
+
+const originalFetch = globalThis.fetch;
+
+function mockFetch(bodies) {
+  globalThis.fetch = async () => {
+    const body = bodies.shift();
+    return { ok: body !== null, status: body === null ? 503 : 200, text: async () => JSON.stringify(body) };
+  };
+}
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+  setClock(null);
+});
+
+test('parses alerts from board JSON and CAP GeoJSON', () => {
+  setClock(new Date('2030-01-01T09:00:00Z'));
+
+  const [drill] = parseAlerts(JSON.stringify({ alerts: [{ id: 'drill', headline: 'Fire drill', duration: 600, countdown: true }] }));
+  expect(drill).toMatchObject({
+    id: 'drill',
+    severity: 'info',
+    display: 'banner',
+    start: null,
+    expires: Date.parse('2030-01-01T09:10:00Z'),
+    countdown: Date.parse('2030-01-01T09:10:00Z'),
+    source: 'url'
+  });
+
+  const cap = parseAlerts({
+    features: [
+      { properties: { id: 'urn:storm', event: 'Tornado Warning', headline: 'Tornado warning until 10:00', description: 'Take shelter', severity: 'Extreme', onset: '2030-01-01T09:00:00Z', expires: '2030-01-01T10:00:00Z' } },
+      { properties: { id: 'urn:wind', event: 'Wind Advisory', severity: 'Moderate', messageType: 'Alert' } },
+      { properties: { id: 'urn:cancel', messageType: 'Cancel', references: ['urn:old'] } }
+    ]
+  }, 'channel');
+  expect(cap.map(alert => [alert.id, alert.severity, alert.display, alert.cancel])).toEqual([
+    ['urn:storm', 'critical', 'fullscreen', false],
+    ['urn:wind', 'warning', 'banner', false],
+    ['urn:cancel', 'info', 'banner', true]
+  ]);
+  expect(cap[0]).toMatchObject({ headline: 'Tornado warning until 10:00', message: 'Take shelter', start: Date.parse('2030-01-01T09:00:00Z') });
+  expect(cap[1].headline).toBe('Wind Advisory');
+  expect(cap[2].references).toEqual(['urn:cancel', 'urn:old']);
+});
+
+test('alert service reports active alerts from config, URL and messages as they change', async () => {
+  setClock(new Date('2030-01-01T09:00:00Z'));
+  const reports = [];
+  const service = new AlertService({
+    channel: false,
+    url: 'https://signage.example.com/alerts.json',
+    items: [
+      { id: 'closure', headline: 'Building closes at 18:00', start: '2030-01-01T08:00:00Z', expires: '2030-01-01T18:00:00Z' },
+      { id: 'later', headline: 'Maintenance tonight', start: '2030-01-01T20:00:00Z' }
+    ]
+  });
+  mockFetch([
+    [{ id: 'drill', headline: 'Fire drill', severity: 'critical', duration: 300 }],
+    [{ id: 'drill', headline: 'Fire drill', severity: 'critical', duration: 300 }],
+    null,
+    []
+  ]);
+
+  service.start(alerts => reports.push(alerts.map(alert => alert.id)));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  service.stop();
+
+  // Most severe first; alerts before their start stay hidden
+  expect(reports).toEqual([['closure'], ['drill', 'closure']]);
+  expect(service.getActive(Date.parse('2030-01-01T20:30:00Z')).map(alert => alert.id)).toEqual(['later']);
+
+  // A re-sent duration alert keeps its first expiry; a failed poll keeps the last alerts
+  setClock(new Date('2030-01-01T09:02:00Z'));
+  expect(await service.check()).toBe(true);
+  expect(service.alerts.get('drill').expires).toBe(Date.parse('2030-01-01T09:05:00Z'));
+  expect(await service.check()).toBe(false);
+  expect(service.getStatus()).toMatchObject({ active: 2, lastError: 'HTTP 503' });
+
+  // Alerts missing from the next poll end; messages add and cancel
+  expect(await service.check()).toBe(true);
+  service.receive({ id: 'spill', headline: 'Spill in aisle 3', severity: 'warning' });
+  expect(reports.at(-1)).toEqual(['spill', 'closure']);
+  service.receive(JSON.stringify({ id: 'spill', cancel: true }));
+  expect(reports.at(-1)).toEqual(['closure']);
+
+  // Expired alerts drop out when the service next updates
+  setClock(new Date('2030-01-01T18:00:00Z'));
+  service.update();
+  expect(reports.at(-1)).toEqual([]);
+  service.stop();
+});
+
+test('a restart drops the alert fetch still in flight from before', async () => {
+  const pending = new Map();
+  globalThis.fetch = (url) => new Promise(resolve => {
+    pending.set(url, (body) => resolve({ ok: true, status: 200, text: async () => JSON.stringify(body) }));
+  });
+
+  const service = new AlertService({ channel: false, url: 'https://signage.example.com/old.json' });
+  service.start(() => {});
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  // A config reload restarts the service on a new URL before the old fetch returns
+  service.stop();
+  service.configure({ url: 'https://signage.example.com/new.json' });
+  service.start(() => {});
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  pending.get('https://signage.example.com/new.json')([{ id: 'new', headline: 'New feed' }]);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  const timer = service.pollTimer;
+
+  pending.get('https://signage.example.com/old.json')([{ id: 'old', headline: 'Old feed' }]);
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  expect([...service.alerts.keys()]).toEqual(['new']);
+  expect(service.pollTimer).toBe(timer);
+  service.stop();
+});
+
+test('alert service takes alerts from a BroadcastChannel', async () => {
+  const reports = [];
+  const service = new AlertService({ channel: 'luma-alerts-test' });
+  service.start(alerts => reports.push(alerts.map(alert => alert.headline)));
+
+  const sender = new BroadcastChannel('luma-alerts-test');
+  sender.postMessage({ id: 'evacuate', headline: 'Evacuate now', severity: 'critical' });
+  await expect.poll(() => reports.at(-1)).toEqual(['Evacuate now']);
+
+  sender.postMessage({ id: 'evacuate', cancel: true });
+  await expect.poll(() => reports.at(-1)).toEqual([]);
+
+  sender.close();
+  service.stop();
+});
+
+test('alert service re-plans expiry when the board clock moves', () => {
+  globalThis.document = new EventTarget();
+  setClock(new Date('2030-01-01T09:00:00Z'));
+  const reports = [];
+  const service = new AlertService({
+    channel: false,
+    items: [{ id: 'drill', headline: 'Fire drill', expires: '2030-01-01T09:10:00Z' }]
+  });
+
+  service.start(alerts => reports.push(alerts.map(alert => alert.id)));
+  expect(reports).toEqual([['drill']]);
+
+  // Jumping the board clock past the expiry ends the alert without waiting for the old timer
+  setVirtualTime('2030-01-01T09:30:00Z');
+  expect(reports.at(-1)).toEqual([]);
+
+  service.destroy();
+  setClock(null);
+  delete globalThis.document;
+});
+
+test('config schema checks alerts', () => {
+  const result = validateConfigSchema({
+    scenes: [{ name: 'welcome', widgets: [] }],
+    alerts: {
+      items: [{ headline: 'Drill', severity: 'high', countdown: true }, { message: 'No headline' }],
+      channel: false
+    }
+  });
+
+  expect(result.errors.map(error => error.path)).toEqual(['alerts.items[0].severity', 'alerts.items[1].headline']);
+});
@@ -0,0 +1,127 @@
+import { test, expect } from '@playwright/test';
+import { ConfigReloader, diffConfigs } from '../src/configReloader.js';
+
+const originalFetch = globalThis.fetch;
+
+const clock = { type: 'clock', config: { format: '24' } };
+const weather = { type: 'weather', config: { location: 'Berlin' } };
+const baseConfig = {
+  scenes: [
+    { name: 'welcome', layout: '2x2', widgets: [clock, weather] },
+    { name: 'menu', layout: 'single', widgets: [{ type: 'clock', config: { format: '24' } }] }
+  ],
+  theme: { primaryColor: '#333' }
+};
+
+function mockFetch(responses, requests = []) {
+  globalThis.fetch = async (url, options = {}) => {
+    requests.push({ url, headers: options.headers || {} });
+    const { status = 200, body = null, etag = null } = responses.shift();
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => (name === 'ETag' ? etag : null) },
+      text: async () => JSON.stringify(body)
+    };
+  };
+  return requests;
+}
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('diffConfigs reports scene, widget and section changes', () => {
+  expect(diffConfigs(baseConfig, structuredClone(baseConfig)).changed).toBe(false);
+
+  const next = structuredClone(baseConfig);
+  next.scenes[0].widgets[1].config.location = 'Paris';
+  next.scenes[0].widgets.push({ type: 'news', config: {} });
+  next.scenes[1].layout = '2x2';
+  next.scenes.push({ name: 'news', widgets: [] });
+  next.theme.primaryColor = '#000';
+
+  const diff = diffConfigs(baseConfig, next);
+  expect(diff.changed).toBe(true);
+  expect(diff.sections).toEqual(['theme']);
+  expect(diff.scenes).toEqual({
+    added: ['news'],
+    removed: [],
+    changed: [
+      { name: 'welcome', widgets: { added: [2], removed: [], changed: [1] }, layoutChanged: false },
+      { name: 'menu', widgets: { added: [], removed: [], changed: [] }, layoutChanged: true }
+    ],
+    orderChanged: false
+  });
+
+  const reordered = diffConfigs(baseConfig, { ...baseConfig, scenes: [baseConfig.scenes[1]] });
+  expect(reordered.scenes).toMatchObject({ removed: ['welcome'], orderChanged: false });
+  expect(diffConfigs(baseConfig, { ...baseConfig, scenes: [...baseConfig.scenes].reverse() }).scenes.orderChanged).toBe(true);
+});
+
+test('reloader polls conditionally and applies only changed, valid configs', async () => {
+  const updates = [];
+  const reloader = new ConfigReloader({ url: 'https://signage.example.com/lobby.json', persist: false });
+  reloader.current = baseConfig;
+  reloader.onUpdate = (config, diff) => updates.push({ config, diff });
+
+  const edited = structuredClone(baseConfig);
+  edited.scenes[1].widgets[0].config.format = '12';
+  const requests = mockFetch([
+    { body: edited, etag: '"v2"' },
+    { status: 304 },
+    { body: { scenes: 'not a list' }, etag: '"v3"' },
+    { status: 304 },
+    { status: 503 }
+  ]);
+
+  expect(await reloader.check()).toBe('applied');
+  expect(updates).toHaveLength(1);
+  expect(updates[0].diff.scenes.changed).toEqual([
+    { name: 'menu', widgets: { added: [], removed: [], changed: [0] }, layoutChanged: false }
+  ]);
+
+  expect(await reloader.check()).toBe('unchanged');
+  expect(requests[1].headers['If-None-Match']).toBe('"v2"');
+
+  // Broken and unreachable configs leave the last good one running
+  expect(await reloader.check()).toBe('invalid');
+  expect(reloader.getStatus().lastError).toContain('Invalid config');
+
+  // The rejected config's ETag is not sent, and a 304 keeps the error showing
+  expect(await reloader.check()).toBe('unchanged');
+  expect(requests[3].headers['If-None-Match']).toBe('"v2"');
+  expect(reloader.getStatus().lastError).toContain('Invalid config');
+  expect(await reloader.check()).toBe('error');
+  expect(reloader.getLastGoodConfig()).toEqual(edited);
+  expect(updates).toHaveLength(1);
+});
+
+test('reloader restores the last good config when applying fails', () => {
+  const applied = [];
+  const reloader = new ConfigReloader({ persist: false });
+  reloader.current = baseConfig;
+  reloader.onUpdate = (config) => {
+    applied.push(config);
+    if (config !== baseConfig) throw new Error('render failed');
+  };
+
+  const next = { ...baseConfig, theme: { primaryColor: '#fff' } };
+  expect(reloader.apply(next)).toBe('invalid');
+  expect(applied).toEqual([next, baseConfig]);
+  expect(reloader.getLastGoodConfig()).toBe(baseConfig);
+  expect(reloader.getStatus().lastError).toBe('Apply failed: render failed');
+});
+
+test('reloader keeps polling when restoring the last good config fails too', async () => {
+  const reloader = new ConfigReloader({ url: 'https://signage.example.com/lobby.json', interval: 60, persist: false });
+  mockFetch([{ body: { ...baseConfig, theme: { primaryColor: '#fff' } } }]);
+
+  reloader.start(baseConfig, () => {
+    throw new Error('render failed');
+  });
+  await expect.poll(() => reloader.timer).not.toBeNull();
+  reloader.stop();
+
+  expect(reloader.getStatus().lastError).toBe('Apply failed: render failed');
+});
@@ -0,0 +1,91 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { validateConfigSchema, validateWidgetConfig } from '../src/configSchema.js';
+import { loadConfig } from '../src/configLoader.js';
+
+function readConfig(name) {
+  return JSON.parse(readFileSync(path.join(__dirname, '../config', name), 'utf8'));
+}
+
+test('config schema reports errors with JSON paths', () => {
+  const result = validateConfigSchema({
+    scenes: [
+      { name: 'Lobby', widgets: [{ type: 'clock' }] },
+      { name: 'Markets', widgets: [] },
+      {
+        name: 'Ops',
+        duration: -5,
+        widgets: [
+          { type: 'clock', config: { format: '12' } },
+          { type: 'stocks', config: { symbols: 'AAPL' } }
+        ]
+      }
+    ],
+    transitions: { defaultTransition: 'wipe' },
+    burnInProtection: { dimming: { nightMode: { startTime: '25:00' } } }
+  });
+
+  expect(result.valid).toBe(false);
+  expect(result.errors).toEqual(expect.arrayContaining([
+    { path: 'scenes[2].duration', message: 'Must be greater than 0' },
+    { path: 'scenes[2].widgets[1].config.symbols', message: 'Expected array, got string' },
+    expect.objectContaining({ path: 'transitions.defaultTransition' }),
+    expect.objectContaining({ path: 'burnInProtection.dimming.nightMode.startTime' })
+  ]));
+  expect(result.errors).toHaveLength(4);
+});
+
+test('config schema warns about unknown properties and widget types', () => {
+  const result = validateConfigSchema({
+    scenes: [
+      { name: 'Lobby', widgets: [{ type: 'clock', config: { colour: 'red' } }, { type: 'ticker-tape' }] },
+      { name: 'Lobby', widgets: [] }
+    ],
+    themes: {}
+  });
+
+  expect(result.valid).toBe(true);
+  expect(result.warnings).toEqual([
+    { path: 'themes', message: 'Unknown property' },
+    { path: 'scenes[0].widgets[0].config.colour', message: 'Unknown property' },
+    { path: 'scenes[0].widgets[1].type', message: 'Unknown widget type "ticker-tape"' },
+    { path: 'scenes[1].name', message: 'Duplicate scene name "Lobby"' }
+  ]);
+});
+
+test('config schema checks required fields and anyOf items', () => {
+  const missing = validateConfigSchema({ scenes: [{ widgets: [{ config: {} }] }] });
+  expect(missing.errors).toEqual([
+    { path: 'scenes[0].name', message: 'Required property is missing' },
+    { path: 'scenes[0].widgets[0].type', message: 'Required property is missing' }
+  ]);
+
+  const embed = validateWidgetConfig('embed', { title: 'Status' });
+  expect(embed.errors).toEqual([{ path: 'config.url', message: 'Required property is missing' }]);
+
+  const notes = validateWidgetConfig('notes', { todos: ['Milk', { text: 'Eggs', done: true }, { done: true }] });
+  expect(notes.errors).toEqual([{ path: 'config.todos[2].text', message: 'Required property is missing' }]);
+
+  const transitions = validateConfigSchema({
+    scenes: [
+      { name: 'A', transition: 'cube', widgets: [] },
+      { name: 'B', transition: { type: 'none' }, widgets: [] },
+      { name: 'C', transition: { type: 'slide-up', duration: 400 }, widgets: [] },
+      { name: 'D', transition: 'wipe', widgets: [] }
+    ]
+  });
+  expect(transitions.errors.map(error => error.path)).toEqual(['scenes[3].transition']);
+});
+
+test('bundled configs have no schema errors', () => {
+  for (const name of ['example-config.json', 'phase2-demo-config.json', 'phase3-demo-config.json']) {
+    const result = validateConfigSchema(readConfig(name));
+    expect(result.errors, name).toEqual([]);
+  }
+});
+
+test('loadConfig rejects configs with schema errors', async () => {
+  const file = { text: async () => JSON.stringify({ scenes: [{ name: 'A', widgets: [{ type: 'weather', config: { units: 'kelvin' } }] }] }) };
+  await expect(loadConfig({ file })).rejects.toThrow('scenes[0].widgets[0].config.units');
+});
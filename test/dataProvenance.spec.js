@@ -0,0 +1,50 @@
+import { test, expect } from '@playwright/test';
+import { DataProvenance, DATA_STATE_EVENT } from '../src/dataProvenance.js';
+
+test('data provenance maps data service results to states', () => {
+  const provenance = new DataProvenance();
+
+  expect(provenance.getStateForResult({ origin: 'network' })).toBe('live');
+  expect(provenance.getStateForResult({ origin: 'cache' })).toBe('cached');
+  expect(provenance.getStateForResult({ origin: 'stale' })).toBe('cached');
+  // Expired data served because the fetch failed, or anything shown in an offline fallback scene
+  expect(provenance.getStateForResult({ origin: 'stale', error: new Error('offline') })).toBe('fallback');
+  expect(provenance.getStateForResult({ origin: 'network' }, { offline: true })).toBe('fallback');
+
+  expect(provenance.combineStates(['live', 'cached'])).toBe('cached');
+  expect(provenance.combineStates(['live', 'mock', 'fallback'])).toBe('mock');
+  expect(provenance.combineStates(['live', 'error'])).toBe('live');
+  expect(provenance.combineStates(['error'])).toBe('error');
+  expect(provenance.combineStates([])).toBe('error');
+});
+
+test('data provenance reports states through a bubbling event', () => {
+  const provenance = new DataProvenance();
+  const widget = new EventTarget();
+  const events = [];
+  widget.addEventListener(DATA_STATE_EVENT, event => events.push(event));
+
+  const fetchedAt = Date.now() - 60000;
+  provenance.report(widget, 'cached', { fetchedAt, source: 'weather' });
+
+  expect(events).toHaveLength(1);
+  expect(events[0].bubbles).toBe(true);
+  expect(events[0].composed).toBe(true);
+  expect(events[0].detail).toMatchObject({ state: 'cached', fetchedAt, source: 'weather', message: null });
+  expect(events[0].detail.age).toBeGreaterThanOrEqual(60000);
+  expect(widget.dataState).toBe(events[0].detail);
+
+  expect(() => provenance.report(widget, 'fresh')).toThrow("Unknown data state 'fresh'");
+});
+
+test('data provenance can forbid mock data', () => {
+  const provenance = new DataProvenance();
+  expect(provenance.isMockAllowed()).toBe(true);
+
+  provenance.configure({ allowMockData: false });
+  expect(provenance.isMockAllowed()).toBe(false);
+
+  // Unset keeps the current setting
+  provenance.configure({});
+  expect(provenance.isMockAllowed()).toBe(false);
+});
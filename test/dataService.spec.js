@@ -0,0 +1,87 @@
+import { test, expect } from '@playwright/test';
+import { DataService } from '../src/dataService.js';
+
+const originalFetch = globalThis.fetch;
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('data service serves fresh entries from cache and de-duplicates requests', async () => {
+  const service = new DataService({ persist: false });
+  let calls = 0;
+  const fetcher = async () => {
+    calls++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return { value: calls };
+  };
+
+  const [first, second] = await Promise.all([
+    service.request('quotes', fetcher, { ttl: 60 }),
+    service.request('quotes', fetcher, { ttl: 60 })
+  ]);
+  expect(calls).toBe(1);
+  expect(first.data).toEqual({ value: 1 });
+  expect(second.fetchedAt).toBe(first.fetchedAt);
+  expect(first.origin).toBe('network');
+
+  const cached = await service.request('quotes', fetcher, { ttl: 60 });
+  expect(calls).toBe(1);
+  expect(cached.origin).toBe('cache');
+});
+
+test('data service serves stale data while revalidating', async () => {
+  const service = new DataService({ persist: false });
+  service.setCached('news', { data: 'old', timestamp: Date.now() - 120000 });
+
+  const update = new Promise(resolve => {
+    service.request('news', async () => 'new', { ttl: 60, maxAge: 3600, onUpdate: resolve }).then(result => {
+      expect(result.data).toBe('old');
+      expect(result.stale).toBe(true);
+    });
+  });
+
+  const refreshed = await update;
+  expect(refreshed.data).toBe('new');
+  expect(refreshed.origin).toBe('network');
+  expect(service.getCached('news').data).toBe('new');
+});
+
+test('data service falls back to expired data and applies per-source TTLs', async () => {
+  const service = new DataService({ persist: false, sources: { stocks: { ttl: 600 } } });
+  service.setCached('stocks:AAPL', { data: 1, timestamp: Date.now() - 2 * 86400000 });
+
+  const result = await service.request('stocks:AAPL', async () => { throw new Error('offline'); }, { source: 'stocks', ttl: 30 });
+  expect(result.data).toBe(1);
+  expect(result.stale).toBe(true);
+  expect(result.error.message).toBe('offline');
+
+  await expect(service.request('missing', async () => { throw new Error('offline'); })).rejects.toThrow('offline');
+
+  // Board-level source config overrides the widget default
+  expect(service.getSourcePolicy('stocks', { ttl: 30 }).ttl).toBe(600000);
+  expect(service.getSourcePolicy('news', { ttl: 30 }).ttl).toBe(30000);
+});
+
+test('data service retries through the configured CORS proxy', async () => {
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    requests.push(url);
+    if (!url.startsWith('https://proxy.local')) {
+      throw new TypeError('Failed to fetch');
+    }
+    return { ok: true, status: 200, text: async () => '<rss></rss>' };
+  };
+
+  const service = new DataService({ persist: false, proxyUrl: 'https://proxy.local/fetch?url={url}' });
+  const result = await service.fetchText('https://feeds.example.com/rss.xml');
+
+  expect(result.data).toBe('<rss></rss>');
+  expect(requests).toEqual([
+    'https://feeds.example.com/rss.xml',
+    'https://proxy.local/fetch?url=https%3A%2F%2Ffeeds.example.com%2Frss.xml'
+  ]);
+
+  const noProxy = new DataService({ persist: false });
+  await expect(noProxy.fetch('https://feeds.example.com/rss.xml')).rejects.toThrow('Failed to fetch');
+});
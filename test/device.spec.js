@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test';
+import { DeviceIdentity, applyDeviceOverrides, getOverrideLayers } from '../src/device.js';
+import { loadConfig } from '../src/configLoader.js';
+
+const weather = { type: 'weather', config: { location: 'London', units: 'metric' } };
+const baseConfig = {
+  scenes: [
+    { name: 'Welcome', widgets: [{ type: 'clock' }, weather] },
+    { name: 'Weather', widgets: [{ ...weather, id: 'forecast' }] },
+    { name: 'Menu', widgets: [{ type: 'notes', config: { notes: 'Soup of the day' } }] }
+  ],
+  theme: { primaryColor: '#333', backgroundColor: '#000' },
+  fleet: {
+    groups: {
+      lobby: { devices: ['lobby-*'], overrides: { scenes: ['Weather', 'Welcome'], theme: { primaryColor: '#0af' } } },
+      cafe: { overrides: { scenes: ['Menu'] } }
+    },
+    devices: {
+      'lobby-east': { overrides: { widgets: { weather: { config: { location: 'Berlin' } } } } }
+    }
+  }
+};
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+test.afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+test('merges group then device overrides over the base config', () => {
+  const device = { id: 'lobby-east', groups: [] };
+  expect(getOverrideLayers(baseConfig.fleet, device).map(layer => layer.name)).toEqual(['group lobby', 'device lobby-east']);
+
+  const config = applyDeviceOverrides(baseConfig, device);
+  expect(config.scenes.map(scene => scene.name)).toEqual(['Weather', 'Welcome']);
+  expect(config.theme).toEqual({ primaryColor: '#0af', backgroundColor: '#000' });
+  // Widgets with an id only match by id
+  expect(config.scenes[1].widgets[1].config).toEqual({ location: 'Berlin', units: 'metric' });
+  expect(config.scenes[0].widgets[0].config.location).toBe('London');
+
+  // The base config is left untouched
+  expect(baseConfig.scenes).toHaveLength(3);
+  expect(weather.config.location).toBe('London');
+});
+
+test('devices join groups by pattern, config or URL and unknown devices get the base config', () => {
+  expect(applyDeviceOverrides(baseConfig, { id: 'kiosk-1', groups: [] })).toBe(baseConfig);
+  expect(applyDeviceOverrides(baseConfig, { id: 'kiosk-1', groups: ['cafe'] }).scenes.map(scene => scene.name)).toEqual(['Menu']);
+
+  const fleet = { ...baseConfig.fleet, devices: { 'kiosk-2': { groups: ['cafe'] } } };
+  expect(getOverrideLayers(fleet, { id: 'kiosk-2', groups: [] }).map(layer => layer.name)).toEqual(['group cafe']);
+});
+
+test('loadConfig merges overrides for the given device before validating', async () => {
+  const file = { text: async () => JSON.stringify(baseConfig) };
+  const config = await loadConfig({ file, device: { id: 'lobby-west', groups: [] } });
+  expect(config.scenes.map(scene => scene.name)).toEqual(['Weather', 'Welcome']);
+
+  const unmerged = await loadConfig({ file, device: false });
+  expect(unmerged.scenes).toHaveLength(3);
+});
+
+test('device id comes from the URL or is generated once and remembered', () => {
+  globalThis.localStorage = memoryStorage();
+
+  const first = new DeviceIdentity().resolve('');
+  expect(first.source).toBe('generated');
+  expect(first.id).toMatch(/^luma-[0-9a-f]{8}$/);
+  expect(new DeviceIdentity().resolve('')).toEqual({ ...first, source: 'stored' });
+
+  const named = new DeviceIdentity().resolve('?device=lobby-east&group=lobby, ground-floor');
+  expect(named).toEqual({ id: 'lobby-east', groups: ['lobby', 'ground-floor'], source: 'url' });
+  expect(new DeviceIdentity().resolve('?debug=1')).toEqual({ ...named, source: 'stored' });
+});
@@ -0,0 +1,189 @@
+import { test, expect } from '@playwright/test';
+import { parseICS, expandEvents } from '../src/ical.js';
+
+const feed = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:standup',
+  'SUMMARY:Standup\\, team A',
+  'DTSTART;TZID=America/New_York:20240304T090000',
+  'DTEND;TZID=America/New_York:20240304T091500',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=6',
+  'EXDATE;TZID=America/New_York:20240306T090000',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'DESCRIPTION:Reminder',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:holiday',
+  'SUMMARY:Company holiday',
+  'DTSTART;VALUE=DATE:20240315',
+  'DTEND;VALUE=DATE:20240316',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:board',
+  'SUMMARY:Board meeting',
+  'DESCRIPTION:Quarterly review with a long description that is folded',
+  '  across two lines',
+  'DTSTART:20240101T170000Z',
+  'DURATION:PT2H',
+  'RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20240601T000000Z',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:cancelled',
+  'SUMMARY:Cancelled',
+  'STATUS:CANCELLED',
+  'DTSTART:20240105T170000Z',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+test('parses VEVENTs and skips cancelled events', async () => {
+  const events = parseICS(feed);
+  
+  expect(events.map(e => e.uid)).toEqual(['standup', 'holiday', 'board']);
+  expect(events[0].title).toBe('Standup, team A');
+  expect(events[0].timeZone).toBe('America/New_York');
+  expect(events[0].duration).toBe(15 * 60 * 1000);
+  expect(events[1].allDay).toBe(true);
+  expect(events[2].description).toBe('Quarterly review with a long description that is folded across two lines');
+});
+
+test('expands weekly BYDAY rules with COUNT, EXDATE and DST', async () => {
+  const occurrences = expandEvents(parseICS(feed), new Date('2024-03-01T00:00:00Z'), new Date('2024-03-31T00:00:00Z'))
+    .filter(o => o.uid === 'standup')
+    .map(o => o.start.toISOString());
+  
+  // Six generated, one excluded; 9:00 New York moves from UTC-5 to UTC-4 on March 10
+  expect(occurrences).toEqual([
+    '2024-03-04T14:00:00.000Z',
+    '2024-03-08T14:00:00.000Z',
+    '2024-03-11T13:00:00.000Z',
+    '2024-03-13T13:00:00.000Z',
+    '2024-03-15T13:00:00.000Z'
+  ]);
+});
+
+test('expands monthly last-weekday rules until UNTIL', async () => {
+  const occurrences = expandEvents(parseICS(feed), new Date('2024-01-01T00:00:00Z'), new Date('2024-12-31T00:00:00Z'))
+    .filter(o => o.uid === 'board');
+  
+  expect(occurrences.map(o => o.start.toISOString().slice(0, 10))).toEqual([
+    '2024-01-26', '2024-02-23', '2024-03-29', '2024-04-26', '2024-05-31'
+  ]);
+  expect(occurrences[0].end - occurrences[0].start).toBe(2 * 60 * 60 * 1000);
+});
+
+test('keeps all-day events on their calendar date', async () => {
+  const [holiday] = expandEvents(parseICS(feed), new Date(2024, 2, 1), new Date(2024, 2, 31))
+    .filter(o => o.uid === 'holiday');
+  
+  expect(holiday.allDay).toBe(true);
+  expect(holiday.start.getFullYear()).toBe(2024);
+  expect(holiday.start.getMonth()).toBe(2);
+  expect(holiday.start.getDate()).toBe(15);
+  expect(holiday.start.getHours()).toBe(0);
+});
+
+test('expands daily rules with interval and maps Windows time zones', async () => {
+  const events = parseICS([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:outlook',
+    'SUMMARY:Outlook export',
+    'DTSTART;TZID=Pacific Standard Time:20240310T013000',
+    'RRULE:FREQ=DAILY;INTERVAL=2;COUNT=3',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\n'));
+  
+  const starts = expandEvents(events, new Date('2024-03-01T00:00:00Z'), new Date('2024-04-01T00:00:00Z'))
+    .map(o => o.start.toISOString());
+  expect(starts).toEqual([
+    '2024-03-10T09:30:00.000Z',
+    '2024-03-12T08:30:00.000Z',
+    '2024-03-14T08:30:00.000Z'
+  ]);
+});
+
+test('replaces overridden instances identified by RECURRENCE-ID', async () => {
+  const events = parseICS([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:sync',
+    'SUMMARY:Sync',
+    'DTSTART:20240102T150000Z',
+    'RRULE:FREQ=DAILY;COUNT=3',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:sync',
+    'SUMMARY:Sync (moved)',
+    'RECURRENCE-ID:20240103T150000Z',
+    'DTSTART:20240103T180000Z',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\n'));
+  
+  const occurrences = expandEvents(events, new Date('2024-01-01T00:00:00Z'), new Date('2024-01-10T00:00:00Z'));
+  expect(occurrences.map(o => `${o.title} ${o.start.toISOString()}`)).toEqual([
+    'Sync 2024-01-02T15:00:00.000Z',
+    'Sync (moved) 2024-01-03T18:00:00.000Z',
+    'Sync 2024-01-04T15:00:00.000Z'
+  ]);
+});
+
+test('keeps open-ended rules going decades after they started', async () => {
+  const events = parseICS([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:opening',
+    'SUMMARY:Doors open',
+    'DTSTART;TZID=Europe/Berlin:20000103T080000',
+    'DTEND;TZID=Europe/Berlin:20000103T083000',
+    'RRULE:FREQ=DAILY',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:review',
+    'SUMMARY:Review',
+    'DTSTART:19900105T170000Z',
+    'RRULE:FREQ=WEEKLY;BYDAY=FR;UNTIL=20401231T000000Z',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\n'));
+  
+  const occurrences = expandEvents(events, new Date('2030-06-03T00:00:00Z'), new Date('2030-06-08T00:00:00Z'));
+  expect(occurrences.map(o => `${o.title} ${o.start.toISOString()}`)).toEqual([
+    'Doors open 2030-06-03T06:00:00.000Z',
+    'Doors open 2030-06-04T06:00:00.000Z',
+    'Doors open 2030-06-05T06:00:00.000Z',
+    'Doors open 2030-06-06T06:00:00.000Z',
+    'Doors open 2030-06-07T06:00:00.000Z',
+    'Review 2030-06-07T17:00:00.000Z'
+  ]);
+});
+
+test('skips a malformed event and keeps the rest of the feed', async () => {
+  const events = parseICS([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:good-1',
+    'SUMMARY:Breakfast',
+    'DTSTART:20240105T080000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:broken',
+    'SUMMARY:Broken',
+    'DTSTART:2024-01-05 nine',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:good-2',
+    'SUMMARY:Lunch',
+    'DTSTART:20240105T120000Z',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\n'));
+  
+  expect(events.map(event => event.uid)).toEqual(['good-1', 'good-2']);
+});
@@ -0,0 +1,27 @@
+import { test, expect } from '@playwright/test';
+import { renderMarkdown } from '../src/markdown.js';
+
+test('markdown renders block elements', () => {
+  const html = renderMarkdown('# Kitchen\n\nFirst line\nsecond line\n\n- Milk\n- Eggs\n\n1. One\n2. Two\n\n> Be kind');
+
+  expect(html).toBe(
+    '<h1>Kitchen</h1>' +
+    '<p>First line<br>second line</p>' +
+    '<ul><li>Milk</li><li>Eggs</li></ul>' +
+    '<ol><li>One</li><li>Two</li></ol>' +
+    '<div class="blockquote">Be kind</div>'
+  );
+});
+
+test('markdown renders inline formatting', () => {
+  expect(renderMarkdown('**Bold**, *italic*, _also_ and `a *b*`'))
+    .toBe('<p><strong>Bold</strong>, <em>italic</em>, <em>also</em> and <span class="code">a *b*</span></p>');
+  expect(renderMarkdown('keep snake_case_names')).toBe('<p>keep snake_case_names</p>');
+  expect(renderMarkdown('[Menu](https://example.com/menu)'))
+    .toBe('<p><a href="https://example.com/menu">Menu</a></p>');
+});
+
+test('markdown escapes HTML and drops unsafe links', () => {
+  expect(renderMarkdown('<script>alert(1)</script>')).toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  expect(renderMarkdown('[click](javascript:void)')).toBe('<p>click</p>');
+});
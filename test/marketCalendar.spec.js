@@ -0,0 +1,28 @@
+import { test, expect } from '@playwright/test';
+import { getMarketStatus, MarketCalendar } from '../src/marketCalendar.js';
+
+test('market calendar reports trading sessions in exchange time', () => {
+  // 14:30 UTC is 09:30 in New York (EST)
+  expect(getMarketStatus('NYSE', new Date('2024-03-04T14:30:00Z'))).toMatchObject({ isOpen: true, reason: 'open', localTime: '2024-03-04 09:30' });
+  expect(getMarketStatus('NYSE', new Date('2024-03-04T14:29:00Z')).reason).toBe('pre-market');
+  expect(getMarketStatus('NYSE', new Date('2024-03-04T21:00:00Z')).reason).toBe('after-hours');
+  expect(getMarketStatus('NYSE', new Date('2024-03-09T15:00:00Z')).reason).toBe('weekend');
+  // Tokyo closes for lunch
+  expect(getMarketStatus('TSE', new Date('2024-03-04T03:00:00Z')).reason).toBe('break');
+  expect(getMarketStatus('lse', new Date('2024-03-04T09:00:00Z')).isOpen).toBe(true);
+  expect(() => getMarketStatus('MOON')).toThrow('Unknown exchange');
+});
+
+test('market calendar knows NYSE holidays and configured closures', () => {
+  expect(new MarketCalendar().getUSHolidays(2024)).toEqual([
+    '2024-01-01', '2024-01-15', '2024-02-19', '2024-03-29', '2024-05-27',
+    '2024-06-19', '2024-07-04', '2024-09-02', '2024-11-28', '2024-12-25'
+  ]);
+  // Saturday holidays move to Friday, except New Year's Day
+  expect(new MarketCalendar().getUSHolidays(2022)).toContain('2022-06-20');
+  expect(new MarketCalendar().getUSHolidays(2022)).not.toContain('2021-12-31');
+  expect(new MarketCalendar().getUSHolidays(2021)).toContain('2021-07-05');
+
+  expect(getMarketStatus('NYSE', new Date('2024-11-28T16:00:00Z')).reason).toBe('holiday');
+  expect(getMarketStatus('LSE', new Date('2024-12-26T10:00:00Z'), ['2024-12-26']).reason).toBe('holiday');
+});
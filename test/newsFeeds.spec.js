@@ -0,0 +1,59 @@
+import { test, expect } from '@playwright/test';
+import { parseFeed, mergeFeedItems } from '../src/newsFeeds.js';
+
+test('newsFeeds parses JSON Feed documents', () => {
+  const feed = parseFeed(JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: 'City Updates',
+    items: [
+      { id: '1', title: 'Road closure on 5th', url: 'https://city.example.com/5th', date_published: '2024-03-04T10:00:00Z', content_html: '<p>Detour via <b>Main</b> &amp; 6th</p>' },
+      { id: '2', content_text: 'Untitled items are skipped' }
+    ]
+  }));
+
+  expect(feed.title).toBe('City Updates');
+  expect(feed.items).toEqual([{
+    title: 'Road closure on 5th',
+    link: 'https://city.example.com/5th',
+    pubDate: new Date('2024-03-04T10:00:00Z'),
+    description: 'Detour via Main & 6th',
+    source: 'City Updates'
+  }]);
+
+  expect(parseFeed(JSON.stringify({ title: 'City Updates', items: [{ title: 'A' }] }), 'City').items[0].source).toBe('City');
+});
+
+test('newsFeeds merges feeds newest first without duplicates', () => {
+  const npr = [
+    { title: 'Markets rally', link: 'https://npr.org/markets?utm_source=rss', pubDate: new Date('2024-03-04T09:00:00Z'), source: 'NPR' },
+    { title: 'Storm warning issued', link: 'https://npr.org/storm', pubDate: new Date('2024-03-04T08:00:00Z'), source: 'NPR' }
+  ];
+  const bbc = [
+    { title: 'Markets Rally!', link: 'https://www.bbc.com/markets', pubDate: new Date('2024-03-04T10:00:00Z'), source: 'BBC' },
+    { title: 'Storm update', link: 'https://npr.org/storm/', pubDate: new Date('2024-03-04T07:00:00Z'), source: 'BBC' },
+    { title: 'Undated story', link: 'https://bbc.com/undated', pubDate: null, source: 'BBC' }
+  ];
+
+  const merged = mergeFeedItems([npr, bbc]);
+  // Same title (ignoring case and punctuation) or same link keeps only the newest copy
+  expect(merged.map(item => `${item.source}: ${item.title}`)).toEqual([
+    'BBC: Markets Rally!',
+    'NPR: Storm warning issued',
+    'BBC: Undated story'
+  ]);
+
+  expect(mergeFeedItems([npr, bbc], { maxItems: 1 })).toHaveLength(1);
+});
+
+test('newsFeeds filters by include and exclude keywords', () => {
+  const items = [
+    { title: 'Weather: sunny weekend', description: '', pubDate: null },
+    { title: 'Traffic report', description: 'Heavy snow slows commute', pubDate: null },
+    { title: 'Celebrity gossip', description: 'Weather talk', pubDate: null }
+  ];
+
+  expect(mergeFeedItems([items], { include: ['weather', 'SNOW'] }).map(item => item.title))
+    .toEqual(['Weather: sunny weekend', 'Traffic report', 'Celebrity gossip']);
+  expect(mergeFeedItems([items], { include: ['weather', 'snow'], exclude: ['gossip'] }).map(item => item.title))
+    .toEqual(['Weather: sunny weekend', 'Traffic report']);
+});
@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import { encodeQR } from '../src/qrcode.js';
+
+function toRows(modules) {
+  return modules.map(row => row.map(dark => (dark ? '1' : '0')).join(''));
+}
+
+test('encodes HELLO WORLD as a version 1-M alphanumeric symbol', async () => {
+  const qr = encodeQR('HELLO WORLD', { errorCorrectionLevel: 'M', mask: 0 });
+  
+  expect(qr.version).toBe(1);
+  expect(qr.size).toBe(21);
+  expect(qr.mode).toBe('alphanumeric');
+  expect(toRows(qr.modules)).toEqual([
+    '111111100010101111111',
+    '100000101110001000001',
+    '101110100010101011101',
+    '101110100010101011101',
+    '101110101011101011101',
+    '100000100111001000001',
+    '111111101010101111111',
+    '000000000000000000000',
+    '101010100100100010010',
+    '011110001001000010001',
+    '000111111101001011000',
+    '111101011001110101110',
+    '010011110101001110101',
+    '000000001010001000101',
+    '111111100000100101100',
+    '100000100110001101000',
+    '101110101100101111111',
+    '101110100011010100010',
+    '101110101111011101001',
+    '100000100001110001011',
+    '111111101101011100001'
+  ]);
+});
+
+test('selects the most compact mode', async () => {
+  expect(encodeQR('0123456789').mode).toBe('numeric');
+  expect(encodeQR('HTTPS://EXAMPLE.COM').mode).toBe('alphanumeric');
+  expect(encodeQR('https://example.com').mode).toBe('byte');
+});
+
+test('grows the version with data length and error correction level', async () => {
+  expect(encodeQR('x'.repeat(300), { errorCorrectionLevel: 'M' }).version).toBe(13);
+  expect(encodeQR('A'.repeat(1000), { errorCorrectionLevel: 'H' }).version).toBe(29);
+  
+  const max = encodeQR('z'.repeat(2953), { errorCorrectionLevel: 'L' });
+  expect(max.version).toBe(40);
+  expect(max.size).toBe(177);
+});
+
+test('chooses a valid mask when none is specified', async () => {
+  const qr = encodeQR('https://example.com', { errorCorrectionLevel: 'Q' });
+  expect(qr.mask).toBeGreaterThanOrEqual(0);
+  expect(qr.mask).toBeLessThanOrEqual(7);
+});
+
+test('throws when data does not fit', async () => {
+  expect(() => encodeQR('z'.repeat(2954), { errorCorrectionLevel: 'L' })).toThrow('Data too long');
+});
+
+test('throws on invalid error correction level', async () => {
+  expect(() => encodeQR('test', { errorCorrectionLevel: 'X' })).toThrow();
+});
@@ -132,4 +132,335 @@ test('scene engine responsive behavior', async ({ page }) => {
       expect(hasOverflow).toBe(false);
     }
   }
-}); 
\ No newline at end of file
+}); 
+
+test('scene engine honors per-scene duration', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+  await page.waitForTimeout(1000);
+  
+  const result = await page.evaluate(() => {
+    const engine = window.lumaBoard.sceneEngine;
+    engine.loadScenes([
+      { name: 'Short', duration: 1, layout: 'single', widgets: [] },
+      { name: 'Default', layout: 'single', widgets: [] }
+    ]);
+    engine.goToScene(0);
+    engine.startRotation(60);
+    
+    return {
+      shortDuration: engine.getSceneDuration(engine.scenes[0]),
+      defaultDuration: engine.getSceneDuration(engine.scenes[1])
+    };
+  });
+  
+  expect(result.shortDuration).toBe(1);
+  expect(result.defaultDuration).toBe(60);
+  
+  // The 1s scene should advance on its own timer, not the 60s default
+  await page.waitForTimeout(1500);
+  const indexAfterShort = await page.evaluate(() => window.lumaBoard.sceneEngine.currentSceneIndex);
+  expect(indexAfterShort).toBe(1);
+  
+  // Manual navigation restarts the timer for the newly shown scene
+  const afterManual = await page.evaluate(() => {
+    const engine = window.lumaBoard.sceneEngine;
+    engine.previousScene();
+    return { index: engine.currentSceneIndex, rotating: engine.isRotating };
+  });
+  expect(afterManual.index).toBe(0);
+  expect(afterManual.rotating).toBe(true);
+  
+  await page.evaluate(() => window.lumaBoard.sceneEngine.stopRotation());
+});
+
+
+test('scene engine renders LayoutEngine layouts and binds widgets to slots', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+  await page.waitForTimeout(1000);
+  
+  const result = await page.evaluate(() => {
+    const engine = window.lumaBoard.sceneEngine;
+    engine.stopRotation();
+    
+    const slotOf = (selector) => document.querySelector(selector)?.closest('.widget-container')?.dataset.slot;
+    
+    // Named LayoutEngine layout
+    engine.renderScene({
+      name: 'Split',
+      layout: 'split',
+      widgets: [
+        { type: 'countdown', slot: 'right', config: { title: 'Right' } },
+        { type: 'clock', slot: 'left' }
+      ]
+    });
+    const split = {
+      slots: Array.from(document.querySelectorAll('.scene-layout [data-slot]')).map(el => el.dataset.slot),
+      clockSlot: slotOf('.scene-layout clock-widget'),
+      countdownSlot: slotOf('.scene-layout countdown-widget')
+    };
+    
+    // JSON grid form with spans
+    engine.renderScene({
+      name: 'Grid',
+      layout: {
+        type: 'grid',
+        rows: 2,
+        columns: 2,
+        widgets: [
+          { id: 'clock', row: 0, col: 0 },
+          { id: 'weather', row: 0, col: 1 },
+          { id: 'calendar', row: 1, col: 0, colSpan: 2 }
+        ]
+      },
+      widgets: [
+        { type: 'calendar', slot: 'calendar' },
+        { type: 'clock', slot: 'clock' }
+      ]
+    });
+    const calendarContainer = document.querySelector('.scene-layout [data-slot="calendar"]');
+    const grid = {
+      calendarSlot: slotOf('.scene-layout calendar-widget'),
+      calendarColumn: calendarContainer.style.gridColumn
+    };
+    
+    // Inline DSL
+    engine.renderScene({
+      name: 'DSL',
+      layout: 'grid: 3x1 gap 8px\nwidget a at 1,1 span 1,1\nwidget b at 2,1 span 2,1',
+      widgets: [{ type: 'clock', slot: 'b' }]
+    });
+    const dsl = { clockSlot: slotOf('.scene-layout clock-widget') };
+    
+    engine.renderCurrentScene();
+    return { split, grid, dsl };
+  });
+  
+  expect(result.split.slots).toEqual(['left', 'right']);
+  expect(result.split.clockSlot).toBe('left');
+  expect(result.split.countdownSlot).toBe('right');
+  expect(result.grid.calendarSlot).toBe('calendar');
+  expect(result.grid.calendarColumn).toContain('span 2');
+  expect(result.dsl.clockSlot).toBe('b');
+});
+
+test('scene engine applies config reloads without re-rendering unchanged widgets', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+  await page.waitForTimeout(1000);
+  
+  const result = await page.evaluate(async () => {
+    const { diffConfigs } = await import('/src/configReloader.js');
+    const engine = window.lumaBoard.sceneEngine;
+    engine.stopRotation();
+    engine.clearPlaylist();
+    
+    const before = {
+      scenes: [
+        { name: 'Lobby', layout: '2x2', widgets: [{ type: 'clock' }, { type: 'countdown', config: { title: 'Launch' } }] },
+        { name: 'Menu', layout: 'single', widgets: [{ type: 'clock' }] }
+      ]
+    };
+    engine.loadScenes(before.scenes);
+    engine.currentSceneIndex = 0;
+    engine.renderCurrentScene();
+    const clock = document.querySelector('.scene-layout clock-widget');
+    
+    // Edit the countdown on screen and drop the other scene
+    const after = {
+      scenes: [
+        { name: 'Lobby', layout: '2x2', widgets: [{ type: 'clock' }, { type: 'countdown', config: { title: 'Opening' } }] }
+      ]
+    };
+    engine.applySceneUpdate(after.scenes, diffConfigs(before, after).scenes);
+    
+    return {
+      clockKept: document.querySelector('.scene-layout clock-widget') === clock,
+      countdowns: document.querySelectorAll('.scene-layout countdown-widget').length,
+      title: JSON.parse(document.querySelector('.scene-layout countdown-widget').getAttribute('config') || '{}').title,
+      scenes: engine.scenes.length,
+      current: engine.scenes[engine.currentSceneIndex].name
+    };
+  });
+  
+  expect(result.clockKept).toBe(true);
+  expect(result.countdowns).toBe(1);
+  expect(result.scenes).toBe(1);
+  expect(result.current).toBe('Lobby');
+});
+
+test('scene engine applies a config reload to a scene still waiting to come in', async ({ page }) => {
+  // The slide never arrives, so the incoming scene waits out its readyTimeout
+  await page.route('https://media.example.com/**', () => {});
+  await page.goto('http://localhost:5173');
+  await page.waitForTimeout(1000);
+  
+  const titles = () => page.evaluate(() => Array.from(document.querySelectorAll('.scene-layout countdown-widget'))
+    .map(widget => JSON.parse(widget.getAttribute('config') || '{}').title).sort());
+  
+  await page.evaluate(async () => {
+    const { diffConfigs } = await import('/src/configReloader.js');
+    const engine = window.lumaBoard.sceneEngine;
+    engine.stopRotation();
+    engine.clearPlaylist();
+    window.lumaBoard.sceneTransitions.enable();
+    engine.readyTimeout = 1500;
+    
+    const slideshow = { type: 'image-slideshow', config: { images: [{ url: 'https://media.example.com/menu.png' }] } };
+    const before = {
+      scenes: [
+        { name: 'Lobby', layout: 'single', widgets: [{ type: 'countdown', config: { title: 'Lobby' } }] },
+        { name: 'Menu', layout: '2x2', transition: 'fade', widgets: [slideshow, { type: 'countdown', config: { title: 'Lunch' } }] }
+      ]
+    };
+    engine.loadScenes(before.scenes);
+    engine.currentSceneIndex = 0;
+    engine.renderCurrentScene();
+    engine.nextScene();
+    
+    const after = {
+      scenes: [before.scenes[0], { ...before.scenes[1], widgets: [slideshow, { type: 'countdown', config: { title: 'Dinner' } }] }]
+    };
+    engine.applySceneUpdate(after.scenes, diffConfigs(before, after).scenes);
+  });
+  
+  // The scene on screen is left alone and the incoming one is rebuilt from the new config
+  expect(await titles()).toEqual(['Dinner', 'Lobby']);
+  await expect.poll(titles, { timeout: 5000 }).toEqual(['Dinner']);
+  expect(await page.evaluate(() => window.lumaBoard.sceneEngine.scenes[window.lumaBoard.sceneEngine.currentSceneIndex].name)).toBe('Menu');
+});
+
+test('scene engine picks orientation layout variants and follows display rotation', async ({ page }) => {
+  await page.setViewportSize({ width: 1280, height: 720 });
+  await page.goto('http://localhost:5173');
+  await page.waitForTimeout(1000);
+  
+  const result = await page.evaluate(() => {
+    const engine = window.lumaBoard.sceneEngine;
+    const layouts = window.lumaBoard.layoutEngine;
+    engine.stopRotation();
+    
+    const scene = {
+      name: 'Oriented',
+      layout: { landscape: 'split', portrait: 'grid: 1x3\nwidget top at 1,1 span 1,1\nwidget middle at 1,2 span 1,1\nwidget bottom at 1,3 span 1,1' },
+      widgets: [{ type: 'clock', slot: 'top' }]
+    };
+    const slots = () => Array.from(document.querySelectorAll('.scene-layout [data-slot]')).map(el => el.dataset.slot);
+    
+    engine.renderScene(scene);
+    const landscape = { orientation: layouts.getOrientation(), slots: slots() };
+    
+    // A sideways-mounted panel rotated in CSS becomes a portrait board
+    layouts.setRotation(90);
+    engine.renderScene(scene);
+    const app = document.getElementById('app');
+    const portrait = {
+      orientation: layouts.getOrientation(),
+      slots: slots(),
+      rotated: app.classList.contains('luma-rotate-90'),
+      size: { width: app.offsetWidth, height: app.offsetHeight }
+    };
+    
+    layouts.setRotation(0);
+    engine.renderCurrentScene();
+    return { landscape, portrait, restored: layouts.getOrientation(), unsupported: layouts.setRotation(45) };
+  });
+  
+  expect(result.landscape).toEqual({ orientation: 'landscape', slots: ['left', 'right'] });
+  expect(result.portrait).toEqual({
+    orientation: 'portrait',
+    slots: ['top', 'middle', 'bottom'],
+    rotated: true,
+    size: { width: 720, height: 1280 }
+  });
+  expect(result.restored).toBe('landscape');
+  expect(result.unsupported).toBe(false);
+});
+
+test('scene engine pre-renders the next scene and plays its transition', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+  await page.waitForTimeout(1000);
+  
+  const during = await page.evaluate(() => {
+    const engine = window.lumaBoard.sceneEngine;
+    const transitions = window.lumaBoard.sceneTransitions;
+    engine.stopRotation();
+    engine.clearPlaylist();
+    transitions.enable();
+    transitions.setOptions({ duration: 300 });
+    
+    engine.loadScenes([
+      { name: 'First', layout: 'single', widgets: [{ type: 'countdown', config: { title: 'First' } }] },
+      { name: 'Second', layout: 'single', transition: { type: 'slide-left', duration: 300 }, widgets: [{ type: 'clock' }] }
+    ]);
+    engine.currentSceneIndex = 0;
+    engine.renderCurrentScene();
+    engine.nextScene();
+    
+    window.incomingClock = document.querySelector('.scene-layout clock-widget');
+    const incoming = window.incomingClock.closest('.scene-layout');
+    return {
+      layouts: document.querySelectorAll('#app > .scene-layout').length,
+      pending: incoming.classList.contains('scene-transition-pending')
+    };
+  });
+  
+  // The incoming scene is rendered hidden, next to the scene still on screen
+  expect(during).toEqual({ layouts: 2, pending: true });
+  
+  await page.waitForTimeout(100);
+  const animating = await page.evaluate(() => window.incomingClock.closest('.scene-layout').className);
+  expect(animating).toContain('transition-slide-left-enter');
+  
+  await page.waitForTimeout(600);
+  const after = await page.evaluate(() => {
+    const layouts = document.querySelectorAll('#app > .scene-layout');
+    return {
+      layouts: layouts.length,
+      className: layouts[0].className,
+      sameClock: document.querySelector('.scene-layout clock-widget') === window.incomingClock,
+      countdowns: document.querySelectorAll('countdown-widget').length
+    };
+  });
+  
+  // The widgets mounted off-screen are the ones left on screen, and the old scene is gone
+  expect(after).toEqual({ layouts: 1, className: 'scene-layout', sameClock: true, countdowns: 0 });
+});
+
+test('emergency alerts cover the scene and hold rotation until they end', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+  await page.waitForTimeout(1000);
+  
+  await page.evaluate(() => {
+    window.lumaBoard.sceneEngine.startRotation(30);
+    window.alertSender = new BroadcastChannel('luma-alerts');
+    window.alertSender.postMessage({ id: 'drill', headline: 'Fire drill <now>', severity: 'critical', duration: 120, countdown: true });
+  });
+  
+  const overlay = page.locator('.luma-alerts .luma-alert-fullscreen.luma-alert-critical');
+  await expect(overlay).toBeVisible();
+  await expect(overlay.locator('.luma-alert-headline')).toHaveText('Fire drill <now>');
+  await expect(overlay.locator('.luma-alert-countdown')).toHaveText(/^[12]:\d{2}$/);
+  expect(await page.evaluate(() => window.lumaBoard.sceneEngine.getCurrentSceneInfo())).toMatchObject({ isRotating: true, rotationPaused: true });
+  
+  // Drawn outside #app, the overlay still turns with a rotated display
+  await page.evaluate(() => window.lumaBoard.layoutEngine.setRotation(90));
+  await expect(page.locator('.luma-alerts')).toHaveClass(/luma-rotate-90/);
+  await page.evaluate(() => window.lumaBoard.layoutEngine.setRotation(0));
+  
+  await page.evaluate(() => window.alertSender.postMessage({ id: 'drill', cancel: true }));
+  await expect(page.locator('.luma-alerts')).toHaveCount(0);
+  expect(await page.evaluate(() => window.lumaBoard.sceneEngine.rotationPaused)).toBe(false);
+});
+
+test('alert ids cannot add attributes to the alert overlay', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+  await page.waitForTimeout(1000);
+  
+  const id = 'x" onanimationstart="window.injected = true';
+  await page.evaluate((id) => {
+    new BroadcastChannel('luma-alerts').postMessage({ id, headline: 'Road closed', severity: 'info', duration: 60 });
+  }, id);
+  
+  const banner = page.locator('.luma-alerts .luma-alert-banner');
+  await expect(banner).toHaveAttribute('data-alert-id', id);
+  expect(await banner.getAttribute('onanimationstart')).toBeNull();
+});
@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+import { ScenePlaylist, parseSchedule } from '../src/scenePlaylist.js';
+import { validateConfigSchema } from '../src/configSchema.js';
+
+const scenes = [{ name: 'welcome' }, { name: 'weather' }, { name: 'menu' }];
+
+test('scene playlist plays scenes by name in listed order with repeats', () => {
+  const playlist = new ScenePlaylist([
+    { scene: 'menu', duration: 12 },
+    'welcome',
+    { scene: 'menu', duration: 5 },
+    { scene: 'missing' }
+  ]).resolve(scenes);
+
+  // Unknown scenes are dropped, repeated scenes keep their own durations
+  expect(playlist.entries).toEqual([
+    { scene: 'menu', duration: 12, sceneIndex: 2 },
+    { scene: 'welcome', duration: null, sceneIndex: 0 },
+    { scene: 'menu', duration: 5, sceneIndex: 2 }
+  ]);
+
+  expect(playlist.advance().scene).toBe('welcome');
+  expect(playlist.advance().duration).toBe(5);
+  // Loops by default
+  expect(playlist.advance().duration).toBe(12);
+  expect(playlist.back().duration).toBe(5);
+});
+
+test('non-repeating playlists end on their final scene', () => {
+  const playlist = new ScenePlaylist(['welcome', 'weather'], { repeat: false }).resolve(scenes);
+
+  expect(playlist.hasNext()).toBe(true);
+  expect(playlist.advance().scene).toBe('weather');
+  expect(playlist.hasNext()).toBe(false);
+  expect(playlist.advance()).toBeNull();
+  expect(playlist.current().scene).toBe('weather');
+  expect(playlist.getInfo()).toEqual({ name: null, position: 1, length: 2, repeat: false, finished: true });
+
+  playlist.seek(0);
+  expect(playlist.back().scene).toBe('welcome');
+});
+
+test('schedule section parses into named playlists', () => {
+  const single = parseSchedule([{ scene: 'welcome', duration: 10 }], { repeat: false });
+  expect([...single.keys()]).toEqual(['default']);
+  expect(single.get('default').repeat).toBe(false);
+
+  const named = parseSchedule({
+    default: ['welcome', 'weather'],
+    lunch: { entries: [{ scene: 'menu', duration: 30 }], repeat: false }
+  });
+  expect([...named.keys()]).toEqual(['default', 'lunch']);
+  expect(named.get('lunch')).toMatchObject({ name: 'lunch', repeat: false });
+  expect(named.get('default').entries.map(entry => entry.scene)).toEqual(['welcome', 'weather']);
+
+  const result = validateConfigSchema({
+    scenes: [{ name: 'welcome', widgets: [] }],
+    schedule: { default: ['welcome', 'lobby'], lunch: { entries: [{ scene: 'welcome', duration: 0 }] } }
+  });
+  expect(result.errors).toEqual([{ path: 'schedule.lunch.entries[0].duration', message: 'Must be greater than 0' }]);
+  expect(result.warnings).toEqual([{ path: 'schedule.default[1]', message: 'Unknown scene "lobby"' }]);
+});
@@ -0,0 +1,241 @@
+import { test, expect } from '@playwright/test';
+import { SceneScheduler } from '../src/components/SceneScheduler.js';
+import { parseCron } from '../src/cron.js';
+import { ScenePlaylist, parsePlaylist } from '../src/scenePlaylist.js';
+import { validateConfigSchema } from '../src/configSchema.js';
+
+// Dates are built in local time, which is what the scheduler uses without a timezone
+const at = (day, hour, minute = 0, month = 3) => new Date(2024, month - 1, day, hour, minute);
+
+function createScheduler(config) {
+  return new SceneScheduler(null, { enabled: false, ...config });
+}
+
+// Just enough of SceneEngine's timeline handling to follow what a schedule changes
+function createSceneEngine(scenes) {
+  return {
+    scenes,
+    currentSceneIndex: 0,
+    rotationInterval: 30,
+    isRotating: false,
+    playlists: new Map(),
+    playlistDefinition: null,
+    playlist: null,
+    rendered: [],
+    loadScenes(next) {
+      this.scenes = next;
+      if (this.playlistDefinition) this.usePlaylist(this.playlistDefinition);
+    },
+    usePlaylist(playlist) {
+      const definition = typeof playlist === 'string' ? this.playlists.get(playlist)
+        : playlist instanceof ScenePlaylist ? playlist : parsePlaylist(playlist, { name: 'inline' });
+      const resolved = definition.resolve(this.scenes);
+      this.playlistDefinition = definition;
+      this.playlist = resolved.length > 0 ? resolved : null;
+      if (this.playlist) this.currentSceneIndex = this.playlist.current().sceneIndex;
+      return this.playlist !== null;
+    },
+    clearPlaylist() {
+      this.playlistDefinition = null;
+      this.playlist = null;
+    },
+    renderCurrentScene() {
+      this.rendered.push(this.scenes[this.currentSceneIndex].name);
+    },
+    goToScene(index) {
+      this.currentSceneIndex = index;
+      this.renderCurrentScene();
+    },
+    startRotation(interval) {
+      this.isRotating = true;
+      this.rotationInterval = interval;
+    },
+    stopRotation() {
+      this.isRotating = false;
+    }
+  };
+}
+
+test('cron expressions match fields, ranges, steps and names', () => {
+  const weekdays = parseCron('*/15 9-17 * * MON-FRI');
+  expect(weekdays.matches({ minute: 30, hour: 9, day: 4, month: 3, weekday: 1 })).toBe(true);
+  expect(weekdays.matches({ minute: 31, hour: 9, day: 4, month: 3, weekday: 1 })).toBe(false);
+  expect(weekdays.matches({ minute: 30, hour: 9, day: 9, month: 3, weekday: 6 })).toBe(false);
+
+  // Restricted day-of-month and day-of-week match either, as in classic cron
+  const either = parseCron('0 8 1 * 7');
+  expect(either.matches({ minute: 0, hour: 8, day: 1, month: 5, weekday: 3 })).toBe(true);
+  expect(either.matches({ minute: 0, hour: 8, day: 12, month: 5, weekday: 0 })).toBe(true);
+  expect(either.matches({ minute: 0, hour: 8, day: 12, month: 5, weekday: 1 })).toBe(false);
+
+  expect(parseCron('@daily').matches({ minute: 0, hour: 0, day: 9, month: 1, weekday: 2 })).toBe(true);
+  expect(() => parseCron('0 25 * * *')).toThrow("Invalid value '25' in cron hour field");
+  expect(() => parseCron('0 9 * *')).toThrow('must have 5 fields');
+});
+
+test('scheduler applies cron, nth weekday, holiday and exception rules', () => {
+  const scheduler = createScheduler({
+    holidays: ['2024-03-29', { date: '12-25', name: 'Christmas' }],
+    schedules: [
+      { name: 'Lunch', cron: '30 12 * * 1-5', cronDuration: 60, onHolidays: 'exclude' },
+      { name: 'Town Hall', nthWeekday: { weekday: 1, n: 1 }, timeRange: { start: '15:00', end: '16:00' } },
+      { name: 'Month End', nthWeekday: { weekday: 5, n: -1 }, exceptDates: ['2024-03-29'] },
+      { name: 'Closed', onHolidays: 'only' },
+      { name: 'Night', timeRange: { start: '22:00', end: '06:00' } }
+    ]
+  });
+
+  expect(scheduler.findActiveSchedule(at(4, 12, 29))).toBeNull();
+  expect(scheduler.findActiveSchedule(at(4, 12, 30)).name).toBe('Lunch');
+  expect(scheduler.findActiveSchedule(at(4, 13, 29)).name).toBe('Lunch');
+  expect(scheduler.findActiveSchedule(at(4, 13, 30))).toBeNull();
+
+  // 4 March 2024 is the first Monday, 11 March the second
+  expect(scheduler.findActiveSchedule(at(4, 15, 30)).name).toBe('Town Hall');
+  expect(scheduler.findActiveSchedule(at(11, 15, 30))).toBeNull();
+
+  // 26 April is the last Friday; 29 March is too, but is an exception date and a holiday
+  expect(scheduler.findActiveSchedule(at(26, 10, 0, 4)).name).toBe('Month End');
+  expect(scheduler.findActiveSchedule(at(22, 10))).toBeNull();
+  expect(scheduler.findActiveSchedule(at(29, 12, 45)).name).toBe('Closed');
+  expect(scheduler.findActiveSchedule(at(25, 9, 0, 12)).name).toBe('Closed');
+  expect(scheduler.getHoliday('2025-12-25')).toEqual({ date: '12-25', name: 'Christmas' });
+
+  // Overnight windows wrap past midnight
+  expect(scheduler.findActiveSchedule(at(5, 23)).name).toBe('Night');
+  expect(scheduler.findActiveSchedule(at(5, 5, 59)).name).toBe('Night');
+});
+
+test('scheduler resolves overlaps by priority, then config order', () => {
+  const scheduler = createScheduler({
+    schedules: [
+      { name: 'All Day' },
+      { name: 'Also All Day' },
+      { name: 'Morning', priority: 5, timeRange: { start: '08:00', end: '11:59' } }
+    ]
+  });
+
+  expect(scheduler.findActiveSchedule(at(4, 9)).name).toBe('Morning');
+  expect(scheduler.findActiveSchedule(at(4, 14)).name).toBe('All Day');
+  expect(scheduler.getRankedSchedules().map(schedule => schedule.name)).toEqual(['Morning', 'All Day', 'Also All Day']);
+});
+
+test('scheduler previews schedules and scenes at future times', () => {
+  const sceneEngine = {
+    scenes: [{ name: 'welcome', duration: 10 }, { name: 'menu', duration: 20 }, { name: 'news' }],
+    rotationInterval: 30,
+    playlists: new Map()
+  };
+  const scheduler = new SceneScheduler(sceneEngine, {
+    enabled: false,
+    schedules: [
+      { name: 'Lunch', timeRange: { start: '12:00', end: '12:59' }, playlist: [{ scene: 'menu', duration: 60 }, { scene: 'welcome', duration: 30 }] },
+      { name: 'Evening', timeRange: { start: '18:00', end: '23:59' }, rotation: { enabled: false }, sceneIndex: 2 }
+    ]
+  });
+
+  // 75 s into lunch: the 60 s menu entry has played, the welcome entry is on
+  expect(scheduler.previewAt(new Date(2024, 2, 4, 12, 1, 15))).toMatchObject({
+    schedule: 'Lunch',
+    activeSince: at(4, 12),
+    scene: 'welcome',
+    sceneIndex: 0,
+    playlist: 'inline'
+  });
+  // Two minutes in, the 90 s playlist has looped back to the menu
+  expect(scheduler.previewAt(at(4, 12, 2)).scene).toBe('menu');
+  expect(scheduler.previewAt(at(4, 20))).toMatchObject({ schedule: 'Evening', scene: 'news' });
+
+  const week = scheduler.previewRange(at(4, 0), at(5, 0));
+  expect(week.map(segment => [segment.schedule, segment.start.getHours(), segment.end.getHours()])).toEqual([
+    [null, 0, 12],
+    ['Lunch', 12, 13],
+    [null, 13, 18],
+    ['Evening', 18, 0]
+  ]);
+});
+
+test('schedules pick scenes by name or tag and hand back the board timeline when they end', () => {
+  const scenes = [
+    { name: 'welcome', widgets: [] },
+    { name: 'weather', widgets: [] },
+    { name: 'menu', tags: ['food'], widgets: [] },
+    { name: 'specials', tags: ['food', 'promo'], widgets: [] }
+  ];
+  const sceneEngine = createSceneEngine(scenes);
+  sceneEngine.playlists.set('default', new ScenePlaylist(['welcome', 'weather', 'menu'], { name: 'default' }));
+  sceneEngine.usePlaylist('default');
+  sceneEngine.playlist.seek(1);
+  sceneEngine.currentSceneIndex = 1;
+  sceneEngine.startRotation(20);
+  const scheduler = new SceneScheduler(sceneEngine, { enabled: false });
+
+  // Listed names come first, then tagged scenes in config order
+  scheduler.applySchedule({ name: 'Lunch', scenes: ['specials'], tags: ['food'], rotation: { enabled: true, interval: 10 } });
+  expect(sceneEngine.scenes).toBe(scenes);
+  expect(sceneEngine.playlist.entries.map(entry => entry.scene)).toEqual(['specials', 'menu']);
+  expect(sceneEngine.rendered.at(-1)).toBe('specials');
+  expect(sceneEngine.rotationInterval).toBe(10);
+
+  // sceneIndex counts the schedule's own scenes; inline scenes join the board's while it runs
+  scheduler.applySchedule({ name: 'Promo', tags: ['food'], sceneIndex: 1 });
+  expect(sceneEngine.rendered.at(-1)).toBe('specials');
+  scheduler.applySchedule({ name: 'Closed', scenes: [{ name: 'closed', widgets: [] }], rotation: { enabled: false } });
+  expect(sceneEngine.scenes.map(scene => scene.name)).toEqual(['welcome', 'weather', 'menu', 'specials', 'closed']);
+  expect(sceneEngine.isRotating).toBe(false);
+
+  scheduler.applyDefaultBehavior();
+  expect(sceneEngine.scenes.map(scene => scene.name)).toEqual(['welcome', 'weather', 'menu', 'specials']);
+  expect(sceneEngine.playlist.getInfo()).toMatchObject({ name: 'default', position: 1 });
+  expect(sceneEngine.rendered.at(-1)).toBe('weather');
+  expect(sceneEngine).toMatchObject({ currentSceneIndex: 1, isRotating: true, rotationInterval: 20 });
+
+  // Schedules that match no scenes leave the board alone
+  const renders = sceneEngine.rendered.length;
+  scheduler.applySchedule({ name: 'Breakfast', tags: ['morning'] });
+  expect(sceneEngine.rendered).toHaveLength(renders);
+  expect(sceneEngine.playlist.name).toBe('default');
+
+  const result = validateConfigSchema({ scenes, scheduler: { schedules: [{ name: 'Breakfast', scenes: ['menu', 'porridge'], tags: ['morning'] }] } });
+  expect(result.warnings.map(warning => warning.path)).toEqual(['scheduler.schedules[0].scenes[1]', 'scheduler.schedules[0].tags[0]']);
+});
+
+test('scheduler reads rules in its timezone across DST changes', () => {
+  const scheduler = createScheduler({
+    timezone: 'America/New_York',
+    schedules: [{ name: 'Opening', daysOfWeek: [1, 2, 3, 4, 5], timeRange: { start: '09:00', end: '16:59' }, dateRange: { start: '2024-03-01', end: '2024-03-31' } }]
+  });
+
+  // 09:30 in New York is 14:30 UTC before the switch to daylight time and 13:30 after
+  expect(scheduler.findActiveSchedule(new Date('2024-03-08T14:30:00Z')).name).toBe('Opening');
+  expect(scheduler.findActiveSchedule(new Date('2024-03-08T13:30:00Z'))).toBeNull();
+  expect(scheduler.findActiveSchedule(new Date('2024-03-11T13:30:00Z')).name).toBe('Opening');
+  // Date ranges are whole days in the scheduler's zone: 1 April 01:00 UTC is still 31 March there
+  expect(scheduler.findActiveSchedule(new Date('2024-04-01T01:00:00Z'))).toBeNull();
+  expect(scheduler.getTimeInfo(new Date('2024-04-01T01:00:00Z')).dateKey).toBe('2024-03-31');
+
+  // The next 09:00 after Saturday afternoon falls on Sunday, after the clocks go forward
+  expect(scheduler.getNextScheduleTime('09:00', new Date('2024-03-09T20:00:00Z')).toISOString()).toBe('2024-03-10T13:00:00.000Z');
+  // 02:30 does not exist that night; it fires at 03:30 daylight time
+  expect(scheduler.getNextScheduleTime('02:30', new Date('2024-03-10T05:00:00Z')).toISOString()).toBe('2024-03-10T07:30:00.000Z');
+});
+
+test('config schema checks scheduler rules', () => {
+  const result = validateConfigSchema({
+    scenes: [{ name: 'welcome', widgets: [] }],
+    scheduler: {
+      holidays: ['2024-12-25', { date: '07-04', name: 'Independence Day' }, 'Christmas'],
+      schedules: [
+        { name: 'A', cron: '0 9 * * MON', cronDuration: 30, priority: 2, nthWeekday: [{ weekday: 1, n: -1 }], onHolidays: 'exclude' },
+        { name: 'B', cron: '0 9 * *', nthWeekday: { weekday: 8, n: 6 } }
+      ]
+    }
+  });
+
+  expect(result.errors.map(error => error.path)).toEqual([
+    'scheduler.holidays[2]',
+    'scheduler.schedules[1].nthWeekday.weekday',
+    'scheduler.schedules[1].nthWeekday.n',
+    'scheduler.schedules[1].cron'
+  ]);
+});
@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+import { ServiceWorkerManager } from '../src/serviceWorker.js';
+
+test('service worker precaches config files and referenced media', () => {
+  globalThis.localStorage = { getItem: () => JSON.stringify({ configUrl: 'https://signage.example.com/lobby.json' }) };
+  const manager = new ServiceWorkerManager();
+  const urls = manager.collectUrls({
+    scenes: [
+      {
+        name: 'Lobby',
+        background: { type: 'image', value: '/media/lobby.jpg' },
+        widgets: [
+          { type: 'image-slideshow', config: { images: [{ url: 'https://cdn.example.com/a.jpg' }, { url: 'data:image/png;base64,AAAA' }] } },
+          { type: 'video', config: { poster: '/media/poster.jpg', playlist: [{ url: '/media/clip.mp4', poster: '/media/clip.jpg' }] } },
+          { type: 'clock' }
+        ]
+      }
+    ],
+    customCSS: "@font-face { font-family: Brand; src: url('/fonts/brand.woff2') format('woff2'); }",
+    offline: { precache: ['/media/logo.svg'] }
+  });
+
+  expect(urls).toEqual(expect.arrayContaining([
+    '/media/lobby.jpg',
+    'https://cdn.example.com/a.jpg',
+    '/media/poster.jpg',
+    '/media/clip.jpg',
+    '/fonts/brand.woff2',
+    '/media/logo.svg'
+  ]));
+  // Videos stream with range requests and inline data URLs need no caching
+  expect(urls).not.toContain('/media/clip.mp4');
+  expect(urls.some(url => url.startsWith('data:'))).toBe(false);
+
+  // Config files are fetched network first, so they travel in their own list
+  expect(urls).not.toContain('./config/phase3-demo-config.json');
+  expect(manager.collectConfigUrls()).toEqual(expect.arrayContaining([
+    './config/phase3-demo-config.json',
+    'https://signage.example.com/lobby.json'
+  ]));
+  delete globalThis.localStorage;
+});
@@ -0,0 +1,108 @@
+import { test, expect } from '@playwright/test';
+import { LocalSettings, applySettings } from '../src/settings.js';
+
+const config = {
+  scenes: [
+    { name: 'Welcome', widgets: [] },
+    { name: 'Weather', duration: 20, widgets: [] },
+    { name: 'Menu', widgets: [] },
+    { name: 'News', widgets: [] }
+  ],
+  sceneRotation: { enabled: true, interval: 30 }
+};
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+test.afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+test('local scene order and durations apply over the config by name', () => {
+  const local = applySettings(config, {
+    sceneOrder: ['News', 'Gone', 'Welcome'],
+    sceneDurations: { Weather: 45, Gone: 10 }
+  });
+
+  // Unlisted scenes follow in config order; unknown names are ignored
+  expect(local.scenes.map(scene => scene.name)).toEqual(['News', 'Welcome', 'Weather', 'Menu']);
+  expect(local.scenes.find(scene => scene.name === 'Weather').duration).toBe(45);
+  expect(local.sceneRotation).toBe(config.sceneRotation);
+  expect(config.scenes[1].duration).toBe(20);
+
+  expect(applySettings(config, { sceneOrder: [], sceneDurations: {} }).scenes).toEqual(config.scenes);
+});
+
+test('settings are remembered in localStorage and malformed values dropped', () => {
+  globalThis.localStorage = memoryStorage();
+
+  const settings = new LocalSettings();
+  expect(settings.get()).toEqual({ configUrl: null, sceneOrder: [], sceneDurations: {} });
+
+  settings.save({ configUrl: ' https://signage.example.com/lobby.json ', sceneDurations: { Weather: 45, Menu: 0 } });
+  settings.save({ sceneOrder: ['Menu', 7, 'Welcome'] });
+
+  expect(new LocalSettings().get()).toEqual({
+    configUrl: 'https://signage.example.com/lobby.json',
+    sceneOrder: ['Menu', 'Welcome'],
+    sceneDurations: { Weather: 45 }
+  });
+
+  settings.reset();
+  expect(new LocalSettings().get().configUrl).toBeNull();
+
+  globalThis.localStorage.setItem('luma_settings', '{broken');
+  expect(new LocalSettings().get().sceneOrder).toEqual([]);
+});
+
+test('settings panel keeps scene names with quotes intact', async ({ page }) => {
+  await page.goto('http://localhost:5173');
+  await page.waitForTimeout(1000);
+
+  const rows = await page.evaluate(async () => {
+    const board = window.lumaBoard;
+    board.config = { ...board.config, scenes: [{ name: 'The "Lobby" view', widgets: [] }, { name: 'Menu', widgets: [] }] };
+    await board.settingsPanel.show();
+    
+    return Array.from(document.querySelectorAll('.luma-settings-scene')).map(row => ({
+      scene: row.dataset.scene,
+      label: row.querySelector('.luma-settings-duration').getAttribute('aria-label')
+    }));
+  });
+
+  expect(rows).toEqual([
+    { scene: 'The "Lobby" view', label: 'The "Lobby" view duration' },
+    { scene: 'Menu', label: 'Menu duration' }
+  ]);
+});
+
+test('settings hotspot and panel turn with a rotated display', async ({ page }) => {
+  await page.setViewportSize({ width: 1280, height: 720 });
+  await page.goto('http://localhost:5173');
+  await page.waitForTimeout(1000);
+
+  const result = await page.evaluate(async () => {
+    const board = window.lumaBoard;
+    board.layoutEngine.setRotation(90);
+    await board.settingsPanel.show();
+
+    const hotspot = document.querySelector('.luma-settings-hotspot').getBoundingClientRect();
+    const rotated = {
+      // The viewer's top-right corner of a panel mounted a quarter turn clockwise
+      hotspot: { right: Math.round(hotspot.right), bottom: Math.round(hotspot.bottom) },
+      overlay: document.querySelector('.luma-settings-overlay').classList.contains('luma-rotate-90')
+    };
+
+    board.settingsPanel.hide();
+    board.layoutEngine.setRotation(0);
+    return rotated;
+  });
+
+  expect(result).toEqual({ hotspot: { right: 1280, bottom: 720 }, overlay: true });
+});
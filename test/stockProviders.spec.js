@@ -0,0 +1,84 @@
+import { test, expect } from '@playwright/test';
+import { getStockProvider, normalizeQuote } from '../src/stockProviders.js';
+import { dataService } from '../src/dataService.js';
+
+// No localStorage under Node
+dataService.configure({ persist: false });
+
+const originalFetch = globalThis.fetch;
+
+function mockFetch(handler, requests = []) {
+  globalThis.fetch = async (url) => {
+    requests.push(String(url));
+    const body = handler(String(url));
+    return {
+      ok: true,
+      status: 200,
+      json: async () => body,
+      text: async () => typeof body === 'string' ? body : JSON.stringify(body)
+    };
+  };
+  return requests;
+}
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('Yahoo provider normalizes quotes with intraday points', async () => {
+  mockFetch(() => ({
+    chart: {
+      result: [{
+        meta: { regularMarketPrice: 102, chartPreviousClose: 100, currency: 'USD', exchangeName: 'NMS' },
+        timestamp: [1709560200, 1709560500, 1709560800],
+        indicators: { quote: [{ close: [100.5, null, 102] }] }
+      }]
+    }
+  }));
+
+  const quote = await getStockProvider('yahoo').fetchQuote('AAPL', { intraday: true });
+  expect(quote).toMatchObject({ symbol: 'AAPL', price: 102, change: 2, changePercent: 2, previousClose: 100, exchange: 'NMS' });
+  expect(quote.intraday).toEqual([
+    { time: '2024-03-04T13:50:00.000Z', price: 100.5 },
+    { time: '2024-03-04T14:00:00.000Z', price: 102 }
+  ]);
+});
+
+test('Alpha Vantage and Twelve Data providers require keys and surface API errors', async () => {
+  await expect(getStockProvider('alpha-vantage').fetchQuote('MSFT', {})).rejects.toThrow('apiKey');
+  await expect(getStockProvider('twelve-data').fetchQuote('MSFT', {})).rejects.toThrow('apiKey');
+
+  mockFetch(() => ({ Note: 'Thank you for using Alpha Vantage! Our standard API rate limit is 25 requests per day.' }));
+  await expect(getStockProvider('alpha-vantage').fetchQuote('MSFT', { apiKey: 'demo' })).rejects.toThrow('rate limit');
+
+  const requests = mockFetch(url => url.includes('/quote')
+    ? { symbol: 'MSFT', close: '410.50', previous_close: '400', change: '10.5', percent_change: '2.625', currency: 'USD', exchange: 'NASDAQ' }
+    : { values: [{ datetime: '2024-03-04 10:05:00', close: '409' }, { datetime: '2024-03-04 10:00:00', close: '408' }, { datetime: '2024-03-01 15:55:00', close: '400' }] });
+
+  const quote = await getStockProvider('twelve-data').fetchQuote('MSFT', { apiKey: 'key', intraday: true });
+  expect(quote).toMatchObject({ price: 410.5, change: 10.5, changePercent: 2.625, exchange: 'NASDAQ' });
+  // Oldest first, limited to the latest trading day
+  expect(quote.intraday).toEqual([
+    { time: '2024-03-04T10:00:00', price: 408 },
+    { time: '2024-03-04T10:05:00', price: 409 }
+  ]);
+  expect(requests[0]).toContain('apikey=key');
+});
+
+test('URL provider reads shared CSV documents', async () => {
+  const requests = mockFetch(() => 'Symbol,Price,Previous Close,Currency\nACME,12.50,12.00,EUR\nINIT,8,8,EUR\n');
+  const provider = getStockProvider('url');
+
+  const acme = await provider.fetchQuote('ACME', { url: 'https://intranet.example.com/quotes.csv' });
+  const init = await provider.fetchQuote('init', { url: 'https://intranet.example.com/quotes.csv' });
+
+  expect(acme).toMatchObject({ symbol: 'ACME', price: 12.5, previousClose: 12, change: 0.5, currency: 'EUR' });
+  expect(acme.changePercent).toBeCloseTo(4.1667, 3);
+  expect(init).toMatchObject({ symbol: 'init', price: 8, change: 0 });
+  // Both symbols come from one fetch of the shared document
+  expect(requests).toHaveLength(1);
+
+  expect(() => normalizeQuote({ symbol: 'BAD', price: 'n/a' })).toThrow('numeric price');
+  expect(normalizeQuote({ symbol: 'ACME', price: 1, currency: '$' }).currency).toBe('USD');
+  expect(normalizeQuote({ symbol: 'ACME', price: 1, currency: 'gbp' }).currency).toBe('GBP');
+});
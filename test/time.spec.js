@@ -0,0 +1,110 @@
+import { test, expect } from '@playwright/test';
+import { FreshnessIndicator } from '../src/components/FreshnessIndicator.js';
+import timeService, { now, setClock, setVirtualTime, toRealDelay, getZonedParts, zonedTimeToTimestamp, isValidTimeZone } from '../src/time.js';
+
+const iso = (timestamp) => new Date(timestamp).toISOString();
+
+test.afterEach(() => {
+  setClock(null);
+});
+
+test('converts wall-clock time in IANA zones', () => {
+  expect(getZonedParts(Date.parse('2024-07-01T12:00:00Z'), 'Europe/Berlin')).toEqual({
+    year: 2024, month: 7, day: 1, hour: 14, minute: 0, second: 0, weekday: 1
+  });
+  // Past midnight in Tokyo it is already the next day
+  expect(getZonedParts(Date.parse('2024-12-31T16:30:00Z'), 'Asia/Tokyo')).toMatchObject({ year: 2025, month: 1, day: 1, hour: 1, minute: 30 });
+
+  expect(iso(zonedTimeToTimestamp({ year: 2024, month: 1, day: 15, hour: 9 }, 'America/New_York'))).toBe('2024-01-15T14:00:00.000Z');
+  expect(iso(zonedTimeToTimestamp({ year: 2024, month: 7, day: 15, hour: 9 }, 'America/New_York'))).toBe('2024-07-15T13:00:00.000Z');
+  expect(iso(zonedTimeToTimestamp({ year: 2024, month: 7, day: 15, hour: 9 }, 'UTC'))).toBe('2024-07-15T09:00:00.000Z');
+
+  expect(isValidTimeZone('Australia/Sydney')).toBe(true);
+  expect(isValidTimeZone('local')).toBe(true);
+  expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+});
+
+test('resolves DST gaps and overlaps', () => {
+  // 10 March 2024: New York skips 02:00-03:00; 02:30 moves forward past the gap
+  const gap = { year: 2024, month: 3, day: 10, hour: 2, minute: 30 };
+  expect(iso(zonedTimeToTimestamp(gap, 'America/New_York'))).toBe('2024-03-10T07:30:00.000Z');
+  expect(getZonedParts(zonedTimeToTimestamp(gap, 'America/New_York'), 'America/New_York')).toMatchObject({ hour: 3, minute: 30 });
+  expect(iso(zonedTimeToTimestamp(gap, 'America/New_York', { disambiguation: 'earlier' }))).toBe('2024-03-10T06:30:00.000Z');
+
+  // 27 October 2024: Berlin repeats 02:00-03:00, first in CEST then in CET
+  const overlap = { year: 2024, month: 10, day: 27, hour: 2, minute: 30 };
+  expect(iso(zonedTimeToTimestamp(overlap, 'Europe/Berlin'))).toBe('2024-10-27T00:30:00.000Z');
+  expect(iso(zonedTimeToTimestamp(overlap, 'Europe/Berlin', { disambiguation: 'later' }))).toBe('2024-10-27T01:30:00.000Z');
+});
+
+test('parses offset-less date-times in a zone', () => {
+  expect(timeService.parse('2024-12-31T23:59', 'Europe/London').toISOString()).toBe('2024-12-31T23:59:00.000Z');
+  expect(timeService.parse('2024-07-01', 'Europe/London').toISOString()).toBe('2024-06-30T23:00:00.000Z');
+  // Values with an offset are absolute whatever the zone
+  expect(timeService.parse('2024-07-01T09:00:00Z', 'Asia/Tokyo').toISOString()).toBe('2024-07-01T09:00:00.000Z');
+  expect(Number.isNaN(timeService.parse('soon', 'UTC').getTime())).toBe(true);
+});
+
+test('clock can be overridden for tests', () => {
+  setClock(new Date('2030-01-01T00:00:00Z'));
+  expect(now()).toBe(Date.parse('2030-01-01T00:00:00Z'));
+
+  let ticks = 0;
+  setClock(() => Date.parse('2030-01-01T00:00:00Z') + ++ticks * 1000);
+  expect(now()).toBe(Date.parse('2030-01-01T00:00:01Z'));
+  expect(now()).toBe(Date.parse('2030-01-01T00:00:02Z'));
+
+  expect(() => setClock('not a date')).toThrow("Invalid clock time 'not a date'");
+
+  setClock(null);
+  expect(Math.abs(now() - Date.now())).toBeLessThan(1000);
+});
+
+test('virtual clock runs from a set time at a chosen speed', async () => {
+  setVirtualTime('2030-03-11T06:00:00Z', { speed: 60 });
+  const start = now();
+  expect(Math.abs(start - Date.parse('2030-03-11T06:00:00Z'))).toBeLessThan(1000);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  // 200 ms of real time is about 12 s of board time
+  expect(now() - start).toBeGreaterThanOrEqual(11000);
+  expect(toRealDelay(60000)).toBe(1000);
+  expect(timeService.getClockInfo()).toMatchObject({ virtual: true, speed: 60 });
+
+  // Changing speed keeps the current board time
+  timeService.setSpeed(1);
+  expect(Math.abs(now() - start)).toBeLessThan(60000);
+  expect(toRealDelay(60000)).toBe(60000);
+
+  expect(() => setVirtualTime('2030-03-11T06:00:00Z', { speed: 0 })).toThrow('Clock speed');
+  setClock(null);
+  expect(timeService.getClockInfo()).toMatchObject({ virtual: false, speed: 1 });
+});
+
+test('virtual clock starts from URL parameters', () => {
+  expect(timeService.applyUrlParams('?clock=2030-01-01T09:00:00Z&clockSpeed=10')).toBe(true);
+  expect(timeService.getClockInfo().speed).toBe(10);
+  expect(Math.abs(now() - Date.parse('2030-01-01T09:00:00Z'))).toBeLessThan(10000);
+
+  setClock(null);
+  expect(timeService.applyUrlParams('?debug=1')).toBe(false);
+  expect(timeService.applyUrlParams('?clock=whenever')).toBe(false);
+  expect(timeService.getClockInfo().virtual).toBe(false);
+});
+
+test('data age stays in real time while the board clock is moved', () => {
+  setClock(new Date(Date.now() + 7 * 24 * 3600000));
+
+  const statuses = [];
+  const indicator = Object.create(FreshnessIndicator.prototype);
+  Object.assign(indicator, {
+    indicator: {},
+    widget: { lastUpdate: Date.now() - 30000 },
+    dataState: { state: 'live' },
+    options: { showAge: true, threshold: { fresh: 60000, stale: 300000, expired: 900000 } },
+    setStatus: (status, icon, text) => statuses.push([status, text])
+  });
+
+  indicator.updateFreshness();
+  expect(statuses).toEqual([['fresh', indicator.formatAge(30000)]]);
+});
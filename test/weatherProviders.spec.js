@@ -0,0 +1,99 @@
+import { test, expect } from '@playwright/test';
+import { getWeatherProvider, registerWeatherProvider } from '../src/weatherProviders.js';
+
+const originalFetch = globalThis.fetch;
+
+function mockFetch(body, requests = []) {
+  globalThis.fetch = async (url) => {
+    requests.push(String(url));
+    return { ok: true, status: 200, json: async () => body };
+  };
+  return requests;
+}
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('Open-Meteo provider normalizes daily and hourly forecasts', async () => {
+  const requests = mockFetch({
+    current_weather: { temperature: 21.6, weathercode: 2, windspeed: 12, winddirection: 180, time: '2024-06-01T13:15' },
+    daily: {
+      time: ['2024-06-01', '2024-06-02'],
+      weathercode: [2, 61],
+      temperature_2m_max: [24.4, 19.6],
+      temperature_2m_min: [14.2, 12.5],
+      precipitation_probability_max: [10, 80],
+      windspeed_10m_max: [18, 25],
+      sunrise: ['2024-06-01T05:27', '2024-06-02T05:26'],
+      sunset: ['2024-06-01T20:53', '2024-06-02T20:54']
+    },
+    hourly: {
+      time: ['2024-06-01T12:00', '2024-06-01T13:00', '2024-06-01T14:00', '2024-06-01T15:00'],
+      temperature_2m: [20.9, 21.4, 22.2, 23],
+      weathercode: [1, 2, 2, 3],
+      precipitation_probability: [0, 5, 10, 20],
+      windspeed_10m: [10, 11, 12, 13]
+    }
+  });
+
+  const data = await getWeatherProvider('open-meteo').fetchWeather({
+    latitude: 44.98, longitude: -93.27, units: 'metric', forecastDays: 2, hourlyHours: 2
+  });
+
+  expect(requests[0]).toContain('temperature_unit=celsius');
+  expect(requests[0]).toContain('forecast_days=2');
+  expect(data.temperature).toBe(22);
+  expect(data.windUnit).toBe('km/h');
+  expect(data.daily[1]).toEqual({
+    date: '2024-06-02', high: 20, low: 13, weatherCode: 61,
+    precipitationProbability: 80, windSpeed: 25, sunrise: '2024-06-02T05:26', sunset: '2024-06-02T20:54'
+  });
+  expect(data.hourly.map(hour => hour.time)).toEqual(['2024-06-01T13:00', '2024-06-01T14:00']);
+});
+
+test('WeatherAPI provider maps condition codes and astro times', async () => {
+  const hour = (time, temp, code) => ({ time, temp_f: temp, condition: { code }, chance_of_rain: 30, wind_mph: 8 });
+  const requests = mockFetch({
+    current: { temp_f: 70.2, condition: { code: 1003 }, wind_mph: 6, wind_degree: 90, last_updated: '2024-06-01 13:15' },
+    forecast: {
+      forecastday: [{
+        date: '2024-06-01',
+        day: { maxtemp_f: 75, mintemp_f: 58, condition: { code: 1189 }, daily_chance_of_rain: 60, maxwind_mph: 14 },
+        astro: { sunrise: '05:27 AM', sunset: '08:53 PM' },
+        hour: [hour('2024-06-01 12:00', 69, 1000), hour('2024-06-01 13:00', 70, 1087)]
+      }]
+    }
+  });
+
+  const data = await getWeatherProvider('weatherapi').fetchWeather({
+    location: 'Minneapolis', units: 'fahrenheit', apiKey: 'abc', forecastDays: 3, hourlyHours: 12
+  });
+
+  expect(requests[0]).toContain('q=Minneapolis');
+  expect(data.weatherCode).toBe(2);
+  expect(data.daily[0].weatherCode).toBe(63);
+  expect(data.daily[0].sunrise).toBe('2024-06-01T05:27');
+  expect(data.daily[0].sunset).toBe('2024-06-01T20:53');
+  expect(data.hourly).toHaveLength(1);
+  expect(data.hourly[0].weatherCode).toBe(95);
+
+  await expect(getWeatherProvider('weatherapi').fetchWeather({ location: 'x' })).rejects.toThrow('apiKey');
+});
+
+test('JSON provider fills URL placeholders and custom providers can register', async () => {
+  const requests = mockFetch({ temperature: 5, weatherCode: 71, time: '2024-01-01T08:00', daily: [], hourly: [] });
+
+  const data = await getWeatherProvider('json').fetchWeather({
+    url: 'https://weather.local/api?lat={latitude}&q={location}', latitude: 1.5, location: 'New York, NY',
+    units: 'celsius', forecastDays: 5, hourlyHours: 12
+  });
+
+  expect(requests[0]).toBe('https://weather.local/api?lat=1.5&q=New%20York%2C%20NY');
+  expect(data.units).toBe('celsius');
+
+  const custom = { requiresCoordinates: false, fetchWeather: async () => ({ temperature: 1 }) };
+  registerWeatherProvider('custom', custom);
+  expect(getWeatherProvider('custom')).toBe(custom);
+  expect(() => registerWeatherProvider('broken', {})).toThrow();
+});
@@ -25,4 +25,41 @@ test('widgets mount correctly', async ({ page }) => {
   expect(widgetsWorking.weatherExists).toBe(true);
   expect(widgetsWorking.clockHasShadowRoot).toBe(true);
   expect(widgetsWorking.weatherHasShadowRoot).toBe(true);
-}); 
\ No newline at end of file
+}); 
+
+test('media widgets are ready once their first slide has loaded', async ({ page }) => {
+  let releaseImage;
+  const imageRequested = new Promise(resolve => {
+    page.route('https://media.example.com/**', route => {
+      resolve();
+      releaseImage = () => route.fulfill({
+        status: 200,
+        contentType: 'image/svg+xml',
+        headers: { 'Access-Control-Allow-Origin': '*' },
+        body: '<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4"><rect width="4" height="4"/></svg>'
+      });
+    });
+  });
+
+  await page.goto('http://localhost:5173');
+
+  await page.evaluate(async () => {
+    const { widgetMount } = await import('/src/widgetMount.js');
+    const container = document.createElement('div');
+    container.style.width = '400px';
+    container.style.height = '300px';
+    document.body.appendChild(container);
+
+    widgetMount.createWidget('image-slideshow', container, { images: [{ url: 'https://media.example.com/lobby.svg' }] });
+    const [widgetId] = [...widgetMount.getAllWidgets()].find(([, widget]) => widget.container === container);
+    window.slideReady = false;
+    widgetMount.whenReady(widgetId).then(() => { window.slideReady = true; });
+  });
+
+  await imageRequested;
+  await page.waitForTimeout(200);
+  expect(await page.evaluate(() => window.slideReady)).toBe(false);
+
+  releaseImage();
+  await expect.poll(() => page.evaluate(() => window.slideReady)).toBe(true);
+});